@@ -1,76 +1,347 @@
-import React, { useState, useEffect, useMemo } from 'react';
-import { initializeApp } from 'firebase/app';
-import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged } from 'firebase/auth';
-import { getFirestore, collection, doc, addDoc, onSnapshot, updateDoc, deleteDoc, query } from 'firebase/firestore';
-import { Check, X, UserPlus, Calendar, AlertTriangle, DollarSign, Edit, Trash2, Save, ArrowLeft, MessageSquarePlus, CheckCircle2, XCircle, Search, Circle, UserCheck } from 'lucide-react';
-
-// --- Firebase Configuration ---
-const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { Check, X, UserPlus, Calendar, AlertTriangle, DollarSign, Edit, Trash2, Save, ArrowLeft, MessageSquarePlus, CheckCircle2, XCircle, Search, Circle, UserCheck, Package, Plus, Settings, Clock, RotateCcw, ClipboardList, ClipboardCheck, NotebookText, Tag, Paperclip, Images, Film, ChevronLeft, ChevronRight, Download, Upload, Archive, Users, Copy, LogOut, LogIn, Mail, KeyRound, CircleUser, Wifi, WifiOff, CloudUpload, CloudOff, PlayCircle, FlaskConical, CalendarClock, Columns3, CloudRain, Link2, Eye, EyeOff, Send, BellRing, HeartPulse, Phone, PenLine, FileSignature } from 'lucide-react';
+import { DELETE_FIELD, setWrite, updateWrite, deleteWrite, isDemoModeRequested, setDemoModeRequested } from './backend';
+import { createFirebaseBackend } from './firebaseBackend';
+import { createLocalBackend, DEMO_USER } from './localBackend';
+import { createDemoData } from './demoData';
+import { emptyPackage, findPackage, getMonthlyDue, formatCurrency, validatePackage, validateEnrolledDays } from './packages';
+import { SESSION_WEEKDAYS, emptySession, isTime, compareSessions, formatTime, formatSessionTime, describeSession, validateSession, countEnrolled, getFullSessions, getEnrolledDays, validateEnrolledSessions, groupBySession } from './sessions';
+import { emptyBooking, getLaneCount, getLaneNumbers, getHourlyRate, getBookingHours, getBookingAmount, validateLaneSettings, validateBooking, getLaneBlocks, findLaneConflicts, groupBlocksByLane, getDayHours, timeToMinutes } from './lanes';
+import { CLOSURE_REASONS, getClosure, getClosedDates, validateClosure, getMakeUpCredits } from './closures';
+import { generatePortalToken, buildPortalSnapshot, readPortal, PORTAL_PAYMENT_FIELDS } from './portal';
+import { emptyContactDetails, splitLegacyContact, normalizeContactDetails, validateContactDetails, getPrimaryContact, formatContact, getAge, hasMedicalAlert, getMedicalSummary } from './contacts';
+import { SEASON_MONTHS, WAIVER_STATUSES, emptyWaiver, getSeasonStartMonth, getCurrentWaiver, getNextVersion, validateWaiver, getSeasonEnd, validateSignature, getWaiverStatus } from './waivers';
+import { ASSESSMENT_SCALE, MAX_SCORE, getScaleLabel, getSkills, getActiveSkills, createSkillId, validateSkills, validateAssessment, sortAssessments, getAverageScore, getSkillTrend, getAssessedSkills, compareAssessments } from './assessments';
+import { NOTE_CATEGORIES, NOTES_SEARCH_DAYS, getCategoryLabel, parseTags, formatTags, getNoteTags, filterNotes } from './notes';
+import { ATTACHMENT_ACCEPT, getAttachmentKind, validateAttachment, validateVideoDuration, getAttachmentPaths, getAttachmentFilePaths, collectAttachments, reconcileRevertedAttachments, createThumbnail } from './attachments';
+import { REMINDER_PLACEHOLDERS, getReminderTemplate, validateReminderTemplate, findStudentsOwing, buildReminder, createLinkChannel } from './reminders';
+import { ATTENDANCE_STATUSES, getStatusLabel, countStatuses, buildRegister, getShortcutStatus, moveIndex, buildBulkMarks, MARKS_PER_COMMIT } from './attendance';
+import { AGING_BUCKETS, buildLedger, getBillingStatusChange, getBillingStartMonth, getBillingEndMonth } from './ledger';
+import { ACTIVITY_ENTITIES, ENTITY_COLLECTIONS, getEntityForCollection, createActivityEntry, describeActivity, getRevertChange, hasChangedSince } from './activity';
+import { HISTORY_COLLECTIONS, getAttendanceId, getMonthRange, hasEmbeddedHistory, splitHistory, attachHistory } from './records';
+import { parseCSV, downloadFile } from './csv';
+import { rosterToCSV, paymentsToCSV, attendanceToCSV, ROSTER_FIELDS, guessColumnMapping, validateRosterRows } from './roster';
+import { can, getRoleLabel, generateInviteCode, normalizeInviteCode, getInviteProblem, INVITE_LIFETIME_DAYS } from './roles';
+import { BACKUP_COLLECTIONS, createBackup, parseBackup, planRestore, countChanges } from './backup';
+import { emptyPendingSync, countPending, getSyncStatus, getWriteErrorMessage } from './sync';
+import { validateCredentials, getAuthErrorMessage, saveEmailLinkRequest, loadEmailLinkRequest, clearEmailLinkRequest } from './account';
+import { parseRoute, attendancePath, lanesPath, registerPath, closuresPath, studentPath, editStudentPath, signWaiverPath, portalPath, getViewPath, parseStudentFilters, studentsPath, parseNoteFilters, notesPath, NEW_STUDENT_PATH, IMPORT_STUDENTS_PATH } from './routes';
+import { addDays, addMonths, dateKeyToMonthKey, formatDateKey, formatMonth, formatTimestamp, getBrowserTimeZone, getMonthDates, getTimeZoneOptions, getWeekdayName, isValidTimeZone, nowTimestamp, todayKey } from './dates';
+
+// --- Backend Configuration ---
+const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : null;
 const appId = typeof __app_id !== 'undefined' ? __app_id : 'cricnets-app-v6';
 
+// Without a Firebase project the app runs as a demo that keeps its data in
+// this browser. A coach can also choose the demo from the sign-in screen.
+const isDemoMode = () => !firebaseConfig || isDemoModeRequested();
+
+const createBackend = () => (isDemoMode()
+    ? createLocalBackend(window.localStorage, () => createDemoData({ appId, userId: DEMO_USER.uid, today: todayKey(), createdAt: nowTimestamp() }))
+    : createFirebaseBackend(firebaseConfig, typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null));
+
+// --- Academy Workspace ---
+// Students, packages and settings belong to an academy, stored at
+// `artifacts/{appId}/academies/{academyId}`. Each coach owns an academy with the
+// same id as their uid, and their user document records which academy they are
+// currently working in. Data from before academies existed lives under
+// `users/{uid}` and is copied into the coach's own academy on first sign-in.
+// Student history lives in the academy's notes, payments and attendance
+// collections (see records.js).
+const getAcademyPath = (academyId) => `artifacts/${appId}/academies/${academyId}`;
+const getPortalsPath = () => `artifacts/${appId}/portals`;
+
+const createOwnAcademy = async (backend, userId) => {
+    const legacyPath = `artifacts/${appId}/users/${userId}`;
+    const academyPath = getAcademyPath(userId);
+    const [legacyStudents, legacyPackages, legacySettings] = await Promise.all([
+        backend.getCollection(`${legacyPath}/students`),
+        backend.getCollection(`${legacyPath}/packages`),
+        backend.getDoc(`${legacyPath}/settings`, 'academy'),
+    ]);
+
+    const writes = [
+        setWrite(`artifacts/${appId}/academies`, userId, { name: 'My Academy', ownerId: userId, createdAt: nowTimestamp() }),
+        setWrite(`${academyPath}/members`, userId, { role: 'owner', displayName: 'Owner', joinedAt: nowTimestamp() }),
+    ];
+    legacyStudents.forEach(({ id, ...data }) => writes.push(setWrite(`${academyPath}/students`, id, data)));
+    legacyPackages.forEach(({ id, ...data }) => writes.push(setWrite(`${academyPath}/packages`, id, data)));
+    if (legacySettings) {
+        const { id, ...data } = legacySettings;
+        writes.push(setWrite(`${academyPath}/settings`, id, data));
+    }
+    // Written last, so an interrupted copy simply runs again on the next load.
+    writes.push(setWrite(`artifacts/${appId}/users`, userId, { academyId: userId }, { merge: true }));
+    await backend.commit(writes);
+};
+
+// Moves notes, payments and attendance out of older student documents into
+// their own records. Record ids are fixed, so an interrupted run can repeat.
+// Billing months that older students derived from their full history are
+// written down, since afterwards only part of that history is loaded at a time.
+const migrateEmbeddedHistory = async (backend, academyPath, legacyStudents, currentMonth) => {
+    const writes = [];
+    legacyStudents.forEach(student => {
+        const history = splitHistory(student);
+        HISTORY_COLLECTIONS.forEach(collectionName => {
+            history[collectionName].forEach(({ id, ...record }) => writes.push(setWrite(`${academyPath}/${collectionName}`, id, record)));
+        });
+        const profileUpdate = { notes: DELETE_FIELD, payments: DELETE_FIELD, attendance: DELETE_FIELD };
+        if (!student.billingStartMonth) profileUpdate.billingStartMonth = getBillingStartMonth(student, currentMonth);
+        if (student.isActive === false && !student.inactiveSince) profileUpdate.inactiveSince = addMonths(getBillingEndMonth(student, currentMonth), 1);
+        writes.push(updateWrite(`${academyPath}/students`, student.id, profileUpdate));
+    });
+    await backend.commit(writes);
+};
+
+// --- Navigation ---
+// Pushing a history entry does not fire `popstate`, so one is sent by hand and
+// App only listens in one place.
+const navigate = (to, { replace = false } = {}) => {
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', to);
+    window.dispatchEvent(new PopStateEvent('popstate'));
+};
+
+const getCurrentLocation = () => ({ pathname: window.location.pathname, search: window.location.search });
+
 // --- Main App Component ---
 export default function App() {
     // --- State Management ---
-    const [auth, setAuth] = useState(null);
-    const [db, setDb] = useState(null);
+    const [backend, setBackend] = useState(null);
     const [userId, setUserId] = useState(null);
+    const [account, setAccount] = useState(null);
     const [isAuthReady, setIsAuthReady] = useState(false);
+    const [authNotice, setAuthNotice] = useState(null);
+
+    const [academyId, setAcademyId] = useState(null);
+    const [academy, setAcademy] = useState(null);
+    const [role, setRole] = useState(null);
+    const [members, setMembers] = useState([]);
+    const [invites, setInvites] = useState([]);
 
-    const [students, setStudents] = useState([]);
+    const [studentDocs, setStudentDocs] = useState([]);
+    const [payments, setPayments] = useState([]);
+    const [rangeAttendance, setRangeAttendance] = useState([]);
+    const [studentAttendance, setStudentAttendance] = useState([]);
+    const [studentNotes, setStudentNotes] = useState([]);
+    const [searchNotes, setSearchNotes] = useState([]);
+    const [studentActivity, setStudentActivity] = useState([]);
+    const [packages, setPackages] = useState([]);
+    const [sessions, setSessions] = useState([]);
+    const [bookings, setBookings] = useState([]);
+    const [closures, setClosures] = useState([]);
+    const [waivers, setWaivers] = useState([]);
+    const [studentSignatures, setStudentSignatures] = useState([]);
+    const [studentAssessments, setStudentAssessments] = useState([]);
+    const [outbox, setOutbox] = useState([]);
+    const [settings, setSettings] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [writeError, setWriteError] = useState(null);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+    const [pendingSync, setPendingSync] = useState(emptyPendingSync);
 
-    const [view, setView] = useState('calendar'); // 'calendar', 'manage'
-    const [selectedStudentId, setSelectedStudentId] = useState(null);
-    const [isAddingStudent, setIsAddingStudent] = useState(false);
+    // Where the coach is comes from the URL (see routes.js).
+    const [location, setLocation] = useState(getCurrentLocation);
+    const route = parseRoute(location.pathname);
+    const view = route?.view || 'calendar'; // 'calendar', 'register', 'lanes', 'closures', 'manage', 'notes', 'packages', 'sessions', 'waivers', 'reminders', 'academy', 'settings', 'account'
+    const selectedStudentId = route?.studentId || null;
+    const attendanceDate = route?.date || null; // daily attendance or lane bookings; null follows today
+    const registerMonth = route?.month || null; // register or closures; null follows the current month
+    const isAddingStudent = Boolean(route?.isAdding);
+    const isImportingStudents = Boolean(route?.isImporting);
+    const isEditingStudent = Boolean(route?.isEditing);
+    const isSigningWaiver = Boolean(route?.isSigningWaiver);
+    const studentFilters = parseStudentFilters(location.search);
+    const noteFilters = parseNoteFilters(location.search);
 
-    // --- Firebase Initialization and Authentication ---
+    // --- Backend Initialization and Authentication ---
     useEffect(() => {
         try {
-            const app = initializeApp(firebaseConfig);
-            const authInstance = getAuth(app);
-            const dbInstance = getFirestore(app);
-            setAuth(authInstance);
-            setDb(dbInstance);
+            const backendInstance = createBackend();
+            setBackend(backendInstance);
 
-            const unsubscribe = onAuthStateChanged(authInstance, async (user) => {
+            const unsubscribe = backendInstance.onAuthChange((user) => {
                 if (user) {
                     setUserId(user.uid);
+                    setAccount(user);
                 } else {
-                    try {
-                        if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-                            await signInWithCustomToken(authInstance, __initial_auth_token);
-                        } else {
-                            await signInAnonymously(authInstance);
-                        }
-                    } catch (authError) {
-                        console.error("Authentication failed:", authError);
-                        setError("Could not connect to authentication service.");
-                    }
+                    // Signed out: drop everything that belonged to the previous account.
+                    setUserId(null);
+                    setAccount(null);
+                    setAcademyId(null);
+                    setAcademy(null);
+                    setRole(null);
+                    setMembers([]);
+                    setInvites([]);
+                    setStudentDocs([]);
+                    setPayments([]);
+                    setRangeAttendance([]);
+                    setStudentAttendance([]);
+                    setStudentNotes([]);
+                    setStudentActivity([]);
+                    setPackages([]);
+                    setSessions([]);
+                    setBookings([]);
+                    setClosures([]);
+                    setSettings(null);
+                    setPendingSync(emptyPendingSync());
+                    setWriteError(null);
                 }
                 setIsAuthReady(true);
+            }, (authError) => {
+                console.error("Authentication failed:", authError);
+                setError("Could not connect to authentication service.");
             });
             return () => unsubscribe();
         } catch (e) {
-            console.error("Firebase initialization error:", e);
+            console.error("Backend initialization error:", e);
             setError("Failed to initialize the application. Please check the console.");
         }
     }, []);
 
+    // --- Email Link Completion ---
+    // Runs when the app is opened from a sign-in link. A link requested from a
+    // guest session upgrades that session; otherwise it signs in normally.
+    useEffect(() => {
+        if (!backend || !isAuthReady || !backend.isEmailLink(window.location.href)) return;
+
+        const completeEmailLink = async () => {
+            const request = loadEmailLinkRequest();
+            const email = request?.email || window.prompt("Confirm the email address this sign-in link was sent to:");
+            if (!email) return;
+            try {
+                const linkToGuest = request?.mode === 'link' && backend.isGuest();
+                const user = await backend.completeEmailLink(email, window.location.href, { linkToGuest });
+                if (linkToGuest) {
+                    setAccount(user);
+                    setAuthNotice(`Your academy is now saved to ${email}.`);
+                }
+                clearEmailLinkRequest();
+            } catch (e) {
+                console.error("Error completing email link sign-in: ", e);
+                setAuthNotice(getAuthErrorMessage(e));
+            } finally {
+                window.history.replaceState(null, '', window.location.pathname);
+            }
+        };
+        completeEmailLink();
+    }, [backend, isAuthReady]);
+
+    // --- Routing ---
+    // The URL is left alone on sign-out, so a shared link still opens after signing in.
+    useEffect(() => {
+        const handlePopState = () => setLocation(getCurrentLocation());
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+
+    const isKnownRoute = Boolean(route);
+    useEffect(() => {
+        if (!isKnownRoute) navigate(attendancePath(), { replace: true });
+    }, [isKnownRoute]);
+
+    // --- Connection Status ---
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    // --- Academy Membership ---
+    useEffect(() => {
+        if (!isAuthReady || !backend || !userId) return;
+
+        // The profile can be reported more than once while the academy is
+        // being set up, so the setup only starts once.
+        let isCreatingAcademy = false;
+        const unsubscribe = backend.subscribeDoc(`artifacts/${appId}/users`, userId, async (profile) => {
+            if (profile?.academyId) {
+                setAcademyId(profile.academyId);
+                return;
+            }
+            if (isCreatingAcademy) return;
+            isCreatingAcademy = true;
+            try {
+                await createOwnAcademy(backend, userId);
+            } catch (e) {
+                isCreatingAcademy = false;
+                console.error("Error setting up academy:", e);
+                setError("Could not set up your academy.");
+            }
+        }, (err) => {
+            console.error("Error fetching user profile:", err);
+            setError("Failed to load your academy.");
+        });
+
+        return () => unsubscribe();
+    }, [isAuthReady, backend, userId]);
+
+    // A coach removed from a shared academy goes back to their own.
+    useEffect(() => {
+        if (!backend || !userId || !academyId) return;
+
+        setRole(null);
+        const returnToOwnAcademy = () => backend.commit([setWrite(`artifacts/${appId}/users`, userId, { academyId: userId }, { merge: true })]);
+        const unsubscribe = backend.subscribeDoc(`${getAcademyPath(academyId)}/members`, userId, (member) => {
+            if (member) {
+                setRole(member.role);
+            } else if (academyId !== userId) {
+                returnToOwnAcademy();
+            }
+        }, (err) => {
+            console.error("Error fetching membership:", err);
+            if (academyId !== userId) returnToOwnAcademy();
+            else setError("Failed to load your academy membership.");
+        });
+
+        return () => unsubscribe();
+    }, [backend, userId, academyId]);
+
+    useEffect(() => {
+        if (!backend || !academyId || !role) return;
+
+        const unsubscribeAcademy = backend.subscribeDoc(`artifacts/${appId}/academies`, academyId, setAcademy, (err) => console.error("Error fetching academy:", err));
+
+        const unsubscribeMembers = backend.subscribeCollection(`${getAcademyPath(academyId)}/members`, [], setMembers, (err) => console.error("Error fetching members:", err));
+
+        // Only owners can see outstanding invites.
+        const unsubscribeInvites = can(role, 'manageMembers')
+            ? backend.subscribeCollection(`artifacts/${appId}/invites`, [['academyId', '==', academyId]], (records) => {
+                setInvites(records.map(({ id, ...invite }) => ({ code: id, ...invite })));
+            }, (err) => console.error("Error fetching invites:", err))
+            : () => setInvites([]);
+
+        return () => {
+            unsubscribeAcademy();
+            unsubscribeMembers();
+            unsubscribeInvites();
+        };
+    }, [backend, academyId, role]);
+
+    const academyPath = academyId && role ? getAcademyPath(academyId) : null;
+
+    // Every attendance key, note date and payment month is a calendar date in this timezone.
+    const timeZone = isValidTimeZone(settings?.timeZone) ? settings.timeZone : getBrowserTimeZone();
+    const selectedDate = attendanceDate || todayKey(timeZone);
+    const selectedMonth = registerMonth || dateKeyToMonthKey(todayKey(timeZone));
+    // Attendance is loaded a month at a time: the register's month, or the month around the daily view's date.
+    const attendanceRange = getMonthRange(view === 'register' ? selectedMonth : dateKeyToMonthKey(selectedDate));
+    const noteRange = { from: noteFilters.from || addDays(todayKey(timeZone), -NOTES_SEARCH_DAYS), to: noteFilters.to || todayKey(timeZone) };
+
     // --- Data Fetching (Students) ---
     useEffect(() => {
-        if (!isAuthReady || !db || !userId) return;
+        if (!backend || !academyPath) return;
 
         setLoading(true);
-        const studentsCollectionPath = `artifacts/${appId}/users/${userId}/students`;
-        const q = query(collection(db, studentsCollectionPath));
-
-        const unsubscribe = onSnapshot(q, (querySnapshot) => {
-            const studentsData = querySnapshot.docs.map(doc => ({
-                id: doc.id,
-                ...doc.data()
-            }));
-            setStudents(studentsData);
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/students`, [], (studentsData, pendingIds) => {
+            setStudentDocs(studentsData);
+            setPendingSync(prev => ({ ...prev, students: pendingIds }));
             setLoading(false);
         }, (err) => {
             console.error("Error fetching students:", err);
@@ -79,345 +350,3985 @@ export default function App() {
         });
 
         return () => unsubscribe();
-    }, [isAuthReady, db, userId]);
+    }, [backend, academyPath]);
+
+    // --- Data Fetching (Student History) ---
+    // Payments are all loaded because every balance depends on them, but only
+    // for roles that can see them; everyone else gets no payments and the
+    // balances stay hidden. Attendance is loaded for the visible month, plus
+    // the full history and notes of the student whose profile is open.
+    useEffect(() => {
+        if (!backend || !academyPath || !can(role, 'viewPayments')) {
+            setPayments([]);
+            return;
+        }
+
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/payments`, [], (records, pendingIds) => {
+            setPayments(records);
+            setPendingSync(prev => ({ ...prev, payments: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching payments:", err);
+            setError("Failed to load payments.");
+        });
+
+        return () => {
+            unsubscribe();
+            setPendingSync(prev => ({ ...prev, payments: [] }));
+        };
+    }, [backend, academyPath, role]);
+
+    useEffect(() => {
+        if (!backend || !academyPath) return;
+
+        const inRange = [['date', '>=', attendanceRange.from], ['date', '<=', attendanceRange.to]];
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/attendance`, inRange, (records, pendingIds) => {
+            setRangeAttendance(records);
+            setPendingSync(prev => ({ ...prev, attendance: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching attendance:", err);
+            setError("Failed to load attendance.");
+        });
+
+        return () => unsubscribe();
+    }, [backend, academyPath, attendanceRange.from, attendanceRange.to]);
+
+    const isSearchingNotes = view === 'notes' && !selectedStudentId && can(role, 'addNotes');
+    useEffect(() => {
+        if (!backend || !academyPath || !isSearchingNotes) {
+            setSearchNotes([]);
+            return;
+        }
+
+        const inRange = [['date', '>=', noteRange.from], ['date', '<=', noteRange.to]];
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/notes`, inRange, (records, pendingIds) => {
+            setSearchNotes(records);
+            setPendingSync(prev => ({ ...prev, searchNotes: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching notes:", err);
+            setError("Failed to load notes.");
+        });
+
+        return () => {
+            unsubscribe();
+            setPendingSync(prev => ({ ...prev, searchNotes: [] }));
+        };
+    }, [backend, academyPath, isSearchingNotes, noteRange.from, noteRange.to]);
+
+    useEffect(() => {
+        if (!backend || !academyPath || !selectedStudentId) {
+            setStudentAttendance([]);
+            setStudentNotes([]);
+            setStudentActivity([]);
+            setStudentSignatures([]);
+            setStudentAssessments([]);
+            return;
+        }
+
+        const forStudent = [['studentId', '==', selectedStudentId]];
+        const handleError = (err) => {
+            console.error("Error fetching student history:", err);
+            setError("Failed to load this student's history.");
+        };
+        const unsubscribeAttendance = backend.subscribeCollection(`${academyPath}/attendance`, forStudent, (records, pendingIds) => {
+            setStudentAttendance(records);
+            setPendingSync(prev => ({ ...prev, studentAttendance: pendingIds }));
+        }, handleError);
+        const unsubscribeNotes = backend.subscribeCollection(`${academyPath}/notes`, forStudent, (records, pendingIds) => {
+            setStudentNotes(records);
+            setPendingSync(prev => ({ ...prev, notes: pendingIds }));
+        }, handleError);
+        const unsubscribeSignatures = backend.subscribeCollection(`${academyPath}/signatures`, forStudent, (records, pendingIds) => {
+            setStudentSignatures(records.sort((a, b) => b.signedAt.localeCompare(a.signedAt)));
+            setPendingSync(prev => ({ ...prev, signatures: pendingIds }));
+        }, handleError);
+        const unsubscribeAssessments = backend.subscribeCollection(`${academyPath}/assessments`, forStudent, (records, pendingIds) => {
+            setStudentAssessments(records);
+            setPendingSync(prev => ({ ...prev, assessments: pendingIds }));
+        }, handleError);
+        // The activity log shows payments, so only roles that manage students can read it.
+        const unsubscribeActivity = can(role, 'manageStudents')
+            ? backend.subscribeCollection(`${academyPath}/activity`, forStudent, (records) => {
+                setStudentActivity(records.sort((a, b) => b.at.localeCompare(a.at)));
+            }, handleError)
+            : () => {};
+
+        return () => {
+            unsubscribeAttendance();
+            unsubscribeNotes();
+            unsubscribeSignatures();
+            unsubscribeAssessments();
+            unsubscribeActivity();
+            setPendingSync(prev => ({ ...prev, studentAttendance: [], notes: [], signatures: [], assessments: [] }));
+        };
+    }, [backend, academyPath, selectedStudentId, role]);
+
+    // --- One-Time Migration (Student History) ---
+    // Only roles that can manage students may rewrite them; everyone else reads
+    // the embedded history until an owner opens the app.
+    useEffect(() => {
+        if (!backend || !academyPath || !can(role, 'manageStudents')) return;
+        const legacyStudents = studentDocs.filter(hasEmbeddedHistory);
+        if (legacyStudents.length === 0) return;
+
+        migrateEmbeddedHistory(backend, academyPath, legacyStudents, dateKeyToMonthKey(todayKey(timeZone))).catch(e => {
+            console.error("Error migrating student history: ", e);
+            setWriteError("Could not move older student history into the new format. It will be tried again next time.");
+        });
+    }, [backend, academyPath, role, studentDocs, timeZone]);
+
+    // --- Data Fetching (Package Catalog) ---
+    useEffect(() => {
+        if (!backend || !academyPath) return;
+
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/packages`, [], (packagesData, pendingIds) => {
+            packagesData.sort((a, b) => a.name.localeCompare(b.name));
+            setPackages(packagesData);
+            setPendingSync(prev => ({ ...prev, packages: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching packages:", err);
+            setError("Failed to load the package catalog.");
+        });
+
+        return () => unsubscribe();
+    }, [backend, academyPath]);
+
+    // --- Data Fetching (Training Sessions) ---
+    useEffect(() => {
+        if (!backend || !academyPath) return;
+
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/sessions`, [], (sessionsData, pendingIds) => {
+            setSessions(sessionsData.sort(compareSessions));
+            setPendingSync(prev => ({ ...prev, sessions: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching sessions:", err);
+            setError("Failed to load training sessions.");
+        });
+
+        return () => unsubscribe();
+    }, [backend, academyPath]);
+
+    // --- Data Fetching (Closures) ---
+    useEffect(() => {
+        if (!backend || !academyPath) return;
+
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/closures`, [], (closuresData, pendingIds) => {
+            setClosures(closuresData.sort((a, b) => a.date.localeCompare(b.date)));
+            setPendingSync(prev => ({ ...prev, closures: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching closures:", err);
+            setError("Failed to load closures.");
+        });
+
+        return () => unsubscribe();
+    }, [backend, academyPath]);
+
+    // --- Data Fetching (Waivers) ---
+    useEffect(() => {
+        if (!backend || !academyPath) return;
+
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/waivers`, [], (waiversData, pendingIds) => {
+            setWaivers(waiversData.sort((a, b) => b.version - a.version));
+            setPendingSync(prev => ({ ...prev, waivers: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching waivers:", err);
+            setError("Failed to load the waiver.");
+        });
+
+        return () => unsubscribe();
+    }, [backend, academyPath]);
+
+    // --- Data Fetching (Reminder Outbox) ---
+    useEffect(() => {
+        if (!backend || !academyPath || !can(role, 'sendReminders')) {
+            setOutbox([]);
+            return;
+        }
+
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/outbox`, [], (messages, pendingIds) => {
+            setOutbox(messages.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+            setPendingSync(prev => ({ ...prev, outbox: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching outbox:", err);
+            setError("Failed to load the reminder outbox.");
+        });
+
+        return () => {
+            unsubscribe();
+            setPendingSync(prev => ({ ...prev, outbox: [] }));
+        };
+    }, [backend, academyPath, role]);
+
+    // --- Data Fetching (Lane Bookings) ---
+    // Only the day on screen is loaded.
+    useEffect(() => {
+        if (!backend || !academyPath || view !== 'lanes') return;
+
+        const unsubscribe = backend.subscribeCollection(`${academyPath}/bookings`, [['date', '==', selectedDate]], (bookingsData, pendingIds) => {
+            setBookings(bookingsData);
+            setPendingSync(prev => ({ ...prev, bookings: pendingIds }));
+        }, (err) => {
+            console.error("Error fetching bookings:", err);
+            setError("Failed to load lane bookings.");
+        });
+
+        return () => {
+            unsubscribe();
+            setPendingSync(prev => ({ ...prev, bookings: [] }));
+        };
+    }, [backend, academyPath, view, selectedDate]);
+
+    // --- Data Fetching (Academy Settings) ---
+    useEffect(() => {
+        if (!backend || !academyPath) return;
+
+        const unsubscribe = backend.subscribeDoc(`${academyPath}/settings`, 'academy', (record, isPending) => {
+            const { id, ...settingsData } = record || {};
+            setSettings(settingsData);
+            setPendingSync(prev => ({ ...prev, settings: isPending ? ['academy'] : [] }));
+        }, (err) => {
+            console.error("Error fetching settings:", err);
+            setError("Failed to load academy settings.");
+        });
+
+        return () => unsubscribe();
+    }, [backend, academyPath]);
 
     // --- Handlers for Data Manipulation ---
+    // A failed save shows a banner above the current view instead of replacing the app.
+    const reportWriteError = (message, e) => setWriteError(getWriteErrorMessage(e, message));
+
+    // The write that logs a change, committed together with the change itself.
+    const activityWrite = (entry, extra = {}) => {
+        if (!entry) return null;
+        const actorName = members.find(m => m.id === userId)?.displayName || account?.email || 'Guest coach';
+        const activityPath = `${academyPath}/activity`;
+        return setWrite(activityPath, backend.newId(activityPath), { ...entry, ...extra, actorId: userId, actorName, at: nowTimestamp() });
+    };
+
     const handleAddStudent = async (studentData) => {
-        if (!db || !userId) return;
+        if (!backend || !academyPath) return;
+        navigate(studentsPath(), { replace: true });
         try {
-            const studentsCollectionPath = `artifacts/${appId}/users/${userId}/students`;
-            await addDoc(collection(db, studentsCollectionPath), {
-                ...studentData,
-                notes: [],
-                payments: [],
-                attendance: {}
-            });
-            setIsAddingStudent(false);
+            const studentId = backend.newId(`${academyPath}/students`);
+            await backend.commit([
+                setWrite(`${academyPath}/students`, studentId, studentData),
+                activityWrite(createActivityEntry({ entity: 'student', action: 'create', entityId: studentId, studentId, after: studentData })),
+            ]);
         } catch (e) {
             console.error("Error adding student: ", e);
-            setError("Could not add student.");
+            reportWriteError("Could not add student.", e);
+        }
+    };
+
+    const handleImportStudents = async (studentsData) => {
+        if (!backend || !academyPath) return;
+        const studentsCollectionPath = `${academyPath}/students`;
+        const billingStartMonth = dateKeyToMonthKey(todayKey(timeZone));
+        const writes = studentsData.flatMap(studentData => {
+            const studentId = backend.newId(studentsCollectionPath);
+            const data = {
+                ...studentData,
+                billingStartMonth,
+                inactiveSince: studentData.isActive ? null : billingStartMonth,
+            };
+            return [
+                setWrite(studentsCollectionPath, studentId, data),
+                activityWrite(createActivityEntry({ entity: 'student', action: 'create', entityId: studentId, studentId, after: data })),
+            ];
+        });
+        navigate(studentsPath(), { replace: true });
+        try {
+            await backend.commit(writes);
+        } catch (e) {
+            console.error("Error importing students: ", e);
+            reportWriteError("The import did not finish. Check the roster before importing again.", e);
         }
     };
 
     const handleUpdateStudent = async (studentId, updatedData) => {
-        if (!db || !userId) return;
+        if (!backend || !academyPath) return;
         try {
-            const studentDocRef = doc(db, `artifacts/${appId}/users/${userId}/students`, studentId);
-            await updateDoc(studentDocRef, updatedData);
+            const before = studentDocs.find(s => s.id === studentId);
+            await backend.commit([
+                updateWrite(`${academyPath}/students`, studentId, updatedData),
+                activityWrite(createActivityEntry({ entity: 'student', action: 'update', entityId: studentId, studentId, before, after: { ...before, ...updatedData } })),
+            ]);
         } catch (e) {
             console.error("Error updating student: ", e);
-            setError("Could not update student details.");
+            reportWriteError("Could not update student details.", e);
+            return;
         }
+        refreshParentPortal(studentId);
     };
     
+    // Deletes for what is kept about a student beside their profile and
+    // history: the parent page, queued reminders, signed waivers and
+    // assessments. Used wherever a student is deleted.
+    const loadStudentRecordDeletes = async (student) => {
+        const forStudent = [['studentId', '==', student.id]];
+        const [signatures, assessments] = await Promise.all(['signatures', 'assessments'].map(collectionName => (
+            backend.getCollection(`${academyPath}/${collectionName}`, forStudent)
+        )));
+        return [
+            student.portalToken && deleteWrite(getPortalsPath(), student.portalToken),
+            ...outbox.filter(message => message.studentId === student.id).map(message => deleteWrite(`${academyPath}/outbox`, message.id)),
+            ...signatures.map(signature => deleteWrite(`${academyPath}/signatures`, signature.id)),
+            ...assessments.map(assessment => deleteWrite(`${academyPath}/assessments`, assessment.id)),
+        ].filter(Boolean);
+    };
+
     const handleDeleteStudent = async (studentId) => {
-        if (!db || !userId) return;
+        if (!backend || !academyPath) return;
+        navigate(studentsPath(), { replace: true });
         try {
-            const studentDocRef = doc(db, `artifacts/${appId}/users/${userId}/students`, studentId);
-            await deleteDoc(studentDocRef);
-            setSelectedStudentId(null);
+            const histories = await Promise.all(HISTORY_COLLECTIONS.map(collectionName => (
+                backend.getCollection(`${academyPath}/${collectionName}`, [['studentId', '==', studentId]])
+            )));
+            const noteFiles = histories[HISTORY_COLLECTIONS.indexOf('notes')].flatMap(note => note.attachments || []);
+            const writes = histories.flatMap((records, index) => records.flatMap(record => [
+                deleteWrite(`${academyPath}/${HISTORY_COLLECTIONS[index]}`, record.id),
+                activityWrite(createActivityEntry({ entity: getEntityForCollection(HISTORY_COLLECTIONS[index]), action: 'delete', entityId: record.id, studentId, before: record })),
+            ]));
+            const before = studentDocs.find(s => s.id === studentId);
+            writes.push(...await loadStudentRecordDeletes({ ...before, id: studentId }));
+            writes.push(deleteWrite(`${academyPath}/students`, studentId));
+            writes.push(activityWrite(createActivityEntry({ entity: 'student', action: 'delete', entityId: studentId, studentId, before })));
+            await backend.commit(writes);
+            await deleteAttachmentFiles(noteFiles);
         } catch(e) {
             console.error("Error deleting student: ", e);
-            setError("Could not delete student.");
+            reportWriteError("Could not delete student.", e);
         }
     };
 
-    // --- Derived State ---
-    const selectedStudent = useMemo(() => {
-        return students.find(s => s.id === selectedStudentId);
-    }, [students, selectedStudentId]);
-
-    // --- Render Logic ---
-    if (error) {
-        return <div className="flex items-center justify-center h-screen bg-gray-900 text-red-400 p-4 text-center">{error}</div>;
-    }
+    // --- Handlers for Student History ---
+    const handleSetAttendance = async (studentId, date, status) => {
+        if (!backend || !academyPath) return;
+        try {
+            const attendanceId = getAttendanceId(studentId, date);
+            const before = [...rangeAttendance, ...studentAttendance].find(record => record.id === attendanceId) || null;
+            const after = status ? { studentId, date, status } : null;
+            await backend.commit([
+                after ? setWrite(`${academyPath}/attendance`, attendanceId, after) : deleteWrite(`${academyPath}/attendance`, attendanceId),
+                activityWrite(createActivityEntry({ entity: 'attendance', action: !before ? 'create' : after ? 'update' : 'delete', entityId: attendanceId, studentId, before, after })),
+            ]);
+        } catch (e) {
+            console.error("Error saving attendance: ", e);
+            reportWriteError("Could not save attendance.", e);
+            return;
+        }
+        refreshParentPortal(studentId);
+    };
 
-    if (!isAuthReady) {
-        return <div className="flex items-center justify-center h-screen bg-gray-900 text-white">Initializing Academy...</div>;
-    }
-    
-    const MainContent = () => {
-        if (loading) {
-            return <div className="flex items-center justify-center h-full text-white">Loading Students...</div>;
+    // Saves the marks in commits of `MARKS_PER_COMMIT`, each of which fits in one
+    // Firestore batch, so a failed commit leaves all of its students unmarked
+    // rather than some of them. Most sessions need only one commit.
+    const handleSetAttendanceBulk = async (date, marks) => {
+        if (!backend || !academyPath || marks.length === 0) return;
+        const chunks = [];
+        for (let i = 0; i < marks.length; i += MARKS_PER_COMMIT) chunks.push(marks.slice(i, i + MARKS_PER_COMMIT));
+        const results = await Promise.allSettled(chunks.map(chunk => backend.commit(chunk.flatMap(({ studentId, status }) => {
+            const attendanceId = getAttendanceId(studentId, date);
+            const before = rangeAttendance.find(record => record.id === attendanceId) || null;
+            const after = { studentId, date, status };
+            return [
+                setWrite(`${academyPath}/attendance`, attendanceId, after),
+                activityWrite(createActivityEntry({ entity: 'attendance', action: before ? 'update' : 'create', entityId: attendanceId, studentId, before, after })),
+            ];
+        }))));
+        const saved = chunks.filter((chunk, index) => results[index].status === 'fulfilled').flat();
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) {
+            console.error("Error saving attendance: ", failure.reason);
+            reportWriteError(saved.length === 0
+                ? `Could not save attendance for ${marks.length} students. Nobody was marked.`
+                : `Could not save attendance for ${marks.length - saved.length} of ${marks.length} students. The rest were marked.`, failure.reason);
         }
-        if (isAddingStudent) {
-            return <StudentForm onSave={handleAddStudent} onCancel={() => setIsAddingStudent(false)} />;
+        saved.forEach(({ studentId }) => refreshParentPortal(studentId));
+    };
+
+    // `files` are photos and clips picked with `AttachmentPicker`, uploaded once the note is saved.
+    const handleAddNote = async (studentId, note, files = []) => {
+        if (!backend || !academyPath) return;
+        const noteId = backend.newId(`${academyPath}/notes`);
+        try {
+            await backend.commit([
+                setWrite(`${academyPath}/notes`, noteId, { ...note, studentId }),
+                activityWrite(createActivityEntry({ entity: 'note', action: 'create', entityId: noteId, studentId, after: note })),
+            ]);
+        } catch (e) {
+            console.error("Error adding note: ", e);
+            reportWriteError("Could not add the note.", e);
+            return;
         }
-        if (selectedStudent) {
-            return <StudentDetail 
-                        student={selectedStudent} 
-                        onUpdate={handleUpdateStudent}
-                        onDelete={handleDeleteStudent}
-                        onBack={() => setSelectedStudentId(null)} 
-                    />;
+        refreshParentPortal(studentId);
+        if (files.length > 0) await handleAttachFiles(noteId, files);
+    };
+
+    const handleUpdateNote = async (noteId, updatedData) => {
+        if (!backend || !academyPath) return;
+        const before = studentNotes.find(n => n.id === noteId);
+        try {
+            await backend.commit([
+                updateWrite(`${academyPath}/notes`, noteId, updatedData),
+                activityWrite(createActivityEntry({ entity: 'note', action: 'update', entityId: noteId, studentId: before?.studentId, before, after: { ...before, ...updatedData } })),
+            ]);
+        } catch (e) {
+            console.error("Error updating note: ", e);
+            reportWriteError("Could not update the note.", e);
+            return;
         }
+        refreshParentPortal(before?.studentId);
+    };
 
-        switch (view) {
-            case 'calendar':
-                return <AttendanceCalendar students={students.filter(s => s.isActive)} onUpdateStudent={handleUpdateStudent} onSelectStudent={setSelectedStudentId} />;
-            case 'manage':
-                return <StudentList students={students} onSelectStudent={setSelectedStudentId} onAddStudent={() => setIsAddingStudent(true)} />;
-            default:
-                return <AttendanceCalendar students={students.filter(s => s.isActive)} onUpdateStudent={handleUpdateStudent} onSelectStudent={setSelectedStudentId} />;
+    const handleDeleteNote = async (noteId) => {
+        if (!backend || !academyPath) return;
+        const before = studentNotes.find(n => n.id === noteId);
+        try {
+            await backend.commit([
+                deleteWrite(`${academyPath}/notes`, noteId),
+                activityWrite(createActivityEntry({ entity: 'note', action: 'delete', entityId: noteId, studentId: before?.studentId, before })),
+            ]);
+        } catch (e) {
+            console.error("Error deleting note: ", e);
+            reportWriteError("Could not delete the note.", e);
+            return;
         }
+        refreshParentPortal(before?.studentId);
+        await deleteAttachmentFiles(before?.attachments);
     };
 
-    return (
-        <div className="bg-gray-900 text-gray-100 min-h-screen font-sans flex flex-col md:flex-row">
-            <aside className="w-full md:w-64 bg-gray-950 p-4 border-b md:border-r border-gray-700 flex-shrink-0">
-                <h1 className="text-2xl font-bold text-emerald-400 mb-2">Cricnets</h1>
-                <p className="text-sm text-gray-400 mb-6">Coaching Dashboard</p>
-                <nav className="flex md:flex-col gap-2">
-                    <button onClick={() => { setView('calendar'); setSelectedStudentId(null); setIsAddingStudent(false); }} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'calendar' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
-                        <Calendar className="h-5 w-5" />
-                        <span>Attendance</span>
-                    </button>
-                    <button onClick={() => { setView('manage'); setSelectedStudentId(null); setIsAddingStudent(false); }} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'manage' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
-                        <UserPlus className="h-5 w-5" />
-                        <span>Manage Students</span>
-                    </button>
-                </nav>
-                <div className="mt-auto pt-6 text-xs text-gray-500">
-                    <p>Your Coach ID:</p>
-                    <p className="break-all">{userId || 'Connecting...'}</p>
-                </div>
-            </aside>
+    // --- Handlers for Note Attachments ---
+    // Files are uploaded before the note lists them, so a note never points at
+    // a file that isn't there. If any upload fails, the ones that made it are
+    // removed again and the note is left as it was.
+    const handleAttachFiles = async (noteId, files) => {
+        if (!backend || !academyPath) return;
+        const notesPath = `${academyPath}/notes`;
+        const addedAt = nowTimestamp();
+        const uploads = await Promise.allSettled(files.map(async ({ file, thumbnail }) => {
+            const attachmentId = backend.newId(notesPath);
+            const paths = getAttachmentPaths(academyPath, noteId, attachmentId);
+            const [url, thumbnailUrl] = await Promise.all([backend.uploadFile(paths.path, file), backend.uploadFile(paths.thumbnailPath, thumbnail)]);
+            return { id: attachmentId, kind: getAttachmentKind(file.type), name: file.name, contentType: file.type, size: file.size, ...paths, url, thumbnailUrl, addedAt };
+        }));
+        const uploaded = uploads.filter(upload => upload.status === 'fulfilled').map(upload => upload.value);
+        try {
+            const failed = uploads.find(upload => upload.status === 'rejected');
+            if (failed) throw failed.reason;
+            const { id, ...before } = await backend.getDoc(notesPath, noteId) || {};
+            if (!id) throw Object.assign(new Error('The note was deleted before its files finished uploading.'), { code: 'not-found' });
+            const update = { attachments: [...(before.attachments || []), ...uploaded] };
+            await backend.commit([
+                updateWrite(notesPath, noteId, update),
+                activityWrite(createActivityEntry({ entity: 'note', action: 'update', entityId: noteId, studentId: before.studentId, before, after: { ...before, ...update } })),
+            ]);
+        } catch (e) {
+            console.error("Error attaching files: ", e);
+            reportWriteError("Could not upload the photos and videos. Check your connection and try again.", e);
+            await deleteAttachmentFiles(uploaded);
+        }
+    };
 
-            <main className="flex-1 p-4 md:p-8 overflow-y-auto">
-                <MainContent />
-            </main>
-        </div>
-    );
-}
+    const handleRemoveAttachment = async (noteId, attachmentId) => {
+        if (!backend || !academyPath) return;
+        const before = studentNotes.find(n => n.id === noteId);
+        const removed = before?.attachments?.find(attachment => attachment.id === attachmentId);
+        if (!removed) return;
+        const update = { attachments: before.attachments.filter(attachment => attachment.id !== attachmentId) };
+        try {
+            await backend.commit([
+                updateWrite(`${academyPath}/notes`, noteId, update),
+                activityWrite(createActivityEntry({ entity: 'note', action: 'update', entityId: noteId, studentId: before.studentId, before, after: { ...before, ...update } })),
+            ]);
+        } catch (e) {
+            console.error("Error removing attachment: ", e);
+            reportWriteError("Could not remove the file from the note.", e);
+            return;
+        }
+        await deleteAttachmentFiles([removed]);
+    };
 
-// --- Sub-Components ---
+    // Runs after the notes listing the files are gone, so a failure only leaves unused files behind.
+    const deleteAttachmentFiles = async (attachments) => {
+        const paths = getAttachmentFilePaths(attachments);
+        if (paths.length === 0) return;
+        const results = await Promise.allSettled(paths.map(path => backend.deleteFile(path)));
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) {
+            console.error("Error deleting note files: ", failed.reason);
+            reportWriteError("Some photos or videos could not be deleted from storage.", failed.reason);
+        }
+    };
 
-const StudentAttendanceCard = ({ student, selectedDate, onUpdateStudent, onSelectStudent }) => {
-    const [note, setNote] = useState('');
-    const dateStr = selectedDate.toISOString().split('T')[0];
-    const currentMonthStr = selectedDate.toISOString().slice(0, 7);
-    const currentMonthName = selectedDate.toLocaleString('default', { month: 'long', year: 'numeric' });
+    const handleAddPayment = async (studentId, payment) => {
+        if (!backend || !academyPath) return;
+        try {
+            const paymentId = backend.newId(`${academyPath}/payments`);
+            await backend.commit([
+                setWrite(`${academyPath}/payments`, paymentId, { ...payment, studentId }),
+                activityWrite(createActivityEntry({ entity: 'payment', action: 'create', entityId: paymentId, studentId, after: payment })),
+            ]);
+        } catch (e) {
+            console.error("Error recording payment: ", e);
+            reportWriteError("Could not record the payment.", e);
+            return;
+        }
+        refreshParentPortal(studentId);
+    };
 
-    const hasPaidCurrentMonth = student.payments?.some(p => p.month === currentMonthStr);
-    const attendanceStatus = student.attendance?.[dateStr];
+    const handleDeletePayment = async (paymentId) => {
+        if (!backend || !academyPath) return;
+        const before = payments.find(p => p.id === paymentId);
+        try {
+            await backend.commit([
+                deleteWrite(`${academyPath}/payments`, paymentId),
+                activityWrite(createActivityEntry({ entity: 'payment', action: 'delete', entityId: paymentId, studentId: before?.studentId, before })),
+            ]);
+        } catch (e) {
+            console.error("Error deleting payment: ", e);
+            reportWriteError("Could not delete the payment.", e);
+            return;
+        }
+        refreshParentPortal(before?.studentId);
+    };
 
-    const handleSetAttendance = (status) => {
-        const updatedAttendance = { ...(student.attendance || {}), [dateStr]: status };
-        onUpdateStudent(student.id, { attendance: updatedAttendance });
+    // --- Handlers for the Parent Portal ---
+    // Republishes a student's parent page (see portal.js) from their full
+    // history. Called after every change to the student; does nothing for
+    // students without a link. Roles that can't see payments copy the payment
+    // fields across from the published copy. `catalog` defaults to what is
+    // loaded, so pass a fresh one right after changing packages, sessions or
+    // closures.
+    const refreshParentPortal = async (studentId, token = studentDocs.find(s => s.id === studentId)?.portalToken, catalog = { packages, sessions, closures }) => {
+        if (!backend || !academyPath || !studentId || !token) return;
+        const withPayments = can(role, 'viewPayments');
+        try {
+            const forStudent = [['studentId', '==', studentId]];
+            const [studentDoc, attendance, notes, studentPayments, published] = await Promise.all([
+                backend.getDoc(`${academyPath}/students`, studentId),
+                backend.getCollection(`${academyPath}/attendance`, forStudent),
+                backend.getCollection(`${academyPath}/notes`, forStudent),
+                withPayments ? backend.getCollection(`${academyPath}/payments`, forStudent) : [],
+                withPayments ? null : backend.getDoc(getPortalsPath(), token),
+            ]);
+            if (!studentDoc) return;
+            const [student] = attachHistory([studentDoc], { attendance, notes, payments: studentPayments });
+            const snapshot = buildPortalSnapshot({ student, academyName: academy?.name, timeZone, ...catalog });
+            if (published) PORTAL_PAYMENT_FIELDS.forEach(field => { snapshot[field] = published[field] ?? snapshot[field]; });
+            await backend.commit([setWrite(getPortalsPath(), token, { ...snapshot, academyId, studentId, updatedAt: nowTimestamp() })]);
+        } catch (e) {
+            console.error("Error updating parent page: ", e);
+            reportWriteError("Could not update the parent page.", e);
+        }
     };
 
-    const handleAddNote = () => {
-        if (!note.trim()) return;
-        const newNote = { 
-            id: crypto.randomUUID(),
-            date: dateStr, 
-            text: note.trim() 
-        };
-        const updatedNotes = [newNote, ...(student.notes || [])];
-        onUpdateStudent(student.id, { notes: updatedNotes });
-        setNote('');
+    // Every published parent page shows package prices, sessions and closures,
+    // so changing those republishes them all with the catalog as saved.
+    const refreshAllParentPortals = async () => {
+        if (!backend || !academyPath) return;
+        const linked = studentDocs.filter(s => s.portalToken);
+        if (linked.length === 0) return;
+        try {
+            const [packagesData, sessionsData, closuresData] = await Promise.all(['packages', 'sessions', 'closures'].map(collectionName => (
+                backend.getCollection(`${academyPath}/${collectionName}`)
+            )));
+            const catalog = { packages: packagesData, sessions: sessionsData, closures: closuresData };
+            await Promise.all(linked.map(student => refreshParentPortal(student.id, student.portalToken, catalog)));
+        } catch (e) {
+            console.error("Error updating parent pages: ", e);
+            reportWriteError("Could not update the parent pages.", e);
+        }
     };
 
-    return (
-        <div className={`bg-gray-800 p-4 rounded-lg border-l-4 ${hasPaidCurrentMonth ? 'border-emerald-500' : 'border-red-500'} flex flex-col gap-3`}>
-            <div className="flex justify-between items-start">
-                <h3 className="text-xl font-semibold text-white">{student.name}</h3>
-                <span className={`px-2 py-1 text-xs font-bold rounded-full ${student.waiverSigned ? 'bg-green-500/20 text-green-300' : 'bg-yellow-500/20 text-yellow-300'}`}>
-                    {student.waiverSigned ? 'Waiver Signed' : 'No Waiver'}
-                </span>
+    // A new link replaces the old one, which stops working straight away.
+    const handleCreateParentLink = async (studentId) => {
+        if (!backend || !academyPath) return;
+        const oldToken = studentDocs.find(s => s.id === studentId)?.portalToken;
+        const token = generatePortalToken();
+        try {
+            await backend.commit([
+                updateWrite(`${academyPath}/students`, studentId, { portalToken: token }),
+                oldToken && deleteWrite(getPortalsPath(), oldToken),
+            ]);
+        } catch (e) {
+            console.error("Error creating parent link: ", e);
+            reportWriteError("Could not create the parent link.", e);
+            return;
+        }
+        refreshParentPortal(studentId, token);
+    };
+
+    const handleRevokeParentLink = async (studentId) => {
+        if (!backend || !academyPath) return;
+        const token = studentDocs.find(s => s.id === studentId)?.portalToken;
+        try {
+            await backend.commit([
+                updateWrite(`${academyPath}/students`, studentId, { portalToken: null }),
+                token && deleteWrite(getPortalsPath(), token),
+            ]);
+        } catch (e) {
+            console.error("Error revoking parent link: ", e);
+            reportWriteError("Could not turn off the parent link.", e);
+        }
+    };
+
+    // Undoes one activity entry with a new change, which is logged like any other.
+    const handleRevertActivity = async (entry) => {
+        if (!backend || !academyPath) return;
+        const revert = getRevertChange(entry);
+        if (entry.entity === 'student' && revert.action === 'delete') {
+            await handleDeleteStudent(entry.entityId);
+            return;
+        }
+        if (entry.entity === 'note' && revert.action === 'delete') {
+            await handleDeleteNote(entry.entityId);
+            return;
+        }
+        const current = getCurrentRecord(entry) || null;
+        let data = revert.data;
+        let droppedAttachments = [];
+        if (entry.entity === 'note' && data && 'attachments' in data) {
+            const { kept, dropped } = reconcileRevertedAttachments(current?.attachments, data.attachments);
+            data = { ...data, attachments: kept };
+            droppedAttachments = dropped;
+        }
+        try {
+            const recordPath = `${academyPath}/${ENTITY_COLLECTIONS[entry.entity]}`;
+            const record = entry.entity === 'student' ? data : { ...data, studentId: entry.studentId };
+            const after = revert.action === 'delete' ? null : revert.action === 'set' ? record : { ...current, ...data };
+            const action = revert.action === 'set' ? 'create' : revert.action;
+            await backend.commit([
+                revert.action === 'delete' ? deleteWrite(recordPath, entry.entityId)
+                    : revert.action === 'set' ? setWrite(recordPath, entry.entityId, record)
+                    : updateWrite(recordPath, entry.entityId, data),
+                activityWrite(createActivityEntry({ entity: entry.entity, action, entityId: entry.entityId, studentId: entry.studentId, before: current, after }), { revertOf: entry.id }),
+            ]);
+        } catch (e) {
+            console.error("Error reverting change: ", e);
+            reportWriteError("Could not revert the change.", e);
+            return;
+        }
+        refreshParentPortal(entry.studentId);
+        await deleteAttachmentFiles(droppedAttachments);
+    };
+
+    // The record an activity entry refers to, as it is now, from whatever is loaded.
+    const getCurrentRecord = (entry) => {
+        switch (entry.entity) {
+            case 'student': return studentDocs.find(s => s.id === entry.entityId);
+            case 'payment': return payments.find(p => p.id === entry.entityId);
+            case 'note': return studentNotes.find(n => n.id === entry.entityId);
+            default: return [...rangeAttendance, ...studentAttendance].find(record => record.id === entry.entityId);
+        }
+    };
+
+    // Every student with their complete history, for backups.
+    const loadAcademyHistory = async () => {
+        const [notes, allPayments, attendance] = await Promise.all(HISTORY_COLLECTIONS.map(collectionName => (
+            backend.getCollection(`${academyPath}/${collectionName}`)
+        )));
+        return attachHistory(studentDocs, { notes, payments: allPayments, attendance });
+    };
+
+    // Every student with their complete attendance and nothing else, for the
+    // attendance export, which assistants can run without seeing payments.
+    const loadAttendanceHistory = async () => {
+        const attendance = await backend.getCollection(`${academyPath}/attendance`);
+        return attachHistory(studentDocs, { attendance });
+    };
+
+    // Everything a backup holds apart from the settings, as it is now.
+    const loadAcademyBackup = async () => {
+        const [students, ...collections] = await Promise.all([
+            loadAcademyHistory(),
+            ...BACKUP_COLLECTIONS.map(collectionName => backend.getCollection(`${academyPath}/${collectionName}`)),
+        ]);
+        return { students, ...Object.fromEntries(BACKUP_COLLECTIONS.map((collectionName, index) => [collectionName, collections[index]])) };
+    };
+
+    const handleAddPackage = async (packageData) => {
+        if (!backend || !academyPath) return;
+        try {
+            const packagesCollectionPath = `${academyPath}/packages`;
+            await backend.commit([setWrite(packagesCollectionPath, backend.newId(packagesCollectionPath), packageData)]);
+        } catch (e) {
+            console.error("Error adding package: ", e);
+            reportWriteError("Could not add package.", e);
+        }
+    };
+
+    const handleUpdatePackage = async (packageId, updatedData) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([updateWrite(`${academyPath}/packages`, packageId, updatedData)]);
+        } catch (e) {
+            console.error("Error updating package: ", e);
+            reportWriteError("Could not update package.", e);
+            return;
+        }
+        refreshAllParentPortals();
+    };
+
+    const handleAddSession = async (sessionData) => {
+        if (!backend || !academyPath) return;
+        try {
+            const sessionsCollectionPath = `${academyPath}/sessions`;
+            await backend.commit([setWrite(sessionsCollectionPath, backend.newId(sessionsCollectionPath), sessionData)]);
+        } catch (e) {
+            console.error("Error adding session: ", e);
+            reportWriteError("Could not add the session.", e);
+        }
+    };
+
+    const handleUpdateSession = async (sessionId, updatedData) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([updateWrite(`${academyPath}/sessions`, sessionId, updatedData)]);
+        } catch (e) {
+            console.error("Error updating session: ", e);
+            reportWriteError("Could not update the session.", e);
+            return;
+        }
+        refreshAllParentPortals();
+    };
+
+    // Closures are keyed by date, so closing a day twice just updates the reason.
+    const handleAddClosure = async ({ date, reason }) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([setWrite(`${academyPath}/closures`, date, { date, reason, createdAt: nowTimestamp() })]);
+        } catch (e) {
+            console.error("Error adding closure: ", e);
+            reportWriteError("Could not close the nets for that day.", e);
+            return;
+        }
+        refreshAllParentPortals();
+    };
+
+    const handleDeleteClosure = async (date) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([deleteWrite(`${academyPath}/closures`, date)]);
+        } catch (e) {
+            console.error("Error removing closure: ", e);
+            reportWriteError("Could not reopen that day.", e);
+            return;
+        }
+        refreshAllParentPortals();
+    };
+
+    const handleAddBooking = async (bookingData) => {
+        if (!backend || !academyPath) return;
+        try {
+            const bookingsCollectionPath = `${academyPath}/bookings`;
+            await backend.commit([setWrite(bookingsCollectionPath, backend.newId(bookingsCollectionPath), { ...bookingData, isPaid: false, createdAt: nowTimestamp() })]);
+        } catch (e) {
+            console.error("Error adding booking: ", e);
+            reportWriteError("Could not save the booking.", e);
+        }
+    };
+
+    const handleUpdateBooking = async (bookingId, updatedData) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([updateWrite(`${academyPath}/bookings`, bookingId, updatedData)]);
+        } catch (e) {
+            console.error("Error updating booking: ", e);
+            reportWriteError("Could not update the booking.", e);
+        }
+    };
+
+    const handleDeleteBooking = async (bookingId) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([deleteWrite(`${academyPath}/bookings`, bookingId)]);
+        } catch (e) {
+            console.error("Error deleting booking: ", e);
+            reportWriteError("Could not cancel the booking.", e);
+        }
+    };
+
+    // --- Handlers for Waivers ---
+    // Publishing always adds a new version, so earlier signatures keep pointing at the wording they agreed to.
+    const handlePublishWaiver = async (waiverData) => {
+        if (!backend || !academyPath) return;
+        try {
+            const waiversPath = `${academyPath}/waivers`;
+            await backend.commit([setWrite(waiversPath, backend.newId(waiversPath), { ...waiverData, version: getNextVersion(waivers), createdAt: nowTimestamp() })]);
+        } catch (e) {
+            console.error("Error publishing waiver: ", e);
+            reportWriteError("Could not publish the waiver.", e);
+        }
+    };
+
+    const handleSignWaiver = async (studentId, { signerName, signatureImage }) => {
+        if (!backend || !academyPath) return;
+        const currentWaiver = getCurrentWaiver(waivers);
+        const before = studentDocs.find(s => s.id === studentId);
+        if (!currentWaiver || !before) return;
+        navigate(studentPath(studentId), { replace: true });
+        try {
+            const signaturesPath = `${academyPath}/signatures`;
+            const signatureId = backend.newId(signaturesPath);
+            const signedAt = nowTimestamp();
+            const expiresOn = getSeasonEnd(todayKey(timeZone), getSeasonStartMonth(settings));
+            const { id: waiverId, version, title, text } = currentWaiver;
+            const update = { waiver: { signatureId, version, signerName, signedAt, expiresOn }, waiverSigned: true };
+            await backend.commit([
+                setWrite(signaturesPath, signatureId, { studentId, waiverId, version, title, text, signerName, signatureImage, signedAt, expiresOn }),
+                updateWrite(`${academyPath}/students`, studentId, update),
+                activityWrite(createActivityEntry({ entity: 'student', action: 'update', entityId: studentId, studentId, before, after: { ...before, ...update } })),
+            ]);
+        } catch (e) {
+            console.error("Error saving signed waiver: ", e);
+            reportWriteError("Could not save the signed waiver. Please ask the parent to sign again.", e);
+        }
+    };
+
+    // --- Handlers for Skill Assessments ---
+    // The coach's name is copied in so the assessment still says who made it after they leave.
+    const handleAddAssessment = async (studentId, assessment) => {
+        if (!backend || !academyPath) return;
+        const assessmentsPath = `${academyPath}/assessments`;
+        try {
+            await backend.commit([setWrite(assessmentsPath, backend.newId(assessmentsPath), {
+                ...assessment,
+                studentId,
+                coachName: getCoachName(members, assessment.coachId),
+                createdAt: nowTimestamp(),
+            })]);
+        } catch (e) {
+            console.error("Error saving assessment: ", e);
+            reportWriteError("Could not save the assessment.", e);
+        }
+    };
+
+    const handleDeleteAssessment = async (assessmentId) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([deleteWrite(`${academyPath}/assessments`, assessmentId)]);
+        } catch (e) {
+            console.error("Error deleting assessment: ", e);
+            reportWriteError("Could not delete the assessment.", e);
+        }
+    };
+
+    // --- Handlers for Payment Reminders ---
+    const handleQueueReminders = async (reminders) => {
+        if (!backend || !academyPath || reminders.length === 0) return;
+        const outboxPath = `${academyPath}/outbox`;
+        const createdAt = nowTimestamp();
+        try {
+            await backend.commit(reminders.map(reminder => setWrite(outboxPath, backend.newId(outboxPath), {
+                ...reminder,
+                status: 'queued',
+                channel: null,
+                createdAt,
+                sentAt: null,
+                error: null,
+            })));
+        } catch (e) {
+            console.error("Error queueing reminders: ", e);
+            reportWriteError("Could not add the reminders to the outbox.", e);
+        }
+    };
+
+    // A message that fails to send stays in the outbox, marked failed, so it can be tried again.
+    const handleSendReminder = async (message, channel) => {
+        if (!backend || !academyPath) return;
+        let error = null;
+        try {
+            await channel.send(message);
+        } catch (e) {
+            console.error("Error sending reminder: ", e);
+            error = e.message || 'The message could not be sent.';
+        }
+        const sentAt = nowTimestamp();
+        try {
+            await backend.commit([
+                updateWrite(`${academyPath}/outbox`, message.id, error ? { status: 'failed', channel: channel.id, error } : { status: 'sent', channel: channel.id, sentAt, error: null }),
+                !error && studentDocs.some(s => s.id === message.studentId) && updateWrite(`${academyPath}/students`, message.studentId, { lastRemindedAt: sentAt }),
+            ]);
+        } catch (e) {
+            console.error("Error updating outbox: ", e);
+            reportWriteError("Could not update the outbox.", e);
+        }
+    };
+
+    // Queues one reminder from the attendance list, using the saved message.
+    const handleRemindParent = (student) => {
+        const ledger = buildLedger(student, getMonthlyDue(packages, student), todayKey(timeZone));
+        if (ledger.unpaidMonths.length === 0) return;
+        handleQueueReminders([buildReminder({ student, ledger, template: getReminderTemplate(settings), academyName: academy?.name })]);
+    };
+
+    const handleDeleteReminder = async (messageId) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([deleteWrite(`${academyPath}/outbox`, messageId)]);
+        } catch (e) {
+            console.error("Error removing reminder: ", e);
+            reportWriteError("Could not remove the reminder.", e);
+        }
+    };
+
+    const handleUpdateSettings = async (updatedSettings) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([setWrite(`${academyPath}/settings`, 'academy', updatedSettings, { merge: true })]);
+        } catch (e) {
+            console.error("Error updating settings: ", e);
+            reportWriteError("Could not save academy settings.", e);
+        }
+    };
+
+    // Backups hold students with their history embedded. Each restored student
+    // is written back as a profile plus records, replacing the records they had.
+    // Parent links are never restored: a student keeps the link they have now,
+    // so links turned off since the backup stay off, and parent pages no
+    // student links to any more are deleted.
+    const handleRestore = async (plan) => {
+        if (!backend || !academyPath) return;
+        const basePath = academyPath;
+        try {
+            const [academyHistory, publishedPortals] = await Promise.all([
+                loadAcademyHistory(),
+                backend.getCollection(getPortalsPath(), [['academyId', '==', academyId]]),
+            ]);
+            const currentHistory = new Map(academyHistory.map(student => [student.id, splitHistory(student)]));
+            const currentNotes = new Map([...currentHistory.values()].flatMap(history => history.notes.map(note => [note.id, note])));
+            const writes = [];
+            const droppedFiles = [];
+            const deleteHistory = (studentId, keepIds = new Set()) => {
+                const history = currentHistory.get(studentId);
+                if (!history) return;
+                HISTORY_COLLECTIONS.forEach(collectionName => history[collectionName]
+                    .filter(record => !keepIds.has(record.id))
+                    .forEach(record => {
+                        writes.push(deleteWrite(`${basePath}/${collectionName}`, record.id));
+                        if (collectionName === 'notes') droppedFiles.push(...(record.attachments || []));
+                    }));
+            };
+            // A restored note keeps only the files it still has; see reconcileRevertedAttachments.
+            const withCurrentFiles = (noteId, note) => {
+                const { kept, dropped } = reconcileRevertedAttachments(currentNotes.get(noteId)?.attachments, note.attachments);
+                droppedFiles.push(...dropped);
+                return note.attachments ? { ...note, attachments: kept } : note;
+            };
+
+            const { toAdd, toUpdate, toDelete } = plan.students;
+            [...toAdd, ...toUpdate].forEach(student => {
+                const history = splitHistory(student);
+                const before = currentHistory.get(student.id)?.profile || null;
+                const profile = { ...history.profile, portalToken: before?.portalToken || null };
+                writes.push(setWrite(`${basePath}/students`, student.id, profile));
+                writes.push(activityWrite(createActivityEntry({ entity: 'student', action: before ? 'update' : 'create', entityId: student.id, studentId: student.id, before, after: profile }), { source: 'restore' }));
+                const keepIds = new Set();
+                HISTORY_COLLECTIONS.forEach(collectionName => history[collectionName].forEach(({ id, ...record }) => {
+                    keepIds.add(id);
+                    writes.push(setWrite(`${basePath}/${collectionName}`, id, collectionName === 'notes' ? withCurrentFiles(id, record) : record));
+                }));
+                deleteHistory(student.id, keepIds);
+            });
+            const studentRecordDeletes = await Promise.all(toDelete.map(loadStudentRecordDeletes));
+            toDelete.forEach(({ id }, index) => {
+                deleteHistory(id);
+                writes.push(...studentRecordDeletes[index]);
+                writes.push(deleteWrite(`${basePath}/students`, id));
+                writes.push(activityWrite(createActivityEntry({ entity: 'student', action: 'delete', entityId: id, studentId: id, before: currentHistory.get(id)?.profile }), { source: 'restore' }));
+            });
+
+            // A replace restore may already be deleting a removed student's
+            // signatures, assessments and parent page.
+            const deleted = new Set(writes.filter(write => write?.type === 'delete').map(write => `${write.path}/${write.id}`));
+            const deletedStudentIds = new Set(toDelete.map(({ id }) => id));
+            const linkedTokens = new Set(academyHistory.filter(student => !deletedStudentIds.has(student.id)).map(student => student.portalToken).filter(Boolean));
+            publishedPortals
+                .filter(({ id }) => !linkedTokens.has(id) && !deleted.has(`${getPortalsPath()}/${id}`))
+                .forEach(({ id }) => writes.push(deleteWrite(getPortalsPath(), id)));
+            BACKUP_COLLECTIONS.forEach(collectionName => {
+                const collectionPath = `${basePath}/${collectionName}`;
+                const records = plan[collectionName];
+                [...records.toAdd, ...records.toUpdate].forEach(({ id, ...data }) => writes.push(setWrite(collectionPath, id, data)));
+                records.toDelete
+                    .filter(({ id }) => !deleted.has(`${collectionPath}/${id}`))
+                    .forEach(({ id }) => writes.push(deleteWrite(collectionPath, id)));
+            });
+            if (Object.keys(plan.settings).length > 0) {
+                writes.push(setWrite(`${basePath}/settings`, 'academy', plan.settings, { merge: true }));
+            }
+            await backend.commit(writes);
+            await deleteAttachmentFiles(droppedFiles);
+        } catch (e) {
+            console.error("Error restoring backup: ", e);
+            reportWriteError("The restore did not finish. Check your data and run it again.", e);
+            return;
+        }
+        refreshAllParentPortals();
+    };
+
+    // --- Handlers for Academy Membership ---
+    const handleCreateInvite = async () => {
+        if (!backend || !academyId) return;
+        const code = generateInviteCode();
+        const expiresAt = new Date(Date.now() + INVITE_LIFETIME_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        try {
+            await backend.commit([setWrite(`artifacts/${appId}/invites`, code, {
+                academyId,
+                academyName: academy?.name || '',
+                role: 'assistant',
+                createdBy: userId,
+                createdAt: nowTimestamp(),
+                expiresAt,
+                usedBy: null,
+            })]);
+        } catch (e) {
+            console.error("Error creating invite: ", e);
+            reportWriteError("Could not create an invite code.", e);
+        }
+    };
+
+    const handleRevokeInvite = async (code) => {
+        if (!backend) return;
+        try {
+            await backend.commit([deleteWrite(`artifacts/${appId}/invites`, code)]);
+        } catch (e) {
+            console.error("Error revoking invite: ", e);
+            reportWriteError("Could not revoke the invite code.", e);
+        }
+    };
+
+    // Returns a message to show when the code can't be used.
+    const handleJoinAcademy = async (rawCode, displayName) => {
+        if (!backend || !userId) return null;
+        const code = normalizeInviteCode(rawCode);
+        try {
+            const invite = await backend.getDoc(`artifacts/${appId}/invites`, code);
+            const problem = getInviteProblem(invite, userId);
+            if (problem) return problem;
+            if (invite.academyId === academyId) return "You're already a member of this academy.";
+
+            await backend.commit([
+                setWrite(`${getAcademyPath(invite.academyId)}/members`, userId, { role: invite.role, displayName, joinedAt: nowTimestamp(), inviteCode: code }),
+                updateWrite(`artifacts/${appId}/invites`, code, { usedBy: userId, usedAt: nowTimestamp() }),
+                setWrite(`artifacts/${appId}/users`, userId, { academyId: invite.academyId }, { merge: true }),
+            ]);
+            navigate(attendancePath());
+            return null;
+        } catch (e) {
+            console.error("Error joining academy: ", e);
+            return "Could not join the academy. Check the code and try again.";
+        }
+    };
+
+    const handleLeaveAcademy = async () => {
+        if (!backend || !userId || academyId === userId) return;
+        try {
+            await backend.commit([
+                deleteWrite(`${getAcademyPath(academyId)}/members`, userId),
+                setWrite(`artifacts/${appId}/users`, userId, { academyId: userId }, { merge: true }),
+            ]);
+            navigate(attendancePath());
+        } catch (e) {
+            console.error("Error leaving academy: ", e);
+            reportWriteError("Could not leave the academy.", e);
+        }
+    };
+
+    const handleRemoveMember = async (memberId) => {
+        if (!backend || !academyPath || memberId === userId) return;
+        try {
+            await backend.commit([deleteWrite(`${academyPath}/members`, memberId)]);
+        } catch (e) {
+            console.error("Error removing member: ", e);
+            reportWriteError("Could not remove the coach.", e);
+        }
+    };
+
+    const handleUpdateAcademy = async (updatedData) => {
+        if (!backend || !academyId) return;
+        try {
+            await backend.commit([updateWrite(`artifacts/${appId}/academies`, academyId, updatedData)]);
+        } catch (e) {
+            console.error("Error updating academy: ", e);
+            reportWriteError("Could not update the academy.", e);
+        }
+    };
+
+    const handleUpdateMemberName = async (displayName) => {
+        if (!backend || !academyPath) return;
+        try {
+            await backend.commit([updateWrite(`${academyPath}/members`, userId, { displayName })]);
+        } catch (e) {
+            console.error("Error updating member: ", e);
+            reportWriteError("Could not update your name.", e);
+        }
+    };
+
+    // --- Handlers for Sign-In ---
+    // These return an error message for the form to show, or null on success.
+    const handleSignIn = async (email, password) => {
+        const problem = validateCredentials(email, password);
+        if (problem) return problem;
+        try {
+            await backend.signIn(email.trim(), password);
+            setAuthNotice(null);
+            return null;
+        } catch (e) {
+            console.error("Error signing in: ", e);
+            return getAuthErrorMessage(e);
+        }
+    };
+
+    // Linking a guest session keeps the same uid, so no sign-in event follows
+    // and the account is updated here.
+    const handleCreateAccount = async (email, password) => {
+        const problem = validateCredentials(email, password);
+        if (problem) return problem;
+        try {
+            setAccount(await backend.createAccount(email.trim(), password));
+            setAuthNotice(null);
+            return null;
+        } catch (e) {
+            console.error("Error creating account: ", e);
+            return getAuthErrorMessage(e);
+        }
+    };
+
+    const handleSendEmailLink = async (email) => {
+        const problem = validateCredentials(email);
+        if (problem) return problem;
+        try {
+            await backend.sendEmailLink(email.trim(), window.location.origin + window.location.pathname);
+            saveEmailLinkRequest(email.trim(), backend.isGuest() ? 'link' : 'signIn');
+            return null;
+        } catch (e) {
+            console.error("Error sending sign-in link: ", e);
+            return getAuthErrorMessage(e);
+        }
+    };
+
+    const handleContinueAsGuest = async () => {
+        try {
+            await backend.signInAsGuest();
+            setAuthNotice(null);
+            return null;
+        } catch (e) {
+            console.error("Error starting guest session: ", e);
+            return getAuthErrorMessage(e);
+        }
+    };
+
+    const handleSignOut = async () => {
+        try {
+            await backend.signOut();
+            setAuthNotice(null);
+        } catch (e) {
+            console.error("Error signing out: ", e);
+            setError("Could not sign out.");
+        }
+    };
+
+    // --- Handlers for Demo Mode ---
+    // Switching backends reloads the app so nothing from the other one lingers.
+    const handleStartDemo = () => {
+        setDemoModeRequested(true);
+        window.location.reload();
+    };
+
+    const handleExitDemo = () => {
+        setDemoModeRequested(false);
+        window.location.reload();
+    };
+
+    const handleResetDemo = () => {
+        if (!window.confirm("Reset the demo academy? Everything you've changed in the demo will be lost.")) return;
+        navigate(attendancePath());
+        backend.reset();
+    };
+
+    // --- Derived State ---
+    const students = useMemo(() => attachHistory(studentDocs, {
+        notes: studentNotes,
+        payments,
+        attendance: [...rangeAttendance, ...studentAttendance],
+    }), [studentDocs, studentNotes, payments, rangeAttendance, studentAttendance]);
+
+    const currentWaiver = useMemo(() => getCurrentWaiver(waivers), [waivers]);
+
+    const queuedReminderStudentIds = useMemo(() => outbox.filter(message => message.status !== 'sent').map(message => message.studentId), [outbox]);
+
+    const selectedStudent = useMemo(() => {
+        return students.find(s => s.id === selectedStudentId);
+    }, [students, selectedStudentId]);
+
+    // --- Render Logic ---
+    if (error) {
+        return <div className="flex items-center justify-center h-screen bg-gray-900 text-red-400 p-4 text-center">{error}</div>;
+    }
+
+    // Parents open their page without signing in.
+    if (route?.view === 'portal') {
+        if (!backend) return <div className="flex items-center justify-center h-screen bg-gray-900 text-white">Loading...</div>;
+        return <ParentPortal backend={backend} token={route.token} />;
+    }
+
+    if (!isAuthReady) {
+        return <div className="flex items-center justify-center h-screen bg-gray-900 text-white">Initializing Academy...</div>;
+    }
+
+    if (!account) {
+        return <SignInScreen notice={authNotice} isDemo={backend.kind === 'local'} onSignIn={handleSignIn} onCreateAccount={handleCreateAccount} onSendEmailLink={handleSendEmailLink} onContinueAsGuest={handleContinueAsGuest} onStartDemo={handleStartDemo} />;
+    }
+    
+    const renderMainContent = () => {
+        if (!academyPath || loading || !settings) {
+            return <div className="flex items-center justify-center h-full text-white">Loading Students...</div>;
+        }
+        if (isImportingStudents && can(role, 'manageStudents')) {
+            return <StudentImport students={students} packages={packages} onImport={handleImportStudents} onCancel={() => navigate(studentsPath())} />;
+        }
+        if (isAddingStudent && can(role, 'manageStudents')) {
+            return <StudentForm packages={packages} sessions={sessions} students={students} timeZone={timeZone} onSave={handleAddStudent} onCancel={() => navigate(studentsPath())} />;
+        }
+        if (selectedStudent && isSigningWaiver && can(role, 'collectWaivers') && currentWaiver) {
+            return <WaiverSigning student={selectedStudent} waiver={currentWaiver} expiresOn={getSeasonEnd(todayKey(timeZone), getSeasonStartMonth(settings))} onSign={handleSignWaiver} onCancel={() => navigate(studentPath(selectedStudent.id), { replace: true })} />;
+        }
+        if (selectedStudent) {
+            return <StudentDetail 
+                        student={selectedStudent} 
+                        students={students}
+                        closures={closures}
+                        packages={packages}
+                        sessions={sessions}
+                        timeZone={timeZone}
+                        role={role}
+                        isEditing={isEditingStudent}
+                        onUpdate={handleUpdateStudent}
+                        onDelete={handleDeleteStudent}
+                        onSetAttendance={handleSetAttendance}
+                        onUpdateNote={handleUpdateNote}
+                        onDeleteNote={handleDeleteNote}
+                        onAttachFiles={handleAttachFiles}
+                        onRemoveAttachment={handleRemoveAttachment}
+                        onAddPayment={handleAddPayment}
+                        onDeletePayment={handleDeletePayment}
+                        activity={studentActivity}
+                        currentWaiver={currentWaiver}
+                        signatures={studentSignatures}
+                        assessments={studentAssessments}
+                        skills={getSkills(settings)}
+                        members={members}
+                        userId={userId}
+                        reminders={outbox.filter(message => message.studentId === selectedStudent.id && message.status === 'sent')}
+                        getCurrentRecord={getCurrentRecord}
+                        onRevertActivity={handleRevertActivity}
+                        onCreateParentLink={handleCreateParentLink}
+                        onRevokeParentLink={handleRevokeParentLink}
+                        onAddAssessment={handleAddAssessment}
+                        onDeleteAssessment={handleDeleteAssessment}
+                    />;
+        }
+        if (selectedStudentId) {
+            return (
+                <div className="bg-gray-800 p-6 rounded-lg text-gray-300">
+                    <p>This student could not be found. They may have been deleted.</p>
+                    <Link to={studentsPath()} className="inline-flex items-center gap-2 mt-4 text-sm text-emerald-400 hover:text-emerald-300 font-semibold"><ArrowLeft className="h-4 w-4" /> Back to List</Link>
+                </div>
+            );
+        }
+
+        switch (view) {
+            case 'calendar':
+                return <AttendanceCalendar students={students.filter(s => s.isActive)} packages={packages} sessions={sessions} currentWaiver={currentWaiver} members={members} closures={closures} dateStr={selectedDate} role={role} pendingAttendanceIds={pendingSync.attendance} queuedReminderStudentIds={queuedReminderStudentIds} onDateChange={date => navigate(attendancePath(date))} onSetAttendance={handleSetAttendance} onSetAttendanceBulk={handleSetAttendanceBulk} onAddNote={handleAddNote} onRemindParent={handleRemindParent} />;
+            case 'register':
+                return <AttendanceRegister students={students} closures={closures} monthKey={selectedMonth} onMonthChange={month => navigate(registerPath(month))} onSetAttendance={handleSetAttendance} />;
+            case 'manage':
+                return <StudentList students={students} currentWaiver={currentWaiver} timeZone={timeZone} role={role} filters={studentFilters} onFiltersChange={filters => navigate(studentsPath(filters), { replace: true })} onLoadAttendance={loadAttendanceHistory} />;
+            case 'packages':
+                if (!can(role, 'managePackages')) return null;
+                return <PackageManager packages={packages} students={students} onAddPackage={handleAddPackage} onUpdatePackage={handleUpdatePackage} />;
+            case 'closures':
+                if (!can(role, 'manageClosures')) return null;
+                return <ClosureCalendar closures={closures} students={students.filter(s => s.isActive)} monthKey={selectedMonth} today={todayKey(timeZone)} onMonthChange={month => navigate(closuresPath(month))} onAddClosure={handleAddClosure} onDeleteClosure={handleDeleteClosure} />;
+            case 'lanes':
+                if (!can(role, 'manageBookings')) return null;
+                return (
+                    <LaneBookings
+                        dateStr={selectedDate}
+                        bookings={bookings}
+                        sessions={sessions}
+                        closures={closures}
+                        students={students.filter(s => s.isActive)}
+                        laneCount={getLaneCount(settings)}
+                        hourlyRate={getHourlyRate(settings)}
+                        pendingBookingIds={pendingSync.bookings}
+                        canConfigure={can(role, 'manageSettings')}
+                        onDateChange={date => navigate(lanesPath(date))}
+                        onAddBooking={handleAddBooking}
+                        onUpdateBooking={handleUpdateBooking}
+                        onDeleteBooking={handleDeleteBooking}
+                    />
+                );
+            case 'waivers':
+                if (!can(role, 'manageWaivers')) return null;
+                return <WaiverManager waivers={waivers} students={students} settings={settings} today={todayKey(timeZone)} timeZone={timeZone} onPublish={handlePublishWaiver} onSaveSettings={handleUpdateSettings} />;
+            case 'notes':
+                if (!can(role, 'addNotes')) return null;
+                return <NotesSearch notes={searchNotes} students={students} filters={noteFilters} range={noteRange} onFiltersChange={filters => navigate(notesPath(filters), { replace: true })} />;
+            case 'reminders':
+                if (!can(role, 'sendReminders')) return null;
+                return (
+                    <PaymentReminders
+                        students={students}
+                        packages={packages}
+                        outbox={outbox}
+                        settings={settings}
+                        academyName={academy?.name}
+                        today={todayKey(timeZone)}
+                        timeZone={timeZone}
+                        pendingMessageIds={pendingSync.outbox}
+                        onSaveTemplate={reminderTemplate => handleUpdateSettings({ reminderTemplate })}
+                        onQueue={handleQueueReminders}
+                        onSend={handleSendReminder}
+                        onDelete={handleDeleteReminder}
+                    />
+                );
+            case 'sessions':
+                if (!can(role, 'manageSessions')) return null;
+                return <SessionManager sessions={sessions} students={students} members={members} laneCount={getLaneCount(settings)} onAddSession={handleAddSession} onUpdateSession={handleUpdateSession} />;
+            case 'academy':
+                return (
+                    <AcademyMembers
+                        academy={academy}
+                        members={members}
+                        invites={invites}
+                        userId={userId}
+                        role={role}
+                        timeZone={timeZone}
+                        onCreateInvite={handleCreateInvite}
+                        onRevokeInvite={handleRevokeInvite}
+                        onRemoveMember={handleRemoveMember}
+                        onUpdateAcademy={handleUpdateAcademy}
+                        onUpdateMemberName={handleUpdateMemberName}
+                        onJoinAcademy={handleJoinAcademy}
+                        onLeaveAcademy={handleLeaveAcademy}
+                    />
+                );
+            case 'settings':
+                if (!can(role, 'manageSettings')) return null;
+                return (
+                    <div className="space-y-6">
+                        <AcademySettings settings={settings} timeZone={timeZone} onSave={handleUpdateSettings} />
+                        <AssessmentRubric skills={getSkills(settings)} onSave={skills => handleUpdateSettings({ assessmentSkills: skills })} />
+                        <BackupRestore students={students} settings={settings} timeZone={timeZone} onLoadBackup={loadAcademyBackup} onRestore={handleRestore} />
+                    </div>
+                );
+            case 'account':
+                return <AccountPanel account={account} notice={authNotice} onCreateAccount={handleCreateAccount} onSendEmailLink={handleSendEmailLink} onSignOut={handleSignOut} />;
+            default:
+                return <AttendanceCalendar students={students.filter(s => s.isActive)} packages={packages} sessions={sessions} currentWaiver={currentWaiver} members={members} closures={closures} dateStr={selectedDate} role={role} pendingAttendanceIds={pendingSync.attendance} queuedReminderStudentIds={queuedReminderStudentIds} onDateChange={date => navigate(attendancePath(date))} onSetAttendance={handleSetAttendance} onSetAttendanceBulk={handleSetAttendanceBulk} onAddNote={handleAddNote} onRemindParent={handleRemindParent} />;
+        }
+    };
+
+    return (
+        <div className="bg-gray-900 text-gray-100 min-h-screen font-sans flex flex-col md:flex-row">
+            <aside className="w-full md:w-64 bg-gray-950 p-4 border-b md:border-r border-gray-700 flex-shrink-0">
+                <h1 className="text-2xl font-bold text-emerald-400 mb-2">Cricnets</h1>
+                <p className="text-sm text-gray-400 mb-6">Coaching Dashboard</p>
+                <nav className="flex md:flex-col gap-2">
+                    <Link to={getViewPath('calendar')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'calendar' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <Calendar className="h-5 w-5" />
+                        <span>Attendance</span>
+                    </Link>
+                    <Link to={getViewPath('register')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'register' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <ClipboardList className="h-5 w-5" />
+                        <span>Register</span>
+                    </Link>
+                    {can(role, 'manageClosures') && <Link to={getViewPath('closures')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'closures' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <CloudRain className="h-5 w-5" />
+                        <span>Closures</span>
+                    </Link>}
+                    {can(role, 'manageBookings') && <Link to={getViewPath('lanes')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'lanes' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <Columns3 className="h-5 w-5" />
+                        <span>Nets</span>
+                    </Link>}
+                    <Link to={getViewPath('manage')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'manage' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <UserPlus className="h-5 w-5" />
+                        <span>Manage Students</span>
+                    </Link>
+                    {can(role, 'addNotes') && <Link to={getViewPath('notes')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'notes' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <NotebookText className="h-5 w-5" />
+                        <span>Notes</span>
+                    </Link>}
+                    {can(role, 'manageWaivers') && <Link to={getViewPath('waivers')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'waivers' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <FileSignature className="h-5 w-5" />
+                        <span>Waiver</span>
+                    </Link>}
+                    {can(role, 'sendReminders') && <Link to={getViewPath('reminders')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'reminders' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <BellRing className="h-5 w-5" />
+                        <span>Reminders</span>
+                    </Link>}
+                    {can(role, 'managePackages') && <Link to={getViewPath('packages')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'packages' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <Package className="h-5 w-5" />
+                        <span>Packages</span>
+                    </Link>}
+                    {can(role, 'manageSessions') && <Link to={getViewPath('sessions')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'sessions' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <CalendarClock className="h-5 w-5" />
+                        <span>Sessions</span>
+                    </Link>}
+                    <Link to={getViewPath('academy')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'academy' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <Users className="h-5 w-5" />
+                        <span>Academy</span>
+                    </Link>
+                    {can(role, 'manageSettings') && <Link to={getViewPath('settings')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'settings' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <Settings className="h-5 w-5" />
+                        <span>Settings</span>
+                    </Link>}
+                    <Link to={getViewPath('account')} className={`flex items-center gap-3 p-3 rounded-lg w-full text-left transition-colors ${view === 'account' && !selectedStudentId ? 'bg-emerald-500/20 text-emerald-300' : 'hover:bg-gray-800'}`}>
+                        <CircleUser className="h-5 w-5" />
+                        <span>Account</span>
+                    </Link>
+                </nav>
+                <div className="mt-auto pt-6 text-xs text-gray-500">
+                    {backend.kind === 'local' && <DemoBanner canExit={Boolean(firebaseConfig)} onReset={handleResetDemo} onExit={handleExitDemo} />}
+                    {academy && <p className="text-gray-300 font-semibold">{academy.name}</p>}
+                    {role && <p className="mb-2">{getRoleLabel(role)}</p>}
+                    <SyncStatus isOnline={isOnline} pendingCount={countPending(pendingSync)} />
+                    <p className="break-all">{account.isAnonymous ? 'Guest session' : account.email}</p>
+                    {account.isAnonymous && <Link to={getViewPath('account')} className="block text-yellow-400 hover:underline mt-1">Save your academy to an email</Link>}
+                </div>
+            </aside>
+
+            <main className="flex-1 p-4 md:p-8 overflow-y-auto">
+                {writeError && (
+                    <div className="mb-4 flex items-start justify-between gap-3 bg-red-500/10 text-red-300 p-3 rounded-lg text-sm">
+                        <span className="flex items-center gap-2"><AlertTriangle className="h-4 w-4 flex-shrink-0" /> {writeError}</span>
+                        <button onClick={() => setWriteError(null)} title="Dismiss"><X className="h-4 w-4" /></button>
+                    </div>
+                )}
+                {renderMainContent()}
+            </main>
+        </div>
+    );
+}
+
+// --- Sub-Components ---
+
+// A real link, so it can be opened in a new tab, that navigates in place on a plain click.
+const Link = ({ to, children, ...props }) => {
+    const handleClick = (e) => {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        e.preventDefault();
+        navigate(to);
+    };
+    return <a href={to} onClick={handleClick} {...props}>{children}</a>;
+};
+
+const statusStyles = {
+    present: { selected: 'bg-green-500 text-white', badge: 'bg-green-500/20 text-green-300' },
+    late: { selected: 'bg-yellow-500 text-gray-900', badge: 'bg-yellow-500/20 text-yellow-300' },
+    absent: { selected: 'bg-red-500 text-white', badge: 'bg-red-500/20 text-red-300' },
+    excused: { selected: 'bg-sky-500 text-white', badge: 'bg-sky-500/20 text-sky-300' },
+    cancelled: { selected: 'bg-gray-500 text-white', badge: 'bg-gray-500/20 text-gray-300' },
+};
+
+const getStatusBadgeClass = (status) => statusStyles[status]?.badge || 'bg-gray-500/20 text-gray-300';
+
+const AgingSummary = ({ aging }) => (
+    <div className="flex flex-wrap gap-1">
+        {AGING_BUCKETS.filter(b => aging[b.key] > 0).map(b => (
+            <span key={b.key} className={`px-2 py-0.5 text-xs font-bold rounded-full ${b.key === 'current' ? 'bg-yellow-500/20 text-yellow-300' : 'bg-red-500/20 text-red-300'}`}>
+                {b.label}: {formatCurrency(aging[b.key])}
+            </span>
+        ))}
+    </div>
+);
+
+const syncStatusStyles = {
+    offline: { icon: WifiOff, className: 'text-yellow-400' },
+    syncing: { icon: CloudUpload, className: 'text-sky-400' },
+    synced: { icon: Wifi, className: 'text-emerald-400' },
+};
+
+const SyncStatus = ({ isOnline, pendingCount }) => {
+    const status = getSyncStatus(isOnline, pendingCount);
+    const { icon: Icon, className } = syncStatusStyles[status.key];
+    return (
+        <div className="mb-3">
+            <p className={`flex items-center gap-2 font-semibold ${className}`}><Icon className="h-4 w-4" /> {status.label}</p>
+            <p>{status.detail}</p>
+        </div>
+    );
+};
+
+const DemoBanner = ({ canExit, onReset, onExit }) => (
+    <div className="mb-3 p-2 rounded-lg bg-purple-500/10 text-purple-200">
+        <p className="flex items-center gap-2 font-semibold"><FlaskConical className="h-4 w-4" /> Demo academy</p>
+        <p className="mt-1">Changes are saved in this browser only.</p>
+        <div className="mt-2 flex gap-3">
+            <button onClick={onReset} className="flex items-center gap-1 hover:underline"><RotateCcw className="h-3 w-3" /> Reset demo data</button>
+            {canExit && <button onClick={onExit} className="hover:underline">Exit demo</button>}
+        </div>
+    </div>
+);
+
+const UnsyncedBadge = () => (
+    <span className="flex items-center gap-1 px-2 py-1 text-xs font-bold rounded-full bg-sky-500/20 text-sky-300" title="Saved on this device. It will upload when there is signal.">
+        <CloudOff size={12} /> Not yet synced
+    </span>
+);
+
+const getNoteInputId = (studentId) => `attendance-note-${studentId}`;
+
+const StudentAttendanceCard = ({ student, packages, currentWaiver, dateStr, role, isPendingSync, hasQueuedReminder, isSelected, isActive, onToggleSelect, onSetAttendance, onAddNote, onRemindParent }) => {
+    const [note, setNote] = useState('');
+    const [shareNote, setShareNote] = useState(false);
+    const [noteCategory, setNoteCategory] = useState('');
+    const [noteTags, setNoteTags] = useState('');
+    const [noteFiles, setNoteFiles] = useState([]);
+    const [isUploading, setIsUploading] = useState(false);
+
+    const ledger = useMemo(() => buildLedger(student, getMonthlyDue(packages, student), dateStr), [student, packages, dateStr]);
+    const canViewPayments = can(role, 'viewPayments');
+    const hasBalanceDue = canViewPayments && ledger.unpaidMonths.length > 0;
+    const attendanceStatus = student.attendance?.[dateStr];
+
+    const handleSetAttendance = (status) => {
+        onSetAttendance(student.id, dateStr, status);
+    };
+
+    // A note can be just a photo or clip, with no text.
+    const handleAddNote = async () => {
+        if (!note.trim() && noteFiles.length === 0) return;
+        const files = noteFiles;
+        setNote('');
+        setShareNote(false);
+        setNoteCategory('');
+        setNoteTags('');
+        setNoteFiles([]);
+        if (files.length > 0) setIsUploading(true);
+        await onAddNote(student.id, { date: dateStr, text: note.trim(), sharedWithParent: shareNote, category: noteCategory || null, tags: parseTags(noteTags) }, files);
+        setIsUploading(false);
+        releasePreviews(files);
+    };
+
+    return (
+        <div id={`attendance-card-${student.id}`} className={`bg-gray-800 p-4 rounded-lg border-l-4 ${!canViewPayments ? 'border-gray-600' : hasBalanceDue ? 'border-red-500' : 'border-emerald-500'} ${isActive ? 'ring-2 ring-sky-400' : ''} flex flex-col gap-3`}>
+            <div className="flex justify-between items-start">
+                <div className="flex items-center gap-2">
+                    <input type="checkbox" checked={isSelected} onChange={() => onToggleSelect(student.id)} aria-label={`Select ${student.name}`} className="h-4 w-4 rounded bg-gray-700 border-gray-600 text-emerald-600" />
+                    <h3 className="text-xl font-semibold text-white">{student.name}</h3>
+                </div>
+                <div className="flex flex-wrap justify-end gap-1">
+                    {isPendingSync && <UnsyncedBadge />}
+                    {hasMedicalAlert(student) && (
+                        <span className="flex items-center gap-1 px-2 py-1 text-xs font-bold rounded-full bg-red-500 text-white" title={getMedicalSummary(student)}>
+                            <HeartPulse size={12} /> Medical
+                        </span>
+                    )}
+                    <WaiverBadge status={getWaiverStatus(student, currentWaiver, dateStr)} />
+                </div>
+            </div>
+            <p className="text-gray-400 text-sm -mt-2">{student.package} Package</p>
+            {hasMedicalAlert(student) && (
+                <p className="flex items-start gap-2 bg-red-500/20 text-red-200 p-2 rounded-md text-sm font-semibold">
+                    <HeartPulse className="h-5 w-5 flex-shrink-0" /> {getMedicalSummary(student)}
+                </p>
+            )}
+            
+            {hasBalanceDue && (
+                <div className="text-red-400 bg-red-500/10 p-2 rounded-md text-sm space-y-1">
+                    <div className="flex items-center gap-2">
+                        <AlertTriangle className="h-5 w-5" />
+                        <span className="font-semibold">Owes {formatCurrency(ledger.balance)}</span>
+                    </div>
+                    <p className="text-xs text-red-300">Unpaid: {ledger.unpaidMonths.map(m => formatMonth(m.month)).join(', ')}</p>
+                    <AgingSummary aging={ledger.aging} />
+                    {can(role, 'sendReminders') && (hasQueuedReminder
+                        ? <Link to={getViewPath('reminders')} className="flex items-center gap-1 text-xs text-sky-300 hover:underline"><BellRing size={12} /> Reminder in outbox</Link>
+                        : <button onClick={() => onRemindParent(student)} className="flex items-center gap-1 text-xs text-red-300 hover:text-red-200 hover:underline"><BellRing size={12} /> Remind parent</button>
+                    )}
+                </div>
+            )}
+
+            <div className="flex gap-2">
+                <button onClick={() => handleSetAttendance('present')} className={`flex-1 flex items-center justify-center gap-2 py-2 px-3 rounded-md text-sm font-semibold transition-colors ${attendanceStatus === 'present' ? 'bg-green-500 text-white' : 'bg-gray-700 hover:bg-gray-600'}`}>
+                    <CheckCircle2 size={16} /> Present
+                </button>
+                <button onClick={() => handleSetAttendance('absent')} className={`flex-1 flex items-center justify-center gap-2 py-2 px-3 rounded-md text-sm font-semibold transition-colors ${attendanceStatus === 'absent' ? 'bg-red-500 text-white' : 'bg-gray-700 hover:bg-gray-600'}`}>
+                    <XCircle size={16} /> Absent
+                </button>
+            </div>
+            <div className="flex gap-2 -mt-1">
+                <button onClick={() => handleSetAttendance('late')} className={`flex-1 flex items-center justify-center gap-1 py-1 px-2 rounded-md text-xs font-semibold transition-colors ${attendanceStatus === 'late' ? statusStyles.late.selected : 'bg-gray-700 hover:bg-gray-600'}`}>
+                    <Clock size={14} /> Late
+                </button>
+                <button onClick={() => handleSetAttendance('excused')} className={`flex-1 py-1 px-2 rounded-md text-xs font-semibold transition-colors ${attendanceStatus === 'excused' ? statusStyles.excused.selected : 'bg-gray-700 hover:bg-gray-600'}`}>
+                    Excused
+                </button>
+                <button onClick={() => handleSetAttendance('cancelled')} className={`flex-1 py-1 px-2 rounded-md text-xs font-semibold transition-colors ${attendanceStatus === 'cancelled' ? statusStyles.cancelled.selected : 'bg-gray-700 hover:bg-gray-600'}`} title="Session cancelled by the academy">
+                    Cancelled
+                </button>
+            </div>
+
+            <div className="flex gap-2">
+                <input id={getNoteInputId(student.id)} type="text" value={note} onChange={e => setNote(e.target.value)} placeholder="Add daily note..." className="flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                <button onClick={() => setShareNote(!shareNote)} className={`p-2 rounded-lg ${shareNote ? 'bg-sky-600 text-white' : 'bg-gray-700 text-gray-400 hover:text-gray-200'}`} title={shareNote ? 'Parent will see this note' : 'Coaches only. Click to share with parent'}>
+                    {shareNote ? <Eye size={16} /> : <EyeOff size={16} />}
+                </button>
+                <button onClick={handleAddNote} className="bg-emerald-600 hover:bg-emerald-700 text-white font-semibold p-2 rounded-lg flex items-center"><MessageSquarePlus size={16} /></button>
+            </div>
+            <div className="flex gap-2 -mt-1">
+                <NoteCategorySelect value={noteCategory} onChange={setNoteCategory} className="bg-gray-700 border-gray-600 rounded-md p-1 text-white text-xs" />
+                <input type="text" aria-label="Note tags" value={noteTags} onChange={e => setNoteTags(e.target.value)} placeholder="Tags, comma separated" className="flex-grow bg-gray-700 border-gray-600 rounded-md p-1 text-white text-xs" />
+            </div>
+            <AttachmentPicker id={`note-files-${student.id}`} files={noteFiles} onChange={setNoteFiles} />
+            {isUploading && <p className="text-xs text-sky-300 -mt-1">Uploading photos and videos...</p>}
+
+            <Link to={studentPath(student.id)} className="mt-2 text-emerald-400 hover:text-emerald-300 text-sm font-semibold text-right">
+                View Full Profile &rarr;
+            </Link>
+        </div>
+    );
+};
+
+const MarkedAttendanceRow = ({ student, dateStr, isPendingSync, onSetAttendance }) => {
+    const status = student.attendance?.[dateStr];
+
+    const handleSetAttendance = (newStatus) => {
+        onSetAttendance(student.id, dateStr, newStatus);
+    };
+
+    return (
+        <div className="bg-gray-800 p-3 rounded-lg flex flex-col md:flex-row md:items-center justify-between gap-3">
+            <div className="flex items-center gap-3">
+                <Link to={studentPath(student.id)} className="text-white font-semibold hover:text-emerald-300">{student.name}</Link>
+                <span className={`px-2 py-1 text-xs font-bold rounded-full ${getStatusBadgeClass(status)}`}>{getStatusLabel(status)}</span>
+                {isPendingSync && <UnsyncedBadge />}
+            </div>
+            <div className="flex flex-wrap items-center gap-1">
+                {ATTENDANCE_STATUSES.map(s => (
+                    <button key={s.key} onClick={() => handleSetAttendance(s.key)} className={`py-1 px-2 rounded-md text-xs font-semibold transition-colors ${status === s.key ? statusStyles[s.key].selected : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}`}>
+                        {s.label}
+                    </button>
+                ))}
+                <button onClick={() => handleSetAttendance(null)} className="py-1 px-2 rounded-md text-xs font-semibold bg-gray-700 hover:bg-gray-600 text-gray-300 flex items-center gap-1" title="Clear and move back to pending">
+                    <RotateCcw size={12} /> Clear
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// Typing in a field shouldn't trigger the marking shortcuts; ticking a box is fine.
+const isTypingTarget = (target) => target.isContentEditable
+    || ['TEXTAREA', 'SELECT'].includes(target.tagName)
+    || (target.tagName === 'INPUT' && !['checkbox', 'radio', 'button'].includes(target.type));
+
+const AttendanceCalendar = ({ students, packages, sessions = [], currentWaiver = null, members = [], closures = [], dateStr, role, pendingAttendanceIds = [], queuedReminderStudentIds = [], onDateChange, onSetAttendance, onSetAttendanceBulk, onAddNote, onRemindParent }) => {
+    const [searchTerm, setSearchTerm] = useState('');
+    const [showMarked, setShowMarked] = useState(false);
+    const [makeUpStudentId, setMakeUpStudentId] = useState('');
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [activeIndex, setActiveIndex] = useState(-1);
+    const [bulkOverrides, setBulkOverrides] = useState(null); // { [studentId]: status } while reviewing "mark all"
+
+    useEffect(() => {
+        setSelectedIds([]);
+        setActiveIndex(-1);
+        setBulkOverrides(null);
+    }, [dateStr]);
+    
+    const handleDateChange = (e) => {
+        if (e.target.value) onDateChange(e.target.value);
+    };
+
+    const selectedDayName = getWeekdayName(dateStr);
+    const closure = getClosure(closures, dateStr);
+
+    const studentsToDisplay = useMemo(() => {
+        if (closure) return []; // Nobody is expected on a closed day
+        return students
+            .filter(student => student.enrolledDays?.includes(selectedDayName)) // Enrolled for the day
+            .filter(student => !student.attendance?.[dateStr]) // Not yet marked
+            .filter(student => student.name.toLowerCase().includes(searchTerm.toLowerCase())); // Matches search term
+    }, [students, selectedDayName, dateStr, searchTerm, closure]);
+
+    // Students who could come in for a make-up session today.
+    const makeUpCandidates = useMemo(() => students
+        .filter(student => !student.enrolledDays?.includes(selectedDayName) && !student.attendance?.[dateStr])
+        .sort((a, b) => a.name.localeCompare(b.name)), [students, selectedDayName, dateStr]);
+
+    const handleAddMakeUp = () => {
+        if (!makeUpStudentId) return;
+        onSetAttendance(makeUpStudentId, dateStr, 'present');
+        setMakeUpStudentId('');
+    };
+
+    // Includes anyone marked on a day they are not enrolled for.
+    const markedStudents = useMemo(() => {
+        return students
+            .filter(student => student.attendance?.[dateStr])
+            .filter(student => student.name.toLowerCase().includes(searchTerm.toLowerCase()))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }, [students, dateStr, searchTerm]);
+
+    const statusCounts = useMemo(() => countStatuses(students, dateStr), [students, dateStr]);
+
+    // Pending students grouped by the day's sessions; sessions with nobody
+    // left to mark are dropped.
+    const sessionGroups = useMemo(() => {
+        const { groups, unassigned } = groupBySession(studentsToDisplay, sessions, selectedDayName);
+        return { groups: groups.filter(group => group.students.length > 0), unassigned };
+    }, [studentsToDisplay, sessions, selectedDayName]);
+
+    // The cards in the order they are shown, for the keyboard and bulk marking.
+    // A student in two of the day's sessions is only listed the first time.
+    const orderedStudents = useMemo(() => (sessionGroups.groups.length > 0
+        ? [...new Map([...sessionGroups.groups.flatMap(group => group.students), ...sessionGroups.unassigned].map(student => [student.id, student])).values()]
+        : studentsToDisplay), [sessionGroups, studentsToDisplay]);
+    // Marked students leave the list, so the highlight falls on whoever is next.
+    const activeStudent = orderedStudents[Math.min(activeIndex, orderedStudents.length - 1)] || null;
+    const selectedStudents = orderedStudents.filter(student => selectedIds.includes(student.id));
+
+    const toggleSelected = (studentId) => setSelectedIds(ids => (ids.includes(studentId) ? ids.filter(id => id !== studentId) : [...ids, studentId]));
+
+    const handleMarkSelected = (status) => {
+        onSetAttendanceBulk(dateStr, buildBulkMarks(selectedStudents.map(student => student.id), status));
+        setSelectedIds([]);
+    };
+
+    const handleMarkAllRemaining = () => {
+        onSetAttendanceBulk(dateStr, buildBulkMarks(orderedStudents.map(student => student.id), 'present', bulkOverrides));
+        setBulkOverrides(null);
+        setSelectedIds([]);
+    };
+
+    const isMarking = !showMarked && !closure && orderedStudents.length > 0;
+    const bulkMarkCount = bulkOverrides ? buildBulkMarks(orderedStudents.map(student => student.id), 'present', bulkOverrides).length : 0;
+    useEffect(() => {
+        if (!isMarking || bulkOverrides) return undefined;
+        const handleKeyDown = (e) => {
+            if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+            const nextIndex = moveIndex(orderedStudents.indexOf(activeStudent), orderedStudents.length, e.key);
+            if (nextIndex !== null) {
+                e.preventDefault();
+                setActiveIndex(nextIndex);
+                return;
+            }
+            if (!activeStudent) return;
+            const status = getShortcutStatus(e.key);
+            if (status) {
+                e.preventDefault();
+                onSetAttendance(activeStudent.id, dateStr, status);
+            } else if (e.key.toLowerCase() === 'n') {
+                e.preventDefault();
+                document.getElementById(getNoteInputId(activeStudent.id))?.focus();
+            } else if (e.key === 'Escape') {
+                setSelectedIds([]);
+                setActiveIndex(-1);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [isMarking, bulkOverrides, orderedStudents, activeStudent, dateStr, onSetAttendance]);
+
+    useEffect(() => {
+        if (activeStudent) document.getElementById(`attendance-card-${activeStudent.id}`)?.scrollIntoView?.({ block: 'nearest' });
+    }, [activeStudent]);
+
+    const renderCards = (cardStudents) => (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {cardStudents.map(student => (
+                <StudentAttendanceCard key={student.id} student={student} packages={packages} currentWaiver={currentWaiver} dateStr={dateStr} role={role} isPendingSync={pendingAttendanceIds.includes(getAttendanceId(student.id, dateStr))} hasQueuedReminder={queuedReminderStudentIds.includes(student.id)} isSelected={selectedIds.includes(student.id)} isActive={student === activeStudent} onToggleSelect={toggleSelected} onSetAttendance={onSetAttendance} onAddNote={onAddNote} onRemindParent={onRemindParent} />
+            ))}
+        </div>
+    );
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-white mb-4">Daily Attendance</h2>
+            <div className="bg-gray-800 p-4 rounded-lg mb-6 space-y-4">
+                <div>
+                    <label htmlFor="attendance-date" className="block text-sm font-medium text-gray-300 mb-2">Select Date:</label>
+                    <input
+                        id="attendance-date"
+                        type="date"
+                        value={dateStr}
+                        onChange={handleDateChange}
+                        className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2 w-full md:w-auto"
+                    />
+                </div>
+                 <div>
+                    <label htmlFor="search-attendance" className="block text-sm font-medium text-gray-300 mb-2">Find Student:</label>
+                    <div className="relative">
+                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+                        <input
+                            id="search-attendance"
+                            type="text"
+                            placeholder="Search by name..."
+                            value={searchTerm}
+                            onChange={e => setSearchTerm(e.target.value)}
+                            className="w-full md:w-1/2 bg-gray-700 border-gray-600 rounded-lg pl-10 pr-4 py-2 text-white"
+                        />
+                    </div>
+                </div>
+                {closure ? (
+                    <p className="pt-2 text-lg text-sky-300 font-semibold flex items-center gap-2">
+                        <CloudRain className="h-5 w-5" /> The nets are closed on {formatDateKey(dateStr)}: {closure.reason}
+                    </p>
+                ) : (
+                    <p className="pt-2 text-lg text-emerald-400 font-semibold">
+                        {studentsToDisplay.length} student(s) pending attendance for: {formatDateKey(dateStr)}
+                    </p>
+                )}
+                <div className="flex flex-wrap gap-2">
+                    {ATTENDANCE_STATUSES.map(s => (
+                        <span key={s.key} className={`px-2 py-1 text-xs font-bold rounded-full ${getStatusBadgeClass(s.key)}`}>
+                            {s.label}: {statusCounts[s.key]}
+                        </span>
+                    ))}
+                </div>
+                <div className="bg-gray-700 rounded-lg p-1 inline-flex">
+                    <button onClick={() => setShowMarked(false)} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${!showMarked ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Pending ({studentsToDisplay.length})</button>
+                    <button onClick={() => setShowMarked(true)} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${showMarked ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Marked ({markedStudents.length})</button>
+                </div>
+                {!closure && makeUpCandidates.length > 0 && (
+                    <div className="flex flex-wrap items-center gap-2">
+                        <label htmlFor="make-up-student" className="text-sm font-medium text-gray-300">Make-up session:</label>
+                        <select id="make-up-student" value={makeUpStudentId} onChange={e => setMakeUpStudentId(e.target.value)} className="bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm">
+                            <option value="">Choose a student...</option>
+                            {makeUpCandidates.map(student => <option key={student.id} value={student.id}>{student.name}</option>)}
+                        </select>
+                        <button onClick={handleAddMakeUp} disabled={!makeUpStudentId} className="bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white text-sm font-semibold py-2 px-3 rounded-lg">Mark Present</button>
+                    </div>
+                )}
+                {isMarking && (
+                    <div className="flex flex-wrap items-center gap-2 pt-2 border-t border-gray-700">
+                        {selectedStudents.length > 0 ? (
+                            <>
+                                <span className="text-sm text-gray-300">{selectedStudents.length} selected:</span>
+                                {ATTENDANCE_STATUSES.filter(s => s.key !== 'cancelled').map(s => (
+                                    <button key={s.key} onClick={() => handleMarkSelected(s.key)} className={`py-1 px-2 rounded-md text-xs font-semibold ${statusStyles[s.key].selected}`}>Mark {s.label}</button>
+                                ))}
+                                <button onClick={() => setSelectedIds([])} className="text-xs text-gray-400 hover:text-white">Clear selection</button>
+                            </>
+                        ) : (
+                            <>
+                                <button onClick={() => setBulkOverrides({})} disabled={Boolean(bulkOverrides)} className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white text-sm font-semibold py-2 px-3 rounded-lg">
+                                    <CheckCircle2 size={16} /> Mark All {orderedStudents.length} Remaining Present
+                                </button>
+                                <button onClick={() => setSelectedIds(orderedStudents.map(student => student.id))} className="text-sm text-gray-300 hover:text-white">Select all</button>
+                            </>
+                        )}
+                        <span className="text-xs text-gray-500 ml-auto hidden md:inline">Keys: arrows move &bull; P present &bull; A absent &bull; L late &bull; N note &bull; Esc clear</span>
+                    </div>
+                )}
+                {isMarking && bulkOverrides && (
+                    <div className="bg-gray-900/50 p-3 rounded-lg">
+                        <p className="text-sm text-gray-300 mb-2">Everyone below will be marked present. Change anyone who isn't here first.</p>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2 max-h-72 overflow-y-auto">
+                            {orderedStudents.map(student => (
+                                <label key={student.id} className="flex items-center justify-between gap-2 bg-gray-800 p-2 rounded-md text-sm text-gray-200">
+                                    <span>{student.name}</span>
+                                    <select aria-label={`Status for ${student.name}`} value={bulkOverrides[student.id] ?? 'present'} onChange={e => setBulkOverrides({ ...bulkOverrides, [student.id]: e.target.value })} className="bg-gray-700 border-gray-600 rounded-md p-1 text-white text-xs">
+                                        {ATTENDANCE_STATUSES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+                                        <option value="">Leave unmarked</option>
+                                    </select>
+                                </label>
+                            ))}
+                        </div>
+                        <div className="flex justify-end gap-2 mt-3">
+                            <button onClick={() => setBulkOverrides(null)} className="bg-gray-600 hover:bg-gray-500 text-white text-sm font-semibold py-1 px-3 rounded-md">Cancel</button>
+                            <button onClick={handleMarkAllRemaining} className="bg-emerald-600 hover:bg-emerald-700 text-white text-sm font-semibold py-1 px-3 rounded-md">Save {bulkMarkCount} {bulkMarkCount === 1 ? 'Mark' : 'Marks'}</button>
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {showMarked ? (
+                markedStudents.length > 0 ? (
+                    <div className="space-y-2">
+                        {markedStudents.map(student => (
+                            <MarkedAttendanceRow key={student.id} student={student} dateStr={dateStr} isPendingSync={pendingAttendanceIds.includes(getAttendanceId(student.id, dateStr))} onSetAttendance={onSetAttendance} />
+                        ))}
+                    </div>
+                ) : (
+                    <div className="text-center py-16 bg-gray-800 rounded-lg">
+                        <Circle className="mx-auto h-12 w-12 text-gray-500" />
+                        <h3 className="mt-2 text-lg font-medium text-white">Nobody Marked Yet</h3>
+                        <p className="mt-1 text-sm text-gray-400">Students appear here once their attendance is recorded for this date.</p>
+                    </div>
+                )
+            ) : studentsToDisplay.length > 0 ? (
+                sessionGroups.groups.length > 0 ? (
+                    <div className="space-y-6">
+                        {sessionGroups.groups.map(({ session, students: sessionStudents }) => (
+                            <section key={session.id}>
+                                <div className="flex flex-wrap items-baseline gap-x-3 gap-y-1 mb-3">
+                                    <h3 className="text-lg font-semibold text-white">{formatSessionTime(session)}{session.ageGroup && ` · ${session.ageGroup}`}</h3>
+                                    {session.coachId && <span className="text-sm text-gray-400">Lead coach: {getCoachName(members, session.coachId)}</span>}
+                                    <span className="text-sm text-gray-400">{countEnrolled(students, session.id)} / {session.capacity} enrolled</span>
+                                </div>
+                                {renderCards(sessionStudents)}
+                            </section>
+                        ))}
+                        {sessionGroups.unassigned.length > 0 && (
+                            <section>
+                                <h3 className="text-lg font-semibold text-white mb-3">Other students</h3>
+                                {renderCards(sessionGroups.unassigned)}
+                            </section>
+                        )}
+                    </div>
+                ) : renderCards(studentsToDisplay)
+            ) : closure ? (
+                <div className="text-center py-16 bg-gray-800 rounded-lg">
+                    <CloudRain className="mx-auto h-12 w-12 text-sky-400" />
+                    <h3 className="mt-2 text-lg font-medium text-white">Closed: {closure.reason}</h3>
+                    <p className="mt-1 text-sm text-gray-400">Nobody needs marking today. Enrolled students get a make-up credit instead.</p>
+                    {can(role, 'manageClosures') && <Link to={closuresPath(dateKeyToMonthKey(dateStr))} className="inline-block mt-3 text-sm text-emerald-400 hover:underline">Manage closures</Link>}
+                </div>
+            ) : (
+                <div className="text-center py-16 bg-gray-800 rounded-lg">
+                    <CheckCircle2 className="mx-auto h-12 w-12 text-emerald-500" />
+                    <h3 className="mt-2 text-lg font-medium text-white">All Done!</h3>
+                    <p className="mt-1 text-sm text-gray-400">All enrolled students for today have been marked.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AttendanceRegister = ({ students, closures = [], monthKey, onMonthChange, onSetAttendance }) => {
+
+    // Inactive students stay on the register for months they attended.
+    const registerStudents = useMemo(() => {
+        return students
+            .filter(student => student.isActive || Object.keys(student.attendance || {}).some(date => dateKeyToMonthKey(date) === monthKey))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }, [students, monthKey]);
+
+    const register = useMemo(() => buildRegister(registerStudents, monthKey, getClosedDates(closures)), [registerStudents, monthKey, closures]);
+
+    const handleSetCell = (student, date, status) => {
+        onSetAttendance(student.id, date, status || null);
+    };
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-white mb-4">Monthly Register</h2>
+            <div className="bg-gray-800 p-4 rounded-lg mb-6 flex flex-col md:flex-row md:items-end justify-between gap-4">
+                <div>
+                    <label htmlFor="register-month" className="block text-sm font-medium text-gray-300 mb-2">Month:</label>
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => onMonthChange(addMonths(monthKey, -1))} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Previous month"><ChevronLeft className="h-5 w-5" /></button>
+                        <input id="register-month" type="month" value={monthKey} onChange={e => e.target.value && onMonthChange(e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2" />
+                        <button onClick={() => onMonthChange(addMonths(monthKey, 1))} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Next month"><ChevronRight className="h-5 w-5" /></button>
+                    </div>
+                </div>
+                <div className="flex flex-wrap gap-2 text-xs text-gray-400">
+                    {ATTENDANCE_STATUSES.map(s => (
+                        <span key={s.key} className={`px-2 py-1 font-bold rounded-full ${getStatusBadgeClass(s.key)}`}>{s.abbreviation} = {s.label}</span>
+                    ))}
+                </div>
+            </div>
+
+            {register.dates.length > 0 ? (
+                <div className="bg-gray-800 rounded-lg overflow-hidden">
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead className="bg-gray-700/50">
+                                <tr>
+                                    <th className="sticky left-0 bg-gray-800 px-4 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Student</th>
+                                    {register.dates.map(date => (
+                                        <th key={date} className="px-1 py-2 text-center text-xs font-medium text-gray-300">
+                                            <div>{formatDateKey(date, { weekday: 'short' })}</div>
+                                            <div className="text-white">{Number(date.slice(8))}</div>
+                                        </th>
+                                    ))}
+                                    <th className="px-4 py-3 text-center text-xs font-medium text-gray-300 uppercase tracking-wider">Total</th>
+                                </tr>
+                            </thead>
+                            <tbody className="divide-y divide-gray-700">
+                                {register.rows.map(row => (
+                                    <tr key={row.student.id} className="hover:bg-gray-700/30">
+                                        <td className="sticky left-0 bg-gray-800 px-4 py-2 whitespace-nowrap">
+                                            <Link to={studentPath(row.student.id)} className="text-white font-medium hover:text-emerald-300">{row.student.name}</Link>
+                                        </td>
+                                        {row.cells.map(cell => (
+                                            <td key={cell.date} className={`px-1 py-1 text-center ${cell.scheduled ? '' : 'bg-gray-900/40'}`}>
+                                                <select
+                                                    value={cell.status || ''}
+                                                    onChange={e => handleSetCell(row.student, cell.date, e.target.value)}
+                                                    title={`${row.student.name}, ${formatDateKey(cell.date)}${cell.scheduled ? '' : ' (not enrolled)'}`}
+                                                    className={`w-10 text-center text-xs font-bold rounded-md border-0 p-1 appearance-none cursor-pointer ${cell.status ? getStatusBadgeClass(cell.status) : cell.scheduled ? 'bg-gray-700 text-gray-400' : 'bg-transparent text-gray-600'}`}
+                                                >
+                                                    <option value="">{cell.scheduled ? '·' : ''}</option>
+                                                    {ATTENDANCE_STATUSES.map(s => <option key={s.key} value={s.key}>{s.abbreviation}</option>)}
+                                                </select>
+                                            </td>
+                                        ))}
+                                        <td className="px-4 py-2 text-center whitespace-nowrap text-gray-200 font-semibold">{row.attended} / {row.expected}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                            <tfoot className="bg-gray-700/50">
+                                <tr>
+                                    <td className="sticky left-0 bg-gray-800 px-4 py-2 text-xs font-medium text-gray-300 uppercase tracking-wider">Attended</td>
+                                    {register.columnTotals.map(total => (
+                                        <td key={total.date} className="px-1 py-2 text-center text-xs text-gray-200 font-semibold whitespace-nowrap">{total.attended}/{total.expected}</td>
+                                    ))}
+                                    <td className="px-4 py-2 text-center text-emerald-400 font-bold whitespace-nowrap">{register.attended} / {register.expected}</td>
+                                </tr>
+                            </tfoot>
+                        </table>
+                    </div>
+                </div>
+            ) : (
+                <div className="text-center py-16 bg-gray-800 rounded-lg">
+                    <ClipboardList className="mx-auto h-12 w-12 text-gray-500" />
+                    <h3 className="mt-2 text-lg font-medium text-white">No Sessions This Month</h3>
+                    <p className="mt-1 text-sm text-gray-400">Sessions appear here for every day students are enrolled, apart from closed days.</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ClosureCalendar = ({ closures, students, monthKey, today, onMonthChange, onAddClosure, onDeleteClosure }) => {
+    const [selectedDate, setSelectedDate] = useState(null);
+    const [reason, setReason] = useState(CLOSURE_REASONS[0]);
+
+    const monthDates = getMonthDates(monthKey);
+    // Blank cells before the 1st so the grid starts on a Monday.
+    const leadingBlanks = (SESSION_WEEKDAYS.indexOf(getWeekdayName(monthDates[0])) + 7) % 7;
+    const monthClosures = closures.filter(closure => dateKeyToMonthKey(closure.date) === monthKey);
+    const countAffected = (date) => students.filter(student => student.enrolledDays?.includes(getWeekdayName(date))).length;
+    const selectedClosure = selectedDate ? getClosure(closures, selectedDate) : null;
+
+    const handleSelectDate = (date) => {
+        setSelectedDate(date);
+        setReason(getClosure(closures, date)?.reason || CLOSURE_REASONS[0]);
+    };
+
+    const handleClose = (e) => {
+        e.preventDefault();
+        const closure = { date: selectedDate, reason: reason.trim() };
+        const validationError = validateClosure(closure);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        onAddClosure(closure);
+    };
+
+    const handleReopen = (date) => {
+        if (window.confirm(`Reopen the nets on ${formatDateKey(date)}? Make-up credits earned from this closure will be removed.`)) {
+            onDeleteClosure(date);
+        }
+    };
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-white mb-4">Closures</h2>
+            <div className="bg-gray-800 p-4 rounded-lg mb-6 flex flex-col md:flex-row md:items-end justify-between gap-4">
+                <div>
+                    <label htmlFor="closures-month" className="block text-sm font-medium text-gray-300 mb-2">Month:</label>
+                    <div className="flex items-center gap-2">
+                        <button onClick={() => onMonthChange(addMonths(monthKey, -1))} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Previous month"><ChevronLeft className="h-5 w-5" /></button>
+                        <input id="closures-month" type="month" value={monthKey} onChange={e => e.target.value && onMonthChange(e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2" />
+                        <button onClick={() => onMonthChange(addMonths(monthKey, 1))} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Next month"><ChevronRight className="h-5 w-5" /></button>
+                    </div>
+                </div>
+                <p className="text-sm text-gray-400 md:max-w-sm">Closed days are taken out of attendance. Every student enrolled that day gets a make-up credit to use on another day.</p>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div className="lg:col-span-2 bg-gray-800 rounded-lg p-4">
+                    <div className="grid grid-cols-7 gap-1 text-center text-xs font-medium text-gray-400 mb-1">
+                        {SESSION_WEEKDAYS.map(day => <div key={day}>{day.slice(0, 3)}</div>)}
+                    </div>
+                    <div className="grid grid-cols-7 gap-1">
+                        {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+                        {monthDates.map(date => {
+                            const closure = getClosure(closures, date);
+                            return (
+                                <button
+                                    key={date}
+                                    onClick={() => handleSelectDate(date)}
+                                    title={closure ? `Closed: ${closure.reason}` : formatDateKey(date)}
+                                    className={`h-16 rounded-md p-1 text-left text-xs transition-colors ${closure ? 'bg-sky-600/40 text-sky-100' : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700'} ${date === selectedDate ? 'ring-2 ring-emerald-400' : ''} ${date === today ? 'font-bold' : ''}`}
+                                >
+                                    <span className="block text-sm">{Number(date.slice(8))}</span>
+                                    {closure && <span className="block truncate">{closure.reason}</span>}
+                                </button>
+                            );
+                        })}
+                    </div>
+                </div>
+
+                <div className="space-y-6">
+                    <div className="bg-gray-800 rounded-lg p-4">
+                        {selectedDate ? (
+                            <form onSubmit={handleClose} className="space-y-3">
+                                <h3 className="font-bold text-lg text-white">{formatDateKey(selectedDate)}</h3>
+                                <p className="text-sm text-gray-400">{countAffected(selectedDate)} active student(s) enrolled on {getWeekdayName(selectedDate)}s.</p>
+                                <div>
+                                    <label htmlFor="closure-reason" className="block text-sm font-medium text-gray-300">Reason</label>
+                                    <input id="closure-reason" type="text" list="closure-reasons" value={reason} onChange={e => setReason(e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                                    <datalist id="closure-reasons">
+                                        {CLOSURE_REASONS.map(r => <option key={r} value={r} />)}
+                                    </datalist>
+                                </div>
+                                <div className="flex gap-2">
+                                    <button type="submit" className="bg-sky-600 hover:bg-sky-700 text-white font-semibold py-2 px-3 rounded-lg flex items-center gap-2"><CloudRain className="h-4 w-4" /> {selectedClosure ? 'Update' : 'Close the Nets'}</button>
+                                    {selectedClosure && <button type="button" onClick={() => handleReopen(selectedDate)} className="bg-gray-600 hover:bg-gray-500 text-white font-semibold py-2 px-3 rounded-lg">Reopen</button>}
+                                </div>
+                            </form>
+                        ) : (
+                            <p className="text-sm text-gray-400">Choose a day to close the nets.</p>
+                        )}
+                    </div>
+                    <div className="bg-gray-800 rounded-lg p-4">
+                        <h3 className="font-bold text-white mb-3">Closed in {formatMonth(monthKey)}</h3>
+                        {monthClosures.length > 0 ? (
+                            <div className="space-y-2">
+                                {monthClosures.map(closure => (
+                                    <div key={closure.date} className="bg-gray-900/50 p-2 rounded-md flex justify-between items-center text-sm">
+                                        <div>
+                                            <p className="text-white">{formatDateKey(closure.date)}</p>
+                                            <p className="text-xs text-gray-400">{closure.reason} &bull; {countAffected(closure.date)} student(s)</p>
+                                        </div>
+                                        <button onClick={() => handleReopen(closure.date)} title="Reopen"><Trash2 size={14} className="text-red-500 hover:text-red-400" /></button>
+                                    </div>
+                                ))}
+                            </div>
+                        ) : <p className="text-sm text-gray-400">No closures this month.</p>}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const WaiverCell = ({ status }) => {
+    if (status === 'signed') return <Check className="h-5 w-5 text-green-400 mx-auto" />;
+    if (status === 'missing') return <X className="h-5 w-5 text-red-400 mx-auto" />;
+    return <span className={`text-xs font-semibold ${status === 'expired' ? 'text-red-300' : 'text-orange-300'}`}>{status === 'expired' ? 'Expired' : 'Outdated version'}</span>;
+};
+
+// The search and status filter live in the query string (see routes.js).
+const StudentList = ({ students, currentWaiver = null, timeZone, role, filters, onFiltersChange, onLoadAttendance }) => {
+    const { search: searchTerm, status: statusFilter } = filters; // status: 'all', 'active', 'inactive'
+    const today = todayKey(timeZone);
+    const setSearchTerm = (search) => onFiltersChange({ ...filters, search });
+    const setStatusFilter = (status) => onFiltersChange({ ...filters, status });
+
+    const filteredStudents = useMemo(() => {
+        return students
+            .filter(student => {
+                if (statusFilter === 'all') return true;
+                if (statusFilter === 'active') return student.isActive;
+                if (statusFilter === 'inactive') return !student.isActive;
+                return true;
+            })
+            .filter(student => 
+                student.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
+                (student.parentName && student.parentName.toLowerCase().includes(searchTerm.toLowerCase()))
+            );
+    }, [students, searchTerm, statusFilter]);
+
+    // Exports cover the students currently shown by the filters.
+    // Only one month of attendance is loaded, so the attendance export fetches the rest first.
+    const handleExport = async (type) => {
+        if (type === 'roster') downloadFile(`cricnets-roster-${today}.csv`, rosterToCSV(filteredStudents, currentWaiver, today));
+        if (type === 'payments') downloadFile(`cricnets-payments-${today}.csv`, paymentsToCSV(filteredStudents, timeZone));
+        if (type === 'attendance') {
+            try {
+                const shownIds = new Set(filteredStudents.map(s => s.id));
+                const history = await onLoadAttendance();
+                downloadFile(`cricnets-attendance-${today}.csv`, attendanceToCSV(history.filter(s => shownIds.has(s.id))));
+            } catch (e) {
+                console.error("Error exporting attendance: ", e);
+                alert("Could not load the attendance history. Check your connection and try again.");
+            }
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex flex-col md:flex-row justify-between items-center mb-6 gap-4">
+                <h2 className="text-3xl font-bold text-white">Manage Students</h2>
+                {can(role, 'manageStudents') && <div className="flex flex-col md:flex-row gap-2 w-full md:w-auto">
+                    <Link to={IMPORT_STUDENTS_PATH} className="flex items-center justify-center gap-2 bg-gray-700 hover:bg-gray-600 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                        <Upload className="h-5 w-5" />
+                        <span>Import CSV</span>
+                    </Link>
+                    <Link to={NEW_STUDENT_PATH} className="flex items-center justify-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                        <UserPlus className="h-5 w-5" />
+                        <span>Add Student</span>
+                    </Link>
+                </div>}
+            </div>
+            <div className="mb-4 p-4 bg-gray-800 rounded-lg flex flex-col md:flex-row gap-4">
+                <div className="relative flex-grow">
+                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+                    <input 
+                        type="text"
+                        placeholder="Search by student or parent name..."
+                        value={searchTerm}
+                        onChange={e => setSearchTerm(e.target.value)}
+                        className="w-full bg-gray-700 border-gray-600 rounded-lg pl-10 pr-4 py-2 text-white"
+                    />
+                </div>
+                <div className="flex-shrink-0 bg-gray-700 rounded-lg p-1 flex">
+                    <button onClick={() => setStatusFilter('active')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${statusFilter === 'active' ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Active</button>
+                    <button onClick={() => setStatusFilter('inactive')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${statusFilter === 'inactive' ? 'bg-yellow-600 text-white' : 'text-gray-300'}`}>Inactive</button>
+                    <button onClick={() => setStatusFilter('all')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${statusFilter === 'all' ? 'bg-gray-500 text-white' : 'text-gray-300'}`}>All</button>
+                </div>
+            </div>
+            <div className="mb-4 flex flex-wrap items-center gap-2 text-sm">
+                <span className="text-gray-400">Export CSV:</span>
+                <button onClick={() => handleExport('roster')} className="flex items-center gap-1 bg-gray-800 hover:bg-gray-700 text-gray-200 font-semibold py-1 px-3 rounded-md"><Download size={14} /> Roster</button>
+                {can(role, 'viewPayments') && <button onClick={() => handleExport('payments')} className="flex items-center gap-1 bg-gray-800 hover:bg-gray-700 text-gray-200 font-semibold py-1 px-3 rounded-md"><Download size={14} /> Payments</button>}
+                <button onClick={() => handleExport('attendance')} className="flex items-center gap-1 bg-gray-800 hover:bg-gray-700 text-gray-200 font-semibold py-1 px-3 rounded-md"><Download size={14} /> Attendance</button>
+            </div>
+            <div className="bg-gray-800 rounded-lg overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-gray-700/50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Status</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Name</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Parent Name</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Package</th>
+                                <th className="px-6 py-3 text-center text-xs font-medium text-gray-300 uppercase tracking-wider">Waiver</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {filteredStudents.length > 0 ? filteredStudents.map(student => (
+                                <tr key={student.id} onClick={() => navigate(studentPath(student.id))} className="hover:bg-gray-700/50 cursor-pointer">
+                                    <td className="px-6 py-4"><Circle className={`h-4 w-4 ${student.isActive ? 'text-emerald-500' : 'text-yellow-500'}`} fill="currentColor" /></td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-white font-medium"><Link to={studentPath(student.id)} onClick={e => e.stopPropagation()} className="hover:text-emerald-300">{student.name}</Link></td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-gray-300">{student.parentName}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-gray-300">{student.package}</td>
+                                    <td className="px-6 py-4 whitespace-nowrap text-center">
+                                        <WaiverCell status={getWaiverStatus(student, currentWaiver, today)} />
+                                    </td>
+                                </tr>
+                            )) : (
+                               <tr><td colSpan="5" className="text-center py-10 text-gray-400">No students match your search.</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Every student's notes between two dates, searched by text, category and tag.
+// `range` is the dates being shown: the ones in `filters`, or the default range.
+const NotesSearch = ({ notes, students, filters, range, onFiltersChange }) => {
+    const setFilter = (name, value) => onFiltersChange({ ...filters, [name]: value });
+    const studentNames = useMemo(() => new Map(students.map(s => [s.id, s.name])), [students]);
+    const tags = useMemo(() => getNoteTags(notes), [notes]);
+    const results = filterNotes(notes, { ...filters, ...range });
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-white mb-6">Notes</h2>
+            <div className="mb-4 p-4 bg-gray-800 rounded-lg grid grid-cols-1 md:grid-cols-5 gap-4 items-end">
+                <div className="relative md:col-span-2">
+                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
+                    <input type="text" aria-label="Search notes" placeholder="Search note text or tags..." value={filters.query} onChange={e => setFilter('query', e.target.value)} className="w-full bg-gray-700 border-gray-600 rounded-md p-2 pl-10 text-white" />
+                </div>
+                <div className="grid grid-cols-2 gap-2">
+                    <NoteCategorySelect value={filters.category} onChange={value => setFilter('category', value)} emptyLabel="All categories" className="bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                    <select aria-label="Note tag" value={filters.tag} onChange={e => setFilter('tag', e.target.value)} className="bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm">
+                        <option value="">All tags</option>
+                        {tags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="notes-from" className="block text-xs font-medium text-gray-400">From</label>
+                    <input id="notes-from" type="date" value={range.from} max={range.to} onChange={e => e.target.value && setFilter('from', e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                </div>
+                <div>
+                    <label htmlFor="notes-to" className="block text-xs font-medium text-gray-400">To</label>
+                    <input id="notes-to" type="date" value={range.to} min={range.from} onChange={e => e.target.value && setFilter('to', e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                </div>
+            </div>
+            <p className="text-sm text-gray-400 mb-3">{results.length} {results.length === 1 ? 'note' : 'notes'} from {formatDateKey(range.from)} to {formatDateKey(range.to)}</p>
+            <div className="space-y-2">
+                {results.length > 0 ? results.map(note => (
+                    <div key={note.id} className="bg-gray-800 p-3 rounded-lg">
+                        <div className="flex flex-wrap items-center gap-2 mb-1">
+                            {studentNames.has(note.studentId)
+                                ? <Link to={studentPath(note.studentId)} className="font-semibold text-emerald-400 hover:text-emerald-300">{studentNames.get(note.studentId)}</Link>
+                                : <span className="font-semibold text-gray-400">Former student</span>}
+                            <span className="text-xs text-gray-400">{formatDateKey(note.date)}</span>
+                            <NoteLabels note={note} onSelectCategory={value => setFilter('category', value)} onSelectTag={value => setFilter('tag', value)} />
+                            {note.sharedWithParent && <span className="flex items-center gap-1 text-xs text-sky-300"><Eye size={12} /> Shared with parent</span>}
+                        </div>
+                        <p className="text-sm text-gray-200 whitespace-pre-wrap">{note.text}</p>
+                    </div>
+                )) : <p className="bg-gray-800 rounded-lg text-center py-10 text-gray-400">No notes match this search.</p>}
+            </div>
+        </div>
+    );
+};
+
+const PackageRow = ({ pkg, packages, enrolledCount, onUpdatePackage }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [formData, setFormData] = useState(pkg);
+
+    const handleSave = () => {
+        const validationError = validatePackage(formData, packages);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        onUpdatePackage(pkg.id, {
+            name: formData.name.trim(),
+            monthlyPrice: Number(formData.monthlyPrice),
+            sessionsPerWeek: Number(formData.sessionsPerWeek),
+        });
+        setIsEditing(false);
+    };
+
+    if (isEditing) {
+        return (
+            <tr className="bg-gray-700/30">
+                <td className="px-6 py-3"><input type="text" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} className="w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" /></td>
+                <td className="px-6 py-3"><input type="number" min="0" step="0.01" value={formData.monthlyPrice} onChange={e => setFormData({...formData, monthlyPrice: e.target.value})} className="w-28 bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" /></td>
+                <td className="px-6 py-3"><input type="number" min="1" max="7" value={formData.sessionsPerWeek} onChange={e => setFormData({...formData, sessionsPerWeek: e.target.value})} className="w-20 bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" /></td>
+                <td className="px-6 py-3 text-gray-300">{enrolledCount}</td>
+                <td className="px-6 py-3 text-right whitespace-nowrap">
+                    <button onClick={() => { setFormData(pkg); setIsEditing(false); }} className="text-xs text-gray-400 hover:text-white mr-3">Cancel</button>
+                    <button onClick={handleSave} className="text-xs bg-emerald-600 hover:bg-emerald-700 text-white font-semibold py-1 px-2 rounded">Save</button>
+                </td>
+            </tr>
+        );
+    }
+
+    return (
+        <tr className={pkg.isActive ? '' : 'opacity-60'}>
+            <td className="px-6 py-4 whitespace-nowrap text-white font-medium">{pkg.name}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-gray-300">{formatCurrency(pkg.monthlyPrice)}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-gray-300">{pkg.sessionsPerWeek}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-gray-300">{enrolledCount}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-right">
+                <div className="flex justify-end items-center gap-3">
+                    <button onClick={() => onUpdatePackage(pkg.id, { isActive: !pkg.isActive })} className={`px-2 py-1 text-xs font-bold rounded-full ${pkg.isActive ? 'bg-emerald-500/20 text-emerald-300' : 'bg-yellow-500/20 text-yellow-300'}`} title={pkg.isActive ? 'Retire package' : 'Reactivate package'}>
+                        {pkg.isActive ? 'Active' : 'Retired'}
+                    </button>
+                    <button onClick={() => { setFormData(pkg); setIsEditing(true); }} title="Edit Package"><Edit size={16} className="text-yellow-400 hover:text-yellow-300" /></button>
+                </div>
+            </td>
+        </tr>
+    );
+};
+
+const PackageManager = ({ packages, students, onAddPackage, onUpdatePackage }) => {
+    const [newPackage, setNewPackage] = useState(emptyPackage);
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const validationError = validatePackage(newPackage, packages);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        onAddPackage({
+            name: newPackage.name.trim(),
+            monthlyPrice: Number(newPackage.monthlyPrice),
+            sessionsPerWeek: Number(newPackage.sessionsPerWeek),
+            isActive: true,
+        });
+        setNewPackage(emptyPackage);
+    };
+
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-white mb-6">Packages</h2>
+            <form onSubmit={handleAdd} className="mb-4 p-4 bg-gray-800 rounded-lg grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                <div>
+                    <label htmlFor="package-name" className="block text-sm font-medium text-gray-300">Name</label>
+                    <input id="package-name" type="text" value={newPackage.name} onChange={e => setNewPackage({...newPackage, name: e.target.value})} placeholder="e.g. 2-day Juniors" className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                </div>
+                <div>
+                    <label htmlFor="package-price" className="block text-sm font-medium text-gray-300">Monthly Price</label>
+                    <input id="package-price" type="number" min="0" step="0.01" value={newPackage.monthlyPrice} onChange={e => setNewPackage({...newPackage, monthlyPrice: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                </div>
+                <div>
+                    <label htmlFor="package-sessions" className="block text-sm font-medium text-gray-300">Sessions per Week</label>
+                    <input id="package-sessions" type="number" min="1" max="7" value={newPackage.sessionsPerWeek} onChange={e => setNewPackage({...newPackage, sessionsPerWeek: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                </div>
+                <button type="submit" className="flex items-center justify-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                    <Plus className="h-5 w-5" />
+                    <span>Add Package</span>
+                </button>
+            </form>
+            <div className="bg-gray-800 rounded-lg overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-gray-700/50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Name</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Monthly Price</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Sessions / Week</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Students</th>
+                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-300 uppercase tracking-wider">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {packages.length > 0 ? packages.map(pkg => (
+                                <PackageRow
+                                    key={pkg.id}
+                                    pkg={pkg}
+                                    packages={packages}
+                                    enrolledCount={students.filter(s => findPackage(packages, s)?.id === pkg.id).length}
+                                    onUpdatePackage={onUpdatePackage}
+                                />
+                            )) : (
+                                <tr><td colSpan="5" className="text-center py-10 text-gray-400">No packages yet. Add one above to start enrolling students.</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// Time, capacity, lead coach and net fields shared by the add form and an edited row.
+const toSessionData = (formData, laneCount) => ({
+    weekday: formData.weekday,
+    startTime: formData.startTime,
+    endTime: formData.endTime,
+    ageGroup: formData.ageGroup.trim(),
+    capacity: Number(formData.capacity),
+    coachId: formData.coachId,
+    lanes: (formData.lanes || []).filter(lane => lane <= laneCount).sort((a, b) => a - b),
+});
+
+const getCoachName = (members, coachId) => {
+    if (!coachId) return null;
+    return members.find(m => m.id === coachId)?.displayName || 'Former coach';
+};
+
+const CoachSelect = ({ id, members, value, onChange, className, emptyLabel = 'No lead coach' }) => (
+    <select id={id} value={value} onChange={e => onChange(e.target.value)} className={className}>
+        <option value="">{emptyLabel}</option>
+        {members.map(m => <option key={m.id} value={m.id}>{m.displayName || 'Unnamed coach'}</option>)}
+    </select>
+);
+
+const LanePicker = ({ laneCount, value = [], onChange }) => (
+    <div className="flex flex-wrap gap-1">
+        {getLaneNumbers(laneCount).map(lane => (
+            <button type="button" key={lane} onClick={() => onChange(value.includes(lane) ? value.filter(l => l !== lane) : [...value, lane])} className={`w-8 h-8 rounded-md text-xs font-semibold transition-colors ${value.includes(lane) ? 'bg-emerald-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}`} title={`Net ${lane}`}>
+                {lane}
+            </button>
+        ))}
+    </div>
+);
+
+const SessionRow = ({ session, members, laneCount, enrolledCount, onUpdateSession }) => {
+    const [isEditing, setIsEditing] = useState(false);
+    const [formData, setFormData] = useState(session);
+
+    const handleSave = () => {
+        const validationError = validateSession(formData);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        onUpdateSession(session.id, toSessionData(formData, laneCount));
+        setIsEditing(false);
+    };
+
+    if (isEditing) {
+        const inputClass = "bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm";
+        return (
+            <tr className="bg-gray-700/30">
+                <td className="px-6 py-3">
+                    <select value={formData.weekday} onChange={e => setFormData({...formData, weekday: e.target.value})} className={inputClass}>
+                        {SESSION_WEEKDAYS.map(day => <option key={day} value={day}>{day}</option>)}
+                    </select>
+                </td>
+                <td className="px-6 py-3 whitespace-nowrap">
+                    <input type="time" value={formData.startTime} onChange={e => setFormData({...formData, startTime: e.target.value})} className={inputClass} />
+                    <span className="text-gray-400 mx-1">–</span>
+                    <input type="time" value={formData.endTime} onChange={e => setFormData({...formData, endTime: e.target.value})} className={inputClass} />
+                </td>
+                <td className="px-6 py-3"><input type="text" value={formData.ageGroup} onChange={e => setFormData({...formData, ageGroup: e.target.value})} className={`w-full ${inputClass}`} /></td>
+                <td className="px-6 py-3"><CoachSelect members={members} value={formData.coachId} onChange={coachId => setFormData({...formData, coachId})} className={inputClass} /></td>
+                {laneCount > 0 && <td className="px-6 py-3"><LanePicker laneCount={laneCount} value={formData.lanes} onChange={lanes => setFormData({...formData, lanes})} /></td>}
+                <td className="px-6 py-3 whitespace-nowrap text-gray-300">{enrolledCount} / <input type="number" min="1" value={formData.capacity} onChange={e => setFormData({...formData, capacity: e.target.value})} className={`w-20 ${inputClass}`} /></td>
+                <td className="px-6 py-3 text-right whitespace-nowrap">
+                    <button onClick={() => { setFormData(session); setIsEditing(false); }} className="text-xs text-gray-400 hover:text-white mr-3">Cancel</button>
+                    <button onClick={handleSave} className="text-xs bg-emerald-600 hover:bg-emerald-700 text-white font-semibold py-1 px-2 rounded">Save</button>
+                </td>
+            </tr>
+        );
+    }
+
+    const isFull = enrolledCount >= session.capacity;
+    return (
+        <tr className={session.isActive ? '' : 'opacity-60'}>
+            <td className="px-6 py-4 whitespace-nowrap text-white font-medium">{session.weekday}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-gray-300">{formatSessionTime(session)}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-gray-300">{session.ageGroup || '—'}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-gray-300">{getCoachName(members, session.coachId) || '—'}</td>
+            {laneCount > 0 && <td className="px-6 py-4 whitespace-nowrap text-gray-300">{session.lanes?.length > 0 ? session.lanes.join(', ') : '—'}</td>}
+            <td className={`px-6 py-4 whitespace-nowrap ${isFull ? 'text-yellow-300 font-semibold' : 'text-gray-300'}`}>{enrolledCount} / {session.capacity}{isFull && ' (full)'}</td>
+            <td className="px-6 py-4 whitespace-nowrap text-right">
+                <div className="flex justify-end items-center gap-3">
+                    <button onClick={() => onUpdateSession(session.id, { isActive: !session.isActive })} className={`px-2 py-1 text-xs font-bold rounded-full ${session.isActive ? 'bg-emerald-500/20 text-emerald-300' : 'bg-yellow-500/20 text-yellow-300'}`} title={session.isActive ? 'Retire session' : 'Reactivate session'}>
+                        {session.isActive ? 'Active' : 'Retired'}
+                    </button>
+                    <button onClick={() => { setFormData(session); setIsEditing(true); }} title="Edit Session"><Edit size={16} className="text-yellow-400 hover:text-yellow-300" /></button>
+                </div>
+            </td>
+        </tr>
+    );
+};
+
+const SessionManager = ({ sessions, students, members, laneCount = 0, onAddSession, onUpdateSession }) => {
+    const [newSession, setNewSession] = useState(emptySession);
+
+    const handleAdd = (e) => {
+        e.preventDefault();
+        const validationError = validateSession(newSession);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        onAddSession({ ...toSessionData(newSession, laneCount), isActive: true });
+        setNewSession(emptySession);
+    };
+
+    const inputClass = "mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white";
+    return (
+        <div>
+            <h2 className="text-3xl font-bold text-white mb-6">Training Sessions</h2>
+            <form onSubmit={handleAdd} className="mb-4 p-4 bg-gray-800 rounded-lg grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                <div>
+                    <label htmlFor="session-weekday" className="block text-sm font-medium text-gray-300">Day</label>
+                    <select id="session-weekday" value={newSession.weekday} onChange={e => setNewSession({...newSession, weekday: e.target.value})} className={inputClass}>
+                        {SESSION_WEEKDAYS.map(day => <option key={day} value={day}>{day}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="session-start" className="block text-sm font-medium text-gray-300">Starts</label>
+                    <input id="session-start" type="time" value={newSession.startTime} onChange={e => setNewSession({...newSession, startTime: e.target.value})} className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="session-end" className="block text-sm font-medium text-gray-300">Ends</label>
+                    <input id="session-end" type="time" value={newSession.endTime} onChange={e => setNewSession({...newSession, endTime: e.target.value})} className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="session-age-group" className="block text-sm font-medium text-gray-300">Age Group</label>
+                    <input id="session-age-group" type="text" value={newSession.ageGroup} onChange={e => setNewSession({...newSession, ageGroup: e.target.value})} placeholder="e.g. Under 11" className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="session-capacity" className="block text-sm font-medium text-gray-300">Capacity</label>
+                    <input id="session-capacity" type="number" min="1" value={newSession.capacity} onChange={e => setNewSession({...newSession, capacity: e.target.value})} className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="session-coach" className="block text-sm font-medium text-gray-300">Lead Coach</label>
+                    <CoachSelect id="session-coach" members={members} value={newSession.coachId} onChange={coachId => setNewSession({...newSession, coachId})} className={inputClass} />
+                </div>
+                {laneCount > 0 && (
+                    <div>
+                        <span className="block text-sm font-medium text-gray-300 mb-1">Nets Used</span>
+                        <LanePicker laneCount={laneCount} value={newSession.lanes} onChange={lanes => setNewSession({...newSession, lanes})} />
+                    </div>
+                )}
+                <button type="submit" className={`${laneCount > 0 ? '' : 'md:col-span-2 '}flex items-center justify-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg transition-colors`}>
+                    <Plus className="h-5 w-5" />
+                    <span>Add Session</span>
+                </button>
+            </form>
+            <div className="bg-gray-800 rounded-lg overflow-hidden">
+                <div className="overflow-x-auto">
+                    <table className="min-w-full">
+                        <thead className="bg-gray-700/50">
+                            <tr>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Day</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Time</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Age Group</th>
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Lead Coach</th>
+                                {laneCount > 0 && <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Nets</th>}
+                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Enrolled</th>
+                                <th className="px-6 py-3 text-right text-xs font-medium text-gray-300 uppercase tracking-wider">Status</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-700">
+                            {sessions.length > 0 ? sessions.map(session => (
+                                <SessionRow
+                                    key={session.id}
+                                    session={session}
+                                    members={members}
+                                    laneCount={laneCount}
+                                    enrolledCount={countEnrolled(students, session.id)}
+                                    onUpdateSession={onUpdateSession}
+                                />
+                            )) : (
+                                <tr><td colSpan={laneCount > 0 ? 7 : 6} className="text-center py-10 text-gray-400">No sessions yet. Students are enrolled by day until you add one.</td></tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
             </div>
-            <p className="text-gray-400 text-sm -mt-2">{student.package} Package</p>
-            
-            {!hasPaidCurrentMonth && (
-                <div className="flex items-center gap-2 text-red-400 bg-red-500/10 p-2 rounded-md text-sm">
-                    <AlertTriangle className="h-5 w-5" />
-                    <span className="font-semibold">Payment due for {currentMonthName}</span>
+        </div>
+    );
+};
+
+// Pixels per hour in the lane day view.
+const LANE_HOUR_HEIGHT = 48;
+
+const LaneBlock = ({ block, dayStart }) => {
+    const top = (timeToMinutes(block.startTime) - dayStart) / 60 * LANE_HOUR_HEIGHT;
+    const height = Math.max((timeToMinutes(block.endTime) - timeToMinutes(block.startTime)) / 60 * LANE_HOUR_HEIGHT, 18);
+    const colors = block.kind === 'session' ? 'bg-sky-600/70 border-sky-400' : 'bg-emerald-600/70 border-emerald-400';
+    const label = block.kind === 'session' ? (block.session.ageGroup || 'Session') : block.booking.hirerName;
+    return (
+        <div
+            className={`absolute left-1 right-1 rounded-md border px-2 py-1 text-xs text-white overflow-hidden ${colors} ${block.hasConflict ? 'ring-2 ring-red-500' : ''}`}
+            style={{ top, height }}
+            title={`${formatTime(block.startTime)}–${formatTime(block.endTime)} ${label}${block.hasConflict ? ' (double-booked)' : ''}`}
+        >
+            <p className="font-semibold truncate">{label}</p>
+            <p className="opacity-80 truncate">{block.kind === 'session' ? 'Coaching session' : `${formatTime(block.startTime)}–${formatTime(block.endTime)}`}</p>
+        </div>
+    );
+};
+
+const LaneDayView = ({ blocks, laneCount }) => {
+    const columns = groupBlocksByLane(blocks, laneCount);
+    const { from, to } = getDayHours(blocks);
+    const hours = Array.from({ length: to - from }, (_, i) => from + i);
+    const height = hours.length * LANE_HOUR_HEIGHT;
+    return (
+        <div className="bg-gray-800 rounded-lg p-4 overflow-x-auto">
+            <div className="flex min-w-max">
+                <div className="w-16 flex-shrink-0 pt-8">
+                    {hours.map(hour => (
+                        <div key={hour} className="text-xs text-gray-400 text-right pr-2" style={{ height: LANE_HOUR_HEIGHT }}>{formatTime(`${String(hour).padStart(2, '0')}:00`)}</div>
+                    ))}
+                </div>
+                {columns.map(column => (
+                    <div key={column.lane} className="w-40 flex-shrink-0 border-l border-gray-700">
+                        <div className="h-8 text-center text-sm font-semibold text-white">Net {column.lane}</div>
+                        <div className="relative" style={{ height }}>
+                            {hours.map((hour, i) => (
+                                <div key={hour} className="absolute left-0 right-0 border-t border-gray-700/60" style={{ top: i * LANE_HOUR_HEIGHT }} />
+                            ))}
+                            {column.blocks.map(block => <LaneBlock key={block.key} block={block} dayStart={from * 60} />)}
+                        </div>
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const BookingForm = ({ dateStr, students, laneCount, hourlyRate, closures, blocks, onSave, onCancel }) => {
+    const [formData, setFormData] = useState({ ...emptyBooking, hourlyRate });
+    const booking = { ...formData, date: dateStr, lane: Number(formData.lane) };
+    const conflicts = isTime(booking.startTime) && isTime(booking.endTime) ? findLaneConflicts(booking, blocks) : [];
+    const canPrice = isTime(booking.startTime) && isTime(booking.endTime) && booking.endTime > booking.startTime;
+    const amount = canPrice ? getBookingAmount(booking, Number(formData.hourlyRate) || 0) : 0;
+
+    const handleStudentChange = (studentId) => {
+        const student = students.find(s => s.id === studentId);
+        setFormData({ ...formData, studentId, hirerName: student?.name || '', contact: student ? getPrimaryContact(student) : '' });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const validationError = validateBooking(booking, laneCount, closures);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        if (conflicts.length > 0) {
+            alert(`Net ${booking.lane} is already taken at that time.`);
+            return;
+        }
+        onSave({
+            lane: booking.lane,
+            startTime: booking.startTime,
+            endTime: booking.endTime,
+            studentId: booking.studentId || null,
+            hirerName: booking.hirerName.trim(),
+            contact: booking.contact.trim(),
+            hourlyRate: Number(formData.hourlyRate) || 0,
+            amount,
+        });
+    };
+
+    const inputClass = "mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white";
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-800 p-4 rounded-lg mb-6 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div>
+                    <label htmlFor="booking-lane" className="block text-sm font-medium text-gray-300">Net</label>
+                    <select id="booking-lane" value={formData.lane} onChange={e => setFormData({...formData, lane: e.target.value})} className={inputClass}>
+                        {getLaneNumbers(laneCount).map(lane => <option key={lane} value={lane}>Net {lane}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label htmlFor="booking-start" className="block text-sm font-medium text-gray-300">Starts</label>
+                    <input id="booking-start" type="time" value={formData.startTime} onChange={e => setFormData({...formData, startTime: e.target.value})} className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="booking-end" className="block text-sm font-medium text-gray-300">Ends</label>
+                    <input id="booking-end" type="time" value={formData.endTime} onChange={e => setFormData({...formData, endTime: e.target.value})} className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="booking-rate" className="block text-sm font-medium text-gray-300">Rate per Hour</label>
+                    <input id="booking-rate" type="number" min="0" step="0.01" value={formData.hourlyRate} onChange={e => setFormData({...formData, hourlyRate: e.target.value})} className={inputClass} />
+                </div>
+                <div>
+                    <label htmlFor="booking-student" className="block text-sm font-medium text-gray-300">Hired By</label>
+                    <select id="booking-student" value={formData.studentId} onChange={e => handleStudentChange(e.target.value)} className={inputClass}>
+                        <option value="">Walk-in hirer</option>
+                        {students.map(s => <option key={s.id} value={s.id}>{s.name}</option>)}
+                    </select>
+                </div>
+                {!formData.studentId && (
+                    <>
+                        <div>
+                            <label htmlFor="booking-name" className="block text-sm font-medium text-gray-300">Hirer Name</label>
+                            <input id="booking-name" type="text" value={formData.hirerName} onChange={e => setFormData({...formData, hirerName: e.target.value})} className={inputClass} />
+                        </div>
+                        <div>
+                            <label htmlFor="booking-contact" className="block text-sm font-medium text-gray-300">Contact</label>
+                            <input id="booking-contact" type="text" value={formData.contact} onChange={e => setFormData({...formData, contact: e.target.value})} placeholder="Phone or email" className={inputClass} />
+                        </div>
+                    </>
+                )}
+            </div>
+            {conflicts.length > 0 && (
+                <p className="text-sm text-red-400 flex items-center gap-1">
+                    <AlertTriangle className="h-4 w-4" />
+                    Double-booked with {conflicts.map(block => block.kind === 'session' ? `a coaching session (${formatSessionTime(block.session)})` : `${block.booking.hirerName} (${formatTime(block.startTime)}–${formatTime(block.endTime)})`).join(', ')}.
+                </p>
+            )}
+            <div className="flex flex-wrap justify-between items-center gap-4">
+                <p className="text-emerald-400 font-semibold">{canPrice ? `${Number(getBookingHours(booking).toFixed(2))} hour(s) · ${formatCurrency(amount)}` : 'Choose a start and end time'}</p>
+                <div className="flex gap-4">
+                    <button type="button" onClick={onCancel} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg">Cancel</button>
+                    <button type="submit" disabled={conflicts.length > 0} className="bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2"><Save className="h-5 w-5" /> Book</button>
+                </div>
+            </div>
+        </form>
+    );
+};
+
+const LaneBookings = ({ dateStr, bookings, sessions, closures = [], students, laneCount, hourlyRate, pendingBookingIds = [], canConfigure, onDateChange, onAddBooking, onUpdateBooking, onDeleteBooking }) => {
+    const [isBooking, setIsBooking] = useState(false);
+
+    const closure = getClosure(closures, dateStr);
+    const blocks = useMemo(() => getLaneBlocks(dateStr, bookings, sessions, closures), [dateStr, bookings, sessions, closures]);
+    const dayBookings = useMemo(() => blocks
+        .filter(block => block.kind === 'booking')
+        .map(block => block.booking)
+        .sort((a, b) => a.startTime.localeCompare(b.startTime) || a.lane - b.lane), [blocks]);
+    const totals = dayBookings.reduce((sum, booking) => ({
+        hours: sum.hours + getBookingHours(booking),
+        amount: sum.amount + booking.amount,
+        unpaid: sum.unpaid + (booking.isPaid ? 0 : booking.amount),
+    }), { hours: 0, amount: 0, unpaid: 0 });
+
+    const handleSave = (bookingData) => {
+        onAddBooking({ ...bookingData, date: dateStr });
+        setIsBooking(false);
+    };
+
+    const handleCancelBooking = (booking) => {
+        if (window.confirm(`Cancel ${booking.hirerName}'s booking of net ${booking.lane} at ${formatTime(booking.startTime)}?`)) {
+            onDeleteBooking(booking.id);
+        }
+    };
+
+    return (
+        <div>
+            <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                <h2 className="text-3xl font-bold text-white">Net Bookings</h2>
+                {laneCount > 0 && !closure && !isBooking && (
+                    <button onClick={() => setIsBooking(true)} className="flex items-center justify-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg transition-colors">
+                        <Plus className="h-5 w-5" />
+                        <span>Book a Net</span>
+                    </button>
+                )}
+            </div>
+            <div className="bg-gray-800 p-4 rounded-lg mb-6 flex flex-wrap items-end gap-6">
+                <div>
+                    <label htmlFor="lanes-date" className="block text-sm font-medium text-gray-300 mb-2">Date:</label>
+                    <input id="lanes-date" type="date" value={dateStr} onChange={e => e.target.value && onDateChange(e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2" />
+                </div>
+                <p className="text-gray-300">{dayBookings.length} booking(s) · {Number(totals.hours.toFixed(2))} hour(s) · {formatCurrency(totals.amount)}{totals.unpaid > 0 && <span className="text-yellow-300"> ({formatCurrency(totals.unpaid)} unpaid)</span>}</p>
+                {closure && (
+                    <p className="text-sky-300 font-semibold flex items-center gap-2">
+                        <CloudRain className="h-5 w-5" /> The nets are closed on {formatDateKey(dateStr)}: {closure.reason}
+                    </p>
+                )}
+            </div>
+
+            {laneCount === 0 ? (
+                <div className="text-center py-16 bg-gray-800 rounded-lg">
+                    <Columns3 className="mx-auto h-12 w-12 text-gray-500" />
+                    <h3 className="mt-2 text-lg font-medium text-white">No Nets Set Up</h3>
+                    <p className="mt-1 text-sm text-gray-400">
+                        {canConfigure ? <>Set the number of nets and the hourly rate in <Link to={getViewPath('settings')} className="text-emerald-400 hover:underline">Settings</Link>.</> : 'Ask the academy owner to set up the nets in Settings.'}
+                    </p>
+                </div>
+            ) : (
+                <>
+                    {isBooking && !closure && <BookingForm dateStr={dateStr} students={students} laneCount={laneCount} hourlyRate={hourlyRate} closures={closures} blocks={blocks} onSave={handleSave} onCancel={() => setIsBooking(false)} />}
+                    <LaneDayView blocks={blocks} laneCount={laneCount} />
+                    {dayBookings.length > 0 && (
+                        <div className="mt-6 space-y-2">
+                            {dayBookings.map(booking => (
+                                <div key={booking.id} className="bg-gray-800 p-3 rounded-lg flex flex-wrap justify-between items-center gap-3">
+                                    <div>
+                                        <p className="text-white font-semibold">Net {booking.lane} · {formatTime(booking.startTime)}–{formatTime(booking.endTime)}</p>
+                                        <p className="text-sm text-gray-400">
+                                            {booking.studentId ? <Link to={studentPath(booking.studentId)} className="text-emerald-400 hover:underline">{booking.hirerName}</Link> : booking.hirerName}
+                                            {booking.contact && ` · ${booking.contact}`}
+                                        </p>
+                                    </div>
+                                    <div className="flex items-center gap-3">
+                                        {pendingBookingIds.includes(booking.id) && <UnsyncedBadge />}
+                                        <span className="text-gray-300">{formatCurrency(booking.amount)}</span>
+                                        <button onClick={() => onUpdateBooking(booking.id, { isPaid: !booking.isPaid })} className={`px-2 py-1 text-xs font-bold rounded-full ${booking.isPaid ? 'bg-emerald-500/20 text-emerald-300' : 'bg-yellow-500/20 text-yellow-300'}`} title={booking.isPaid ? 'Mark as unpaid' : 'Mark as paid'}>
+                                            {booking.isPaid ? 'Paid' : 'Unpaid'}
+                                        </button>
+                                        <button onClick={() => handleCancelBooking(booking)} title="Cancel Booking"><Trash2 size={16} className="text-red-500 hover:text-red-400" /></button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+const WAIVER_BADGE_CLASSES = {
+    signed: 'bg-green-500/20 text-green-300',
+    missing: 'bg-yellow-500/20 text-yellow-300',
+    expired: 'bg-red-500/20 text-red-300',
+    outdated: 'bg-orange-500/20 text-orange-300',
+};
+
+const WaiverBadge = ({ status }) => (
+    <span className={`px-2 py-1 text-xs font-bold rounded-full ${WAIVER_BADGE_CLASSES[status]}`}>{WAIVER_STATUSES[status].label}</span>
+);
+
+// Draws with a mouse, finger or pen. Reports the drawing as a PNG data URL, or
+// null once it has been cleared.
+const SignaturePad = ({ onChange }) => {
+    const canvasRef = useRef(null);
+    const lastPoint = useRef(null);
+
+    const getPoint = (e) => {
+        const rect = canvasRef.current.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvasRef.current.width / rect.width),
+            y: (e.clientY - rect.top) * (canvasRef.current.height / rect.height),
+        };
+    };
+
+    const handlePointerDown = (e) => {
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        lastPoint.current = getPoint(e);
+    };
+
+    const handlePointerMove = (e) => {
+        if (!lastPoint.current) return;
+        const context = canvasRef.current.getContext('2d');
+        if (!context) return;
+        const point = getPoint(e);
+        context.strokeStyle = '#111827';
+        context.lineWidth = 2.5;
+        context.lineCap = 'round';
+        context.beginPath();
+        context.moveTo(lastPoint.current.x, lastPoint.current.y);
+        context.lineTo(point.x, point.y);
+        context.stroke();
+        lastPoint.current = point;
+    };
+
+    const handlePointerUp = () => {
+        if (!lastPoint.current) return;
+        lastPoint.current = null;
+        onChange(canvasRef.current.toDataURL('image/png'));
+    };
+
+    const handleClear = () => {
+        canvasRef.current.getContext('2d')?.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
+        onChange(null);
+    };
+
+    return (
+        <div>
+            <canvas
+                ref={canvasRef}
+                width={600}
+                height={180}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerLeave={handlePointerUp}
+                className="w-full h-44 bg-white rounded-lg touch-none cursor-crosshair"
+                aria-label="Signature"
+            />
+            <div className="flex justify-between mt-1 text-xs text-gray-400">
+                <span>Sign above with your finger or mouse.</span>
+                <button type="button" onClick={handleClear} className="text-emerald-400 hover:underline">Clear</button>
+            </div>
+        </div>
+    );
+};
+
+// Handed to the parent on the coach's device, so it shows nothing but the waiver.
+const WaiverSigning = ({ student, waiver, expiresOn, onSign, onCancel }) => {
+    const [signerName, setSignerName] = useState(student.parentName || '');
+    const [signatureImage, setSignatureImage] = useState(null);
+    const [hasAgreed, setHasAgreed] = useState(false);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const problem = validateSignature({ signerName, signatureImage, hasAgreed });
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        onSign(student.id, { signerName: signerName.trim(), signatureImage });
+    };
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-lg max-w-2xl mx-auto">
+            <h2 className="text-2xl font-bold text-white">{waiver.title}</h2>
+            <p className="text-sm text-gray-400 mb-4">Version {waiver.version} &bull; for {student.name} &bull; valid until {formatDateKey(expiresOn, { year: 'numeric', month: 'long', day: 'numeric' })}</p>
+            <div className="bg-gray-900/50 p-4 rounded-lg text-gray-200 whitespace-pre-wrap max-h-80 overflow-y-auto mb-6">{waiver.text}</div>
+            <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                    <label htmlFor="signerName" className="block text-sm font-medium text-gray-300">Parent or Guardian's Full Name</label>
+                    <input id="signerName" type="text" value={signerName} onChange={e => setSignerName(e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                </div>
+                <SignaturePad onChange={setSignatureImage} />
+                <div className="flex items-start gap-2">
+                    <input id="waiver-agree" type="checkbox" checked={hasAgreed} onChange={e => setHasAgreed(e.target.checked)} className="mt-1 h-4 w-4 text-emerald-600 bg-gray-700 border-gray-600 rounded focus:ring-emerald-500" />
+                    <label htmlFor="waiver-agree" className="text-sm text-gray-300">I have read this waiver and agree to it on behalf of {student.name}.</label>
+                </div>
+                <div className="flex justify-end gap-4 pt-2">
+                    <button type="button" onClick={onCancel} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg">Cancel</button>
+                    <button type="submit" className="bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2"><PenLine className="h-5 w-5" /> Sign Waiver</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+const WaiverManager = ({ waivers, students, settings, today, timeZone, onPublish, onSaveSettings }) => {
+    const currentWaiver = getCurrentWaiver(waivers);
+    const [formData, setFormData] = useState(currentWaiver ? { title: currentWaiver.title, text: currentWaiver.text } : emptyWaiver);
+    const [shownVersionId, setShownVersionId] = useState(null);
+    const seasonStartMonth = getSeasonStartMonth(settings);
+
+    const statusCounts = useMemo(() => {
+        const counts = Object.fromEntries(Object.keys(WAIVER_STATUSES).map(key => [key, 0]));
+        students.filter(s => s.isActive).forEach(student => { counts[getWaiverStatus(student, currentWaiver, today)] += 1; });
+        return counts;
+    }, [students, currentWaiver, today]);
+
+    const isChanged = !currentWaiver || formData.title !== currentWaiver.title || formData.text !== currentWaiver.text;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const problem = validateWaiver(formData);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        if (currentWaiver && !window.confirm(`Publish this as version ${getNextVersion(waivers)}? Everyone who signed an earlier version will be asked to sign again.`)) return;
+        onPublish({ title: formData.title.trim(), text: formData.text.trim() });
+    };
+
+    return (
+        <div className="space-y-6">
+            <h2 className="text-3xl font-bold text-white">Liability Waiver</h2>
+
+            <div className="bg-gray-800 p-4 rounded-lg flex flex-wrap items-center gap-3 text-sm">
+                <span className="text-gray-300">{currentWaiver ? `Version ${currentWaiver.version} is current.` : 'No waiver has been published yet.'} Active students:</span>
+                {Object.keys(WAIVER_STATUSES).map(key => (
+                    <span key={key} className={`px-2 py-1 text-xs font-bold rounded-full ${WAIVER_BADGE_CLASSES[key]}`}>{WAIVER_STATUSES[key].label}: {statusCounts[key]}</span>
+                ))}
+            </div>
+
+            <form onSubmit={handleSubmit} className="bg-gray-800 p-6 rounded-lg space-y-4">
+                <h3 className="text-xl font-bold text-white">{currentWaiver ? 'Change the Wording' : 'Write the Waiver'}</h3>
+                <div>
+                    <label htmlFor="waiver-title" className="block text-sm font-medium text-gray-300">Title</label>
+                    <input id="waiver-title" type="text" value={formData.title} onChange={e => setFormData({ ...formData, title: e.target.value })} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                </div>
+                <div>
+                    <label htmlFor="waiver-text" className="block text-sm font-medium text-gray-300">Wording</label>
+                    <textarea id="waiver-text" rows="10" value={formData.text} onChange={e => setFormData({ ...formData, text: e.target.value })} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                </div>
+                <div className="flex justify-end">
+                    <button type="submit" disabled={!isChanged} className="bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2"><Save className="h-5 w-5" /> Publish Version {getNextVersion(waivers)}</button>
+                </div>
+            </form>
+
+            <div className="bg-gray-800 p-6 rounded-lg">
+                <label htmlFor="season-start" className="block text-sm font-medium text-gray-300">Season Starts In</label>
+                <select id="season-start" value={seasonStartMonth} onChange={e => onSaveSettings({ seasonStartMonth: Number(e.target.value) })} className="mt-1 bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white">
+                    {SEASON_MONTHS.map((month, index) => <option key={month} value={index + 1}>{month}</option>)}
+                </select>
+                <p className="mt-2 text-xs text-gray-400">Signed waivers expire at the end of the season. One signed today lasts until {formatDateKey(getSeasonEnd(today, seasonStartMonth), { year: 'numeric', month: 'long', day: 'numeric' })}.</p>
+            </div>
+
+            {waivers.length > 0 && (
+                <div className="bg-gray-800 p-6 rounded-lg">
+                    <h3 className="text-xl font-bold text-white mb-4">Versions</h3>
+                    <ul className="space-y-2">
+                        {waivers.map(waiver => (
+                            <li key={waiver.id} className="bg-gray-900/50 p-3 rounded-lg text-sm">
+                                <button onClick={() => setShownVersionId(shownVersionId === waiver.id ? null : waiver.id)} className="w-full flex justify-between text-left text-gray-200">
+                                    <span className="font-semibold">Version {waiver.version}: {waiver.title}</span>
+                                    <span className="text-gray-400">{formatTimestamp(waiver.createdAt, timeZone)}</span>
+                                </button>
+                                {shownVersionId === waiver.id && <p className="mt-2 text-gray-300 whitespace-pre-wrap">{waiver.text}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Offered in this order on the Reminders page. A new way of sending (an email
+// service, an SMS gateway) only needs to be added here; see reminders.js.
+const REMINDER_CHANNELS = [createLinkChannel()];
+
+const getChannelLabel = (channelId) => REMINDER_CHANNELS.find(channel => channel.id === channelId)?.label || channelId;
+
+const OutboxMessage = ({ message, channel, isPendingSync, onSend, onDelete }) => {
+    const problem = channel.getProblem(message);
+    return (
+        <div className="bg-gray-900/50 p-3 rounded-lg">
+            <div className="flex flex-wrap justify-between items-start gap-3">
+                <div>
+                    <p className="text-white font-semibold"><Link to={studentPath(message.studentId)} className="hover:underline">{message.studentName}</Link> <span className="text-gray-400 font-normal">· {message.to || 'No contact details'}</span></p>
+                    <p className="text-sm text-gray-300">{message.subject}</p>
+                </div>
+                <div className="flex items-center gap-3">
+                    {isPendingSync && <UnsyncedBadge />}
+                    {message.status === 'failed' && <span className="px-2 py-1 text-xs font-bold rounded-full bg-red-500/20 text-red-300" title={message.error}>Failed</span>}
+                    <button onClick={() => onSend(message)} disabled={Boolean(problem)} title={problem || `Send with ${channel.label}`} className="flex items-center gap-1 bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white text-sm font-semibold py-1 px-3 rounded-lg"><Send size={14} /> Send</button>
+                    <button onClick={() => onDelete(message.id)} title="Remove from outbox"><Trash2 size={16} className="text-red-500 hover:text-red-400" /></button>
+                </div>
+            </div>
+            <p className="mt-2 text-sm text-gray-400 whitespace-pre-wrap">{message.body}</p>
+            {message.status === 'failed' && message.error && <p className="mt-1 text-xs text-red-300">{message.error}</p>}
+        </div>
+    );
+};
+
+const PaymentReminders = ({ students, packages, outbox, settings, academyName, today, timeZone, pendingMessageIds = [], onSaveTemplate, onQueue, onSend, onDelete }) => {
+    const [template, setTemplate] = useState(() => getReminderTemplate(settings));
+    const [selectedIds, setSelectedIds] = useState(null);
+    const [channelId, setChannelId] = useState(REMINDER_CHANNELS[0].id);
+
+    const owing = useMemo(() => findStudentsOwing(students, packages, today), [students, packages, today]);
+    const waiting = outbox.filter(message => message.status !== 'sent');
+    const sent = outbox.filter(message => message.status === 'sent');
+    const waitingStudentIds = new Set(waiting.map(message => message.studentId));
+    // Everyone owing is ticked until the coach changes the selection, apart from those already waiting in the outbox.
+    const selected = selectedIds || new Set(owing.filter(({ student }) => !waitingStudentIds.has(student.id)).map(({ student }) => student.id));
+    const channel = REMINDER_CHANNELS.find(c => c.id === channelId);
+    const savedTemplate = getReminderTemplate(settings);
+    const isTemplateChanged = template.subject !== savedTemplate.subject || template.body !== savedTemplate.body;
+    const preview = owing.length > 0 ? buildReminder({ ...owing[0], template, academyName }) : null;
+
+    const toggleSelected = (studentId) => {
+        const next = new Set(selected);
+        if (next.has(studentId)) next.delete(studentId);
+        else next.add(studentId);
+        setSelectedIds(next);
+    };
+
+    const handleSaveTemplate = (e) => {
+        e.preventDefault();
+        const problem = validateReminderTemplate(template);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        onSaveTemplate({ subject: template.subject.trim(), body: template.body.trim() });
+    };
+
+    const handleQueue = () => {
+        const problem = validateReminderTemplate(template);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+        const toQueue = owing.filter(({ student }) => selected.has(student.id));
+        if (toQueue.some(({ student }) => waitingStudentIds.has(student.id))
+            && !window.confirm("Some of these parents already have a reminder waiting in the outbox. Queue another one anyway?")) {
+            return;
+        }
+        onQueue(toQueue.map(({ student, ledger }) => buildReminder({ student, ledger, template, academyName })));
+        setSelectedIds(new Set());
+    };
+
+    const selectedCount = owing.filter(({ student }) => selected.has(student.id)).length;
+
+    return (
+        <div className="space-y-6">
+            <h2 className="text-3xl font-bold text-white">Payment Reminders</h2>
+
+            <form onSubmit={handleSaveTemplate} className="bg-gray-800 p-6 rounded-lg space-y-4">
+                <h3 className="text-xl font-bold text-white">Message</h3>
+                <div>
+                    <label htmlFor="reminder-subject" className="block text-sm font-medium text-gray-300">Subject</label>
+                    <input id="reminder-subject" type="text" value={template.subject} onChange={e => setTemplate({ ...template, subject: e.target.value })} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                </div>
+                <div>
+                    <label htmlFor="reminder-body" className="block text-sm font-medium text-gray-300">Message</label>
+                    <textarea id="reminder-body" rows="4" value={template.body} onChange={e => setTemplate({ ...template, body: e.target.value })} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                    <p className="mt-1 text-xs text-gray-400">These are filled in for each student: {REMINDER_PLACEHOLDERS.join(', ')}</p>
+                </div>
+                {preview && (
+                    <div className="bg-gray-900/50 p-3 rounded-lg text-sm">
+                        <p className="text-xs text-gray-400 mb-1">Preview for {preview.studentName}</p>
+                        <p className="text-white font-semibold">{preview.subject}</p>
+                        <p className="text-gray-300 whitespace-pre-wrap">{preview.body}</p>
+                    </div>
+                )}
+                <div className="flex justify-end">
+                    <button type="submit" disabled={!isTemplateChanged} className="bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2"><Save className="h-5 w-5" /> Save Message</button>
+                </div>
+            </form>
+
+            <div className="bg-gray-800 p-6 rounded-lg">
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                    <h3 className="text-xl font-bold text-white">Payments Due</h3>
+                    <button onClick={handleQueue} disabled={selectedCount === 0} className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-600 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg">
+                        <Plus className="h-5 w-5" /> Queue {selectedCount} Reminder(s)
+                    </button>
+                </div>
+                {owing.length === 0 ? (
+                    <p className="text-gray-400">Nobody owes anything right now.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {owing.map(({ student, ledger }) => (
+                            <label key={student.id} className="flex items-start gap-3 bg-gray-900/50 p-3 rounded-lg cursor-pointer">
+                                <input type="checkbox" checked={selected.has(student.id)} onChange={() => toggleSelected(student.id)} className="mt-1" />
+                                <div className="flex-1">
+                                    <p className="text-white font-semibold">
+                                        {student.name}{student.isActive === false && <span className="text-gray-400 font-normal"> (inactive)</span>}
+                                        <span className="text-red-400"> · owes {formatCurrency(ledger.balance)}</span>
+                                    </p>
+                                    <p className="text-xs text-gray-400">
+                                        {ledger.unpaidMonths.map(m => formatMonth(m.month)).join(', ')} &bull; {getPrimaryContact(student) || 'No contact details'}
+                                        {student.lastRemindedAt && ` • last reminded ${formatTimestamp(student.lastRemindedAt, timeZone)}`}
+                                    </p>
+                                </div>
+                                {waitingStudentIds.has(student.id) && <span className="px-2 py-1 text-xs font-bold rounded-full bg-sky-500/20 text-sky-300">In outbox</span>}
+                            </label>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="bg-gray-800 p-6 rounded-lg">
+                <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+                    <h3 className="text-xl font-bold text-white">Outbox</h3>
+                    <div className="flex items-center gap-2">
+                        <label htmlFor="reminder-channel" className="text-sm text-gray-300">Send with</label>
+                        <select id="reminder-channel" value={channelId} onChange={e => setChannelId(e.target.value)} className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2 text-sm">
+                            {REMINDER_CHANNELS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+                        </select>
+                    </div>
+                </div>
+                {waiting.length === 0 ? (
+                    <p className="text-gray-400">No reminders waiting to be sent.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {waiting.map(message => (
+                            <OutboxMessage key={message.id} message={message} channel={channel} isPendingSync={pendingMessageIds.includes(message.id)} onSend={m => onSend(m, channel)} onDelete={onDelete} />
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {sent.length > 0 && (
+                <div className="bg-gray-800 p-6 rounded-lg">
+                    <h3 className="text-xl font-bold text-white mb-4">Sent</h3>
+                    <ul className="space-y-1 text-sm">
+                        {sent.map(message => (
+                            <li key={message.id} className="flex flex-wrap justify-between gap-2 text-gray-300">
+                                <span><Link to={studentPath(message.studentId)} className="text-emerald-400 hover:underline">{message.studentName}</Link> · {formatCurrency(message.amount)} for {message.months.map(formatMonth).join(', ')}</span>
+                                <span className="text-gray-400">{formatTimestamp(message.sentAt, timeZone)} via {getChannelLabel(message.channel)}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const AcademySettings = ({ settings, timeZone, onSave }) => {
+    const [selectedTimeZone, setSelectedTimeZone] = useState(timeZone);
+    const [laneCount, setLaneCount] = useState(getLaneCount(settings));
+    const [laneHourlyRate, setLaneHourlyRate] = useState(getHourlyRate(settings));
+    const timeZoneOptions = useMemo(() => {
+        const options = getTimeZoneOptions();
+        return options.includes(timeZone) ? options : [timeZone, ...options];
+    }, [timeZone]);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!isValidTimeZone(selectedTimeZone)) {
+            alert("Please choose a valid timezone.");
+            return;
+        }
+        const laneError = validateLaneSettings({ laneCount, laneHourlyRate });
+        if (laneError) {
+            alert(laneError);
+            return;
+        }
+        onSave({ timeZone: selectedTimeZone, laneCount: Number(laneCount), laneHourlyRate: Number(laneHourlyRate) });
+    };
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-lg max-w-2xl mx-auto">
+            <h2 className="text-2xl font-bold text-white mb-6">Academy Settings</h2>
+            <form onSubmit={handleSubmit} className="space-y-6">
+                <div>
+                    <label htmlFor="timeZone" className="block text-sm font-medium text-gray-300">Academy Timezone</label>
+                    <select id="timeZone" value={selectedTimeZone} onChange={e => setSelectedTimeZone(e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white">
+                        {timeZoneOptions.map(tz => <option key={tz} value={tz}>{tz}</option>)}
+                    </select>
+                    <p className="mt-2 text-xs text-gray-400">
+                        Attendance, notes and payment months are recorded on the academy's calendar, whatever timezone a coach's device is set to.
+                        {!settings?.timeZone && ' No timezone has been saved yet, so this device\'s timezone is being used.'}
+                    </p>
+                    {isValidTimeZone(selectedTimeZone) && (
+                        <p className="mt-1 text-sm text-emerald-400">Today at the academy: {formatDateKey(todayKey(selectedTimeZone))}</p>
+                    )}
                 </div>
-            )}
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div>
+                        <label htmlFor="laneCount" className="block text-sm font-medium text-gray-300">Number of Nets</label>
+                        <input type="number" id="laneCount" min="0" max="50" value={laneCount} onChange={e => setLaneCount(e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                    </div>
+                    <div>
+                        <label htmlFor="laneHourlyRate" className="block text-sm font-medium text-gray-300">Lane Hire per Hour</label>
+                        <input type="number" id="laneHourlyRate" min="0" step="0.01" value={laneHourlyRate} onChange={e => setLaneHourlyRate(e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                    </div>
+                    <p className="md:col-span-2 -mt-4 text-xs text-gray-400">Nets can be hired out from the Nets page when no session is using them.</p>
+                </div>
+                <div className="flex justify-end pt-4">
+                    <button type="submit" className="bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2"><Save className="h-5 w-5" /> Save</button>
+                </div>
+            </form>
+        </div>
+    );
+};
 
-            <div className="flex gap-2">
-                <button onClick={() => handleSetAttendance('present')} className={`flex-1 flex items-center justify-center gap-2 py-2 px-3 rounded-md text-sm font-semibold transition-colors ${attendanceStatus === 'present' ? 'bg-green-500 text-white' : 'bg-gray-700 hover:bg-gray-600'}`}>
-                    <CheckCircle2 size={16} /> Present
-                </button>
-                <button onClick={() => handleSetAttendance('absent')} className={`flex-1 flex items-center justify-center gap-2 py-2 px-3 rounded-md text-sm font-semibold transition-colors ${attendanceStatus === 'absent' ? 'bg-red-500 text-white' : 'bg-gray-700 hover:bg-gray-600'}`}>
-                    <XCircle size={16} /> Absent
-                </button>
-            </div>
+// Skills are retired rather than removed, so past assessments keep their names.
+const AssessmentRubric = ({ skills, onSave }) => {
+    const [draft, setDraft] = useState(skills);
+    const [newSkillName, setNewSkillName] = useState('');
 
-            <div className="flex gap-2">
-                <input type="text" value={note} onChange={e => setNote(e.target.value)} placeholder="Add daily note..." className="flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
-                <button onClick={handleAddNote} className="bg-emerald-600 hover:bg-emerald-700 text-white font-semibold p-2 rounded-lg flex items-center"><MessageSquarePlus size={16} /></button>
-            </div>
+    useEffect(() => {
+        setDraft(skills);
+    }, [skills]);
 
-            <button onClick={() => onSelectStudent(student.id)} className="mt-2 text-emerald-400 hover:text-emerald-300 text-sm font-semibold text-right">
-                View Full Profile &rarr;
-            </button>
+    const updateSkill = (id, changes) => setDraft(draft.map(skill => (skill.id === id ? { ...skill, ...changes } : skill)));
+
+    const handleAddSkill = () => {
+        const name = newSkillName.trim();
+        if (!name) return;
+        setDraft([...draft, { id: createSkillId(name, draft), name, description: '', isActive: true }]);
+        setNewSkillName('');
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const validationError = validateSkills(draft);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        onSave(draft.map(skill => ({ ...skill, name: skill.name.trim(), description: skill.description.trim() })));
+    };
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-lg max-w-2xl mx-auto">
+            <h2 className="text-2xl font-bold text-white mb-2">Assessment Rubric</h2>
+            <p className="text-sm text-gray-400 mb-6">The skills coaches score each student on, from 1 ({getScaleLabel(1)}) to {MAX_SCORE} ({getScaleLabel(MAX_SCORE)}).</p>
+            <form onSubmit={handleSubmit} className="space-y-3">
+                {draft.map(skill => (
+                    <div key={skill.id} className={`grid grid-cols-1 md:grid-cols-5 gap-2 items-center ${skill.isActive ? '' : 'opacity-50'}`}>
+                        <input type="text" aria-label="Skill name" value={skill.name} onChange={e => updateSkill(skill.id, { name: e.target.value })} className="md:col-span-2 bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                        <input type="text" aria-label={`What ${skill.name || 'this skill'} covers`} value={skill.description} onChange={e => updateSkill(skill.id, { description: e.target.value })} placeholder="What it covers" className="md:col-span-2 bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                        <button type="button" onClick={() => updateSkill(skill.id, { isActive: !skill.isActive })} className={`text-sm font-semibold ${skill.isActive ? 'text-red-400 hover:text-red-300' : 'text-emerald-400 hover:text-emerald-300'}`}>
+                            {skill.isActive ? 'Retire' : 'Restore'}
+                        </button>
+                    </div>
+                ))}
+                <div className="flex gap-2 pt-2">
+                    <input type="text" aria-label="New skill" value={newSkillName} onChange={e => setNewSkillName(e.target.value)} placeholder="e.g. Wicket keeping" className="flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                    <button type="button" onClick={handleAddSkill} className="flex items-center gap-1 bg-gray-700 hover:bg-gray-600 text-white font-semibold py-2 px-3 rounded-lg text-sm"><Plus className="h-4 w-4" /> Add Skill</button>
+                </div>
+                <div className="flex justify-end pt-4">
+                    <button type="submit" className="bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2"><Save className="h-5 w-5" /> Save Rubric</button>
+                </div>
+            </form>
         </div>
     );
 };
 
-const AttendanceCalendar = ({ students, onUpdateStudent, onSelectStudent }) => {
-    const [selectedDate, setSelectedDate] = useState(new Date());
-    const [searchTerm, setSearchTerm] = useState('');
-    const daysOfWeek = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-    
-    const handleDateChange = (e) => {
-        const dateString = e.target.value;
-        const [year, month, day] = dateString.split('-').map(Number);
-        setSelectedDate(new Date(year, month - 1, day));
+const StudentImport = ({ students, packages, onImport, onCancel }) => {
+    const [fileName, setFileName] = useState('');
+    const [headers, setHeaders] = useState([]);
+    const [dataRows, setDataRows] = useState([]);
+    const [mapping, setMapping] = useState({});
+    const [isImporting, setIsImporting] = useState(false);
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const rows = parseCSV(await file.text());
+        if (rows.length < 2) {
+            alert("That file has no student rows. The first line should be the column headers.");
+            return;
+        }
+        setFileName(file.name);
+        setHeaders(rows[0]);
+        setDataRows(rows.slice(1));
+        setMapping(guessColumnMapping(rows[0]));
     };
 
-    const dateStr = selectedDate.toISOString().split('T')[0];
-    const selectedDayName = daysOfWeek[selectedDate.getDay()];
+    const results = useMemo(() => validateRosterRows(dataRows, mapping, packages, students), [dataRows, mapping, packages, students]);
+    const validResults = results.filter(r => r.errors.length === 0);
+    const invalidCount = results.length - validResults.length;
 
-    const studentsToDisplay = useMemo(() => {
-        return students
-            .filter(student => student.enrolledDays?.includes(selectedDayName)) // Enrolled for the day
-            .filter(student => !student.attendance?.[dateStr]) // Not yet marked
-            .filter(student => student.name.toLowerCase().includes(searchTerm.toLowerCase())); // Matches search term
-    }, [students, selectedDayName, dateStr, searchTerm]);
+    const handleImport = async () => {
+        if (validResults.length === 0) return;
+        if (invalidCount > 0 && !window.confirm(`${invalidCount} row(s) have errors and will be skipped. Import the other ${validResults.length}?`)) {
+            return;
+        }
+        setIsImporting(true);
+        await onImport(validResults.map(r => r.student));
+        setIsImporting(false);
+    };
 
     return (
-        <div>
-            <h2 className="text-3xl font-bold text-white mb-4">Daily Attendance</h2>
-            <div className="bg-gray-800 p-4 rounded-lg mb-6 space-y-4">
+        <div className="bg-gray-800 p-6 rounded-lg max-w-5xl mx-auto">
+            <h2 className="text-2xl font-bold text-white mb-2">Import Students from CSV</h2>
+            <p className="text-sm text-gray-400 mb-6">The first line of the file must hold column headers. Nothing is saved until you confirm the import below.</p>
+            <div className="space-y-6">
                 <div>
-                    <label htmlFor="attendance-date" className="block text-sm font-medium text-gray-300 mb-2">Select Date:</label>
-                    <input
-                        id="attendance-date"
-                        type="date"
-                        value={selectedDate.toISOString().split('T')[0]}
-                        onChange={handleDateChange}
-                        className="bg-gray-700 border border-gray-600 text-white rounded-lg p-2 w-full md:w-auto"
-                    />
+                    <label htmlFor="import-file" className="block text-sm font-medium text-gray-300 mb-2">CSV File</label>
+                    <input id="import-file" type="file" accept=".csv,text/csv" onChange={handleFileChange} className="block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white hover:file:bg-gray-600" />
+                    {fileName && <p className="mt-1 text-xs text-gray-400">{fileName}: {dataRows.length} row(s)</p>}
                 </div>
-                 <div>
-                    <label htmlFor="search-attendance" className="block text-sm font-medium text-gray-300 mb-2">Find Student:</label>
-                    <div className="relative">
-                        <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
-                        <input
-                            id="search-attendance"
-                            type="text"
-                            placeholder="Search by name..."
-                            value={searchTerm}
-                            onChange={e => setSearchTerm(e.target.value)}
-                            className="w-full md:w-1/2 bg-gray-700 border-gray-600 rounded-lg pl-10 pr-4 py-2 text-white"
-                        />
+
+                {headers.length > 0 && (
+                    <>
+                        <div>
+                            <h3 className="font-bold text-lg text-white mb-3">Map Columns</h3>
+                            <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 gap-4">
+                                {ROSTER_FIELDS.map(field => (
+                                    <div key={field.key}>
+                                        <label htmlFor={`map-${field.key}`} className="block text-sm font-medium text-gray-300">{field.label}{field.required && ' *'}</label>
+                                        <select id={`map-${field.key}`} value={mapping[field.key] ?? -1} onChange={e => setMapping({ ...mapping, [field.key]: Number(e.target.value) })} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm">
+                                            <option value={-1}>(not imported)</option>
+                                            {headers.map((header, i) => <option key={i} value={i}>{header || `Column ${i + 1}`}</option>)}
+                                        </select>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div>
+                            <h3 className="font-bold text-lg text-white mb-1">Preview</h3>
+                            <p className="text-sm mb-3">
+                                <span className="text-green-300 font-semibold">{validResults.length} ready to import</span>
+                                {invalidCount > 0 && <span className="text-red-400 font-semibold"> &bull; {invalidCount} with errors</span>}
+                            </p>
+                            <div className="max-h-96 overflow-auto bg-gray-900/50 rounded-lg">
+                                <table className="min-w-full text-sm">
+                                    <thead className="bg-gray-700/50 sticky top-0">
+                                        <tr>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Row</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Name</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Package</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Days</th>
+                                            <th className="px-3 py-2 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Result</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody className="divide-y divide-gray-700">
+                                        {results.map(result => (
+                                            <tr key={result.rowNumber} className={result.errors.length > 0 ? 'bg-red-500/5' : ''}>
+                                                <td className="px-3 py-2 text-gray-400">{result.rowNumber}</td>
+                                                <td className="px-3 py-2 text-white">{result.student.name}</td>
+                                                <td className="px-3 py-2 text-gray-300">{result.student.package}</td>
+                                                <td className="px-3 py-2 text-gray-300">{result.student.enrolledDays.join(', ')}</td>
+                                                <td className="px-3 py-2">
+                                                    {result.errors.length > 0 ? (
+                                                        <ul className="text-xs text-red-300 space-y-1">
+                                                            {result.errors.map(err => <li key={err}>{err}</li>)}
+                                                        </ul>
+                                                    ) : <Check className="h-4 w-4 text-green-400" />}
+                                                </td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    </>
+                )}
+
+                <div className="flex justify-end gap-4 pt-4">
+                    <button type="button" onClick={onCancel} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg">Cancel</button>
+                    <button type="button" onClick={handleImport} disabled={validResults.length === 0 || isImporting} className="bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg flex items-center gap-2">
+                        <Upload className="h-5 w-5" /> {isImporting ? 'Importing...' : `Import ${validResults.length} Student(s)`}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const RestoreSummaryRow = ({ label, plan }) => (
+    <tr>
+        <td className="py-1 text-gray-300">{label}</td>
+        <td className="py-1 text-right text-green-300">{plan.toAdd.length}</td>
+        <td className="py-1 text-right text-yellow-300">{plan.toUpdate.length}</td>
+        <td className="py-1 text-right text-red-300">{plan.toDelete.length}</td>
+        <td className="py-1 text-right text-gray-400">{plan.unchanged.length}</td>
+    </tr>
+);
+
+const BackupRestore = ({ students, settings, timeZone, onLoadBackup, onRestore }) => {
+    const [backup, setBackup] = useState(null);
+    const [fileName, setFileName] = useState('');
+    const [mode, setMode] = useState('merge'); // 'merge', 'replace'
+    const [isRestoring, setIsRestoring] = useState(false);
+    // The academy as a backup would hold it, loaded when a backup is chosen so the preview compares like with like.
+    const [current, setCurrent] = useState(null);
+
+    const handleDownload = async () => {
+        try {
+            const snapshot = createBackup({ ...await onLoadBackup(), settings }, appId);
+            downloadFile(`cricnets-backup-${todayKey(timeZone)}.json`, JSON.stringify(snapshot, null, 2), 'application/json');
+        } catch (e) {
+            console.error("Error creating backup: ", e);
+            alert("Could not load every student's history for the backup. Check your connection and try again.");
+        }
+    };
+
+    const handleFileChange = async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        try {
+            const parsed = parseBackup(await file.text());
+            setCurrent(await onLoadBackup());
+            setBackup(parsed);
+            setFileName(file.name);
+        } catch (err) {
+            alert(err.message);
+            setBackup(null);
+            setFileName('');
+        }
+    };
+
+    const plan = useMemo(() => backup && current && planRestore(backup, current, mode), [backup, current, mode]);
+    const changeCount = plan ? countChanges(plan) : 0;
+
+    const handleRestore = async () => {
+        const warning = plan.students.toDelete.length > 0 ? ` ${plan.students.toDelete.length} student(s) will be permanently deleted.` : '';
+        if (!window.confirm(`Apply ${changeCount} change(s) from ${fileName}?${warning}`)) return;
+        setIsRestoring(true);
+        await onRestore(plan);
+        setIsRestoring(false);
+        setBackup(null);
+        setFileName('');
+    };
+
+    return (
+        <div className="bg-gray-800 p-6 rounded-lg max-w-2xl mx-auto">
+            <h2 className="text-2xl font-bold text-white mb-2">Backup &amp; Restore</h2>
+            <p className="text-sm text-gray-400 mb-6">A backup holds every student with their notes, payments, attendance, signed waivers and assessments, plus your packages, sessions, closures, waivers, lane bookings and settings.</p>
+            <div className="space-y-6">
+                <button onClick={handleDownload} className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg">
+                    <Archive className="h-5 w-5" /> Download Backup ({students.length} students)
+                </button>
+                <div>
+                    <label htmlFor="restore-file" className="block text-sm font-medium text-gray-300 mb-2">Restore from Backup</label>
+                    <input id="restore-file" type="file" accept=".json,application/json" onChange={handleFileChange} className="block w-full text-sm text-gray-300 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white hover:file:bg-gray-600" />
+                </div>
+                {plan && (
+                    <div className="bg-gray-900/50 p-4 rounded-lg space-y-4">
+                        <p className="text-sm text-gray-300">
+                            {fileName}: backup from {formatTimestamp(backup.exportedAt, timeZone)} with {backup.students.length} student(s).
+                        </p>
+                        <div className="bg-gray-700 rounded-lg p-1 inline-flex">
+                            <button onClick={() => setMode('merge')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${mode === 'merge' ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Merge</button>
+                            <button onClick={() => setMode('replace')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${mode === 'replace' ? 'bg-red-600 text-white' : 'text-gray-300'}`}>Replace</button>
+                        </div>
+                        <p className="text-xs text-gray-400">
+                            {mode === 'merge'
+                                ? 'Merge adds students from the backup and overwrites ones that exist in both. Everything else is kept.'
+                                : 'Replace makes this account match the backup exactly. Students not in the backup are deleted.'}
+                        </p>
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-xs text-gray-400 uppercase tracking-wider">
+                                    <th className="text-left py-1"></th>
+                                    <th className="text-right py-1">Added</th>
+                                    <th className="text-right py-1">Overwritten</th>
+                                    <th className="text-right py-1">Deleted</th>
+                                    <th className="text-right py-1">Unchanged</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                <RestoreSummaryRow label="Students" plan={plan.students} />
+                                <RestoreSummaryRow label="Packages" plan={plan.packages} />
+                                <RestoreSummaryRow label="Sessions" plan={plan.sessions} />
+                                <RestoreSummaryRow label="Closures" plan={plan.closures} />
+                                <RestoreSummaryRow label="Waivers" plan={plan.waivers} />
+                                <RestoreSummaryRow label="Signed Waivers" plan={plan.signatures} />
+                                <RestoreSummaryRow label="Assessments" plan={plan.assessments} />
+                                <RestoreSummaryRow label="Lane Bookings" plan={plan.bookings} />
+                            </tbody>
+                        </table>
+                        {plan.students.toUpdate.length + plan.students.toDelete.length > 0 && (
+                            <p className="text-xs text-gray-400">
+                                {plan.students.toUpdate.length > 0 && <>Overwritten: {plan.students.toUpdate.map(s => s.name).join(', ')}. </>}
+                                {plan.students.toDelete.length > 0 && <span className="text-red-300">Deleted: {plan.students.toDelete.map(s => s.name).join(', ')}.</span>}
+                            </p>
+                        )}
+                        <div className="flex justify-end gap-4">
+                            <button onClick={() => { setBackup(null); setFileName(''); }} className="bg-gray-600 hover:bg-gray-500 text-white font-bold py-2 px-4 rounded-lg">Cancel</button>
+                            <button onClick={handleRestore} disabled={changeCount === 0 || isRestoring} className={`${mode === 'replace' ? 'bg-red-600 hover:bg-red-700' : 'bg-emerald-600 hover:bg-emerald-700'} disabled:opacity-50 disabled:cursor-not-allowed text-white font-bold py-2 px-4 rounded-lg`}>
+                                {isRestoring ? 'Restoring...' : changeCount === 0 ? 'Nothing to Restore' : `Restore ${changeCount} Change(s)`}
+                            </button>
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+const AcademyMembers = ({ academy, members, invites, userId, role, timeZone, onCreateInvite, onRevokeInvite, onRemoveMember, onUpdateAcademy, onUpdateMemberName, onJoinAcademy, onLeaveAcademy }) => {
+    const currentMember = members.find(m => m.id === userId);
+    const [academyName, setAcademyName] = useState(academy?.name || '');
+    const [displayName, setDisplayName] = useState(currentMember?.displayName || '');
+    const [inviteCode, setInviteCode] = useState('');
+    const [joinName, setJoinName] = useState(currentMember?.displayName || '');
+    const [joinError, setJoinError] = useState('');
+    const [isJoining, setIsJoining] = useState(false);
+
+    const canManageMembers = can(role, 'manageMembers');
+    const isOwnAcademy = academy?.id === userId;
+    const openInvites = invites
+        .filter(invite => !invite.usedBy && new Date(invite.expiresAt) > new Date())
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    const sortedMembers = [...members].sort((a, b) => (a.role === b.role ? (a.displayName || '').localeCompare(b.displayName || '') : a.role === 'owner' ? -1 : 1));
+
+    const handleJoin = async (e) => {
+        e.preventDefault();
+        if (!inviteCode.trim() || !joinName.trim()) {
+            setJoinError("Please enter your name and the invite code.");
+            return;
+        }
+        setIsJoining(true);
+        const problem = await onJoinAcademy(inviteCode, joinName.trim());
+        setIsJoining(false);
+        setJoinError(problem || '');
+        if (!problem) setInviteCode('');
+    };
+
+    const handleRemove = (member) => {
+        if (window.confirm(`Remove ${member.displayName || 'this coach'} from ${academy?.name}? They will lose access straight away.`)) {
+            onRemoveMember(member.id);
+        }
+    };
+
+    const handleLeave = () => {
+        if (window.confirm(`Leave ${academy?.name}? You will need a new invite code to rejoin.`)) {
+            onLeaveAcademy();
+        }
+    };
+
+    return (
+        <div className="space-y-6 max-w-2xl mx-auto">
+            <div className="bg-gray-800 p-6 rounded-lg">
+                <h2 className="text-2xl font-bold text-white mb-6">Academy</h2>
+                <div className="space-y-4">
+                    <div>
+                        <label htmlFor="academy-name" className="block text-sm font-medium text-gray-300">Academy Name</label>
+                        {canManageMembers ? (
+                            <div className="mt-1 flex gap-2">
+                                <input id="academy-name" type="text" value={academyName} onChange={e => setAcademyName(e.target.value)} className="flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                                <button onClick={() => academyName.trim() && onUpdateAcademy({ name: academyName.trim() })} className="bg-emerald-600 hover:bg-emerald-700 text-white font-semibold px-3 rounded-lg" title="Save Academy Name"><Save className="h-5 w-5" /></button>
+                            </div>
+                        ) : <p className="mt-1 text-white">{academy?.name}</p>}
+                    </div>
+                    <div>
+                        <label htmlFor="member-name" className="block text-sm font-medium text-gray-300">Your Name</label>
+                        <div className="mt-1 flex gap-2">
+                            <input id="member-name" type="text" value={displayName} onChange={e => setDisplayName(e.target.value)} className="flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                            <button onClick={() => displayName.trim() && onUpdateMemberName(displayName.trim())} className="bg-emerald-600 hover:bg-emerald-700 text-white font-semibold px-3 rounded-lg" title="Save Your Name"><Save className="h-5 w-5" /></button>
+                        </div>
+                        <p className="mt-1 text-xs text-gray-400">Your role: {getRoleLabel(role)}</p>
                     </div>
                 </div>
-                <p className="pt-2 text-lg text-emerald-400 font-semibold">
-                    {studentsToDisplay.length} student(s) pending attendance for: {selectedDate.toDateString()}
-                </p>
             </div>
 
-            {studentsToDisplay.length > 0 ? (
-                <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-                    {studentsToDisplay.map(student => (
-                        <StudentAttendanceCard key={student.id} student={student} selectedDate={selectedDate} onUpdateStudent={onUpdateStudent} onSelectStudent={onSelectStudent} />
+            <div className="bg-gray-800 p-6 rounded-lg">
+                <h3 className="font-bold text-lg text-white mb-3">Coaches</h3>
+                <div className="space-y-2">
+                    {sortedMembers.map(member => (
+                        <div key={member.id} className="bg-gray-900/50 p-3 rounded-md flex justify-between items-center text-sm">
+                            <div>
+                                <p className="text-white font-semibold">{member.displayName || 'Unnamed coach'}{member.id === userId && ' (you)'}</p>
+                                <p className="text-xs text-gray-400">{getRoleLabel(member.role)} &bull; joined {formatTimestamp(member.joinedAt, timeZone)}</p>
+                            </div>
+                            {canManageMembers && member.id !== userId && (
+                                <button onClick={() => handleRemove(member)} title="Remove Coach"><Trash2 size={16} className="text-red-500 hover:text-red-400" /></button>
+                            )}
+                        </div>
                     ))}
                 </div>
-            ) : (
-                <div className="text-center py-16 bg-gray-800 rounded-lg">
-                    <CheckCircle2 className="mx-auto h-12 w-12 text-emerald-500" />
-                    <h3 className="mt-2 text-lg font-medium text-white">All Done!</h3>
-                    <p className="mt-1 text-sm text-gray-400">All enrolled students for today have been marked.</p>
+            </div>
+
+            {canManageMembers && (
+                <div className="bg-gray-800 p-6 rounded-lg">
+                    <div className="flex justify-between items-center mb-3">
+                        <h3 className="font-bold text-lg text-white">Invite an Assistant Coach</h3>
+                        <button onClick={onCreateInvite} className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold py-1 px-3 rounded-lg text-sm">
+                            <Plus className="h-4 w-4" /> New Code
+                        </button>
+                    </div>
+                    <p className="text-xs text-gray-400 mb-3">Assistants can mark attendance and add notes. They can't see payments or delete students. Each code works once and expires after {INVITE_LIFETIME_DAYS} days.</p>
+                    <div className="space-y-2">
+                        {openInvites.length > 0 ? openInvites.map(invite => (
+                            <div key={invite.code} className="bg-gray-900/50 p-3 rounded-md flex justify-between items-center">
+                                <div>
+                                    <p className="font-mono text-lg tracking-widest text-emerald-300">{invite.code}</p>
+                                    <p className="text-xs text-gray-400">Expires {formatTimestamp(invite.expiresAt, timeZone)}</p>
+                                </div>
+                                <div className="flex gap-3">
+                                    <button onClick={() => navigator.clipboard?.writeText(invite.code)} title="Copy Code"><Copy size={16} className="text-gray-300 hover:text-white" /></button>
+                                    <button onClick={() => onRevokeInvite(invite.code)} title="Revoke Code"><Trash2 size={16} className="text-red-500 hover:text-red-400" /></button>
+                                </div>
+                            </div>
+                        )) : <p className="text-sm text-gray-400 text-center py-4">No open invite codes.</p>}
+                    </div>
                 </div>
             )}
+
+            <div className="bg-gray-800 p-6 rounded-lg">
+                <h3 className="font-bold text-lg text-white mb-3">Join Another Academy</h3>
+                <form onSubmit={handleJoin} className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    <input type="text" value={joinName} onChange={e => setJoinName(e.target.value)} placeholder="Your name" className="bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                    <input type="text" value={inviteCode} onChange={e => setInviteCode(e.target.value)} placeholder="Invite code" className="bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm font-mono uppercase" />
+                    <button type="submit" disabled={isJoining} className="bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white font-semibold p-2 rounded-lg">{isJoining ? 'Joining...' : 'Join'}</button>
+                </form>
+                {joinError && <p className="mt-2 text-sm text-red-400">{joinError}</p>}
+                <p className="mt-2 text-xs text-gray-400">Joining switches you to that academy. Your own academy and its students are kept.</p>
+                {!isOwnAcademy && (
+                    <button onClick={handleLeave} className="mt-4 flex items-center gap-2 text-sm text-red-400 hover:text-red-300 font-semibold">
+                        <LogOut className="h-4 w-4" /> Leave {academy?.name} and return to my academy
+                    </button>
+                )}
+            </div>
         </div>
     );
 };
 
-const StudentList = ({ students, onSelectStudent, onAddStudent }) => {
-    const [searchTerm, setSearchTerm] = useState('');
-    const [statusFilter, setStatusFilter] = useState('active'); // 'all', 'active', 'inactive'
+// Email and password, or a one-time link sent to the email. Used both to sign in
+// and to save a guest session to an account.
+const CredentialForm = ({ passwordLabel, onSubmitPassword, onSendEmailLink }) => {
+    const [method, setMethod] = useState('password');
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [formError, setFormError] = useState('');
+    const [linkSentTo, setLinkSentTo] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
 
-    const filteredStudents = useMemo(() => {
-        return students
-            .filter(student => {
-                if (statusFilter === 'all') return true;
-                if (statusFilter === 'active') return student.isActive;
-                if (statusFilter === 'inactive') return !student.isActive;
-                return true;
-            })
-            .filter(student => 
-                student.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                (student.parentName && student.parentName.toLowerCase().includes(searchTerm.toLowerCase()))
-            );
-    }, [students, searchTerm, statusFilter]);
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        const problem = method === 'password' ? await onSubmitPassword(email, password) : await onSendEmailLink(email);
+        setIsSubmitting(false);
+        setFormError(problem || '');
+        if (!problem && method === 'link') setLinkSentTo(email.trim());
+    };
+
+    if (linkSentTo) {
+        return (
+            <div className="bg-gray-900/50 p-4 rounded-md text-sm text-gray-300">
+                <p>We sent a sign-in link to <span className="text-white font-semibold">{linkSentTo}</span>. Open it on this device to finish.</p>
+                <button onClick={() => setLinkSentTo('')} className="mt-2 text-emerald-400 hover:underline">Use a different email</button>
+            </div>
+        );
+    }
 
     return (
-        <div>
-            <div className="flex flex-col md:flex-row justify-between items-center mb-6 gap-4">
-                <h2 className="text-3xl font-bold text-white">Manage Students</h2>
-                <button onClick={onAddStudent} className="flex items-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-2 px-4 rounded-lg transition-colors w-full md:w-auto">
-                    <UserPlus className="h-5 w-5" />
-                    <span>Add Student</span>
+        <form onSubmit={handleSubmit} className="space-y-3">
+            <div className="flex bg-gray-700 rounded-lg p-1 text-sm">
+                <button type="button" onClick={() => { setMethod('password'); setFormError(''); }} className={`flex-1 flex items-center justify-center gap-2 py-1 rounded-md ${method === 'password' ? 'bg-emerald-500 text-white' : 'text-gray-300'}`}><KeyRound className="h-4 w-4" /> Password</button>
+                <button type="button" onClick={() => { setMethod('link'); setFormError(''); }} className={`flex-1 flex items-center justify-center gap-2 py-1 rounded-md ${method === 'link' ? 'bg-emerald-500 text-white' : 'text-gray-300'}`}><Mail className="h-4 w-4" /> Email Link</button>
+            </div>
+            <input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="Email" autoComplete="email" className="w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+            {method === 'password' && (
+                <input type="password" value={password} onChange={e => setPassword(e.target.value)} placeholder="Password" autoComplete="current-password" className="w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+            )}
+            {formError && <p className="text-sm text-red-400">{formError}</p>}
+            <button type="submit" disabled={isSubmitting} className="w-full bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white font-semibold p-2 rounded-lg">
+                {isSubmitting ? 'Please wait...' : method === 'password' ? passwordLabel : 'Email Me a Link'}
+            </button>
+        </form>
+    );
+};
+
+const SignInScreen = ({ notice, isDemo, onSignIn, onCreateAccount, onSendEmailLink, onContinueAsGuest, onStartDemo }) => {
+    const [isCreating, setIsCreating] = useState(false);
+    const [guestError, setGuestError] = useState('');
+
+    const handleGuest = async () => {
+        setGuestError(await onContinueAsGuest() || '');
+    };
+
+    return (
+        <div className="flex items-center justify-center min-h-screen bg-gray-900 text-gray-100 p-4 font-sans">
+            <div className="w-full max-w-sm bg-gray-800 p-6 rounded-lg">
+                <h1 className="text-2xl font-bold text-emerald-400">Cricnets</h1>
+                <p className="text-sm text-gray-400 mb-6">{isCreating ? 'Create a coach account' : 'Sign in to your academy'}</p>
+                {notice && <p className="mb-4 text-sm text-yellow-300 bg-yellow-500/10 p-3 rounded-md">{notice}</p>}
+                {isDemo && <p className="mb-4 text-sm text-purple-200 bg-purple-500/10 p-3 rounded-md">This is the demo. Any email and password will take you back to the demo academy.</p>}
+                <CredentialForm
+                    key={isCreating ? 'create' : 'signIn'}
+                    passwordLabel={isCreating ? 'Create Account' : 'Sign In'}
+                    onSubmitPassword={isCreating ? onCreateAccount : onSignIn}
+                    onSendEmailLink={onSendEmailLink}
+                />
+                <button onClick={() => setIsCreating(!isCreating)} className="mt-4 text-sm text-emerald-400 hover:underline">
+                    {isCreating ? 'Already have an account? Sign in' : 'New here? Create an account'}
                 </button>
+                <div className="mt-6 pt-4 border-t border-gray-700">
+                    <button onClick={handleGuest} className="flex items-center gap-2 text-sm text-gray-300 hover:text-white font-semibold">
+                        <LogIn className="h-4 w-4" /> Continue as guest
+                    </button>
+                    <p className="mt-1 text-xs text-gray-400">A guest academy lives in this browser only. You can save it to an email later.</p>
+                    {guestError && <p className="mt-2 text-sm text-red-400">{guestError}</p>}
+                </div>
+                {!isDemo && (
+                    <div className="mt-4 pt-4 border-t border-gray-700">
+                        <button onClick={onStartDemo} className="flex items-center gap-2 text-sm text-purple-300 hover:text-purple-200 font-semibold">
+                            <PlayCircle className="h-4 w-4" /> Try the demo
+                        </button>
+                        <p className="mt-1 text-xs text-gray-400">Look around a sample academy. Nothing is sent anywhere.</p>
+                    </div>
+                )}
             </div>
-            <div className="mb-4 p-4 bg-gray-800 rounded-lg flex flex-col md:flex-row gap-4">
-                <div className="relative flex-grow">
-                    <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-5 w-5 text-gray-400" />
-                    <input 
-                        type="text"
-                        placeholder="Search by student or parent name..."
-                        value={searchTerm}
-                        onChange={e => setSearchTerm(e.target.value)}
-                        className="w-full bg-gray-700 border-gray-600 rounded-lg pl-10 pr-4 py-2 text-white"
-                    />
+        </div>
+    );
+};
+
+const AccountPanel = ({ account, notice, onCreateAccount, onSendEmailLink, onSignOut }) => {
+    const handleSignOut = () => {
+        const message = account.isAnonymous
+            ? "You are in a guest session. If you sign out before saving it to an email, you will lose access to this academy for good. Sign out anyway?"
+            : "Sign out of Cricnets on this device?";
+        if (window.confirm(message)) onSignOut();
+    };
+
+    return (
+        <div className="space-y-6 max-w-2xl mx-auto">
+            <div className="bg-gray-800 p-6 rounded-lg">
+                <h2 className="text-2xl font-bold text-white mb-4">Account</h2>
+                {notice && <p className="mb-4 text-sm text-yellow-300 bg-yellow-500/10 p-3 rounded-md">{notice}</p>}
+                <p className="text-gray-300">{account.isAnonymous ? 'Guest session' : <>Signed in as <span className="text-white font-semibold">{account.email}</span></>}</p>
+                <p className="mt-1 text-xs text-gray-500 break-all">Coach ID: {account.uid}</p>
+                <button onClick={handleSignOut} className="mt-4 flex items-center gap-2 text-sm text-red-400 hover:text-red-300 font-semibold">
+                    <LogOut className="h-4 w-4" /> Sign Out
+                </button>
+            </div>
+
+            {account.isAnonymous && (
+                <div className="bg-gray-800 p-6 rounded-lg">
+                    <h3 className="font-bold text-lg text-white mb-2">Save Your Academy</h3>
+                    <p className="text-sm text-gray-400 mb-4">Your students are only reachable from this browser. Add an email to keep them if you clear your browser or switch to your phone. Everything you've entered stays.</p>
+                    <CredentialForm passwordLabel="Save to This Email" onSubmitPassword={onCreateAccount} onSendEmailLink={onSendEmailLink} />
+                </div>
+            )}
+        </div>
+    );
+};
+
+// What a parent sees through their link. Reads only the published copy, as of
+// today in the academy's timezone.
+const ParentPortal = ({ backend, token }) => {
+    const [published, setPublished] = useState(undefined); // undefined while loading, null when the link is not valid
+
+    useEffect(() => {
+        const unsubscribe = backend.subscribeDoc(getPortalsPath(), token, (record) => setPublished(record), (err) => {
+            console.error("Error loading parent page:", err);
+            setPublished(null);
+        });
+        return () => unsubscribe();
+    }, [backend, token]);
+
+    if (published === undefined) {
+        return <div className="flex items-center justify-center h-screen bg-gray-900 text-white">Loading...</div>;
+    }
+    if (!published) {
+        return (
+            <div className="flex items-center justify-center min-h-screen bg-gray-900 text-gray-100 p-4">
+                <div className="bg-gray-800 p-8 rounded-lg max-w-md text-center">
+                    <Link2 className="mx-auto h-12 w-12 text-gray-500" />
+                    <h2 className="mt-2 text-xl font-bold text-white">This link isn't working</h2>
+                    <p className="mt-2 text-sm text-gray-400">It may have been turned off or replaced. Ask the academy for a new link.</p>
+                </div>
+            </div>
+        );
+    }
+
+    const portal = readPortal(published, todayKey(isValidTimeZone(published.timeZone) ? published.timeZone : undefined));
+    return (
+        <div className="bg-gray-900 text-gray-100 min-h-screen font-sans p-4 md:p-8">
+            <div className="max-w-3xl mx-auto space-y-6">
+                <div>
+                    <p className="text-emerald-400 font-semibold">{portal.academyName}</p>
+                    <h1 className="text-3xl font-bold text-white">{portal.studentName}</h1>
+                    <p className="text-gray-400">{portal.packageName && `${portal.packageName} Package`}{!portal.isActive && ' (not currently enrolled)'}</p>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="bg-gray-800 p-4 rounded-lg">
+                        <h2 className="font-bold text-lg text-white mb-3">Upcoming Sessions</h2>
+                        {portal.upcoming.length > 0 ? (
+                            <div className="space-y-2">
+                                {portal.upcoming.map(day => (
+                                    <div key={day.date} className="bg-gray-900/50 p-2 rounded-md text-sm">
+                                        <p className="text-white font-semibold">{formatDateKey(day.date)}</p>
+                                        {day.closedReason
+                                            ? <p className="text-sky-300">Closed: {day.closedReason}</p>
+                                            : day.sessions.length > 0 && <p className="text-gray-400">{day.sessions.join(', ')}</p>}
+                                    </div>
+                                ))}
+                            </div>
+                        ) : <p className="text-sm text-gray-400">No sessions coming up.</p>}
+                        {portal.makeUpCredits > 0 && <p className="mt-3 text-sm text-sky-300">{portal.makeUpCredits} make-up session(s) available.</p>}
+                    </div>
+
+                    <div className="bg-gray-800 p-4 rounded-lg">
+                        <h2 className="font-bold text-lg text-white mb-3">Payments</h2>
+                        <p className={`text-2xl font-bold ${portal.balance > 0 ? 'text-red-400' : 'text-green-300'}`}>
+                            {portal.balance > 0 ? `${formatCurrency(portal.balance)} owing` : portal.credit > 0 ? `${formatCurrency(portal.credit)} in credit` : 'All paid up'}
+                        </p>
+                        {portal.unpaidMonths.length > 0 && (
+                            <p className="text-sm text-red-300 mt-1">Unpaid: {portal.unpaidMonths.map(m => `${formatMonth(m.month)} (${formatCurrency(m.outstanding)})`).join(', ')}</p>
+                        )}
+                        {portal.payments.length > 0 && (
+                            <div className="mt-3 space-y-1">
+                                {portal.payments.map(payment => (
+                                    <div key={payment.dateReceived} className="flex justify-between text-sm text-gray-300">
+                                        <span>{formatMonth(payment.month)}</span>
+                                        <span>{formatCurrency(payment.amount)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
                 </div>
-                <div className="flex-shrink-0 bg-gray-700 rounded-lg p-1 flex">
-                    <button onClick={() => setStatusFilter('active')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${statusFilter === 'active' ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Active</button>
-                    <button onClick={() => setStatusFilter('inactive')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${statusFilter === 'inactive' ? 'bg-yellow-600 text-white' : 'text-gray-300'}`}>Inactive</button>
-                    <button onClick={() => setStatusFilter('all')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${statusFilter === 'all' ? 'bg-gray-500 text-white' : 'text-gray-300'}`}>All</button>
+
+                <div className="bg-gray-800 p-4 rounded-lg">
+                    <h2 className="font-bold text-lg text-white mb-3">Coach Notes</h2>
+                    {portal.notes.length > 0 ? (
+                        <div className="space-y-3">
+                            {portal.notes.map((note, i) => (
+                                <div key={`${note.date}-${i}`} className="bg-gray-900/50 p-3 rounded-md">
+                                    <p className="text-sm text-gray-200 whitespace-pre-wrap">{note.text}</p>
+                                    <p className="text-xs text-gray-400 font-semibold mt-1">{formatDateKey(note.date)}</p>
+                                </div>
+                            ))}
+                        </div>
+                    ) : <p className="text-sm text-gray-400">No notes shared yet.</p>}
                 </div>
-            </div>
-            <div className="bg-gray-800 rounded-lg overflow-hidden">
-                <div className="overflow-x-auto">
-                    <table className="min-w-full">
-                        <thead className="bg-gray-700/50">
-                            <tr>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Status</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Name</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Parent Name</th>
-                                <th className="px-6 py-3 text-left text-xs font-medium text-gray-300 uppercase tracking-wider">Package</th>
-                                <th className="px-6 py-3 text-center text-xs font-medium text-gray-300 uppercase tracking-wider">Waiver</th>
-                            </tr>
-                        </thead>
-                        <tbody className="divide-y divide-gray-700">
-                            {filteredStudents.length > 0 ? filteredStudents.map(student => (
-                                <tr key={student.id} onClick={() => onSelectStudent(student.id)} className="hover:bg-gray-700/50 cursor-pointer">
-                                    <td className="px-6 py-4"><Circle className={`h-4 w-4 ${student.isActive ? 'text-emerald-500' : 'text-yellow-500'}`} fill="currentColor" /></td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-white font-medium">{student.name}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-gray-300">{student.parentName}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-gray-300">{student.package}</td>
-                                    <td className="px-6 py-4 whitespace-nowrap text-center">
-                                        {student.waiverSigned ? <Check className="h-5 w-5 text-green-400 mx-auto" /> : <X className="h-5 w-5 text-red-400 mx-auto" />}
-                                    </td>
-                                </tr>
-                            )) : (
-                               <tr><td colSpan="5" className="text-center py-10 text-gray-400">No students match your search.</td></tr>
-                            )}
-                        </tbody>
-                    </table>
+
+                <div className="bg-gray-800 p-4 rounded-lg">
+                    <h2 className="font-bold text-lg text-white mb-3">Attendance</h2>
+                    {portal.attendance.length > 0 ? (
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            {portal.attendance.map(record => (
+                                <div key={record.date} className="bg-gray-900/50 p-2 rounded-md flex justify-between items-center text-sm">
+                                    <span className="text-gray-200">{formatDateKey(record.date)}</span>
+                                    <span className={`px-2 py-1 text-xs font-bold rounded-full ${getStatusBadgeClass(record.status)}`}>{getStatusLabel(record.status)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    ) : <p className="text-sm text-gray-400">No attendance recorded yet.</p>}
                 </div>
+
+                <p className="text-xs text-gray-500 text-center">Last updated {formatTimestamp(portal.updatedAt)}</p>
             </div>
         </div>
     );
 };
 
-const StudentForm = ({ onSave, onCancel, student = {} }) => {
+const StudentForm = ({ onSave, onCancel, packages = [], sessions = [], students = [], timeZone, student = {} }) => {
     const [formData, setFormData] = useState({
         name: student.name || '',
-        parentName: student.parentName || '',
-        contact: student.contact || '',
-        package: student.package || '1-day',
+        ...Object.fromEntries(Object.keys(emptyContactDetails).map(field => [field, student[field] || ''])),
+        ...(!student.parentPhone && !student.parentEmail && splitLegacyContact(student.contact)),
+        packageId: findPackage(packages, student)?.id || '',
         enrolledDays: student.enrolledDays || [],
-        waiverSigned: student.waiverSigned || false,
+        sessionIds: student.sessionIds || [],
         isActive: student.isActive === undefined ? true : student.isActive,
+        billingStartMonth: student.billingStartMonth || (student.id ? '' : dateKeyToMonthKey(todayKey(timeZone))),
     });
 
     const daysOfWeek = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
 
+    // Retired packages stay selectable for students who are already on them.
+    const packageOptions = packages.filter(p => p.isActive || p.id === formData.packageId);
+    const selectedPackage = packages.find(p => p.id === formData.packageId);
+
+    // Once the academy has sessions, students are enrolled in those rather than
+    // in bare days. Retired sessions stay listed for students still in them.
+    const sessionOptions = sessions.filter(session => session.isActive || formData.sessionIds.includes(session.id));
+    const usesSessions = sessionOptions.length > 0;
+    const enrolledDaysError = usesSessions
+        ? validateEnrolledSessions(selectedPackage, formData.sessionIds)
+        : validateEnrolledDays(selectedPackage, formData.enrolledDays);
+    const fullSessions = getFullSessions(sessions, students, formData.sessionIds, student.id);
+
     const handleDayToggle = (day) => {
         const currentDays = formData.enrolledDays;
         if (currentDays.includes(day)) {
@@ -427,13 +4338,37 @@ const StudentForm = ({ onSave, onCancel, student = {} }) => {
         }
     };
 
+    const handleSessionToggle = (sessionId) => {
+        const currentIds = formData.sessionIds;
+        if (currentIds.includes(sessionId)) {
+            setFormData({ ...formData, sessionIds: currentIds.filter(id => id !== sessionId) });
+        } else {
+            setFormData({ ...formData, sessionIds: [...currentIds, sessionId] });
+        }
+    };
+
     const handleSubmit = (e) => {
         e.preventDefault();
-        if (!formData.name || !formData.contact) {
-            alert("Please fill in the student's name and contact information.");
+        if (!formData.name.trim()) {
+            alert("Please fill in the student's name.");
+            return;
+        }
+        const contactError = validateContactDetails(formData, todayKey(timeZone));
+        if (contactError) {
+            alert(contactError);
+            return;
+        }
+        if (enrolledDaysError) {
+            alert(enrolledDaysError);
+            return;
+        }
+        if (fullSessions.length > 0 && !window.confirm(`${fullSessions.map(describeSession).join(', ')} ${fullSessions.length === 1 ? 'is' : 'are'} already full. Enroll ${formData.name} anyway?`)) {
             return;
         }
-        onSave(formData);
+        const enrolment = usesSessions ? { enrolledDays: getEnrolledDays(sessions, formData.sessionIds) } : {};
+        // Older students' free-text contact has been split into the fields above.
+        const legacyContact = student.contact ? { contact: null } : {};
+        onSave({ ...formData, ...normalizeContactDetails(formData), ...legacyContact, ...enrolment, package: selectedPackage.name, ...getBillingStatusChange(student, formData.isActive, todayKey(timeZone)) });
     };
 
     return (
@@ -445,38 +4380,138 @@ const StudentForm = ({ onSave, onCancel, student = {} }) => {
                         <label htmlFor="name" className="block text-sm font-medium text-gray-300">Student Name</label>
                         <input type="text" id="name" value={formData.name} onChange={e => setFormData({...formData, name: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" required />
                     </div>
-                     <div>
-                        <label htmlFor="parentName" className="block text-sm font-medium text-gray-300">Parent Name</label>
-                        <input type="text" id="parentName" value={formData.parentName} onChange={e => setFormData({...formData, parentName: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                    <div>
+                        <label htmlFor="dateOfBirth" className="block text-sm font-medium text-gray-300">Date of Birth</label>
+                        <input type="date" id="dateOfBirth" value={formData.dateOfBirth} max={todayKey(timeZone)} onChange={e => setFormData({...formData, dateOfBirth: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
                     </div>
                 </div>
-                 <div>
-                    <label htmlFor="contact" className="block text-sm font-medium text-gray-300">Contact Details (Phone/Email)</label>
-                    <input type="text" id="contact" value={formData.contact} onChange={e => setFormData({...formData, contact: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" required />
-                </div>
+                <fieldset>
+                    <legend className="text-sm font-semibold text-white mb-2">Parent</legend>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label htmlFor="parentName" className="block text-sm font-medium text-gray-300">Name</label>
+                            <input type="text" id="parentName" value={formData.parentName} onChange={e => setFormData({...formData, parentName: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                        <div>
+                            <label htmlFor="parentPhone" className="block text-sm font-medium text-gray-300">Phone</label>
+                            <input type="tel" id="parentPhone" value={formData.parentPhone} onChange={e => setFormData({...formData, parentPhone: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                        <div>
+                            <label htmlFor="parentEmail" className="block text-sm font-medium text-gray-300">Email</label>
+                            <input type="email" id="parentEmail" value={formData.parentEmail} onChange={e => setFormData({...formData, parentEmail: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-400">A phone number or an email address is needed. Payment reminders go to the email address if there is one.</p>
+                </fieldset>
+                <fieldset>
+                    <legend className="text-sm font-semibold text-white mb-2">Second Guardian</legend>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label htmlFor="guardianName" className="block text-sm font-medium text-gray-300">Name</label>
+                            <input type="text" id="guardianName" value={formData.guardianName} onChange={e => setFormData({...formData, guardianName: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                        <div>
+                            <label htmlFor="guardianPhone" className="block text-sm font-medium text-gray-300">Phone</label>
+                            <input type="tel" id="guardianPhone" value={formData.guardianPhone} onChange={e => setFormData({...formData, guardianPhone: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                        <div>
+                            <label htmlFor="guardianEmail" className="block text-sm font-medium text-gray-300">Email</label>
+                            <input type="email" id="guardianEmail" value={formData.guardianEmail} onChange={e => setFormData({...formData, guardianEmail: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                    </div>
+                </fieldset>
+                <fieldset>
+                    <legend className="text-sm font-semibold text-white mb-2">Emergency Contact</legend>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label htmlFor="emergencyName" className="block text-sm font-medium text-gray-300">Name</label>
+                            <input type="text" id="emergencyName" value={formData.emergencyName} onChange={e => setFormData({...formData, emergencyName: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                        <div>
+                            <label htmlFor="emergencyRelationship" className="block text-sm font-medium text-gray-300">Relationship</label>
+                            <input type="text" id="emergencyRelationship" value={formData.emergencyRelationship} onChange={e => setFormData({...formData, emergencyRelationship: e.target.value})} placeholder="e.g. Grandmother" className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                        <div>
+                            <label htmlFor="emergencyPhone" className="block text-sm font-medium text-gray-300">Phone</label>
+                            <input type="tel" id="emergencyPhone" value={formData.emergencyPhone} onChange={e => setFormData({...formData, emergencyPhone: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                    </div>
+                </fieldset>
+                <fieldset>
+                    <legend className="text-sm font-semibold text-white mb-2">Medical</legend>
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <div>
+                            <label htmlFor="allergies" className="block text-sm font-medium text-gray-300">Allergies</label>
+                            <input type="text" id="allergies" value={formData.allergies} onChange={e => setFormData({...formData, allergies: e.target.value})} placeholder="e.g. Peanuts, bee stings" className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                        <div>
+                            <label htmlFor="medicalNotes" className="block text-sm font-medium text-gray-300">Medical Notes</label>
+                            <textarea id="medicalNotes" rows="2" value={formData.medicalNotes} onChange={e => setFormData({...formData, medicalNotes: e.target.value})} placeholder="Conditions, medication, what to do" className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                        </div>
+                    </div>
+                    <p className="mt-1 text-xs text-gray-400">Every coach sees these on the attendance list.</p>
+                </fieldset>
                 <div>
                     <label htmlFor="package" className="block text-sm font-medium text-gray-300">Package</label>
-                    <select id="package" value={formData.package} onChange={e => setFormData({...formData, package: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white">
-                        <option>1-day</option>
-                        <option>2-day</option>
-                        <option>Adult</option>
+                    <select id="package" value={formData.packageId} onChange={e => setFormData({...formData, packageId: e.target.value})} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white">
+                        <option value="" disabled>{packageOptions.length > 0 ? 'Choose a package...' : 'No packages configured'}</option>
+                        {packageOptions.map(p => (
+                            <option key={p.id} value={p.id}>
+                                {p.name} &mdash; {formatCurrency(p.monthlyPrice)}/month, {p.sessionsPerWeek}x per week{p.isActive ? '' : ' (retired)'}
+                            </option>
+                        ))}
                     </select>
+                    {packageOptions.length === 0 && (
+                        <p className="mt-1 text-xs text-yellow-400">Add a package from the Packages page before enrolling students.</p>
+                    )}
                 </div>
                 <div>
-                    <label className="block text-sm font-medium text-gray-300">Enrolled Days</label>
-                    <div className="mt-2 grid grid-cols-3 sm:grid-cols-4 gap-2">
-                        {daysOfWeek.map(day => (
-                            <button type="button" key={day} onClick={() => handleDayToggle(day)} className={`p-2 rounded-md text-sm font-semibold transition-colors ${formData.enrolledDays.includes(day) ? 'bg-emerald-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}`}>
-                                {day}
-                            </button>
-                        ))}
-                    </div>
+                    <label htmlFor="billingStartMonth" className="block text-sm font-medium text-gray-300">Billing Starts</label>
+                    <input type="month" id="billingStartMonth" value={formData.billingStartMonth} onChange={e => setFormData({...formData, billingStartMonth: e.target.value})} className="mt-1 block w-full md:w-auto bg-gray-700 border-gray-600 rounded-md shadow-sm p-2 text-white" />
+                    {!formData.billingStartMonth && (
+                        <p className="mt-1 text-xs text-gray-400">Left blank, billing starts from the first payment or attendance on record.</p>
+                    )}
                 </div>
-                <div className="flex items-center justify-between bg-gray-700/50 p-3 rounded-lg">
-                    <div className="flex items-center">
-                        <input id="waiver" type="checkbox" checked={formData.waiverSigned} onChange={e => setFormData({...formData, waiverSigned: e.target.checked})} className="h-4 w-4 text-emerald-600 bg-gray-700 border-gray-600 rounded focus:ring-emerald-500" />
-                        <label htmlFor="waiver" className="ml-2 block text-sm text-gray-300">Liability Waiver Signed</label>
+                {usesSessions ? (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300">Sessions</label>
+                        <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            {sessionOptions.map(session => {
+                                const isSelected = formData.sessionIds.includes(session.id);
+                                const enrolledCount = countEnrolled(students, session.id, student.id);
+                                const isFull = enrolledCount >= session.capacity;
+                                return (
+                                    <button type="button" key={session.id} onClick={() => handleSessionToggle(session.id)} className={`p-2 rounded-md text-sm text-left transition-colors ${isSelected ? 'bg-emerald-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}`}>
+                                        <span className="block font-semibold">{describeSession(session)}{session.isActive ? '' : ' (retired)'}</span>
+                                        <span className={`block text-xs ${isFull && !isSelected ? 'text-yellow-300' : 'opacity-80'}`}>{enrolledCount} / {session.capacity} enrolled{isFull ? ' · Full' : ''}</span>
+                                    </button>
+                                );
+                            })}
+                        </div>
+                        {fullSessions.length > 0 && (
+                            <p className="mt-2 text-xs text-yellow-400 flex items-center gap-1"><AlertTriangle className="h-4 w-4" /> {fullSessions.map(describeSession).join(', ')} {fullSessions.length === 1 ? 'is' : 'are'} already full.</p>
+                        )}
+                        {selectedPackage && enrolledDaysError && (
+                            <p className="mt-2 text-xs text-yellow-400">{enrolledDaysError}</p>
+                        )}
+                    </div>
+                ) : (
+                    <div>
+                        <label className="block text-sm font-medium text-gray-300">Enrolled Days</label>
+                        <div className="mt-2 grid grid-cols-3 sm:grid-cols-4 gap-2">
+                            {daysOfWeek.map(day => (
+                                <button type="button" key={day} onClick={() => handleDayToggle(day)} className={`p-2 rounded-md text-sm font-semibold transition-colors ${formData.enrolledDays.includes(day) ? 'bg-emerald-600 text-white' : 'bg-gray-700 hover:bg-gray-600 text-gray-200'}`}>
+                                    {day}
+                                </button>
+                            ))}
+                        </div>
+                        {selectedPackage && enrolledDaysError && (
+                            <p className="mt-2 text-xs text-yellow-400">{enrolledDaysError}</p>
+                        )}
                     </div>
+                )}
+                <div className="flex items-center justify-between bg-gray-700/50 p-3 rounded-lg">
+                    <p className="text-sm text-gray-400">{student.id ? 'The waiver is signed from the student\'s page.' : 'Once the student is saved, a parent can sign the waiver from their page.'}</p>
                     <div className="flex items-center">
                         <input id="isActive" type="checkbox" checked={formData.isActive} onChange={e => setFormData({...formData, isActive: e.target.checked})} className="h-4 w-4 text-emerald-600 bg-gray-700 border-gray-600 rounded focus:ring-emerald-500" />
                         <label htmlFor="isActive" className="ml-2 block text-sm text-gray-300">Active Student</label>
@@ -492,21 +4527,188 @@ const StudentForm = ({ onSave, onCancel, student = {} }) => {
 };
 
 
-const EditableNote = ({ note, onUpdate, onDelete }) => {
+// --- Note Attachments ---
+// Thumbnails are made as soon as files are picked, so the coach sees what
+// will be attached and a bad file is caught before anything is uploaded.
+const AttachmentPicker = ({ id, files, onChange }) => {
+    const [isPreparing, setIsPreparing] = useState(false);
+
+    const handlePick = async (e) => {
+        const picked = Array.from(e.target.files || []);
+        e.target.value = '';
+        setIsPreparing(true);
+        const prepared = [];
+        for (const file of picked) {
+            const problem = validateAttachment(file);
+            if (problem) {
+                alert(problem);
+                continue;
+            }
+            try {
+                const { blob, duration } = await createThumbnail(file);
+                const durationProblem = duration !== null && validateVideoDuration(file.name, duration);
+                if (durationProblem) {
+                    alert(durationProblem);
+                    continue;
+                }
+                prepared.push({ key: `${file.name}-${file.lastModified}-${prepared.length}`, file, thumbnail: blob, previewUrl: URL.createObjectURL(blob) });
+            } catch (err) {
+                console.error("Error reading attachment: ", err);
+                alert(`"${file.name}" could not be read. Try a different photo or video.`);
+            }
+        }
+        setIsPreparing(false);
+        onChange([...files, ...prepared]);
+    };
+
+    const handleRemove = (key) => {
+        const removed = files.find(f => f.key === key);
+        if (removed) URL.revokeObjectURL(removed.previewUrl);
+        onChange(files.filter(f => f.key !== key));
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2">
+            <label htmlFor={id} className="flex items-center gap-1 text-xs text-gray-300 hover:text-white cursor-pointer">
+                <Paperclip size={14} /> {isPreparing ? 'Preparing...' : 'Photo / Video'}
+            </label>
+            <input id={id} type="file" accept={ATTACHMENT_ACCEPT} multiple onChange={handlePick} className="hidden" />
+            {files.map(f => (
+                <div key={f.key} className="relative">
+                    <img src={f.previewUrl} alt={f.file.name} className="h-10 w-10 object-cover rounded" />
+                    {getAttachmentKind(f.file.type) === 'video' && <Film size={12} className="absolute bottom-0.5 left-0.5 text-white" />}
+                    <button type="button" onClick={() => handleRemove(f.key)} className="absolute -top-1 -right-1 bg-gray-900 rounded-full" title={`Remove ${f.file.name}`}><X size={12} className="text-gray-300" /></button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const releasePreviews = (files) => files.forEach(f => URL.revokeObjectURL(f.previewUrl));
+
+const AttachmentThumbnail = ({ attachment, onOpen, onRemove }) => (
+    <div className="relative">
+        <button type="button" onClick={() => onOpen(attachment)} title={attachment.name} className="block">
+            <img src={attachment.thumbnailUrl} alt={attachment.name} className="h-16 w-16 object-cover rounded-md" />
+            {attachment.kind === 'video' && <PlayCircle size={20} className="absolute inset-0 m-auto text-white drop-shadow" />}
+        </button>
+        {onRemove && <button type="button" onClick={() => onRemove(attachment.id)} className="absolute -top-1 -right-1 bg-gray-900 rounded-full" title={`Remove ${attachment.name}`}><X size={12} className="text-red-400" /></button>}
+    </div>
+);
+
+// The full photo or clip, over the rest of the page.
+const AttachmentViewer = ({ attachment, onClose }) => (
+    <div className="fixed inset-0 z-50 bg-black/80 flex items-center justify-center p-4" onClick={onClose}>
+        <div className="max-w-3xl w-full" onClick={e => e.stopPropagation()}>
+            <div className="flex justify-between items-center mb-2 text-sm text-gray-300">
+                <span>{attachment.name}{attachment.date && <> &bull; {formatDateKey(attachment.date)}</>}</span>
+                <button onClick={onClose} title="Close"><X className="h-5 w-5 hover:text-white" /></button>
+            </div>
+            {attachment.kind === 'video'
+                ? <video src={attachment.url} poster={attachment.thumbnailUrl} controls autoPlay playsInline className="w-full max-h-[80vh] rounded-lg bg-black" />
+                : <img src={attachment.url} alt={attachment.name} className="w-full max-h-[80vh] object-contain rounded-lg" />}
+        </div>
+    </div>
+);
+
+// Every photo and clip from the student's notes, newest first.
+const NoteGallery = ({ notes }) => {
+    const [shown, setShown] = useState(null);
+    const attachments = useMemo(() => collectAttachments(notes), [notes]);
+    if (attachments.length === 0) return null;
+
+    return (
+        <div className="bg-gray-900/50 p-4 rounded-lg">
+            <h3 className="font-bold text-lg text-white mb-3 flex items-center gap-2"><Images className="h-5 w-5" /> Photos &amp; Videos</h3>
+            <div className="flex flex-wrap gap-2">
+                {attachments.map(attachment => <AttachmentThumbnail key={attachment.id} attachment={attachment} onOpen={setShown} />)}
+            </div>
+            {shown && <AttachmentViewer attachment={shown} onClose={() => setShown(null)} />}
+        </div>
+    );
+};
+
+const NOTE_CATEGORY_CLASSES = {
+    technique: 'bg-emerald-500/20 text-emerald-300',
+    behaviour: 'bg-yellow-500/20 text-yellow-300',
+    injury: 'bg-red-500/20 text-red-300',
+    admin: 'bg-gray-600 text-gray-200',
+};
+
+const NoteCategorySelect = ({ value, onChange, className, emptyLabel = 'No category' }) => (
+    <select aria-label="Note category" value={value} onChange={e => onChange(e.target.value)} className={className}>
+        <option value="">{emptyLabel}</option>
+        {NOTE_CATEGORIES.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+    </select>
+);
+
+// Category and tags, each clickable when `onSelectCategory` / `onSelectTag` are given.
+const NoteLabels = ({ note, onSelectCategory, onSelectTag }) => {
+    const categoryClass = `px-2 py-0.5 text-xs font-bold rounded-full ${NOTE_CATEGORY_CLASSES[note.category]}`;
+    return (
+        <>
+            {note.category && (onSelectCategory
+                ? <button onClick={() => onSelectCategory(note.category)} className={categoryClass}>{getCategoryLabel(note.category)}</button>
+                : <span className={categoryClass}>{getCategoryLabel(note.category)}</span>)}
+            {(note.tags || []).map(tag => (onSelectTag
+                ? <button key={tag} onClick={() => onSelectTag(tag)} className="flex items-center gap-1 text-xs text-sky-300 hover:underline"><Tag size={10} />{tag}</button>
+                : <span key={tag} className="flex items-center gap-1 text-xs text-sky-300"><Tag size={10} />{tag}</span>))}
+        </>
+    );
+};
+
+const EditableNote = ({ note, onUpdate, onDelete, onAttachFiles, onRemoveAttachment, onSelectCategory, onSelectTag }) => {
     const [isEditing, setIsEditing] = useState(false);
+    const [newFiles, setNewFiles] = useState([]);
+    const [shownAttachment, setShownAttachment] = useState(null);
     const [text, setText] = useState(note.text);
+    const [category, setCategory] = useState(note.category || '');
+    const [tags, setTags] = useState(formatTags(note.tags));
 
-    const handleSave = () => {
-        onUpdate({ ...note, text });
+    const handleEdit = () => {
+        setText(note.text);
+        setCategory(note.category || '');
+        setTags(formatTags(note.tags));
+        setIsEditing(true);
+    };
+
+    const handleSave = async () => {
+        onUpdate(note.id, { text, category: category || null, tags: parseTags(tags) });
+        setIsEditing(false);
+        if (newFiles.length > 0) {
+            setNewFiles([]);
+            await onAttachFiles(note.id, newFiles);
+            releasePreviews(newFiles);
+        }
+    };
+
+    const handleCancel = () => {
+        releasePreviews(newFiles);
+        setNewFiles([]);
         setIsEditing(false);
     };
 
+    const handleRemoveAttachment = (attachmentId) => {
+        if (window.confirm('Remove this file from the note? It will be deleted.')) onRemoveAttachment(note.id, attachmentId);
+    };
+
     if (isEditing) {
         return (
             <div className="bg-gray-700 p-3 rounded-md space-y-2">
                 <textarea value={text} onChange={e => setText(e.target.value)} className="w-full bg-gray-600 border-gray-500 rounded-md p-2 text-white text-sm" rows="3"></textarea>
+                <div className="flex gap-2">
+                    <NoteCategorySelect value={category} onChange={setCategory} className="bg-gray-600 border-gray-500 rounded-md p-1 text-white text-xs" />
+                    <input type="text" aria-label="Note tags" value={tags} onChange={e => setTags(e.target.value)} placeholder="Tags, comma separated" className="flex-grow bg-gray-600 border-gray-500 rounded-md p-1 text-white text-xs" />
+                </div>
+                {note.attachments?.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                        {note.attachments.map(attachment => <AttachmentThumbnail key={attachment.id} attachment={attachment} onOpen={setShownAttachment} onRemove={handleRemoveAttachment} />)}
+                    </div>
+                )}
+                <AttachmentPicker id={`note-files-${note.id}`} files={newFiles} onChange={setNewFiles} />
+                {shownAttachment && <AttachmentViewer attachment={shownAttachment} onClose={() => setShownAttachment(null)} />}
                 <div className="flex justify-end gap-2">
-                    <button onClick={() => setIsEditing(false)} className="text-xs text-gray-400 hover:text-white">Cancel</button>
+                    <button onClick={handleCancel} className="text-xs text-gray-400 hover:text-white">Cancel</button>
                     <button onClick={handleSave} className="text-xs bg-emerald-600 hover:bg-emerald-700 text-white font-semibold py-1 px-2 rounded">Save</button>
                 </div>
             </div>
@@ -516,10 +4718,23 @@ const EditableNote = ({ note, onUpdate, onDelete }) => {
     return (
         <div className="bg-gray-800 p-3 rounded-md group">
             <p className="text-sm text-gray-200 whitespace-pre-wrap">{note.text}</p>
+            {note.attachments?.length > 0 && (
+                <div className="flex flex-wrap gap-2 mt-2">
+                    {note.attachments.map(attachment => <AttachmentThumbnail key={attachment.id} attachment={attachment} onOpen={setShownAttachment} />)}
+                </div>
+            )}
+            {shownAttachment && <AttachmentViewer attachment={shownAttachment} onClose={() => setShownAttachment(null)} />}
             <div className="flex items-center justify-between mt-1">
-                <p className="text-xs text-gray-400 font-semibold">{new Date(note.date + 'T00:00:00').toDateString()}</p>
+                <div className="flex flex-wrap items-center gap-2">
+                    <p className="text-xs text-gray-400 font-semibold">{formatDateKey(note.date)}</p>
+                    <NoteLabels note={note} onSelectCategory={onSelectCategory} onSelectTag={onSelectTag} />
+                    <button onClick={() => onUpdate(note.id, { sharedWithParent: !note.sharedWithParent })} className={`flex items-center gap-1 px-2 py-0.5 text-xs font-bold rounded-full ${note.sharedWithParent ? 'bg-sky-500/20 text-sky-300' : 'bg-gray-700 text-gray-400 hover:text-gray-200'}`} title={note.sharedWithParent ? 'Stop sharing with parent' : 'Share with parent'}>
+                        {note.sharedWithParent ? <Eye size={12} /> : <EyeOff size={12} />}
+                        {note.sharedWithParent ? 'Shared with parent' : 'Coaches only'}
+                    </button>
+                </div>
                 <div className="flex gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
-                    <button onClick={() => setIsEditing(true)}><Edit size={14} className="text-yellow-400 hover:text-yellow-300" /></button>
+                    <button onClick={handleEdit}><Edit size={14} className="text-yellow-400 hover:text-yellow-300" /></button>
                     <button onClick={() => onDelete(note.id)}><Trash2 size={14} className="text-red-500 hover:text-red-400" /></button>
                 </div>
             </div>
@@ -527,50 +4742,368 @@ const EditableNote = ({ note, onUpdate, onDelete }) => {
     );
 };
 
-const StudentDetail = ({ student, onUpdate, onDelete, onBack }) => {
-    const [isEditing, setIsEditing] = useState(false);
+const formatChangeValue = (value) => {
+    if (value === null || value === '') return '(none)';
+    if (Array.isArray(value)) return value.length > 0 ? value.map(formatChangeValue).join(', ') : '(none)';
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+};
+
+// Newest first. Reverting adds a new entry, so a revert can itself be reverted.
+const ActivityHistory = ({ entries, timeZone, getCurrentRecord, onRevert }) => {
+    const handleRevert = (entry) => {
+        const warning = hasChangedSince(entry, getCurrentRecord(entry))
+            ? 'This record has been changed again since. Reverting will also undo those later changes.\n\n'
+            : '';
+        if (window.confirm(`${warning}Revert "${describeActivity(entry)}"?`)) onRevert(entry);
+    };
+
+    if (entries.length === 0) {
+        return <p className="text-sm text-gray-400 text-center py-8">No changes recorded for this student yet.</p>;
+    }
+
+    return (
+        <div className="space-y-2">
+            {entries.map(entry => (
+                <div key={entry.id} className="bg-gray-900/50 p-3 rounded-md flex justify-between items-start gap-3 text-sm">
+                    <div>
+                        <p className="text-white">
+                            <span className="px-2 py-0.5 mr-2 text-xs font-bold rounded-full bg-gray-700 text-gray-300">{ACTIVITY_ENTITIES[entry.entity]}</span>
+                            {describeActivity(entry)}
+                        </p>
+                        <p className="text-xs text-gray-400 mt-1">
+                            {entry.actorName} &bull; {formatTimestamp(entry.at, timeZone)}
+                            {entry.revertOf && ' • revert'}
+                            {entry.source === 'restore' && ' • from a backup restore'}
+                        </p>
+                        {entry.entity === 'student' && entry.action === 'update' && (
+                            <ul className="mt-1 text-xs text-gray-300 space-y-0.5">
+                                {Object.entries(entry.changes).map(([field, change]) => (
+                                    <li key={field}>{field}: {formatChangeValue(change.before)} &rarr; {formatChangeValue(change.after)}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                    <button onClick={() => handleRevert(entry)} className="flex-shrink-0 flex items-center gap-1 text-xs font-semibold text-yellow-400 hover:text-yellow-300" title="Revert this change">
+                        <RotateCcw size={12} /> Revert
+                    </button>
+                </div>
+            ))}
+        </div>
+    );
+};
+
+const ContactCard = ({ title, name, detail, phone, email, fallback }) => (
+    <div className="bg-gray-900/50 p-3 rounded-lg">
+        <p className="text-xs font-semibold text-gray-400 uppercase tracking-wider mb-1">{title}</p>
+        {name || phone || email || fallback ? (
+            <>
+                {name && <p className="text-white">{name}{detail && <span className="text-gray-400"> ({detail})</span>}</p>}
+                {phone && <a href={`tel:${phone}`} className="flex items-center gap-1 text-emerald-400 hover:underline"><Phone size={12} /> {phone}</a>}
+                {email && <a href={`mailto:${email}`} className="flex items-center gap-1 text-emerald-400 hover:underline break-all"><Mail size={12} /> {email}</a>}
+                {!phone && !email && fallback && <p className="text-gray-300">{fallback}</p>}
+            </>
+        ) : <p className="text-gray-500">Not given</p>}
+    </div>
+);
+
+const WaiverPanel = ({ student, currentWaiver, signatures, today, timeZone, role }) => {
+    const [shownSignatureId, setShownSignatureId] = useState(null);
+    const status = getWaiverStatus(student, currentWaiver, today);
+    const { waiver } = student;
+    const longDate = { year: 'numeric', month: 'long', day: 'numeric' };
+
+    return (
+        <div className="bg-gray-900/50 p-3 rounded-lg mb-6 text-sm">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="flex flex-wrap items-center gap-2 text-gray-300">
+                    <FileSignature className="h-4 w-4" />
+                    <span className="font-semibold">Waiver</span>
+                    <WaiverBadge status={status} />
+                    {waiver && <span className="text-gray-400">Version {waiver.version}, signed by {waiver.signerName} on {formatTimestamp(waiver.signedAt, timeZone)} &bull; {status === 'expired' ? 'expired' : 'valid until'} {formatDateKey(waiver.expiresOn, longDate)}</span>}
+                    {!waiver && student.waiverSigned && <span className="text-gray-400">Ticked as signed before signed copies were kept.</span>}
+                </div>
+                {currentWaiver && can(role, 'collectWaivers') && (
+                    <Link to={signWaiverPath(student.id)} className="flex items-center gap-1 text-emerald-400 hover:text-emerald-300 font-semibold"><PenLine className="h-4 w-4" /> {status === 'signed' ? 'Sign Again' : 'Sign Waiver'}</Link>
+                )}
+                {!currentWaiver && can(role, 'manageWaivers') && (
+                    <Link to={getViewPath('waivers')} className="text-emerald-400 hover:text-emerald-300 font-semibold">Write the waiver</Link>
+                )}
+            </div>
+            {signatures.length > 0 && (
+                <ul className="mt-3 space-y-2">
+                    {signatures.map(signature => (
+                        <li key={signature.id} className="bg-gray-800 p-2 rounded-md">
+                            <button onClick={() => setShownSignatureId(shownSignatureId === signature.id ? null : signature.id)} className="w-full flex justify-between gap-2 text-left text-gray-300">
+                                <span>Version {signature.version} &bull; {signature.signerName}</span>
+                                <span className="text-gray-400">{formatTimestamp(signature.signedAt, timeZone)}</span>
+                            </button>
+                            {shownSignatureId === signature.id && (
+                                <div className="mt-2 space-y-2">
+                                    <p className="text-gray-300 whitespace-pre-wrap max-h-48 overflow-y-auto">{signature.text}</p>
+                                    <img src={signature.signatureImage} alt={`Signature of ${signature.signerName}`} className="bg-white rounded-md max-h-24" />
+                                    <p className="text-xs text-gray-400">Valid until {formatDateKey(signature.expiresOn, longDate)}</p>
+                                </div>
+                            )}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+// One small line chart per skill, scored 1 to MAX_SCORE, oldest on the left.
+const SkillTrendChart = ({ name, trend }) => {
+    const width = 200;
+    const height = 64;
+    const pad = 6;
+    const x = (index) => (trend.length === 1 ? width / 2 : pad + (index * (width - 2 * pad)) / (trend.length - 1));
+    const y = (score) => height - pad - ((score - 1) * (height - 2 * pad)) / (MAX_SCORE - 1);
+    const latest = trend[trend.length - 1];
+    const first = trend[0];
+
+    return (
+        <div className="bg-gray-800 p-3 rounded-md">
+            <div className="flex justify-between items-baseline text-sm mb-1">
+                <span className="text-gray-200 font-semibold">{name}</span>
+                <span className="text-gray-400">
+                    {latest.score}/{MAX_SCORE}
+                    {trend.length > 1 && latest.score !== first.score && <span className={latest.score > first.score ? 'text-green-300 ml-1' : 'text-red-400 ml-1'}>({latest.score > first.score ? '+' : ''}{latest.score - first.score})</span>}
+                </span>
+            </div>
+            <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-16" role="img" aria-label={`${name} trend: ${trend.map(point => point.score).join(', ')}`}>
+                {ASSESSMENT_SCALE.map(step => <line key={step.score} x1={0} x2={width} y1={y(step.score)} y2={y(step.score)} stroke="#374151" strokeWidth="1" />)}
+                {trend.length > 1 && <polyline points={trend.map((point, index) => `${x(index)},${y(point.score)}`).join(' ')} fill="none" stroke="#34d399" strokeWidth="2" />}
+                {trend.map((point, index) => (
+                    <circle key={index} cx={x(index)} cy={y(point.score)} r="3" fill="#34d399">
+                        <title>{formatDateKey(point.date)}: {point.score} ({getScaleLabel(point.score)})</title>
+                    </circle>
+                ))}
+            </svg>
+        </div>
+    );
+};
+
+const AssessmentForm = ({ skills, members, userId, today, onSave, onCancel }) => {
+    const [date, setDate] = useState(today);
+    const [coachId, setCoachId] = useState(members.some(m => m.id === userId) ? userId : '');
+    const [scores, setScores] = useState({});
+    const [comment, setComment] = useState('');
+
+    const handleScore = (skillId, score) => {
+        const { [skillId]: current, ...others } = scores;
+        setScores(current === score ? others : { ...others, [skillId]: score });
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const assessment = { date, coachId, scores, comment: comment.trim() };
+        const validationError = validateAssessment(assessment, today);
+        if (validationError) {
+            alert(validationError);
+            return;
+        }
+        onSave(assessment);
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="bg-gray-800 p-3 rounded-md mb-4 space-y-3 text-sm">
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                <div>
+                    <label htmlFor="assessment-date" className="block text-xs font-medium text-gray-400">Date</label>
+                    <input id="assessment-date" type="date" max={today} value={date} onChange={e => setDate(e.target.value)} className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                </div>
+                <div>
+                    <label htmlFor="assessment-coach" className="block text-xs font-medium text-gray-400">Coach</label>
+                    <CoachSelect id="assessment-coach" members={members} value={coachId} onChange={setCoachId} emptyLabel="Choose a coach" className="mt-1 block w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+                </div>
+            </div>
+            {skills.map(skill => (
+                <div key={skill.id} className="flex flex-wrap items-center justify-between gap-2">
+                    <span className="text-gray-200" title={skill.description}>{skill.name}</span>
+                    <div className="flex gap-1" role="group" aria-label={skill.name}>
+                        {ASSESSMENT_SCALE.map(step => (
+                            <button key={step.score} type="button" onClick={() => handleScore(skill.id, step.score)} title={step.label} aria-pressed={scores[skill.id] === step.score} className={`w-8 h-8 rounded-md font-bold ${scores[skill.id] === step.score ? 'bg-emerald-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}>
+                                {step.score}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            ))}
+            <textarea aria-label="Assessment comment" value={comment} onChange={e => setComment(e.target.value)} rows="2" placeholder="Comment (optional)" className="w-full bg-gray-700 border-gray-600 rounded-md p-2 text-white" />
+            <div className="flex justify-end gap-2">
+                <button type="button" onClick={onCancel} className="bg-gray-600 hover:bg-gray-500 text-white font-semibold py-1 px-3 rounded-md">Cancel</button>
+                <button type="submit" className="bg-emerald-600 hover:bg-emerald-700 text-white font-semibold py-1 px-3 rounded-md flex items-center gap-1"><Save size={14} /> Save Assessment</button>
+            </div>
+        </form>
+    );
+};
+
+const describeAssessment = (assessment) => `${formatDateKey(assessment.date)} · ${assessment.coachName || 'Unknown coach'}`;
+
+// History, a trend per skill and a side-by-side comparison of any two assessments.
+const SkillAssessments = ({ student, assessments, skills, members, userId, today, role, onAdd, onDelete }) => {
+    const [isAdding, setIsAdding] = useState(false);
+    const sorted = useMemo(() => sortAssessments(assessments), [assessments]);
+    const [compareIds, setCompareIds] = useState([null, null]);
+    const assessedSkills = getAssessedSkills(skills, sorted);
+    const canAssess = can(role, 'assessStudents');
+
+    // Until the coach picks, compare the latest assessment with the one before it.
+    const earlier = sorted.find(a => a.id === compareIds[0]) || sorted[sorted.length - 2];
+    const later = sorted.find(a => a.id === compareIds[1]) || sorted[sorted.length - 1];
+    const comparison = earlier && later && earlier.id !== later.id ? compareAssessments(earlier, later, skills) : [];
+
+    const handleSave = (assessment) => {
+        onAdd(student.id, assessment);
+        setIsAdding(false);
+    };
+
+    const handleDelete = (assessment) => {
+        if (window.confirm(`Delete the assessment from ${formatDateKey(assessment.date)}?`)) {
+            onDelete(assessment.id);
+        }
+    };
+
+    const compareSelect = (position, label) => (
+        <select aria-label={label} value={(position === 0 ? earlier : later)?.id || ''} onChange={e => setCompareIds(position === 0 ? [e.target.value, later.id] : [earlier.id, e.target.value])} className="bg-gray-700 border-gray-600 rounded-md p-1 text-white text-xs">
+            {sorted.map(a => <option key={a.id} value={a.id}>{describeAssessment(a)}</option>)}
+        </select>
+    );
+
+    return (
+        <div className="bg-gray-900/50 p-4 rounded-lg">
+            <div className="flex justify-between items-center mb-3">
+                <h3 className="font-bold text-lg text-white">Skill Assessments</h3>
+                {canAssess && !isAdding && (
+                    <button onClick={() => setIsAdding(true)} className="flex items-center gap-1 text-sm text-emerald-400 hover:text-emerald-300 font-semibold"><ClipboardCheck className="h-4 w-4" /> New Assessment</button>
+                )}
+            </div>
+            {isAdding && <AssessmentForm skills={getActiveSkills(skills)} members={members} userId={userId} today={today} onSave={handleSave} onCancel={() => setIsAdding(false)} />}
+            {sorted.length === 0 ? (
+                <p className="text-sm text-gray-400 text-center py-4">No assessments yet.</p>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div className="space-y-4">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                            {assessedSkills.map(skill => <SkillTrendChart key={skill.id} name={skill.name} trend={getSkillTrend(sorted, skill.id)} />)}
+                        </div>
+                        {sorted.length > 1 && (
+                            <div className="bg-gray-800 p-3 rounded-md text-sm">
+                                <h4 className="font-semibold text-gray-300 mb-2">Compare</h4>
+                                <div className="flex flex-wrap items-center gap-2 mb-2 text-gray-400 text-xs">
+                                    {compareSelect(0, 'First assessment')}
+                                    <span>with</span>
+                                    {compareSelect(1, 'Second assessment')}
+                                </div>
+                                {comparison.length > 0 ? (
+                                    <table className="min-w-full text-xs">
+                                        <thead>
+                                            <tr className="text-gray-400 uppercase tracking-wider">
+                                                <th className="text-left py-1">Skill</th>
+                                                <th className="text-right py-1">{formatDateKey(earlier.date, { day: 'numeric', month: 'short', year: 'numeric' })}</th>
+                                                <th className="text-right py-1">{formatDateKey(later.date, { day: 'numeric', month: 'short', year: 'numeric' })}</th>
+                                                <th className="text-right py-1">Change</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-700 text-gray-300">
+                                            {comparison.map(row => (
+                                                <tr key={row.skillId}>
+                                                    <td className="py-1">{row.name}</td>
+                                                    <td className="text-right py-1">{row.before ?? '—'}</td>
+                                                    <td className="text-right py-1">{row.after ?? '—'}</td>
+                                                    <td className={`text-right py-1 font-semibold ${row.change > 0 ? 'text-green-300' : row.change < 0 ? 'text-red-400' : ''}`}>
+                                                        {row.change === null ? '—' : `${row.change > 0 ? '+' : ''}${row.change}`}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                ) : <p className="text-xs text-gray-400">Choose two different assessments.</p>}
+                            </div>
+                        )}
+                    </div>
+                    <ul className="space-y-2 max-h-96 overflow-y-auto">
+                        {[...sorted].reverse().map(assessment => (
+                            <li key={assessment.id} className="bg-gray-800 p-3 rounded-md text-sm group">
+                                <div className="flex justify-between items-center gap-2">
+                                    <span className="text-gray-200 font-semibold">{describeAssessment(assessment)}</span>
+                                    <div className="flex items-center gap-3">
+                                        <span className="text-xs text-gray-400">Average {getAverageScore(assessment)}</span>
+                                        {canAssess && <button onClick={() => handleDelete(assessment)} className="opacity-0 group-hover:opacity-100 transition-opacity" title="Delete assessment"><Trash2 size={14} className="text-red-500 hover:text-red-400" /></button>}
+                                    </div>
+                                </div>
+                                <p className="text-xs text-gray-400 mt-1">
+                                    {getAssessedSkills(skills, [assessment]).map(skill => `${skill.name} ${assessment.scores[skill.id]}`).join(' · ')}
+                                </p>
+                                {assessment.comment && <p className="text-gray-300 mt-1">{assessment.comment}</p>}
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const StudentDetail = ({ student, students = [], packages = [], sessions = [], closures = [], timeZone, role, onUpdate, onDelete, onSetAttendance, onUpdateNote, onDeleteNote, onAddPayment, onDeletePayment, activity = [], reminders = [], currentWaiver = null, signatures = [], assessments = [], skills = [], members = [], userId = null, getCurrentRecord, onRevertActivity, onCreateParentLink, onRevokeParentLink, onAttachFiles, onRemoveAttachment, onAddAssessment, onDeleteAssessment, isEditing }) => {
+    const canViewPayments = can(role, 'viewPayments');
+    const today = todayKey(timeZone);
+    const currentMonth = dateKeyToMonthKey(today);
+    const [tab, setTab] = useState('overview'); // 'overview', 'history'
     const [newPaymentAmount, setNewPaymentAmount] = useState('');
-    const [paymentMonth, setPaymentMonth] = useState(new Date().toISOString().slice(0, 7));
+    const [paymentMonth, setPaymentMonth] = useState(currentMonth);
 
     const monthOptions = useMemo(() => {
         const options = [];
-        const d = new Date();
-        d.setMonth(d.getMonth() + 2); // Start 2 months in the future
-        for (let i = 0; i < 12; i++) {
-            d.setMonth(d.getMonth() - 1);
-            const monthString = d.toISOString().slice(0, 7);
-            const monthName = d.toLocaleString('default', { month: 'long', year: 'numeric' });
-            options.push({ value: monthString, label: monthName });
+        for (let i = 1; i >= -10; i--) { // Start 1 month in the future
+            const monthString = addMonths(currentMonth, i);
+            options.push({ value: monthString, label: formatMonth(monthString) });
         }
         return options;
-    }, []);
+    }, [currentMonth]);
+
+    const monthlyDue = getMonthlyDue(packages, student);
+    const ledger = useMemo(() => buildLedger(student, monthlyDue, today), [student, monthlyDue, today]);
+    const ledgerRow = ledger.rows.find(row => row.month === paymentMonth);
+    // Months that have not been billed yet are still owed in full, less anything prepaid.
+    const remainingForMonth = ledgerRow
+        ? ledgerRow.outstanding
+        : paymentMonth > currentMonth
+            ? Math.max(monthlyDue - (student.payments || []).filter(p => p.month === paymentMonth).reduce((sum, p) => sum + p.amount, 0), 0)
+            : 0;
+    const totalOwed = Math.max(ledger.balance, remainingForMonth);
 
     const handleAddPayment = () => {
         if (!newPaymentAmount.trim() || isNaN(parseFloat(newPaymentAmount)) || !paymentMonth) return;
-        const payment = {
-            id: crypto.randomUUID(),
+        const amount = parseFloat(newPaymentAmount);
+        if (amount <= 0) return;
+        if (amount > totalOwed && !window.confirm(`${formatCurrency(amount)} is more than the ${formatCurrency(totalOwed)} currently owed. Record it anyway?`)) {
+            return;
+        }
+        onAddPayment(student.id, {
             month: paymentMonth,
-            amount: parseFloat(newPaymentAmount),
-            dateReceived: new Date().toISOString()
-        };
-        const updatedPayments = [payment, ...(student.payments || [])];
-        onUpdate(student.id, { payments: updatedPayments });
+            amount,
+            dateReceived: nowTimestamp()
+        });
         setNewPaymentAmount('');
     };
 
-    const handleDeletePayment = (paymentId) => {
-        const updatedPayments = student.payments.filter(p => p.id !== paymentId);
-        onUpdate(student.id, { payments: updatedPayments });
+    const handleSetAttendance = (date, status) => {
+        onSetAttendance(student.id, date, status);
     };
-    
-    const handleUpdateNote = (updatedNote) => {
-        const updatedNotes = student.notes.map(n => n.id === updatedNote.id ? updatedNote : n);
-        onUpdate(student.id, { notes: updatedNotes });
+
+    const handleCreateParentLink = () => {
+        if (student.portalToken && !window.confirm("Make a new parent link? The current link will stop working.")) return;
+        onCreateParentLink(student.id);
     };
 
-    const handleDeleteNote = (noteId) => {
-        const updatedNotes = student.notes.filter(n => n.id !== noteId);
-        onUpdate(student.id, { notes: updatedNotes });
+    const handleRevokeParentLink = () => {
+        if (window.confirm("Turn off the parent link? Anyone with it will no longer see this page.")) {
+            onRevokeParentLink(student.id);
+        }
     };
     
     const handleDeleteStudentWithConfirmation = () => {
@@ -579,20 +5112,26 @@ const StudentDetail = ({ student, onUpdate, onDelete, onBack }) => {
         }
     }
 
-    const sortedPayments = useMemo(() => (student.payments || []).sort((a, b) => new Date(b.dateReceived) - new Date(a.dateReceived)), [student.payments]);
-    const sortedNotes = useMemo(() => (student.notes || []).sort((a, b) => new Date(b.date) - new Date(a.date)), [student.notes]);
-    const sortedAttendance = useMemo(() => Object.entries(student.attendance || {}).sort((a, b) => new Date(b[0]) - new Date(a[0])), [student.attendance]);
+    const enrolledSessions = sessions.filter(session => student.sessionIds?.includes(session.id));
+    const sortedPayments = useMemo(() => [...(student.payments || [])].sort((a, b) => new Date(b.dateReceived) - new Date(a.dateReceived)), [student.payments]);
+    const [noteCategory, setNoteCategory] = useState('');
+    const [noteTag, setNoteTag] = useState('');
+    const noteTags = useMemo(() => getNoteTags(student.notes || []), [student.notes]);
+    const shownNotes = useMemo(() => filterNotes(student.notes || [], { category: noteCategory, tag: noteTag }), [student.notes, noteCategory, noteTag]);
+    const sortedAttendance = useMemo(() => Object.entries(student.attendance || {}).sort((a, b) => b[0].localeCompare(a[0])), [student.attendance]);
+    const makeUpCredits = useMemo(() => getMakeUpCredits(student, closures, today), [student, closures, today]);
 
-    if (isEditing) {
-        return <StudentForm student={student} onSave={(data) => { onUpdate(student.id, data); setIsEditing(false); }} onCancel={() => setIsEditing(false)} />;
+    if (isEditing && can(role, 'manageStudents')) {
+        const backToProfile = () => navigate(studentPath(student.id), { replace: true });
+        return <StudentForm student={student} students={students} packages={packages} sessions={sessions} timeZone={timeZone} onSave={(data) => { onUpdate(student.id, data); backToProfile(); }} onCancel={backToProfile} />;
     }
 
     return (
         <div>
-            <button onClick={onBack} className="flex items-center gap-2 text-sm text-emerald-400 hover:text-emerald-300 mb-4 font-semibold">
+            <Link to={studentsPath()} className="inline-flex items-center gap-2 text-sm text-emerald-400 hover:text-emerald-300 mb-4 font-semibold">
                 <ArrowLeft className="h-4 w-4" />
                 Back to List
-            </button>
+            </Link>
             <div className="bg-gray-800 rounded-lg p-6">
                 <div className="flex justify-between items-start mb-6">
                     <div>
@@ -604,64 +5143,204 @@ const StudentDetail = ({ student, onUpdate, onDelete, onBack }) => {
                         </div>
                         <p className="text-gray-400 mt-1">
                             <UserCheck size={14} className="inline mr-2" />
-                            Parent: {student.parentName || 'N/A'}
+                            Parent: {student.parentName || 'N/A'}{formatContact(student) && <> &bull; {formatContact(student)}</>}
                         </p>
-                        <p className="text-gray-400">{student.package} Package &bull; {student.contact}</p>
-                        <p className="text-gray-400 text-sm mt-1">Enrolled Days: {student.enrolledDays?.join(', ') || 'None'}</p>
+                        <p className="text-gray-400">{student.package} Package{canViewPayments && ` (${formatCurrency(monthlyDue)}/month)`}{student.dateOfBirth && <> &bull; Age {getAge(student.dateOfBirth, today)} (born {formatDateKey(student.dateOfBirth, { year: 'numeric', month: 'short', day: 'numeric' })})</>}</p>
+                        {enrolledSessions.length > 0
+                            ? <p className="text-gray-400 text-sm mt-1">Sessions: {enrolledSessions.map(describeSession).join('; ')}</p>
+                            : <p className="text-gray-400 text-sm mt-1">Enrolled Days: {student.enrolledDays?.join(', ') || 'None'}</p>}
                     </div>
                     <div className="flex gap-2">
-                         <button onClick={() => setIsEditing(true)} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Edit Student Info"><Edit className="h-5 w-5 text-yellow-400" /></button>
-                         <button onClick={handleDeleteStudentWithConfirmation} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Delete Student"><Trash2 className="h-5 w-5 text-red-500" /></button>
+                         {can(role, 'manageStudents') && <Link to={editStudentPath(student.id)} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Edit Student Info"><Edit className="h-5 w-5 text-yellow-400" /></Link>}
+                         {can(role, 'deleteStudents') && <button onClick={handleDeleteStudentWithConfirmation} className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg" title="Delete Student"><Trash2 className="h-5 w-5 text-red-500" /></button>}
                     </div>
                 </div>
 
-                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                    <div className="space-y-6">
-                        <div className="bg-gray-900/50 p-4 rounded-lg">
-                            <h3 className="font-bold text-lg text-white mb-3">Payment History</h3>
-                             <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-4">
-                                <select value={paymentMonth} onChange={e => setPaymentMonth(e.target.value)} className="sm:col-span-1 bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm">
-                                    {monthOptions.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
-                                </select>
-                                <input type="number" value={newPaymentAmount} onChange={e => setNewPaymentAmount(e.target.value)} placeholder="Amount" className="sm:col-span-1 flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
-                                <button onClick={handleAddPayment} title="Record Payment" className="sm:col-span-1 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold p-2 rounded-lg flex items-center justify-center gap-2"><DollarSign className="h-5 w-5" /><span>Record</span></button>
+                {hasMedicalAlert(student) && (
+                    <div className="flex items-start gap-2 bg-red-500/20 text-red-200 p-3 rounded-lg mb-4">
+                        <HeartPulse className="h-5 w-5 flex-shrink-0" />
+                        <div>
+                            {student.allergies?.trim() && <p><span className="font-semibold">Allergies:</span> {student.allergies}</p>}
+                            {student.medicalNotes?.trim() && <p className="whitespace-pre-wrap">{student.medicalNotes}</p>}
+                        </div>
+                    </div>
+                )}
+
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-6 text-sm">
+                    <ContactCard title="Parent" name={student.parentName} phone={student.parentPhone} email={student.parentEmail} fallback={student.contact} />
+                    <ContactCard title="Second Guardian" name={student.guardianName} phone={student.guardianPhone} email={student.guardianEmail} />
+                    <ContactCard title="Emergency Contact" name={student.emergencyName} detail={student.emergencyRelationship} phone={student.emergencyPhone} />
+                </div>
+
+                <WaiverPanel student={student} currentWaiver={currentWaiver} signatures={signatures} today={today} timeZone={timeZone} role={role} />
+
+                {can(role, 'manageStudents') && (
+                    <div className="bg-gray-900/50 p-3 rounded-lg mb-6 text-sm">
+                        <div className="flex flex-wrap items-center justify-between gap-3">
+                            <div className="flex items-center gap-2 text-gray-300">
+                                <Link2 className="h-4 w-4" />
+                                <span className="font-semibold">Parent link</span>
+                                <span className="text-gray-400">{student.portalToken ? 'Parents can see sessions, attendance, payments and shared notes.' : 'Off'}</span>
                             </div>
-                            <div className="max-h-48 overflow-y-auto space-y-2">
-                                {sortedPayments.length > 0 ? sortedPayments.map((payment) => (
-                                    <div key={payment.id} className="bg-gray-800 p-2 rounded-md flex justify-between items-center text-sm group">
-                                        <div>
-                                            <p className="text-green-300 font-semibold">Paid: ${payment.amount}</p>
-                                            <p className="text-xs text-gray-400">For: {monthOptions.find(m => m.value === payment.month)?.label || payment.month}</p>
+                            <div className="flex gap-3">
+                                <button onClick={handleCreateParentLink} className="text-emerald-400 hover:text-emerald-300 font-semibold">{student.portalToken ? 'New Link' : 'Create Link'}</button>
+                                {student.portalToken && <button onClick={handleRevokeParentLink} className="text-red-400 hover:text-red-300 font-semibold">Turn Off</button>}
+                            </div>
+                        </div>
+                        {student.portalToken && (
+                            <div className="flex items-center gap-2 mt-2">
+                                <input type="text" readOnly value={`${window.location.origin}${portalPath(student.portalToken)}`} onFocus={e => e.target.select()} className="flex-grow bg-gray-800 border-gray-600 rounded-md p-2 text-gray-300 text-xs" />
+                                <button onClick={() => navigator.clipboard?.writeText(`${window.location.origin}${portalPath(student.portalToken)}`)} title="Copy Link"><Copy size={16} className="text-gray-300 hover:text-white" /></button>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                {can(role, 'manageStudents') && (
+                    <div className="bg-gray-700 rounded-lg p-1 inline-flex mb-6">
+                        <button onClick={() => setTab('overview')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${tab === 'overview' ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>Overview</button>
+                        <button onClick={() => setTab('history')} className={`px-3 py-1 text-sm font-semibold rounded-md transition-colors ${tab === 'history' ? 'bg-emerald-600 text-white' : 'text-gray-300'}`}>History</button>
+                    </div>
+                )}
+
+                {tab === 'history' && can(role, 'manageStudents') ? (
+                    <ActivityHistory entries={activity} timeZone={timeZone} getCurrentRecord={getCurrentRecord} onRevert={onRevertActivity} />
+                ) : (
+                    <div className="space-y-6">
+                        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                            <div className="space-y-6">
+                                {canViewPayments && (
+                                    <div className="bg-gray-900/50 p-4 rounded-lg">
+                                        <h3 className="font-bold text-lg text-white mb-3">Payment History</h3>
+                                         <div className="grid grid-cols-1 sm:grid-cols-3 gap-2 mb-4">
+                                            <select value={paymentMonth} onChange={e => setPaymentMonth(e.target.value)} className="sm:col-span-1 bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm">
+                                                {monthOptions.map(opt => <option key={opt.value} value={opt.value}>{opt.label}</option>)}
+                                            </select>
+                                            <input type="number" value={newPaymentAmount} onChange={e => setNewPaymentAmount(e.target.value)} placeholder={remainingForMonth > 0 ? remainingForMonth.toFixed(2) : 'Amount'} className="sm:col-span-1 flex-grow bg-gray-700 border-gray-600 rounded-md p-2 text-white text-sm" />
+                                            <button onClick={handleAddPayment} title="Record Payment" className="sm:col-span-1 bg-emerald-600 hover:bg-emerald-700 text-white font-semibold p-2 rounded-lg flex items-center justify-center gap-2"><DollarSign className="h-5 w-5" /><span>Record</span></button>
+                                        </div>
+                                        <p className="text-xs text-gray-400 -mt-2 mb-4">
+                                            Still owed for {formatMonth(paymentMonth)}: <span className={remainingForMonth > 0 ? 'text-red-400 font-semibold' : 'text-green-300 font-semibold'}>{formatCurrency(remainingForMonth)}</span>
+                                        </p>
+                                        <div className="bg-gray-800 p-3 rounded-md mb-4 space-y-2">
+                                            <div className="flex justify-between items-center text-sm">
+                                                <span className="text-gray-300">Balance</span>
+                                                <span className={`font-bold ${ledger.balance > 0 ? 'text-red-400' : 'text-green-300'}`}>
+                                                    {ledger.balance > 0 ? formatCurrency(ledger.balance) : `${formatCurrency(ledger.credit)} credit`}
+                                                </span>
+                                            </div>
+                                            <AgingSummary aging={ledger.aging} />
+                                            {ledger.unpaidMonths.length > 0 && (
+                                                <p className="text-xs text-red-300">Unpaid: {ledger.unpaidMonths.map(m => `${formatMonth(m.month)} (${formatCurrency(m.outstanding)})`).join(', ')}</p>
+                                            )}
+                                            {ledger.rows.length > 0 && (
+                                                <div className="max-h-40 overflow-y-auto">
+                                                    <table className="min-w-full text-xs">
+                                                        <thead>
+                                                            <tr className="text-gray-400 uppercase tracking-wider">
+                                                                <th className="text-left py-1">Month</th>
+                                                                <th className="text-right py-1">Charged</th>
+                                                                <th className="text-right py-1">Paid</th>
+                                                                <th className="text-right py-1">Balance</th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody className="divide-y divide-gray-700">
+                                                            {[...ledger.rows].reverse().map(row => (
+                                                                <tr key={row.month} className={row.outstanding > 0 ? 'text-red-300' : 'text-gray-300'}>
+                                                                    <td className="py-1">{formatMonth(row.month)}</td>
+                                                                    <td className="text-right py-1">{formatCurrency(row.charge)}</td>
+                                                                    <td className="text-right py-1">{formatCurrency(row.paid)}</td>
+                                                                    <td className="text-right py-1">{formatCurrency(row.balance)}</td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                </div>
+                                            )}
                                         </div>
-                                        <div className="flex items-center gap-3">
-                                            <p className="text-xs text-gray-400">{new Date(payment.dateReceived).toLocaleDateString()}</p>
-                                            <button onClick={() => handleDeletePayment(payment.id)} className="opacity-0 group-hover:opacity-100 transition-opacity"><Trash2 size={14} className="text-red-500 hover:text-red-400" /></button>
+                                        <div className="max-h-48 overflow-y-auto space-y-2">
+                                            {sortedPayments.length > 0 ? sortedPayments.map((payment) => (
+                                                <div key={payment.id} className="bg-gray-800 p-2 rounded-md flex justify-between items-center text-sm group">
+                                                    <div>
+                                                        <p className="text-green-300 font-semibold">Paid: {formatCurrency(payment.amount)}</p>
+                                                        <p className="text-xs text-gray-400">For: {formatMonth(payment.month)}</p>
+                                                    </div>
+                                                    <div className="flex items-center gap-3">
+                                                        <p className="text-xs text-gray-400">{formatTimestamp(payment.dateReceived, timeZone)}</p>
+                                                        <button onClick={() => onDeletePayment(payment.id)} className="opacity-0 group-hover:opacity-100 transition-opacity"><Trash2 size={14} className="text-red-500 hover:text-red-400" /></button>
+                                                    </div>
+                                                </div>
+                                            )) : <p className="text-sm text-gray-400 text-center py-4">No payment history.</p>}
+                                        </div>
+                                        {reminders.length > 0 && (
+                                            <div className="mt-4">
+                                                <h4 className="text-sm font-semibold text-gray-300 mb-2">Reminders Sent</h4>
+                                                <ul className="space-y-1 text-xs text-gray-400">
+                                                    {reminders.map(message => (
+                                                        <li key={message.id} className="flex justify-between gap-2">
+                                                            <span>{formatCurrency(message.amount)} for {message.months.map(formatMonth).join(', ')}</span>
+                                                            <span>{formatTimestamp(message.sentAt, timeZone)} via {getChannelLabel(message.channel)}</span>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            </div>
+                                        )}
+                                    </div>
+                                )}
+                                <div className="bg-gray-900/50 p-4 rounded-lg">
+                                    <h3 className="font-bold text-lg text-white mb-3">Attendance History</h3>
+                                    {(makeUpCredits.earned.length > 0 || makeUpCredits.used.length > 0) && (
+                                        <div className="bg-gray-800 p-3 rounded-md mb-3 text-sm">
+                                            <div className="flex justify-between items-center">
+                                                <span className="text-gray-300">Make-up credits</span>
+                                                <span className={`font-bold ${makeUpCredits.balance > 0 ? 'text-sky-300' : makeUpCredits.balance < 0 ? 'text-yellow-300' : 'text-gray-300'}`}>
+                                                    {makeUpCredits.balance >= 0 ? `${makeUpCredits.balance} available` : `${-makeUpCredits.balance} extra session(s) without credit`}
+                                                </span>
+                                            </div>
+                                            {makeUpCredits.earned.length > 0 && <p className="text-xs text-gray-400 mt-1">Earned from closures: {makeUpCredits.earned.map(date => formatDateKey(date, { day: 'numeric', month: 'short' })).join(', ')}</p>}
+                                            {makeUpCredits.used.length > 0 && <p className="text-xs text-gray-400">Used: {makeUpCredits.used.map(date => formatDateKey(date, { day: 'numeric', month: 'short' })).join(', ')}</p>}
                                         </div>
+                                    )}
+                                    <div className="max-h-48 overflow-y-auto space-y-2">
+                                        {sortedAttendance.length > 0 ? sortedAttendance.map(([date, status]) => (
+                                            <div key={date} className="bg-gray-800 p-2 rounded-md flex justify-between items-center text-sm group">
+                                                <p className="text-gray-200">
+                                                    {formatDateKey(date)}
+                                                    {makeUpCredits.used.includes(date) && <span className="ml-2 px-2 py-0.5 text-xs font-bold rounded-full bg-sky-500/20 text-sky-300">Make-up</span>}
+                                                </p>
+                                                <div className="flex items-center gap-2">
+                                                    <select value={status} onChange={e => handleSetAttendance(date, e.target.value)} className={`px-2 py-1 text-xs font-bold rounded-full border-0 ${getStatusBadgeClass(status)}`}>
+                                                        {ATTENDANCE_STATUSES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+                                                    </select>
+                                                    <button onClick={() => handleSetAttendance(date, null)} className="opacity-0 group-hover:opacity-100 transition-opacity" title="Remove attendance record"><Trash2 size={14} className="text-red-500 hover:text-red-400" /></button>
+                                                </div>
+                                            </div>
+                                        )) : <p className="text-sm text-gray-400 text-center py-4">No attendance history.</p>}
                                     </div>
-                                )) : <p className="text-sm text-gray-400 text-center py-4">No payment history.</p>}
+                                </div>
                             </div>
-                        </div>
-                        <div className="bg-gray-900/50 p-4 rounded-lg">
-                            <h3 className="font-bold text-lg text-white mb-3">Attendance History</h3>
-                            <div className="max-h-48 overflow-y-auto space-y-2">
-                                {sortedAttendance.length > 0 ? sortedAttendance.map(([date, status]) => (
-                                    <div key={date} className="bg-gray-800 p-2 rounded-md flex justify-between items-center text-sm">
-                                        <p className="text-gray-200">{new Date(date + 'T00:00:00').toDateString()}</p>
-                                        <span className={`px-2 py-1 text-xs font-bold rounded-full ${status === 'present' ? 'bg-green-500/20 text-green-300' : 'bg-red-500/20 text-red-300'}`}>{status}</span>
+                            <div className="bg-gray-900/50 p-4 rounded-lg flex flex-col">
+                                <h3 className="font-bold text-lg text-white mb-3 flex-shrink-0">All Player Notes</h3>
+                                {(student.notes || []).length > 0 && (
+                                    <div className="flex gap-2 mb-3 flex-shrink-0">
+                                        <NoteCategorySelect value={noteCategory} onChange={setNoteCategory} emptyLabel="All categories" className="bg-gray-700 border-gray-600 rounded-md p-1 text-white text-xs" />
+                                        <select aria-label="Note tag" value={noteTag} onChange={e => setNoteTag(e.target.value)} className="bg-gray-700 border-gray-600 rounded-md p-1 text-white text-xs">
+                                            <option value="">All tags</option>
+                                            {noteTags.map(tag => <option key={tag} value={tag}>{tag}</option>)}
+                                        </select>
                                     </div>
-                                )) : <p className="text-sm text-gray-400 text-center py-4">No attendance history.</p>}
+                                )}
+                                <div className="flex-grow overflow-y-auto space-y-3">
+                                    {shownNotes.length > 0 ? shownNotes.map((note) => (
+                                        <EditableNote key={note.id} note={note} onUpdate={onUpdateNote} onDelete={onDeleteNote} onAttachFiles={onAttachFiles} onRemoveAttachment={onRemoveAttachment} onSelectCategory={setNoteCategory} onSelectTag={setNoteTag} />
+                                    )) : <p className="text-sm text-gray-400 text-center py-4">{(student.notes || []).length > 0 ? 'No notes match these filters.' : 'No notes for this player.'}</p>}
+                                </div>
                             </div>
                         </div>
+                        <NoteGallery notes={student.notes || []} />
+                        <SkillAssessments student={student} assessments={assessments} skills={skills} members={members} userId={userId} today={today} role={role} onAdd={onAddAssessment} onDelete={onDeleteAssessment} />
                     </div>
-                    <div className="bg-gray-900/50 p-4 rounded-lg flex flex-col">
-                        <h3 className="font-bold text-lg text-white mb-3 flex-shrink-0">All Player Notes</h3>
-                        <div className="flex-grow overflow-y-auto space-y-3">
-                            {sortedNotes.length > 0 ? sortedNotes.map((note) => (
-                                <EditableNote key={note.id} note={note} onUpdate={handleUpdateNote} onDelete={handleDeleteNote} />
-                            )) : <p className="text-sm text-gray-400 text-center py-4">No notes for this player.</p>}
-                        </div>
-                    </div>
-                </div>
+                )}
             </div>
         </div>
     );
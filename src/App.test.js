@@ -1,8 +1,87 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, cleanup, within } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('opens the demo academy when no Firebase project is configured', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByText('Riverside Cricket Academy')).toBeInTheDocument();
+  expect(await screen.findByText('Demo academy')).toBeInTheDocument();
+});
+
+test('opens a student from a link and goes back to the list', async () => {
+  window.history.pushState(null, '', '/students/demo-student-1');
+  render(<App />);
+  expect(await screen.findByRole('heading', { name: 'Aarav Sharma' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('link', { name: /back to list/i }));
+  expect(window.location.pathname).toBe('/students');
+  expect(await screen.findByRole('heading', { name: 'Manage Students' })).toBeInTheDocument();
+});
+
+test('shares a read-only parent page through a link', async () => {
+  window.history.pushState(null, '', '/students/demo-student-1');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'Create Link' }));
+  const link = await screen.findByDisplayValue(/\/parent\//);
+  await screen.findByRole('button', { name: 'Turn Off' });
+  cleanup();
+
+  window.history.pushState(null, '', new URL(link.value).pathname);
+  render(<App />);
+  expect(await screen.findByRole('heading', { name: 'Aarav Sharma' })).toBeInTheDocument();
+  expect(await screen.findByText('Coach Notes')).toBeInTheDocument();
+  expect(screen.queryByText('Manage Students')).not.toBeInTheDocument();
+});
+
+test('queues payment reminders and records them once sent', async () => {
+  const open = jest.spyOn(window, 'open').mockImplementation(() => null);
+  window.history.pushState(null, '', '/reminders');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: /^Queue [1-9]\d* Reminder/ }));
+  const [send] = (await screen.findAllByRole('button', { name: 'Send' })).filter(button => !button.disabled);
+  fireEvent.click(send);
+  expect(await screen.findByRole('heading', { name: 'Sent' })).toBeInTheDocument();
+  expect(open).toHaveBeenCalledWith(expect.stringMatching(/^(mailto|sms):/), '_self');
+  open.mockRestore();
+});
+
+test('records a skill assessment and compares it with the last one', async () => {
+  window.history.pushState(null, '', '/students/demo-student-6');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: 'New Assessment' }));
+  fireEvent.click(within(screen.getByRole('group', { name: 'Fielding' })).getByRole('button', { name: '5' }));
+  fireEvent.change(screen.getByLabelText('Assessment comment'), { target: { value: 'Sharp in the covers.' } });
+  fireEvent.click(screen.getByRole('button', { name: /Save Assessment/ }));
+  expect(await screen.findByText('Sharp in the covers.')).toBeInTheDocument();
+  expect(screen.getByRole('img', { name: /^Fielding trend: .*, 5$/ })).toBeInTheDocument();
+  expect(screen.getByLabelText('Second assessment')).toHaveDisplayValue(/Demo Coach/);
+});
+
+test('finds injury notes across the whole roster', async () => {
+  window.history.pushState(null, '', '/notes?category=injury');
+  render(<App />);
+  expect(await screen.findByRole('heading', { name: 'Notes' })).toBeInTheDocument();
+  const [injury] = await screen.findAllByText(/Jarred a finger/);
+  expect(injury).toBeInTheDocument();
+  expect(screen.queryByText(/forward defence\./)).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Search notes'), { target: { value: 'no such note' } });
+  expect(window.location.search).toBe('?q=no+such+note&category=injury');
+  expect(await screen.findByText('No notes match this search.')).toBeInTheDocument();
+});
+
+test('marks a session from the keyboard and in bulk', async () => {
+  window.history.pushState(null, '', '/attendance/2030-01-07');
+  render(<App />);
+  await screen.findByRole('checkbox', { name: 'Select Aarav Sharma' });
+  expect(screen.getByRole('button', { name: 'Pending (2)' })).toBeInTheDocument();
+
+  fireEvent.keyDown(window, { key: 'ArrowRight' });
+  fireEvent.keyDown(window, { key: 'a' });
+  expect(await screen.findByRole('button', { name: 'Marked (1)' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Mark All 1 Remaining Present/ }));
+  fireEvent.click(screen.getByRole('button', { name: 'Save 1 Mark' }));
+  expect(await screen.findByText('All Done!')).toBeInTheDocument();
+  expect(screen.getByText('Present: 1')).toBeInTheDocument();
+  expect(screen.getByText('Absent: 1')).toBeInTheDocument();
 });
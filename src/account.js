@@ -0,0 +1,51 @@
+// --- Account Helpers ---
+// Coaches sign in with email and password or an emailed link. A guest
+// (anonymous) session can be upgraded by linking one of those credentials,
+// which keeps the same uid and therefore the same academy.
+
+// Remembers which address an email link was sent to, and whether the link
+// should upgrade the guest session or sign in to an existing account.
+export const EMAIL_LINK_STORAGE_KEY = 'cricnets-email-link';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((email || '').trim());
+
+export const validateCredentials = (email, password) => {
+    if (!isValidEmail(email)) return 'Please enter a valid email address.';
+    if (password !== undefined && password.length < MIN_PASSWORD_LENGTH) return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`;
+    return null;
+};
+
+const authErrorMessages = {
+    'auth/invalid-email': 'Please enter a valid email address.',
+    'auth/invalid-credential': 'That email and password do not match.',
+    'auth/wrong-password': 'That email and password do not match.',
+    'auth/user-not-found': 'There is no account with that email.',
+    'auth/user-disabled': 'This account has been disabled.',
+    'auth/email-already-in-use': 'That email already has an account. Sign in with it instead.',
+    'auth/credential-already-in-use': 'That email already has an account. Sign in with it instead.',
+    'auth/provider-already-linked': 'This session is already linked to an account.',
+    'auth/weak-password': `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`,
+    'auth/too-many-requests': 'Too many attempts. Wait a few minutes and try again.',
+    'auth/network-request-failed': 'No connection. Check your signal and try again.',
+    'auth/invalid-action-code': 'This sign-in link has expired or was already used. Request a new one.',
+    'auth/expired-action-code': 'This sign-in link has expired. Request a new one.',
+    'auth/operation-not-allowed': 'This sign-in method is not enabled for the academy.',
+};
+
+export const getAuthErrorMessage = (error) => authErrorMessages[error?.code] || 'Something went wrong. Please try again.';
+
+export const saveEmailLinkRequest = (email, mode) => {
+    window.localStorage.setItem(EMAIL_LINK_STORAGE_KEY, JSON.stringify({ email, mode }));
+};
+
+export const loadEmailLinkRequest = () => {
+    try {
+        return JSON.parse(window.localStorage.getItem(EMAIL_LINK_STORAGE_KEY)) || null;
+    } catch (e) {
+        return null;
+    }
+};
+
+export const clearEmailLinkRequest = () => window.localStorage.removeItem(EMAIL_LINK_STORAGE_KEY);
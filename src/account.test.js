@@ -0,0 +1,38 @@
+import {
+  isValidEmail,
+  validateCredentials,
+  getAuthErrorMessage,
+  saveEmailLinkRequest,
+  loadEmailLinkRequest,
+  clearEmailLinkRequest,
+  EMAIL_LINK_STORAGE_KEY,
+} from './account';
+
+test('isValidEmail accepts ordinary addresses and rejects fragments', () => {
+  expect(isValidEmail(' coach@nets.club ')).toBe(true);
+  expect(isValidEmail('coach@nets')).toBe(false);
+  expect(isValidEmail('coach nets@club.com')).toBe(false);
+  expect(isValidEmail(undefined)).toBe(false);
+});
+
+test('validateCredentials checks the password only when one is given', () => {
+  expect(validateCredentials('bad', 'longenough')).toBe('Please enter a valid email address.');
+  expect(validateCredentials('coach@nets.club', 'short')).toMatch(/at least 8 characters/);
+  expect(validateCredentials('coach@nets.club', 'longenough')).toBeNull();
+  expect(validateCredentials('coach@nets.club')).toBeNull();
+});
+
+test('getAuthErrorMessage maps Firebase codes and falls back to a generic message', () => {
+  expect(getAuthErrorMessage({ code: 'auth/credential-already-in-use' })).toMatch(/already has an account/);
+  expect(getAuthErrorMessage({ code: 'auth/something-new' })).toBe('Something went wrong. Please try again.');
+  expect(getAuthErrorMessage(null)).toBe('Something went wrong. Please try again.');
+});
+
+test('email link requests round-trip through localStorage', () => {
+  saveEmailLinkRequest('coach@nets.club', 'link');
+  expect(loadEmailLinkRequest()).toEqual({ email: 'coach@nets.club', mode: 'link' });
+  clearEmailLinkRequest();
+  expect(loadEmailLinkRequest()).toBeNull();
+  window.localStorage.setItem(EMAIL_LINK_STORAGE_KEY, '{not json');
+  expect(loadEmailLinkRequest()).toBeNull();
+});
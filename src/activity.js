@@ -0,0 +1,107 @@
+import { formatCurrency } from './packages';
+import { getStatusLabel } from './attendance';
+import { formatDateKey, formatMonth } from './dates';
+
+// --- Activity Log ---
+// Every create, update and delete of a student, payment, note or attendance
+// record adds an entry to the academy's `activity` collection in the same
+// batch as the change. Entries are never edited or removed; a revert is a new
+// change with its own entry. The Firestore rules should only allow creating
+// activity documents, and only for the signed-in member as the actor.
+
+export const ACTIVITY_ENTITIES = {
+    student: 'Student',
+    payment: 'Payment',
+    note: 'Note',
+    attendance: 'Attendance',
+};
+
+export const ENTITY_COLLECTIONS = {
+    student: 'students',
+    payment: 'payments',
+    note: 'notes',
+    attendance: 'attendance',
+};
+
+export const getEntityForCollection = (collectionName) => Object.keys(ENTITY_COLLECTIONS).find(entity => ENTITY_COLLECTIONS[entity] === collectionName);
+
+// Ids and the owning student are part of the record's identity, not its content.
+const IGNORED_FIELDS = ['id', 'studentId'];
+
+// Firestore cannot store `undefined`, so a missing field is recorded as null.
+const toStored = (value) => (value === undefined ? null : value);
+
+const sameValue = (a, b) => JSON.stringify(toStored(a)) === JSON.stringify(toStored(b));
+
+// Field-by-field `{ before, after }` for every field that differs.
+export const diffRecords = (before, after) => {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+    [...fields].filter(field => !IGNORED_FIELDS.includes(field)).sort().forEach(field => {
+        if (!sameValue(before?.[field], after?.[field])) {
+            changes[field] = { before: toStored(before?.[field]), after: toStored(after?.[field]) };
+        }
+    });
+    return changes;
+};
+
+const stripIdentity = (record) => {
+    if (!record) return null;
+    const content = { ...record };
+    IGNORED_FIELDS.forEach(field => delete content[field]);
+    return content;
+};
+
+// Returns null for an update that changes nothing, so no entry is written.
+export const createActivityEntry = ({ entity, action, entityId, studentId, before = null, after = null }) => {
+    const changes = diffRecords(before, after);
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+    return {
+        entity,
+        action,
+        entityId,
+        studentId,
+        before: stripIdentity(before),
+        after: stripIdentity(after),
+        changes,
+    };
+};
+
+const describeField = (field) => field.replace(/([A-Z])/g, ' $1').toLowerCase();
+
+export const describeActivity = (entry) => {
+    const record = entry.after || entry.before || {};
+    switch (entry.entity) {
+        case 'attendance':
+            return `Attendance on ${formatDateKey(record.date)}: ${entry.before ? getStatusLabel(entry.before.status) : 'not marked'} → ${entry.after ? getStatusLabel(entry.after.status) : 'not marked'}`;
+        case 'payment':
+            return `${entry.action === 'delete' ? 'Deleted' : entry.action === 'create' ? 'Recorded' : 'Changed'} payment of ${formatCurrency(record.amount)} for ${formatMonth(record.month)}`;
+        case 'note':
+            if (entry.action === 'create') return `Added note: "${record.text}"`;
+            if (entry.action === 'delete') return `Deleted note: "${record.text}"`;
+            return `Edited note: "${entry.before.text}" → "${entry.after.text}"`;
+        default:
+            if (entry.action === 'create') return `Added ${record.name}`;
+            if (entry.action === 'delete') return `Deleted ${record.name}`;
+            return `Changed ${Object.keys(entry.changes).map(describeField).join(', ')}`;
+    }
+};
+
+// How to undo an entry: delete what it created, put back what it deleted, or
+// set the changed fields back to their earlier values.
+export const getRevertChange = (entry) => {
+    if (entry.action === 'create') return { action: 'delete' };
+    if (entry.action === 'delete') return { action: 'set', data: entry.before };
+    return {
+        action: 'update',
+        data: Object.fromEntries(Object.entries(entry.changes).map(([field, change]) => [field, change.before])),
+    };
+};
+
+// True when the record no longer matches what the entry left behind, so a
+// revert would also undo someone's later change.
+export const hasChangedSince = (entry, current) => {
+    if (entry.action === 'delete') return Boolean(current);
+    if (!current) return true;
+    return Object.keys(entry.changes).some(field => !sameValue(current[field], entry.after?.[field]));
+};
@@ -0,0 +1,49 @@
+import { diffRecords, createActivityEntry, describeActivity, getRevertChange, hasChangedSince, getEntityForCollection } from './activity';
+
+const before = { id: 's1', name: 'Asha', enrolledDays: ['Monday'], waiverSigned: false };
+const after = { id: 's1', name: 'Asha', enrolledDays: ['Monday', 'Thursday'], waiverSigned: false, parentName: 'Ravi' };
+
+test('diffRecords lists changed fields and records missing ones as null', () => {
+  expect(diffRecords(before, after)).toEqual({
+    enrolledDays: { before: ['Monday'], after: ['Monday', 'Thursday'] },
+    parentName: { before: null, after: 'Ravi' },
+  });
+  expect(diffRecords(null, { studentId: 's1', status: 'present' })).toEqual({ status: { before: null, after: 'present' } });
+});
+
+test('createActivityEntry skips updates that change nothing', () => {
+  expect(createActivityEntry({ entity: 'student', action: 'update', entityId: 's1', studentId: 's1', before, after: { ...before } })).toBeNull();
+  const entry = createActivityEntry({ entity: 'student', action: 'update', entityId: 's1', studentId: 's1', before, after });
+  expect(entry.before).toEqual({ name: 'Asha', enrolledDays: ['Monday'], waiverSigned: false });
+  expect(Object.keys(entry.changes)).toEqual(['enrolledDays', 'parentName']);
+});
+
+test('describeActivity summarises each kind of record', () => {
+  const attendance = createActivityEntry({ entity: 'attendance', action: 'update', entityId: 's1_2025-03-04', studentId: 's1', before: { date: '2025-03-04', status: 'absent' }, after: { date: '2025-03-04', status: 'late' } });
+  expect(describeActivity(attendance)).toMatch(/Absent → Late$/);
+  const payment = createActivityEntry({ entity: 'payment', action: 'delete', entityId: 'p1', studentId: 's1', before: { month: '2025-03', amount: 80 } });
+  expect(describeActivity(payment)).toMatch(/^Deleted payment of \$80\.00 for /);
+  const student = createActivityEntry({ entity: 'student', action: 'update', entityId: 's1', studentId: 's1', before, after });
+  expect(describeActivity(student)).toBe('Changed enrolled days, parent name');
+});
+
+test('getRevertChange undoes creates, deletes and updates', () => {
+  expect(getRevertChange({ action: 'create' })).toEqual({ action: 'delete' });
+  expect(getRevertChange({ action: 'delete', before: { month: '2025-03', amount: 80 } })).toEqual({ action: 'set', data: { month: '2025-03', amount: 80 } });
+  const entry = createActivityEntry({ entity: 'student', action: 'update', entityId: 's1', studentId: 's1', before, after });
+  expect(getRevertChange(entry)).toEqual({ action: 'update', data: { enrolledDays: ['Monday'], parentName: null } });
+});
+
+test('hasChangedSince notices later edits to the same fields', () => {
+  const entry = createActivityEntry({ entity: 'student', action: 'update', entityId: 's1', studentId: 's1', before, after });
+  expect(hasChangedSince(entry, after)).toBe(false);
+  expect(hasChangedSince(entry, { ...after, name: 'Asha K' })).toBe(false);
+  expect(hasChangedSince(entry, { ...after, parentName: 'Meera' })).toBe(true);
+  expect(hasChangedSince(entry, undefined)).toBe(true);
+  expect(hasChangedSince({ action: 'delete', changes: {} }, { id: 'p1' })).toBe(true);
+});
+
+test('getEntityForCollection maps collection names back to entities', () => {
+  expect(getEntityForCollection('payments')).toBe('payment');
+  expect(getEntityForCollection('attendance')).toBe('attendance');
+});
@@ -0,0 +1,80 @@
+// --- Skill Assessments ---
+// Coaches score students against the academy's rubric, kept in the settings
+// as `assessmentSkills: [{ id, name, description, isActive }]`. Skills are
+// retired rather than removed so older assessments still have their names.
+// Each assessment is one document in the academy's `assessments` collection:
+// `{ studentId, date, coachId, coachName, scores: { [skillId]: 1-5 }, comment, createdAt }`.
+// A skill left out of `scores` was not assessed that time.
+
+export const ASSESSMENT_SCALE = [
+    { score: 1, label: 'Beginning' },
+    { score: 2, label: 'Developing' },
+    { score: 3, label: 'Competent' },
+    { score: 4, label: 'Strong' },
+    { score: 5, label: 'Excellent' },
+];
+
+export const MAX_SCORE = ASSESSMENT_SCALE.length;
+
+export const DEFAULT_SKILLS = [
+    { id: 'batting', name: 'Batting technique', description: 'Grip, stance, footwork and shot selection.', isActive: true },
+    { id: 'bowling', name: 'Bowling action', description: 'Run-up, load, release and follow-through.', isActive: true },
+    { id: 'fielding', name: 'Fielding', description: 'Catching, ground fielding and throwing.', isActive: true },
+    { id: 'fitness', name: 'Fitness', description: 'Speed, stamina and agility.', isActive: true },
+    { id: 'awareness', name: 'Game awareness', description: 'Reading the game, running between wickets and teamwork.', isActive: true },
+];
+
+export const getScaleLabel = (score) => ASSESSMENT_SCALE.find(step => step.score === score)?.label || '';
+
+export const getSkills = (settings) => settings?.assessmentSkills || DEFAULT_SKILLS;
+
+export const getActiveSkills = (skills) => skills.filter(skill => skill.isActive);
+
+// A readable id from the name, made unique among `skills`.
+export const createSkillId = (name, skills) => {
+    const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'skill';
+    const taken = new Set(skills.map(skill => skill.id));
+    let id = base;
+    for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+    return id;
+};
+
+export const validateSkills = (skills) => {
+    if (getActiveSkills(skills).length === 0) return 'The rubric needs at least one skill.';
+    const names = skills.map(skill => skill.name.trim().toLowerCase());
+    if (names.some(name => !name)) return 'Every skill needs a name.';
+    if (new Set(names).size !== names.length) return 'Two skills have the same name.';
+    return null;
+};
+
+export const validateAssessment = (assessment, today) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(assessment.date || '')) return 'Please choose the date of the assessment.';
+    if (assessment.date > today) return 'The assessment date is in the future.';
+    if (!assessment.coachId) return 'Please choose the coach who made the assessment.';
+    if (Object.keys(assessment.scores || {}).length === 0) return 'Please score at least one skill.';
+    return null;
+};
+
+// Oldest first, so charts read left to right.
+export const sortAssessments = (assessments) => [...assessments].sort((a, b) => a.date.localeCompare(b.date) || a.createdAt.localeCompare(b.createdAt));
+
+export const getAverageScore = (assessment) => {
+    const scores = Object.values(assessment.scores || {});
+    if (scores.length === 0) return null;
+    return Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 10) / 10;
+};
+
+// `[{ date, score }]` for every assessment that scored the skill, oldest first.
+export const getSkillTrend = (assessments, skillId) => sortAssessments(assessments)
+    .filter(assessment => assessment.scores?.[skillId] !== undefined)
+    .map(assessment => ({ date: assessment.date, score: assessment.scores[skillId] }));
+
+// Skills that have been scored at least once, in rubric order, retired ones included.
+export const getAssessedSkills = (skills, assessments) => skills.filter(skill => assessments.some(assessment => assessment.scores?.[skill.id] !== undefined));
+
+// One row per skill scored in either assessment. `change` is null when only one scored it.
+export const compareAssessments = (earlier, later, skills) => getAssessedSkills(skills, [earlier, later]).map(skill => {
+    const before = earlier.scores?.[skill.id] ?? null;
+    const after = later.scores?.[skill.id] ?? null;
+    return { skillId: skill.id, name: skill.name, before, after, change: before === null || after === null ? null : after - before };
+});
@@ -0,0 +1,50 @@
+import { DEFAULT_SKILLS, getSkills, getActiveSkills, createSkillId, validateSkills, validateAssessment, sortAssessments, getAverageScore, getSkillTrend, getAssessedSkills, compareAssessments } from './assessments';
+
+const skills = [
+  { id: 'batting', name: 'Batting technique', isActive: true },
+  { id: 'bowling', name: 'Bowling action', isActive: true },
+  { id: 'keeping', name: 'Wicket keeping', isActive: false },
+];
+const assessments = [
+  { id: 'a2', date: '2024-06-01', createdAt: '2024-06-01T10:00:00Z', scores: { batting: 3, bowling: 4 } },
+  { id: 'a1', date: '2024-03-01', createdAt: '2024-03-01T10:00:00Z', scores: { batting: 2, keeping: 3 } },
+];
+
+test('uses the default rubric until the academy sets its own', () => {
+  expect(getSkills({})).toBe(DEFAULT_SKILLS);
+  expect(getSkills({ assessmentSkills: skills })).toBe(skills);
+  expect(getActiveSkills(skills).map(s => s.id)).toEqual(['batting', 'bowling']);
+});
+
+test('makes readable unique skill ids', () => {
+  expect(createSkillId('Running between wickets', skills)).toBe('running-between-wickets');
+  expect(createSkillId('Batting', skills)).toBe('batting-2');
+  expect(createSkillId('!!!', [])).toBe('skill');
+});
+
+test('validates the rubric and assessments', () => {
+  expect(validateSkills(skills)).toBeNull();
+  expect(validateSkills([{ ...skills[0], isActive: false }])).toMatch(/at least one/);
+  expect(validateSkills([...skills, { id: 'x', name: 'batting technique ', isActive: true }])).toMatch(/same name/);
+  const assessment = { date: '2024-06-01', coachId: 'c1', scores: { batting: 3 } };
+  expect(validateAssessment(assessment, '2024-06-15')).toBeNull();
+  expect(validateAssessment({ ...assessment, date: '2024-07-01' }, '2024-06-15')).toMatch(/future/);
+  expect(validateAssessment({ ...assessment, coachId: '' }, '2024-06-15')).toMatch(/coach/);
+  expect(validateAssessment({ ...assessment, scores: {} }, '2024-06-15')).toMatch(/at least one skill/);
+});
+
+test('follows a skill over time', () => {
+  expect(sortAssessments(assessments).map(a => a.id)).toEqual(['a1', 'a2']);
+  expect(getAverageScore(assessments[0])).toBe(3.5);
+  expect(getSkillTrend(assessments, 'batting')).toEqual([{ date: '2024-03-01', score: 2 }, { date: '2024-06-01', score: 3 }]);
+  expect(getSkillTrend(assessments, 'bowling')).toEqual([{ date: '2024-06-01', score: 4 }]);
+  expect(getAssessedSkills(skills, assessments).map(s => s.id)).toEqual(['batting', 'bowling', 'keeping']);
+});
+
+test('compares two assessments skill by skill', () => {
+  expect(compareAssessments(assessments[1], assessments[0], skills)).toEqual([
+    { skillId: 'batting', name: 'Batting technique', before: 2, after: 3, change: 1 },
+    { skillId: 'bowling', name: 'Bowling action', before: null, after: 4, change: null },
+    { skillId: 'keeping', name: 'Wicket keeping', before: 3, after: null, change: null },
+  ]);
+});
@@ -0,0 +1,114 @@
+// --- Note Attachments ---
+// Photos and short clips attached to a player note. The files go to the
+// backend's file storage (see backend.js) and the note keeps a list of them in
+// `attachments`:
+// `[{ id, kind, name, contentType, size, path, url, thumbnailPath, thumbnailUrl, addedAt }]`,
+// where `kind` is 'image' or 'video'. Each file has a small JPEG thumbnail,
+// made on the device before upload so lists never download the full file.
+
+export const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+export const MAX_VIDEO_BYTES = 100 * 1024 * 1024;
+export const MAX_VIDEO_SECONDS = 90;
+export const THUMBNAIL_SIZE = 320;
+export const ATTACHMENT_ACCEPT = 'image/*,video/*';
+
+export const getAttachmentKind = (contentType) => {
+    if (contentType?.startsWith('image/')) return 'image';
+    if (contentType?.startsWith('video/')) return 'video';
+    return null;
+};
+
+const formatMegabytes = (bytes) => `${Math.round(bytes / (1024 * 1024))} MB`;
+
+// Returns why a picked file can't be attached, or null when it can.
+export const validateAttachment = (file) => {
+    const kind = getAttachmentKind(file.type);
+    if (!kind) return `"${file.name}" is not a photo or video.`;
+    if (kind === 'image' && file.size > MAX_IMAGE_BYTES) return `"${file.name}" is larger than ${formatMegabytes(MAX_IMAGE_BYTES)}.`;
+    if (kind === 'video' && file.size > MAX_VIDEO_BYTES) return `"${file.name}" is larger than ${formatMegabytes(MAX_VIDEO_BYTES)}. Trim the clip and try again.`;
+    return null;
+};
+
+export const validateVideoDuration = (name, seconds) => (seconds > MAX_VIDEO_SECONDS
+    ? `"${name}" is longer than ${MAX_VIDEO_SECONDS} seconds. Trim the clip and try again.`
+    : null);
+
+// Scales `width` x `height` down to fit inside a `max` square, keeping the shape.
+export const getThumbnailSize = (width, height, max = THUMBNAIL_SIZE) => {
+    const scale = Math.min(1, max / Math.max(width, height));
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+};
+
+// Files sit beside the note they belong to, so a note's files share a folder.
+export const getAttachmentPaths = (academyPath, noteId, attachmentId) => ({
+    path: `${academyPath}/notes/${noteId}/${attachmentId}`,
+    thumbnailPath: `${academyPath}/notes/${noteId}/${attachmentId}-thumbnail.jpg`,
+});
+
+export const getAttachmentFilePaths = (attachments) => (attachments || []).flatMap(attachment => [attachment.path, attachment.thumbnailPath]);
+
+// Files are deleted as soon as a note stops listing them, so undoing a change
+// or restoring a backup can't bring them back. A note put back that way keeps
+// only the attachments it lists now (`current`), and files it drops are
+// returned as `dropped` to be deleted.
+export const reconcileRevertedAttachments = (current, reverted) => {
+    const currentIds = new Set((current || []).map(attachment => attachment.id));
+    const revertedIds = new Set((reverted || []).map(attachment => attachment.id));
+    return {
+        kept: (reverted || []).filter(attachment => currentIds.has(attachment.id)),
+        dropped: (current || []).filter(attachment => !revertedIds.has(attachment.id)),
+    };
+};
+
+// Attachments from every note, newest note first, each with the note's date.
+export const collectAttachments = (notes) => [...notes]
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .flatMap(note => (note.attachments || []).map(attachment => ({ ...attachment, noteId: note.id, date: note.date })));
+
+// --- Thumbnails ---
+// These run in the browser: the file is drawn onto a canvas and saved as a JPEG.
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Could not read the photo.'));
+    image.src = url;
+});
+
+// Seeks a little way in, since the first frame of a phone clip is often black.
+const loadVideoFrame = (url) => new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.onloadedmetadata = () => {
+        video.currentTime = Math.min(0.5, video.duration / 2 || 0);
+    };
+    video.onseeked = () => resolve(video);
+    video.onerror = () => reject(new Error('Could not read the video.'));
+    video.src = url;
+});
+
+const drawThumbnail = (source, width, height) => new Promise((resolve, reject) => {
+    const size = getThumbnailSize(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = size.width;
+    canvas.height = size.height;
+    canvas.getContext('2d').drawImage(source, 0, 0, size.width, size.height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not make a thumbnail.'))), 'image/jpeg', 0.8);
+});
+
+// Resolves with `{ blob, duration }`; `duration` is in seconds, or null for photos.
+export const createThumbnail = async (file) => {
+    const url = URL.createObjectURL(file);
+    try {
+        if (getAttachmentKind(file.type) === 'video') {
+            const video = await loadVideoFrame(url);
+            return { blob: await drawThumbnail(video, video.videoWidth, video.videoHeight), duration: video.duration };
+        }
+        const image = await loadImage(url);
+        return { blob: await drawThumbnail(image, image.naturalWidth, image.naturalHeight), duration: null };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
@@ -0,0 +1,43 @@
+import { getAttachmentKind, validateAttachment, validateVideoDuration, getThumbnailSize, getAttachmentPaths, getAttachmentFilePaths, collectAttachments, reconcileRevertedAttachments } from './attachments';
+
+test('accepts photos and clips within the limits', () => {
+  expect(getAttachmentKind('image/jpeg')).toBe('image');
+  expect(getAttachmentKind('video/quicktime')).toBe('video');
+  expect(getAttachmentKind('application/pdf')).toBeNull();
+  expect(validateAttachment({ name: 'action.mov', type: 'video/quicktime', size: 20e6 })).toBeNull();
+  expect(validateAttachment({ name: 'form.pdf', type: 'application/pdf', size: 1000 })).toMatch(/not a photo or video/);
+  expect(validateAttachment({ name: 'match.mp4', type: 'video/mp4', size: 500e6 })).toMatch(/larger than 100 MB/);
+  expect(validateVideoDuration('action.mov', 30)).toBeNull();
+  expect(validateVideoDuration('match.mp4', 600)).toMatch(/longer than 90 seconds/);
+});
+
+test('scales thumbnails to fit without stretching', () => {
+  expect(getThumbnailSize(4032, 3024)).toEqual({ width: 320, height: 240 });
+  expect(getThumbnailSize(1080, 1920)).toEqual({ width: 180, height: 320 });
+  expect(getThumbnailSize(100, 50)).toEqual({ width: 100, height: 50 });
+});
+
+test('keeps a note\'s files together and finds them again', () => {
+  const paths = getAttachmentPaths('academies/a1', 'n1', 'f1');
+  expect(paths).toEqual({ path: 'academies/a1/notes/n1/f1', thumbnailPath: 'academies/a1/notes/n1/f1-thumbnail.jpg' });
+  expect(getAttachmentFilePaths([{ id: 'f1', ...paths }])).toEqual([paths.path, paths.thumbnailPath]);
+  expect(getAttachmentFilePaths(undefined)).toEqual([]);
+
+  const notes = [
+    { id: 'n1', date: '2024-05-01', attachments: [{ id: 'f1' }] },
+    { id: 'n2', date: '2024-06-01', attachments: [{ id: 'f2' }, { id: 'f3' }] },
+    { id: 'n3', date: '2024-06-02' },
+  ];
+  expect(collectAttachments(notes).map(a => `${a.noteId}/${a.id}@${a.date}`)).toEqual(['n2/f2@2024-06-01', 'n2/f3@2024-06-01', 'n1/f1@2024-05-01']);
+});
+
+test('never brings back deleted files when a change is undone', () => {
+  const [a, b, c] = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  // Undoing a removal: "b" is already gone from storage.
+  expect(reconcileRevertedAttachments([a], [a, b])).toEqual({ kept: [a], dropped: [] });
+  // Undoing an upload: "c" is no longer listed, so its files go.
+  expect(reconcileRevertedAttachments([a, c], [a])).toEqual({ kept: [a], dropped: [c] });
+  // Undoing a delete: the note's files went with it.
+  expect(reconcileRevertedAttachments(undefined, [a, b])).toEqual({ kept: [], dropped: [] });
+  expect(reconcileRevertedAttachments([c], null)).toEqual({ kept: [], dropped: [c] });
+});
@@ -0,0 +1,96 @@
+import { getMonthDates, getWeekdayName } from './dates';
+
+// --- Attendance Statuses ---
+// Stored as plain strings in the `status` of each attendance record (see
+// records.js). `attachHistory` gathers them into each student's `attendance`
+// map, keyed by date, which is what the functions here read.
+// 'present' and 'absent' are the two values older records use.
+
+export const ATTENDANCE_STATUSES = [
+    { key: 'present', label: 'Present', abbreviation: 'P' },
+    { key: 'late', label: 'Late', abbreviation: 'L' },
+    { key: 'absent', label: 'Absent', abbreviation: 'A' },
+    { key: 'excused', label: 'Excused', abbreviation: 'E' },
+    { key: 'cancelled', label: 'Cancelled by Academy', abbreviation: 'C' },
+];
+
+export const getStatusLabel = (status) => ATTENDANCE_STATUSES.find(s => s.key === status)?.label || status;
+
+// Late still counts as attending; excused absences and academy cancellations
+// are not held against the student.
+export const isAttended = (status) => status === 'present' || status === 'late';
+
+export const countStatuses = (students, dateStr) => {
+    const counts = Object.fromEntries(ATTENDANCE_STATUSES.map(s => [s.key, 0]));
+    students.forEach(student => {
+        const status = student.attendance?.[dateStr];
+        if (status) counts[status] = (counts[status] || 0) + 1;
+    });
+    return counts;
+};
+
+// --- Marking a Session ---
+
+// Keys that mark the highlighted student on the daily attendance page.
+export const ATTENDANCE_SHORTCUTS = { p: 'present', a: 'absent', l: 'late' };
+
+export const getShortcutStatus = (key) => ATTENDANCE_SHORTCUTS[key.toLowerCase()] || null;
+
+// The card an arrow key moves to, or null for any other key. Cards flow in
+// reading order, so down and right both go to the next one.
+export const moveIndex = (index, count, key) => {
+    if (count === 0) return null;
+    if (key === 'ArrowRight' || key === 'ArrowDown') return Math.min(index + 1, count - 1);
+    if (key === 'ArrowLeft' || key === 'ArrowUp') return Math.max(index - 1, 0);
+    return null;
+};
+
+// `[{ studentId, status }]` giving everyone `status` unless `overrides` says
+// otherwise. An override of '' leaves that student unmarked. A student listed
+// twice, say in two of the day's sessions, is marked once.
+export const buildBulkMarks = (studentIds, status, overrides = {}) => [...new Set(studentIds)]
+    .map(studentId => ({ studentId, status: overrides[studentId] ?? status }))
+    .filter(mark => mark.status);
+
+// Each mark is two writes, the record and its activity entry. The Firebase
+// backend splits a commit into batches of 400 writes, so bulk marks are
+// committed this many at a time to keep each commit in a single batch.
+export const MARKS_PER_COMMIT = 200;
+
+// --- Monthly Register ---
+// A session date is any day in the month that at least one listed student is
+// enrolled for, plus any day that already has attendance recorded. Sessions the
+// academy cancelled, and days it was closed, are not counted as expected.
+export const buildRegister = (students, monthKey, closedDates = []) => {
+    const monthDates = getMonthDates(monthKey);
+    const isScheduled = (student, date) => !closedDates.includes(date) && Boolean(student.enrolledDays?.includes(getWeekdayName(date)));
+    const dates = monthDates.filter(date => students.some(student => isScheduled(student, date) || student.attendance?.[date]));
+
+    const rows = students.map(student => {
+        const cells = dates.map(date => ({
+            date,
+            scheduled: isScheduled(student, date),
+            status: student.attendance?.[date] || null,
+        }));
+        return {
+            student,
+            cells,
+            attended: cells.filter(c => isAttended(c.status)).length,
+            expected: cells.filter(c => (c.scheduled || c.status) && c.status !== 'cancelled').length,
+        };
+    });
+
+    const columnTotals = dates.map((date, i) => ({
+        date,
+        attended: rows.filter(row => isAttended(row.cells[i].status)).length,
+        expected: rows.filter(row => (row.cells[i].scheduled || row.cells[i].status) && row.cells[i].status !== 'cancelled').length,
+    }));
+
+    return {
+        dates,
+        rows,
+        columnTotals,
+        attended: rows.reduce((sum, row) => sum + row.attended, 0),
+        expected: rows.reduce((sum, row) => sum + row.expected, 0),
+    };
+};
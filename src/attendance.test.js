@@ -0,0 +1,69 @@
+import { buildRegister, countStatuses, isAttended, getShortcutStatus, moveIndex, buildBulkMarks } from './attendance';
+
+test('counts each status for the date', () => {
+  const students = [
+    { attendance: { '2025-04-14': 'present' } },
+    { attendance: { '2025-04-14': 'late' } },
+    { attendance: { '2025-04-14': 'present', '2025-04-07': 'absent' } },
+    { attendance: {} },
+    {},
+  ];
+  expect(countStatuses(students, '2025-04-14')).toEqual({ present: 2, late: 1, absent: 0, excused: 0, cancelled: 0 });
+});
+
+test('late counts as attended, excused and cancelled do not', () => {
+  expect(isAttended('late')).toBe(true);
+  expect(isAttended('excused')).toBe(false);
+  expect(isAttended('cancelled')).toBe(false);
+});
+
+test('register lists each enrolled session date with row and column totals', () => {
+  const students = [
+    { id: 'a', enrolledDays: ['Monday'], attendance: { '2025-04-07': 'present', '2025-04-14': 'late', '2025-04-21': 'cancelled' } },
+    { id: 'b', enrolledDays: ['Wednesday'], attendance: { '2025-04-02': 'absent', '2025-04-07': 'present' } },
+  ];
+  const register = buildRegister(students, '2025-04');
+  expect(register.dates).toEqual([
+    '2025-04-02', '2025-04-07', '2025-04-09', '2025-04-14', '2025-04-16',
+    '2025-04-21', '2025-04-23', '2025-04-28', '2025-04-30',
+  ]);
+  expect(register.rows[0]).toMatchObject({ attended: 2, expected: 3 });
+  // The make-up on Monday the 7th counts for student b even though they are not enrolled that day.
+  expect(register.rows[1]).toMatchObject({ attended: 1, expected: 6 });
+  expect(register.columnTotals[1]).toEqual({ date: '2025-04-07', attended: 2, expected: 2 });
+  expect(register.columnTotals[5]).toEqual({ date: '2025-04-21', attended: 0, expected: 0 });
+});
+
+test('register leaves out closed days unless someone was marked', () => {
+  const students = [
+    { id: 'a', enrolledDays: ['Monday'], attendance: { '2025-04-07': 'present' } },
+  ];
+  const register = buildRegister(students, '2025-04', ['2025-04-07', '2025-04-14']);
+  expect(register.dates).toEqual(['2025-04-07', '2025-04-21', '2025-04-28']);
+  expect(register.rows[0]).toMatchObject({ attended: 1, expected: 3 });
+  expect(register.rows[0].cells[0].scheduled).toBe(false);
+});
+
+test('reads marking shortcuts and moves between cards', () => {
+  expect(getShortcutStatus('P')).toBe('present');
+  expect(getShortcutStatus('a')).toBe('absent');
+  expect(getShortcutStatus('l')).toBe('late');
+  expect(getShortcutStatus('x')).toBeNull();
+  expect(moveIndex(-1, 3, 'ArrowRight')).toBe(0);
+  expect(moveIndex(1, 3, 'ArrowDown')).toBe(2);
+  expect(moveIndex(2, 3, 'ArrowRight')).toBe(2);
+  expect(moveIndex(0, 3, 'ArrowUp')).toBe(0);
+  expect(moveIndex(0, 3, 'Enter')).toBeNull();
+  expect(moveIndex(-1, 0, 'ArrowRight')).toBeNull();
+});
+
+test('marks everyone remaining, apart from the overrides', () => {
+  expect(buildBulkMarks(['s1', 's2', 's3'], 'present', { s2: 'absent', s3: '' })).toEqual([
+    { studentId: 's1', status: 'present' },
+    { studentId: 's2', status: 'absent' },
+  ]);
+  expect(buildBulkMarks(['s1', 's2', 's1'], 'present')).toEqual([
+    { studentId: 's1', status: 'present' },
+    { studentId: 's2', status: 'present' },
+  ]);
+});
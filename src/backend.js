@@ -0,0 +1,61 @@
+// --- Data Backend ---
+// App reads and writes through a backend object rather than calling Firebase
+// directly. There are two: `firebaseBackend.js` for real academies and
+// `localBackend.js`, which keeps a demo academy in this browser's localStorage.
+//
+// Documents are addressed by a collection path (such as
+// `artifacts/{appId}/academies/{id}/students`) and a document id. Records are
+// handed to the app as `{ id, ...data }`. Every backend provides:
+//
+//   kind -> 'firebase' or 'local'; the local backend also has reset().
+//   subscribeCollection(path, filters, onNext, onError) -> unsubscribe
+//       `filters` is a list of `[field, op, value]` with op '==', '>=' or '<='.
+//       `onNext(records, pendingIds)` runs on every change; `pendingIds` are
+//       records with local changes the server has not confirmed yet.
+//   subscribeDoc(path, id, onNext, onError) -> unsubscribe
+//       `onNext(record or null, isPending)`.
+//   getCollection(path, filters) -> Promise of records
+//   getDoc(path, id) -> Promise of a record or null
+//   newId(path) -> an unused document id
+//   commit(writes) -> Promise, applying every write (see `setWrite` and friends)
+//       together. Falsy entries are skipped.
+//
+//   uploadFile(path, blob) -> Promise of a URL the file can be shown from
+//   deleteFile(path) -> Promise; a file that is already gone is not an error.
+//       Files are not part of the offline cache, so uploads need a connection.
+//
+//   onAuthChange(onUser, onError) -> unsubscribe; the user is
+//       `{ uid, email, isAnonymous }` or null when signed out.
+//   signIn(email, password), createAccount(email, password),
+//   sendEmailLink(email, returnUrl), isEmailLink(url),
+//   completeEmailLink(email, url, { linkToGuest }), signInAsGuest(), signOut()
+//       The account methods resolve with the signed-in user. Creating an
+//       account or completing a link from a guest session keeps the same uid.
+//   isGuest() -> whether the current session is a guest (anonymous) one.
+
+// Field value that removes the field in an update.
+export const DELETE_FIELD = Object.freeze({ deleteField: true });
+
+export const setWrite = (path, id, data, { merge = false } = {}) => ({ type: 'set', path, id, data, merge });
+export const updateWrite = (path, id, data) => ({ type: 'update', path, id, data });
+export const deleteWrite = (path, id) => ({ type: 'delete', path, id });
+
+export const matchesFilters = (record, filters = []) => filters.every(([field, op, value]) => {
+    if (op === '==') return record[field] === value;
+    if (op === '>=') return record[field] >= value;
+    if (op === '<=') return record[field] <= value;
+    throw new Error(`Unsupported filter operator: ${op}`);
+});
+
+// --- Demo Mode ---
+// The demo is used when there is no Firebase project to talk to, or when a
+// coach chooses "Try the demo" on the sign-in screen.
+
+export const DEMO_MODE_KEY = 'cricnets-demo-mode';
+
+export const isDemoModeRequested = () => window.localStorage.getItem(DEMO_MODE_KEY) === 'on';
+
+export const setDemoModeRequested = (isOn) => {
+    if (isOn) window.localStorage.setItem(DEMO_MODE_KEY, 'on');
+    else window.localStorage.removeItem(DEMO_MODE_KEY);
+};
@@ -0,0 +1,79 @@
+// --- Academy Backup ---
+// A backup is one JSON file holding every student document (with its notes,
+// payments and attendance), the academy's other records (see
+// BACKUP_COLLECTIONS) and the academy settings. `version` goes up whenever the
+// layout changes; restores refuse newer files.
+
+export const BACKUP_FORMAT = 'cricnets-backup';
+export const BACKUP_VERSION = 1;
+
+// Collections backed up as they are, one record per document.
+export const BACKUP_COLLECTIONS = ['packages', 'sessions', 'closures', 'waivers', 'signatures', 'assessments', 'bookings'];
+
+export const createBackup = ({ students, settings, ...records }, appId, exportedAt = new Date().toISOString()) => ({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    appId,
+    exportedAt,
+    students,
+    ...Object.fromEntries(BACKUP_COLLECTIONS.map(key => [key, records[key] || []])),
+    settings: settings || {},
+});
+
+const isRecordList = (value) => Array.isArray(value) && value.every(item => item && typeof item === 'object' && typeof item.id === 'string' && item.id);
+
+export const parseBackup = (text) => {
+    let backup;
+    try {
+        backup = JSON.parse(text);
+    } catch (e) {
+        throw new Error("This file is not valid JSON.");
+    }
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+        throw new Error("This file is not a Cricnets backup.");
+    }
+    if (!Number.isInteger(backup.version) || backup.version > BACKUP_VERSION) {
+        throw new Error(`This backup was made by a newer version of the app (format version ${backup.version}).`);
+    }
+    if (!isRecordList(backup.students) || BACKUP_COLLECTIONS.some(key => !isRecordList(backup[key]))) {
+        throw new Error("This backup is damaged: every student and record needs an id.");
+    }
+    return { ...backup, settings: backup.settings || {} };
+};
+
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+};
+
+const planCollection = (incoming, current, mode) => {
+    const currentById = new Map(current.map(record => [record.id, record]));
+    const incomingIds = new Set(incoming.map(record => record.id));
+    const plan = { toAdd: [], toUpdate: [], unchanged: [], toDelete: [] };
+    incoming.forEach(record => {
+        const existing = currentById.get(record.id);
+        if (!existing) plan.toAdd.push(record);
+        else if (stableStringify(existing) === stableStringify(record)) plan.unchanged.push(record);
+        else plan.toUpdate.push(record);
+    });
+    if (mode === 'replace') {
+        plan.toDelete = current.filter(record => !incomingIds.has(record.id));
+    }
+    return plan;
+};
+
+// 'merge' adds and overwrites records from the backup and keeps everything else.
+// 'replace' also deletes records that are not in the backup.
+export const planRestore = (backup, current, mode) => ({
+    mode,
+    students: planCollection(backup.students, current.students, mode),
+    ...Object.fromEntries(BACKUP_COLLECTIONS.map(key => [key, planCollection(backup[key], current[key] || [], mode)])),
+    settings: backup.settings,
+});
+
+export const countChanges = (plan) => ['students', ...BACKUP_COLLECTIONS].reduce((sum, key) => (
+    sum + plan[key].toAdd.length + plan[key].toUpdate.length + plan[key].toDelete.length
+), 0);
@@ -0,0 +1,61 @@
+import { countChanges, createBackup, parseBackup, planRestore } from './backup';
+
+const asha = { id: 's1', name: 'Asha', notes: [{ id: 'n1', date: '2025-04-14', text: 'Good front foot' }], payments: [], attendance: { '2025-04-14': 'present' } };
+const ben = { id: 's2', name: 'Ben', notes: [], payments: [], attendance: {} };
+const cal = { id: 's3', name: 'Cal', notes: [], payments: [], attendance: {} };
+
+test('a backup round-trips through JSON', () => {
+  const backup = createBackup({ students: [asha], packages: [], settings: { timeZone: 'Australia/Sydney' } }, 'cricnets-app-v6', '2025-04-14T00:00:00.000Z');
+  expect(parseBackup(JSON.stringify(backup))).toEqual(backup);
+});
+
+test('rejects files that are not usable backups', () => {
+  expect(() => parseBackup('{oops')).toThrow(/not valid JSON/);
+  expect(() => parseBackup('{"students": []}')).toThrow(/not a Cricnets backup/);
+  expect(() => parseBackup('{"format": "cricnets-backup", "version": 99, "students": []}')).toThrow(/newer version/);
+  expect(() => parseBackup('{"format": "cricnets-backup", "version": 1, "students": [{"name": "No id"}]}')).toThrow(/damaged/);
+  expect(() => parseBackup(JSON.stringify({ ...createBackup({ students: [] }, 'app'), sessions: undefined }))).toThrow(/damaged/);
+});
+
+test('merge keeps students missing from the backup', () => {
+  const backup = createBackup({ students: [{ ...asha, name: 'Asha K' }, ben], packages: [] }, 'app');
+  const plan = planRestore(backup, { students: [asha, cal], packages: [] }, 'merge');
+  expect(plan.students.toAdd).toEqual([ben]);
+  expect(plan.students.toUpdate.map(s => s.name)).toEqual(['Asha K']);
+  expect(plan.students.toDelete).toEqual([]);
+  expect(countChanges(plan)).toBe(2);
+});
+
+test('replace deletes students missing from the backup and ignores key order', () => {
+  const reordered = { attendance: asha.attendance, payments: [], notes: asha.notes, name: 'Asha', id: 's1' };
+  const plan = planRestore(createBackup({ students: [reordered], packages: [] }, 'app'), { students: [asha, cal], packages: [] }, 'replace');
+  expect(plan.students.unchanged).toEqual([reordered]);
+  expect(plan.students.toDelete).toEqual([cal]);
+  expect(countChanges(plan)).toBe(1);
+});
+
+test('restores sessions', () => {
+  const juniors = { id: 'juniors', weekday: 'Saturday', startTime: '09:00', endTime: '10:00', capacity: 12 };
+  const seniors = { id: 'seniors', weekday: 'Saturday', startTime: '11:00', endTime: '12:00', capacity: 12 };
+  const current = { students: [], packages: [], sessions: [juniors] };
+
+  const plan = planRestore(createBackup({ students: [], packages: [], sessions: [seniors] }, 'app'), current, 'replace');
+  expect(plan.sessions.toAdd).toEqual([seniors]);
+  expect(plan.sessions.toDelete).toEqual([juniors]);
+  expect(countChanges(plan)).toBe(2);
+});
+
+test('backs up waivers, signatures and the other academy records', () => {
+  const waiver = { id: 'w1', version: 1, title: 'Waiver', text: 'I agree.' };
+  const signature = { id: 'sig1', studentId: 's1', waiverId: 'w1', version: 1, signerName: 'Priya' };
+  const closure = { id: '2025-04-18', date: '2025-04-18', reason: 'Good Friday' };
+  const backup = parseBackup(JSON.stringify(createBackup({ students: [asha], packages: [], waivers: [waiver], signatures: [signature], closures: [closure] }, 'app')));
+  expect(backup).toMatchObject({ waivers: [waiver], signatures: [signature], closures: [closure], assessments: [], bookings: [] });
+
+  const oldSignature = { ...signature, id: 'sig0' };
+  const current = { students: [asha], packages: [], waivers: [waiver], signatures: [oldSignature], closures: [] };
+  const plan = planRestore(backup, current, 'replace');
+  expect(plan.signatures).toMatchObject({ toAdd: [signature], toDelete: [oldSignature] });
+  expect(plan.closures.toAdd).toEqual([closure]);
+  expect(countChanges(plan)).toBe(3);
+});
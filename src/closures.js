@@ -0,0 +1,50 @@
+import { dateKeyToMonthKey, getWeekdayName } from './dates';
+import { isAttended } from './attendance';
+import { getBillingStartMonth, getBillingEndMonth } from './ledger';
+
+// --- Closures ---
+// Days the nets are shut (rain, public holidays) are kept in the academy's
+// `closures` collection, one document per day keyed by its date:
+// `{ date, reason, createdAt }`. Nobody is expected on a closed day, so it
+// drops out of the daily attendance list and the register.
+
+export const CLOSURE_REASONS = ['Rain', 'Public holiday', 'Facility maintenance'];
+
+export const getClosure = (closures, date) => closures.find(closure => closure.date === date) || null;
+
+export const getClosedDates = (closures) => closures.map(closure => closure.date);
+
+export const validateClosure = (closure) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(closure.date || '')) return 'Please choose a date.';
+    if (!closure.reason?.trim()) return 'Please give a reason for the closure.';
+    return null;
+};
+
+// --- Make-up Credits ---
+// Credits are worked out from the records rather than stored. A student earns
+// one for every closed day up to `today` that falls on one of their enrolled
+// days in a month they were billed for, unless they were marked as attending
+// anyway. Attending a day they are not enrolled for uses one up. Enrolled days
+// are the student's current ones, so changing them changes past credits too.
+
+const isBilledMonth = (student, monthKey, today) => {
+    const asOfMonth = dateKeyToMonthKey(today);
+    if (monthKey < getBillingStartMonth(student, asOfMonth) || monthKey > getBillingEndMonth(student, asOfMonth)) return false;
+    return !(student.billingPauses || []).some(pause => pause.from <= monthKey && monthKey <= pause.to);
+};
+
+export const getMakeUpCredits = (student, closures, today) => {
+    const enrolledDays = student.enrolledDays || [];
+    const attendance = student.attendance || {};
+    const earned = closures
+        .map(closure => closure.date)
+        .filter(date => date <= today
+            && enrolledDays.includes(getWeekdayName(date))
+            && isBilledMonth(student, dateKeyToMonthKey(date), today)
+            && !isAttended(attendance[date]))
+        .sort();
+    const used = Object.keys(attendance)
+        .filter(date => isAttended(attendance[date]) && !enrolledDays.includes(getWeekdayName(date)))
+        .sort();
+    return { earned, used, balance: earned.length - used.length };
+};
@@ -0,0 +1,39 @@
+import { getClosure, validateClosure, getMakeUpCredits } from './closures';
+
+// 2024-06-03 is a Monday.
+const closures = [
+  { id: '2024-05-27', date: '2024-05-27', reason: 'Public holiday' },
+  { id: '2024-06-03', date: '2024-06-03', reason: 'Rain' },
+  { id: '2024-06-05', date: '2024-06-05', reason: 'Rain' },
+  { id: '2024-06-17', date: '2024-06-17', reason: 'Public holiday' },
+];
+
+test('finds and validates closures', () => {
+  expect(getClosure(closures, '2024-06-03').reason).toBe('Rain');
+  expect(getClosure(closures, '2024-06-04')).toBeNull();
+  expect(validateClosure({ date: '2024-06-04', reason: 'Rain' })).toBeNull();
+  expect(validateClosure({ date: '', reason: 'Rain' })).toMatch(/date/);
+  expect(validateClosure({ date: '2024-06-04', reason: ' ' })).toMatch(/reason/);
+});
+
+test('earns a credit for each closed enrolled day in a billed month up to today', () => {
+  const student = { enrolledDays: ['Monday'], billingStartMonth: '2024-06', isActive: true, attendance: {} };
+  // May is before billing started, Wednesday is not enrolled and the 17th has not happened yet.
+  expect(getMakeUpCredits(student, closures, '2024-06-10')).toEqual({ earned: ['2024-06-03'], used: [], balance: 1 });
+  expect(getMakeUpCredits({ ...student, billingPauses: [{ from: '2024-06', to: '2024-06' }] }, closures, '2024-06-10').earned).toEqual([]);
+  expect(getMakeUpCredits({ ...student, attendance: { '2024-06-03': 'present' } }, closures, '2024-06-10').earned).toEqual([]);
+});
+
+test('uses a credit up when the student attends a day they are not enrolled for', () => {
+  const student = {
+    enrolledDays: ['Monday'],
+    billingStartMonth: '2024-05',
+    isActive: true,
+    attendance: { '2024-06-08': 'present', '2024-06-11': 'late', '2024-06-12': 'absent', '2024-06-10': 'present' },
+  };
+  expect(getMakeUpCredits(student, closures, '2024-06-12')).toEqual({
+    earned: ['2024-05-27', '2024-06-03'],
+    used: ['2024-06-08', '2024-06-11'],
+    balance: 0,
+  });
+});
@@ -0,0 +1,100 @@
+// --- Contact and Medical Details ---
+// Students keep their family's details in separate fields:
+//
+//   parentName, parentPhone, parentEmail       the main contact, who gets reminders
+//   guardianName, guardianPhone, guardianEmail  a second parent or guardian
+//   emergencyName, emergencyPhone, emergencyRelationship
+//   dateOfBirth                                 'YYYY-MM-DD'
+//   allergies, medicalNotes                     shown to every coach at the nets
+//
+// Older students have a single free-text `contact` instead. It is still shown
+// until the student is next edited, when the form splits it into the new
+// fields and clears it.
+
+export const emptyContactDetails = {
+    parentName: '',
+    parentPhone: '',
+    parentEmail: '',
+    guardianName: '',
+    guardianPhone: '',
+    guardianEmail: '',
+    emergencyName: '',
+    emergencyPhone: '',
+    emergencyRelationship: '',
+    dateOfBirth: '',
+    allergies: '',
+    medicalNotes: '',
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const normalizeEmail = (value) => (value || '').trim().toLowerCase();
+
+// Keeps the digits and a leading '+', so '(04) 12-345 678' becomes '0412345678'.
+export const normalizePhone = (value) => {
+    const text = (value || '').trim();
+    const digits = text.replace(/\D/g, '');
+    return text.startsWith('+') && digits ? `+${digits}` : digits;
+};
+
+export const isEmail = (value) => EMAIL_PATTERN.test((value || '').trim());
+
+export const isPhone = (value) => /^[\d\s().+-]+$/.test((value || '').trim()) && /^\+?\d{6,15}$/.test(normalizePhone(value));
+
+// Splits an older free-text `contact` into a phone number or email address.
+// Anything that is neither is kept as the phone so the coach has to fix it.
+export const splitLegacyContact = (contact) => {
+    const text = (contact || '').trim();
+    if (!text) return {};
+    if (isEmail(text)) return { parentEmail: normalizeEmail(text) };
+    if (isPhone(text)) return { parentPhone: normalizePhone(text) };
+    return { parentPhone: text };
+};
+
+// The student's details with everything trimmed and phones and emails normalized.
+export const normalizeContactDetails = (details) => Object.fromEntries(Object.keys(emptyContactDetails).map(field => {
+    const value = (details[field] || '').trim();
+    if (field.endsWith('Phone')) return [field, value && normalizePhone(value)];
+    if (field.endsWith('Email')) return [field, normalizeEmail(value)];
+    return [field, value];
+}));
+
+const PERSON_LABELS = { parent: 'parent', guardian: 'second guardian', emergency: 'emergency contact' };
+
+export const validateContactDetails = (details, today) => {
+    if (!details.parentPhone?.trim() && !details.parentEmail?.trim()) return "Please enter the parent's phone number or email address.";
+    for (const person of Object.keys(PERSON_LABELS)) {
+        const phone = details[`${person}Phone`];
+        const email = details[`${person}Email`];
+        if (phone?.trim() && !isPhone(phone)) return `The ${PERSON_LABELS[person]}'s phone number "${phone.trim()}" doesn't look right.`;
+        if (email?.trim() && !isEmail(email)) return `The ${PERSON_LABELS[person]}'s email address "${email.trim()}" doesn't look right.`;
+    }
+    if (details.guardianName?.trim() && !details.guardianPhone?.trim() && !details.guardianEmail?.trim()) {
+        return "Please enter the second guardian's phone number or email address.";
+    }
+    if (details.emergencyName?.trim() && !details.emergencyPhone?.trim()) return 'Please enter a phone number for the emergency contact.';
+    if (details.dateOfBirth) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(details.dateOfBirth) || Number.isNaN(Date.parse(details.dateOfBirth))) return 'Please enter a valid date of birth.';
+        if (details.dateOfBirth > today) return 'The date of birth is in the future.';
+    }
+    return null;
+};
+
+// The best way to reach the parent: email, then phone, then an older free-text contact.
+export const getPrimaryContact = (student) => student.parentEmail || student.parentPhone || student.contact || '';
+
+export const formatContact = (student) => [student.parentPhone, student.parentEmail].filter(Boolean).join(' · ') || student.contact || '';
+
+// Whole years on `today` ('YYYY-MM-DD'), or null without a date of birth.
+export const getAge = (dateOfBirth, today) => {
+    if (!dateOfBirth) return null;
+    const years = Number(today.slice(0, 4)) - Number(dateOfBirth.slice(0, 4));
+    return today.slice(5) < dateOfBirth.slice(5) ? years - 1 : years;
+};
+
+export const hasMedicalAlert = (student) => Boolean(student.allergies?.trim() || student.medicalNotes?.trim());
+
+export const getMedicalSummary = (student) => [
+    student.allergies?.trim() && `Allergies: ${student.allergies.trim()}`,
+    student.medicalNotes?.trim(),
+].filter(Boolean).join(' · ');
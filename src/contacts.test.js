@@ -0,0 +1,53 @@
+import { emptyContactDetails, normalizePhone, isPhone, isEmail, splitLegacyContact, normalizeContactDetails, validateContactDetails, getPrimaryContact, formatContact, getAge, hasMedicalAlert, getMedicalSummary } from './contacts';
+
+const details = { ...emptyContactDetails, parentName: 'Priya', parentPhone: '0412 555 201' };
+
+test('normalizes phone numbers and email addresses', () => {
+  expect(normalizePhone('(04) 12-345 678')).toBe('0412345678');
+  expect(normalizePhone('+61 412 345 678')).toBe('+61412345678');
+  expect(isPhone('0412 345 678')).toBe(true);
+  expect(isPhone('12345')).toBe(false);
+  expect(isPhone('Mum 0412 345 678')).toBe(false);
+  expect(isEmail(' a@b.co ')).toBe(true);
+  expect(isEmail('a@b')).toBe(false);
+  expect(normalizeContactDetails({ ...details, parentEmail: ' Priya@Example.COM ', guardianName: ' Raj ' })).toMatchObject({
+    parentPhone: '0412555201',
+    parentEmail: 'priya@example.com',
+    guardianName: 'Raj',
+    emergencyPhone: '',
+  });
+});
+
+test('splits an older free-text contact', () => {
+  expect(splitLegacyContact('Mark@Example.com')).toEqual({ parentEmail: 'mark@example.com' });
+  expect(splitLegacyContact('0412 555 201')).toEqual({ parentPhone: '0412555201' });
+  expect(splitLegacyContact('Ring Mum')).toEqual({ parentPhone: 'Ring Mum' });
+  expect(splitLegacyContact('')).toEqual({});
+});
+
+test('validates contact details', () => {
+  expect(validateContactDetails(details, '2024-06-15')).toBeNull();
+  expect(validateContactDetails({ ...details, parentPhone: '' }, '2024-06-15')).toMatch(/parent's phone number or email/);
+  expect(validateContactDetails({ ...details, parentPhone: 'Ring Mum' }, '2024-06-15')).toMatch(/parent's phone number "Ring Mum"/);
+  expect(validateContactDetails({ ...details, guardianEmail: 'raj@' }, '2024-06-15')).toMatch(/second guardian's email/);
+  expect(validateContactDetails({ ...details, guardianName: 'Raj' }, '2024-06-15')).toMatch(/second guardian's phone number or email/);
+  expect(validateContactDetails({ ...details, emergencyName: 'Aunt Meera' }, '2024-06-15')).toMatch(/emergency contact/);
+  expect(validateContactDetails({ ...details, dateOfBirth: '2030-01-01' }, '2024-06-15')).toMatch(/future/);
+});
+
+test('picks the best way to reach a parent', () => {
+  expect(getPrimaryContact({ parentPhone: '0412', parentEmail: 'a@b.co' })).toBe('a@b.co');
+  expect(getPrimaryContact({ parentPhone: '0412' })).toBe('0412');
+  expect(getPrimaryContact({ contact: 'old' })).toBe('old');
+  expect(formatContact({ parentPhone: '0412', parentEmail: 'a@b.co', contact: 'old' })).toBe('0412 · a@b.co');
+  expect(formatContact({ contact: 'old' })).toBe('old');
+});
+
+test('works out age and medical alerts', () => {
+  expect(getAge('2014-06-16', '2024-06-15')).toBe(9);
+  expect(getAge('2014-06-15', '2024-06-15')).toBe(10);
+  expect(getAge('', '2024-06-15')).toBeNull();
+  expect(hasMedicalAlert({ allergies: ' ', medicalNotes: '' })).toBe(false);
+  expect(hasMedicalAlert({ allergies: 'Peanuts' })).toBe(true);
+  expect(getMedicalSummary({ allergies: 'Peanuts', medicalNotes: 'Carries an EpiPen' })).toBe('Allergies: Peanuts · Carries an EpiPen');
+});
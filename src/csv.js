@@ -0,0 +1,76 @@
+// --- CSV Helpers ---
+// RFC 4180 style: fields containing commas, quotes or line breaks are quoted,
+// and quotes inside them are doubled.
+
+const escapeField = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    // Stop spreadsheets from running text that looks like a formula. Signed
+    // numbers, such as phone numbers stored as `+<digits>`, are left alone.
+    if (/^[=@]/.test(text) || (/^[+-]/.test(text) && isNaN(Number(text)))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `columns` is a list of `{ header, value: row => ... }`.
+export const toCSV = (rows, columns) => {
+    const lines = [columns.map(c => escapeField(c.header)).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(c => escapeField(c.value(row))).join(','));
+    });
+    return lines.join('\r\n');
+};
+
+// Returns an array of rows, each an array of strings. Blank lines are dropped.
+export const parseCSV = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    const endField = () => {
+        row.push(field);
+        field = '';
+    };
+    const endRow = () => {
+        endField();
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        row = [];
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows;
+};
+
+export const downloadFile = (filename, content, type = 'text/csv;charset=utf-8') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+};
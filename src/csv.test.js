@@ -0,0 +1,15 @@
+import { parseCSV, toCSV } from './csv';
+
+test('quotes fields that need it and round-trips them', () => {
+  const rows = [{ name: 'Smith, Jo', note: 'Says "howzat"\nloudly' }, { name: '=HYPERLINK()', note: '-5' }, { name: '+SUM(A1)', note: '+61412345678' }];
+  const csv = toCSV(rows, [
+    { header: 'Name', value: r => r.name },
+    { header: 'Note', value: r => r.note },
+  ]);
+  expect(csv).toBe('Name,Note\r\n"Smith, Jo","Says ""howzat""\nloudly"\r\n\'=HYPERLINK(),-5\r\n\'+SUM(A1),+61412345678');
+  expect(parseCSV(csv)).toEqual([['Name', 'Note'], ['Smith, Jo', 'Says "howzat"\nloudly'], ["'=HYPERLINK()", '-5'], ["'+SUM(A1)", '+61412345678']]);
+});
+
+test('parses a byte order mark, blank lines and a missing final newline', () => {
+  expect(parseCSV('\uFEFFa,b\n\n1,\n2,3')).toEqual([['a', 'b'], ['1', ''], ['2', '3']]);
+});
@@ -0,0 +1,87 @@
+// --- Local Calendar Dates ---
+// Attendance keys, note dates and payment months are calendar dates in the
+// academy's timezone, stored as 'YYYY-MM-DD' and 'YYYY-MM' strings. Never build
+// them with `toISOString()`, which gives the UTC date. Keys are turned back into
+// Date objects only at UTC midnight, so weekday and day arithmetic give the same
+// answer on every device, whatever its own timezone is.
+
+export const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const pad = (value) => String(value).padStart(2, '0');
+
+export const getBrowserTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+export const getTimeZoneOptions = () => (
+    typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [getBrowserTimeZone()]
+);
+
+const formatters = {};
+const getFormatter = (timeZone) => {
+    const key = timeZone || 'default';
+    if (!formatters[key]) {
+        formatters[key] = new Intl.DateTimeFormat('en-US', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+    }
+    return formatters[key];
+};
+
+// Calendar date of an instant in the given timezone (the device's own when omitted).
+export const toDateKey = (date = new Date(), timeZone) => {
+    const parts = Object.fromEntries(getFormatter(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+export const toMonthKey = (date = new Date(), timeZone) => toDateKey(date, timeZone).slice(0, 7);
+
+export const todayKey = (timeZone) => toDateKey(new Date(), timeZone);
+
+export const dateKeyToMonthKey = (dateKey) => dateKey.slice(0, 7);
+
+const keyToUTCDate = (dateKey) => {
+    const [year, month, day = 1] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day));
+};
+
+const utcDateToKey = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+export const getWeekdayName = (dateKey) => WEEKDAYS[keyToUTCDate(dateKey).getUTCDay()];
+
+export const addDays = (dateKey, count) => utcDateToKey(new Date(keyToUTCDate(dateKey).getTime() + count * DAY_MS));
+
+export const addMonths = (monthKey, count) => {
+    const [year, month] = monthKey.split('-').map(Number);
+    const index = year * 12 + (month - 1) + count;
+    return `${Math.floor(index / 12)}-${pad((index % 12) + 1)}`;
+};
+
+export const getMonthDates = (monthKey) => {
+    const dates = [];
+    for (let date = `${monthKey}-01`; dateKeyToMonthKey(date) === monthKey; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+    return dates;
+};
+
+export const daysBetween = (fromKey, toKey) => Math.round((keyToUTCDate(toKey) - keyToUTCDate(fromKey)) / DAY_MS);
+
+export const formatDateKey = (dateKey, options = { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' }) => (
+    keyToUTCDate(dateKey).toLocaleDateString('default', { ...options, timeZone: 'UTC' })
+);
+
+export const formatMonth = (monthKey) => keyToUTCDate(monthKey).toLocaleString('default', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+// Timestamps such as `dateReceived` are real instants and stay in ISO format.
+// They are shown as the calendar date they fell on at the academy.
+export const nowTimestamp = () => new Date().toISOString();
+
+export const formatTimestamp = (timestamp, timeZone) => formatDateKey(toDateKey(new Date(timestamp), timeZone), { year: 'numeric', month: 'short', day: 'numeric' });
@@ -0,0 +1,71 @@
+import { addDays, addMonths, daysBetween, formatDateKey, formatMonth, formatTimestamp, getWeekdayName, isValidTimeZone, toDateKey, toMonthKey, todayKey } from './dates';
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+const pinClock = (iso) => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date(iso));
+};
+
+test('evening attendance stays on the local day west of UTC', () => {
+  // 7:30pm on Monday 14 April in Los Angeles is already Tuesday in UTC.
+  pinClock('2025-04-15T02:30:00Z');
+  expect(new Date().toISOString().split('T')[0]).toBe('2025-04-15');
+  expect(todayKey('America/Los_Angeles')).toBe('2025-04-14');
+  expect(getWeekdayName(todayKey('America/Los_Angeles'))).toBe('Monday');
+});
+
+test('morning attendance stays on the local day east of UTC', () => {
+  // 8am on Tuesday 15 April in Sydney is still Monday in UTC.
+  pinClock('2025-04-14T22:00:00Z');
+  expect(todayKey('Australia/Sydney')).toBe('2025-04-15');
+  expect(getWeekdayName(todayKey('Australia/Sydney'))).toBe('Tuesday');
+  expect(todayKey('UTC')).toBe('2025-04-14');
+});
+
+test('month keys roll over at local midnight, not UTC midnight', () => {
+  pinClock('2025-01-31T23:59:59Z');
+  expect(toMonthKey(new Date(), 'Asia/Kolkata')).toBe('2025-02');
+  expect(toMonthKey(new Date(), 'Europe/London')).toBe('2025-01');
+  expect(toMonthKey(new Date(), 'America/New_York')).toBe('2025-01');
+});
+
+test('a year-end payment is credited to the local month', () => {
+  pinClock('2024-12-31T20:00:00-05:00');
+  expect(toMonthKey(new Date(), 'America/Toronto')).toBe('2024-12');
+  expect(formatTimestamp(new Date().toISOString(), 'America/Toronto')).toMatch(/Dec 31, 2024/);
+  expect(formatTimestamp(new Date().toISOString(), 'Pacific/Auckland')).toMatch(/Jan 1, 2025/);
+});
+
+test('dates are stable across daylight saving changes', () => {
+  // Clocks go forward in London on 30 March 2025.
+  pinClock('2025-03-30T00:30:00Z');
+  expect(todayKey('Europe/London')).toBe('2025-03-30');
+  pinClock('2025-03-30T23:30:00Z');
+  expect(todayKey('Europe/London')).toBe('2025-03-31');
+  expect(addDays('2025-03-29', 2)).toBe('2025-03-31');
+  expect(daysBetween('2025-03-01', '2025-04-01')).toBe(31);
+});
+
+test('month arithmetic never skips or repeats a month', () => {
+  const months = [];
+  for (let i = 1; i >= -13; i--) months.push(addMonths('2025-01', i));
+  expect(new Set(months).size).toBe(months.length);
+  expect(months.slice(0, 4)).toEqual(['2025-02', '2025-01', '2024-12', '2024-11']);
+  expect(addMonths('2024-01', -1)).toBe('2023-12');
+});
+
+test('keys format the same in any device timezone', () => {
+  expect(getWeekdayName('2025-04-14')).toBe('Monday');
+  expect(formatDateKey('2025-04-14')).toMatch(/Mon/);
+  expect(formatMonth('2025-04')).toMatch(/April 2025/);
+  expect(toDateKey(new Date('2025-04-14T12:00:00Z'), 'Pacific/Kiritimati')).toBe('2025-04-15');
+});
+
+test('rejects unknown timezones', () => {
+  expect(isValidTimeZone('Australia/Melbourne')).toBe(true);
+  expect(isValidTimeZone('Mars/Olympus_Mons')).toBe(false);
+  expect(isValidTimeZone('')).toBe(false);
+});
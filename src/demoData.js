@@ -0,0 +1,184 @@
+import { addDays, addMonths, dateKeyToMonthKey, getWeekdayName } from './dates';
+import { getAttendanceId } from './records';
+import { getEnrolledDays } from './sessions';
+import { getBookingAmount } from './lanes';
+import { getPrimaryContact } from './contacts';
+import { DEFAULT_SEASON_START_MONTH, getSeasonEnd } from './waivers';
+import { DEFAULT_SKILLS, MAX_SCORE } from './assessments';
+
+// --- Demo Academy ---
+// What the local backend starts with: a small academy with a few months of
+// attendance, payments and notes, dated relative to `today` so the demo always
+// looks current. Everything is derived from the student's position in the
+// list, so the same day always produces the same academy.
+
+const DEMO_PACKAGES = [
+    { id: 'demo-junior', name: 'Junior Nets', monthlyPrice: 60, sessionsPerWeek: 1, isActive: true },
+    { id: 'demo-development', name: 'Development Squad', monthlyPrice: 110, sessionsPerWeek: 2, isActive: true },
+    { id: 'demo-performance', name: 'Performance Programme', monthlyPrice: 150, sessionsPerWeek: 3, isActive: true },
+];
+
+// Led by the demo coach, on the first nets of the four.
+const DEMO_SESSIONS = [
+    { id: 'demo-mon-squad', weekday: 'Monday', startTime: '17:00', endTime: '18:30', ageGroup: 'Under 15', capacity: 12, lanes: [1, 2] },
+    { id: 'demo-tue-squad', weekday: 'Tuesday', startTime: '17:00', endTime: '18:30', ageGroup: 'Under 15', capacity: 12, lanes: [1, 2] },
+    { id: 'demo-wed-nets', weekday: 'Wednesday', startTime: '16:00', endTime: '17:00', ageGroup: 'All ages', capacity: 8, lanes: [1, 2, 3] },
+    { id: 'demo-thu-squad', weekday: 'Thursday', startTime: '17:00', endTime: '18:30', ageGroup: 'Under 15', capacity: 12, lanes: [1, 2] },
+    { id: 'demo-sat-juniors', weekday: 'Saturday', startTime: '09:00', endTime: '10:00', ageGroup: 'Under 11', capacity: 8, lanes: [1, 2] },
+    { id: 'demo-sat-squad', weekday: 'Saturday', startTime: '10:30', endTime: '12:00', ageGroup: 'Under 15', capacity: 12, lanes: [1, 2, 3] },
+    { id: 'demo-sun-nets', weekday: 'Sunday', startTime: '09:00', endTime: '10:30', ageGroup: 'Open nets', capacity: 6, lanes: [1] },
+];
+
+// `monthsEnrolled` is how long ago billing started; `monthsOwing` how many of
+// the most recent months are unpaid.
+const DEMO_STUDENTS = [
+    { name: 'Aarav Sharma', parentName: 'Priya Sharma', parentPhone: '0412555201', dateOfBirth: '2012-03-14', emergencyName: 'Anil Sharma', emergencyRelationship: 'Grandfather', emergencyPhone: '0412555290', packageId: 'demo-performance', sessionIds: ['demo-mon-squad', 'demo-wed-nets', 'demo-sat-squad'], monthsEnrolled: 4, monthsOwing: 0 },
+    { name: 'Olivia Bennett', parentName: 'Mark Bennett', parentEmail: 'mark.bennett@example.com', dateOfBirth: '2014-08-02', packageId: 'demo-development', sessionIds: ['demo-tue-squad', 'demo-thu-squad'], monthsEnrolled: 3, monthsOwing: 1 },
+    { name: 'Zain Malik', parentName: 'Sana Malik', parentPhone: '0423555318', dateOfBirth: '2016-11-20', allergies: 'Peanuts', medicalNotes: 'Carries an EpiPen in the front pocket of his kit bag.', packageId: 'demo-junior', sessionIds: ['demo-sat-juniors'], monthsEnrolled: 2, monthsOwing: 0 },
+    { name: 'Charlotte Hughes', parentName: 'Emma Hughes', parentEmail: 'emma.hughes@example.com', guardianName: 'Tom Hughes', guardianPhone: '0413555350', dateOfBirth: '2013-05-30', packageId: 'demo-development', sessionIds: ['demo-mon-squad', 'demo-thu-squad'], monthsEnrolled: 4, monthsOwing: 2 },
+    { name: 'Rohan Patel', parentName: 'Vikram Patel', parentPhone: '0435555427', dateOfBirth: '2011-01-09', medicalNotes: 'Mild asthma. Inhaler before running drills.', packageId: 'demo-performance', sessionIds: ['demo-tue-squad', 'demo-thu-squad', 'demo-sun-nets'], monthsEnrolled: 3, monthsOwing: 0 },
+    { name: 'Jack Thompson', parentName: 'Sarah Thompson', parentPhone: '0447555536', packageId: 'demo-junior', sessionIds: ['demo-wed-nets'], monthsEnrolled: 1, monthsOwing: 0 },
+    { name: 'Isla Fernando', parentName: 'Dilani Fernando', parentEmail: 'dilani.f@example.com', packageId: 'demo-development', sessionIds: ['demo-wed-nets', 'demo-sat-squad'], monthsEnrolled: 2, monthsOwing: 1 },
+    { name: 'Noah Williams', parentName: 'Ben Williams', parentPhone: '0458555645', packageId: 'demo-junior', sessionIds: ['demo-sun-nets'], monthsEnrolled: 3, monthsOwing: 0, isActive: false },
+];
+
+// Casual hires on the day the demo is opened, around the sessions.
+const DEMO_BOOKINGS = [
+    { lane: 4, startTime: '07:00', endTime: '08:00', hirerName: 'Tom Reid', contact: '0466 555 712', isPaid: true },
+    { lane: 3, startTime: '18:00', endTime: '19:30', hirerName: 'Eastside Thirds', contact: 'captain@eastside.example.com', isPaid: false },
+    { lane: 4, startTime: '18:00', endTime: '19:00', studentIndex: 0, isPaid: false },
+];
+
+const DEMO_LANE_COUNT = 4;
+const DEMO_LANE_RATE = 35;
+
+const DEMO_NOTES = [
+    { text: 'Working on a straighter bat in the forward defence.', category: 'technique', tags: ['batting', 'forward defence'] },
+    { text: 'Bowling action much smoother today. Keep the front arm up.', category: 'technique', tags: ['bowling'] },
+    { text: 'Reminded to bring a helmet next session.', category: 'admin', tags: ['kit'] },
+    { text: 'Jarred a finger in the slips drill. Iced it and sat out the rest of the session.', category: 'injury', tags: ['fielding', 'finger'] },
+    { text: 'Struggling against the short ball. Add some pull-shot work.', category: 'technique', tags: ['batting', 'pull shot'] },
+    { text: 'Very encouraging to the younger players during fielding games.', category: 'behaviour', tags: [] },
+];
+
+// Mostly present, with the occasional late or absent.
+const DEMO_STATUS_CYCLE = ['present', 'present', 'late', 'present', 'present', 'absent', 'present', 'present', 'present', 'excused'];
+
+const DEMO_ATTENDANCE_DAYS = 42;
+
+// The current waiver is version 2. Students sign version 2 a few days ago,
+// except for one still on version 1, one from last season and the ones with
+// `null`, who have not signed at all.
+const DEMO_WAIVERS = [
+    { version: 1, title: 'Liability Waiver', text: 'I understand that cricket involves a hard ball and a risk of injury, and I accept that risk on behalf of my child.' },
+    { version: 2, title: 'Liability Waiver', text: 'I understand that cricket involves a hard ball and a risk of injury, and I accept that risk on behalf of my child.\n\nMy child will wear a helmet when batting or keeping wicket in the nets.' },
+];
+const DEMO_WAIVER_SIGNINGS = [
+    { version: 2, daysAgo: 3 }, { version: 2, daysAgo: 4 }, { version: 2, daysAgo: 5 }, null,
+    { version: 2, daysAgo: 6 }, { version: 2, daysAgo: 400 }, { version: 1, daysAgo: 7 }, null,
+];
+
+const DEMO_SIGNATURE_IMAGE = `data:image/svg+xml,${encodeURIComponent('<svg xmlns="http://www.w3.org/2000/svg" width="300" height="90"><path d="M10 60 C 40 10, 60 90, 90 40 S 140 20, 160 60 S 220 80, 280 30" fill="none" stroke="#111827" stroke-width="3"/></svg>')}`;
+
+// Each student is assessed this many days ago, improving a little each time.
+const DEMO_ASSESSMENT_DAYS_AGO = [84, 42, 7];
+const DEMO_ASSESSMENT_COMMENTS = ['Start of term baseline.', 'Mid-term check-in.', 'Good progress this term.'];
+
+// Days ago the nets were rained off, earning make-up credits.
+const DEMO_CLOSURES = [{ daysAgo: 10, reason: 'Rain' }, { daysAgo: 11, reason: 'Rain' }];
+
+export const createDemoData = ({ appId, userId, today, createdAt }) => {
+    const academyPath = `artifacts/${appId}/academies/${userId}`;
+    const currentMonth = dateKeyToMonthKey(today);
+    const students = {};
+    const attendance = {};
+    const payments = {};
+    const notes = {};
+    const signatures = {};
+    const assessments = {};
+    const closures = Object.fromEntries(DEMO_CLOSURES.map(({ daysAgo, reason }) => {
+        const date = addDays(today, -daysAgo);
+        return [date, { date, reason, createdAt }];
+    }));
+
+    DEMO_STUDENTS.forEach(({ monthsEnrolled, monthsOwing, isActive = true, ...details }, index) => {
+        const studentId = `demo-student-${index + 1}`;
+        const pkg = DEMO_PACKAGES.find(p => p.id === details.packageId);
+        const billingStartMonth = addMonths(currentMonth, -monthsEnrolled);
+        const inactiveSince = isActive ? null : currentMonth;
+        const enrolledDays = getEnrolledDays(DEMO_SESSIONS, details.sessionIds);
+        students[studentId] = { ...details, enrolledDays, package: pkg.name, waiverSigned: false, isActive, billingStartMonth, inactiveSince };
+
+        const signing = DEMO_WAIVER_SIGNINGS[index];
+        if (signing) {
+            const signatureId = `${studentId}-signature`;
+            const signedOn = addDays(today, -signing.daysAgo);
+            const signedAt = `${signedOn}T08:30:00.000Z`;
+            const expiresOn = getSeasonEnd(signedOn, DEFAULT_SEASON_START_MONTH);
+            const { title, text } = DEMO_WAIVERS[signing.version - 1];
+            signatures[signatureId] = { studentId, waiverId: `demo-waiver-${signing.version}`, version: signing.version, title, text, signerName: details.parentName, signatureImage: DEMO_SIGNATURE_IMAGE, signedAt, expiresOn };
+            students[studentId].waiver = { signatureId, version: signing.version, signerName: details.parentName, signedAt, expiresOn };
+            students[studentId].waiverSigned = true;
+        }
+
+        // Past sessions only; today is left for the coach to mark.
+        for (let offset = DEMO_ATTENDANCE_DAYS; offset >= 1; offset--) {
+            const date = addDays(today, -offset);
+            if (dateKeyToMonthKey(date) < billingStartMonth || !enrolledDays.includes(getWeekdayName(date))) continue;
+            if (!isActive && dateKeyToMonthKey(date) >= currentMonth) continue;
+            if (closures[date]) continue;
+            const status = DEMO_STATUS_CYCLE[(offset + index * 3) % DEMO_STATUS_CYCLE.length];
+            attendance[getAttendanceId(studentId, date)] = { studentId, date, status };
+        }
+
+        // Paid up to the month before the ones still owing.
+        const lastBilledMonth = isActive ? currentMonth : addMonths(currentMonth, -1);
+        for (let month = billingStartMonth; month <= addMonths(lastBilledMonth, -monthsOwing); month = addMonths(month, 1)) {
+            payments[`${studentId}-payment-${month}`] = { studentId, month, amount: pkg.monthlyPrice, dateReceived: `${month}-03T09:30:00.000Z` };
+        }
+
+        [0, 1].forEach(n => {
+            const date = addDays(today, -(7 * n + index + 1));
+            notes[`${studentId}-note-${n}`] = { studentId, date, ...DEMO_NOTES[(index + n * 2) % DEMO_NOTES.length], sharedWithParent: n === 0 };
+        });
+
+        DEMO_ASSESSMENT_DAYS_AGO.forEach((daysAgo, round) => {
+            const date = addDays(today, -daysAgo);
+            const scores = Object.fromEntries(DEFAULT_SKILLS.map((skill, skillIndex) => [skill.id, Math.min(1 + (index + skillIndex) % 3 + round, MAX_SCORE)]));
+            assessments[`${studentId}-assessment-${round + 1}`] = { studentId, date, coachId: userId, coachName: 'Demo Coach', scores, comment: DEMO_ASSESSMENT_COMMENTS[round], createdAt: `${date}T17:00:00.000Z` };
+        });
+    });
+
+    const bookings = {};
+    DEMO_BOOKINGS.forEach(({ studentIndex, ...booking }, index) => {
+        const student = DEMO_STUDENTS[studentIndex];
+        bookings[`demo-booking-${index + 1}`] = {
+            date: today,
+            ...booking,
+            studentId: student ? `demo-student-${studentIndex + 1}` : null,
+            hirerName: student ? student.name : booking.hirerName,
+            contact: student ? getPrimaryContact(student) : booking.contact,
+            hourlyRate: DEMO_LANE_RATE,
+            amount: getBookingAmount(booking, DEMO_LANE_RATE),
+            createdAt,
+        };
+    });
+
+    return {
+        [`artifacts/${appId}/users`]: { [userId]: { academyId: userId } },
+        [`artifacts/${appId}/academies`]: { [userId]: { name: 'Riverside Cricket Academy', ownerId: userId, createdAt } },
+        [`${academyPath}/settings`]: { academy: { laneCount: DEMO_LANE_COUNT, laneHourlyRate: DEMO_LANE_RATE } },
+        [`${academyPath}/members`]: { [userId]: { role: 'owner', displayName: 'Demo Coach', joinedAt: createdAt } },
+        [`${academyPath}/packages`]: Object.fromEntries(DEMO_PACKAGES.map(({ id, ...pkg }) => [id, pkg])),
+        [`${academyPath}/sessions`]: Object.fromEntries(DEMO_SESSIONS.map(({ id, ...session }) => [id, { ...session, coachId: userId, isActive: true }])),
+        [`${academyPath}/students`]: students,
+        [`${academyPath}/attendance`]: attendance,
+        [`${academyPath}/payments`]: payments,
+        [`${academyPath}/notes`]: notes,
+        [`${academyPath}/bookings`]: bookings,
+        [`${academyPath}/closures`]: closures,
+        [`${academyPath}/waivers`]: Object.fromEntries(DEMO_WAIVERS.map(waiver => [`demo-waiver-${waiver.version}`, { ...waiver, createdAt }])),
+        [`${academyPath}/signatures`]: signatures,
+        [`${academyPath}/assessments`]: assessments,
+    };
+};
@@ -0,0 +1,94 @@
+import { createDemoData } from './demoData';
+import { attachHistory } from './records';
+import { buildLedger } from './ledger';
+import { getLaneBlocks, findLaneConflicts } from './lanes';
+import { getCurrentWaiver, getWaiverStatus } from './waivers';
+import { DEFAULT_SKILLS, getSkillTrend } from './assessments';
+
+const data = createDemoData({ appId: 'test-app', userId: 'demo-coach', today: '2024-06-15', createdAt: '2024-06-15T00:00:00.000Z' });
+const academyPath = 'artifacts/test-app/academies/demo-coach';
+const records = (path) => Object.entries(data[path]).map(([id, record]) => ({ id, ...record }));
+
+test('points the demo coach at an academy they own', () => {
+  expect(data['artifacts/test-app/users']['demo-coach']).toEqual({ academyId: 'demo-coach' });
+  expect(data[`${academyPath}/members`]['demo-coach'].role).toBe('owner');
+});
+
+test('enrols every student on a package with matching sessions and days', () => {
+  const packages = data[`${academyPath}/packages`];
+  const sessions = data[`${academyPath}/sessions`];
+  Object.values(data[`${academyPath}/students`]).forEach(student => {
+    expect(packages[student.packageId].name).toBe(student.package);
+    expect(student.sessionIds).toHaveLength(packages[student.packageId].sessionsPerWeek);
+    expect(student.enrolledDays).toHaveLength(packages[student.packageId].sessionsPerWeek);
+    student.sessionIds.forEach(id => expect(student.enrolledDays).toContain(sessions[id].weekday));
+  });
+});
+
+test('only records attendance before today on enrolled days', () => {
+  const students = data[`${academyPath}/students`];
+  records(`${academyPath}/attendance`).forEach(record => {
+    expect(record.date < '2024-06-15').toBe(true);
+    expect(record.id).toBe(`${record.studentId}_${record.date}`);
+    expect(students[record.studentId]).toBeDefined();
+  });
+});
+
+test('leaves some students with a balance and others paid up', () => {
+  const students = attachHistory(records(`${academyPath}/students`), {
+    notes: records(`${academyPath}/notes`),
+    payments: records(`${academyPath}/payments`),
+    attendance: records(`${academyPath}/attendance`),
+  });
+  const packages = data[`${academyPath}/packages`];
+  const owing = students.filter(s => buildLedger(s, packages[s.packageId].monthlyPrice, '2024-06-15').unpaidMonths.length > 0);
+  expect(owing.length).toBeGreaterThan(0);
+  expect(owing.length).toBeLessThan(students.length);
+});
+
+test('shows every waiver status, backed by a signed copy', () => {
+  const currentWaiver = getCurrentWaiver(records(`${academyPath}/waivers`));
+  const signatures = data[`${academyPath}/signatures`];
+  const students = records(`${academyPath}/students`);
+  const statuses = students.map(student => getWaiverStatus(student, currentWaiver, '2024-06-15'));
+  expect(new Set(statuses)).toEqual(new Set(['signed', 'missing', 'expired', 'outdated']));
+  students.filter(s => s.waiver).forEach(student => {
+    expect(signatures[student.waiver.signatureId]).toMatchObject({ studentId: student.id, version: student.waiver.version });
+  });
+});
+
+test('assesses every student on the default rubric, improving over time', () => {
+  const assessments = records(`${academyPath}/assessments`);
+  Object.keys(data[`${academyPath}/students`]).forEach(studentId => {
+    const own = assessments.filter(a => a.studentId === studentId);
+    expect(own.length).toBeGreaterThan(1);
+    DEFAULT_SKILLS.forEach(skill => {
+      const trend = getSkillTrend(own, skill.id).map(point => point.score);
+      expect(trend[trend.length - 1]).toBeGreaterThanOrEqual(trend[0]);
+    });
+  });
+});
+
+test('files notes under categories so injuries can be found', () => {
+  const notes = records(`${academyPath}/notes`);
+  expect(notes.some(note => note.category === 'injury')).toBe(true);
+  notes.forEach(note => expect(Array.isArray(note.tags)).toBe(true));
+});
+
+test('is the same every time for the same day', () => {
+  expect(createDemoData({ appId: 'test-app', userId: 'demo-coach', today: '2024-06-15', createdAt: '2024-06-15T00:00:00.000Z' })).toEqual(data);
+});
+
+test('hires out nets without clashing with the day\'s sessions', () => {
+  const blocks = getLaneBlocks('2024-06-15', records(`${academyPath}/bookings`), records(`${academyPath}/sessions`));
+  expect(blocks.some(block => block.kind === 'session')).toBe(true);
+  blocks.filter(block => block.kind === 'booking').forEach(block => {
+    expect(findLaneConflicts(block.booking, blocks)).toEqual([]);
+  });
+});
+
+test('takes closed days out of attendance', () => {
+  const closures = Object.keys(data[`${academyPath}/closures`]);
+  expect(closures.length).toBeGreaterThan(0);
+  records(`${academyPath}/attendance`).forEach(record => expect(closures).not.toContain(record.date));
+});
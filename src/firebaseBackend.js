@@ -0,0 +1,133 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithCustomToken, signInAnonymously, onAuthStateChanged, signInWithEmailAndPassword, createUserWithEmailAndPassword, sendSignInLinkToEmail, isSignInWithEmailLink, signInWithEmailLink, linkWithCredential, EmailAuthProvider, signOut } from 'firebase/auth';
+import { getStorage, connectStorageEmulator, ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, collection, doc, getDoc, getDocs, onSnapshot, query, where, writeBatch, deleteField } from 'firebase/firestore';
+import { DELETE_FIELD } from './backend';
+import { getPendingIds } from './sync';
+
+// --- Firebase Backend ---
+// See backend.js for the interface.
+
+// Firebase mutates the user object in place when an account is linked, so the
+// parts the UI shows are copied.
+const describeUser = (user) => (user ? { uid: user.uid, email: user.email, isAnonymous: user.isAnonymous } : null);
+
+const toRecord = (snapshot) => ({ id: snapshot.id, ...snapshot.data() });
+
+const toFirestoreData = (data) => Object.fromEntries(Object.entries(data).map(([field, value]) => [field, value === DELETE_FIELD ? deleteField() : value]));
+
+// Firestore batches are capped at 500 writes.
+const BATCH_SIZE = 400;
+
+// `initialAuthToken` is a custom token from the hosting environment; when
+// present it is used instead of showing the signed-out screen. For local
+// development the config can point services at the emulators, as
+// `emulators: { storage: 'localhost:9199' }`.
+export const createFirebaseBackend = ({ emulators = {}, ...firebaseConfig }, initialAuthToken) => {
+    const app = initializeApp(firebaseConfig);
+    const auth = getAuth(app);
+    const storage = getStorage(app);
+    if (emulators.storage) {
+        const [host, port] = emulators.storage.split(':');
+        connectStorageEmulator(storage, host, Number(port));
+    }
+    // The local cache lets coaches keep working without signal and survives
+    // reloads, so queued writes are not lost.
+    const db = initializeFirestore(app, { localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }) });
+
+    const buildQuery = (path, filters = []) => query(collection(db, path), ...filters.map(([field, op, value]) => where(field, op, value)));
+
+    return {
+        kind: 'firebase',
+
+        // Metadata changes are included so records drop their "not yet synced"
+        // badge as soon as the server confirms them.
+        subscribeCollection: (path, filters, onNext, onError) => onSnapshot(buildQuery(path, filters), { includeMetadataChanges: true }, (querySnapshot) => {
+            onNext(querySnapshot.docs.map(toRecord), getPendingIds(querySnapshot.docs));
+        }, onError),
+
+        subscribeDoc: (path, id, onNext, onError) => onSnapshot(doc(db, path, id), { includeMetadataChanges: true }, (docSnapshot) => {
+            onNext(docSnapshot.exists() ? toRecord(docSnapshot) : null, docSnapshot.metadata.hasPendingWrites);
+        }, onError),
+
+        getCollection: async (path, filters) => (await getDocs(buildQuery(path, filters))).docs.map(toRecord),
+
+        getDoc: async (path, id) => {
+            const docSnapshot = await getDoc(doc(db, path, id));
+            return docSnapshot.exists() ? toRecord(docSnapshot) : null;
+        },
+
+        newId: (path) => doc(collection(db, path)).id,
+
+        // All batches are committed up front: offline, a commit does not resolve
+        // until the device reconnects, and the client still uploads them in order.
+        commit: async (writes) => {
+            const pending = writes.filter(Boolean);
+            const commits = [];
+            for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+                const batch = writeBatch(db);
+                pending.slice(i, i + BATCH_SIZE).forEach(write => {
+                    const ref = doc(db, write.path, write.id);
+                    if (write.type === 'set') batch.set(ref, toFirestoreData(write.data), { merge: write.merge });
+                    else if (write.type === 'update') batch.update(ref, toFirestoreData(write.data));
+                    else batch.delete(ref);
+                });
+                commits.push(batch.commit());
+            }
+            await Promise.all(commits);
+        },
+
+        uploadFile: async (path, blob) => {
+            const result = await uploadBytes(ref(storage, path), blob, { contentType: blob.type });
+            return getDownloadURL(result.ref);
+        },
+
+        deleteFile: async (path) => {
+            try {
+                await deleteObject(ref(storage, path));
+            } catch (e) {
+                if (e.code !== 'storage/object-not-found') throw e;
+            }
+        },
+
+        onAuthChange: (onUser, onError) => onAuthStateChanged(auth, async (user) => {
+            if (!user && initialAuthToken) {
+                try {
+                    await signInWithCustomToken(auth, initialAuthToken);
+                } catch (e) {
+                    onError(e);
+                }
+                return;
+            }
+            onUser(describeUser(user));
+        }),
+
+        signIn: async (email, password) => describeUser((await signInWithEmailAndPassword(auth, email, password)).user),
+
+        // From a guest session the new credential is linked to the same uid, so
+        // the academy and its students carry over.
+        createAccount: async (email, password) => {
+            if (auth.currentUser?.isAnonymous) {
+                return describeUser((await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password))).user);
+            }
+            return describeUser((await createUserWithEmailAndPassword(auth, email, password)).user);
+        },
+
+        sendEmailLink: (email, returnUrl) => sendSignInLinkToEmail(auth, email, { url: returnUrl, handleCodeInApp: true }),
+
+        isEmailLink: (url) => isSignInWithEmailLink(auth, url),
+
+        completeEmailLink: async (email, url, { linkToGuest }) => {
+            if (linkToGuest && auth.currentUser?.isAnonymous) {
+                return describeUser((await linkWithCredential(auth.currentUser, EmailAuthProvider.credentialWithLink(email, url))).user);
+            }
+            return describeUser((await signInWithEmailLink(auth, email, url)).user);
+        },
+
+        isGuest: () => Boolean(auth.currentUser?.isAnonymous),
+
+        signInAsGuest: async () => describeUser((await signInAnonymously(auth)).user),
+
+        signOut: () => signOut(auth),
+    };
+};
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where, writeBatch } from 'firebase/firestore';
+
+// These run against the Firestore emulator with `npm run test:rules`, and are
+// skipped by a plain `npm test`.
+const describeWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const academyPath = 'artifacts/app/academies/owner';
+
+describeWithEmulator('firestore.rules', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-cricnets',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const db = context.firestore();
+      await Promise.all([
+        setDoc(doc(db, 'artifacts/app/academies/owner'), { name: 'Riverside', ownerId: 'owner' }),
+        setDoc(doc(db, `${academyPath}/members/owner`), { role: 'owner', displayName: 'Owner' }),
+        setDoc(doc(db, `${academyPath}/members/coach`), { role: 'assistant', displayName: 'Coach' }),
+        setDoc(doc(db, `${academyPath}/students/s1`), { name: 'Asha', portalToken: 'token1' }),
+        setDoc(doc(db, `${academyPath}/payments/pay1`), { studentId: 's1', month: '2025-04', amount: 60 }),
+        setDoc(doc(db, `${academyPath}/activity/a1`), { entity: 'payment', actorId: 'owner' }),
+        setDoc(doc(db, 'artifacts/app/portals/token1'), { academyId: 'owner', studentId: 's1', monthlyDue: 60, payments: [], attendance: { '2025-04-07': 'present' } }),
+        setDoc(doc(db, 'artifacts/app/invites/CODE2345'), { academyId: 'owner', role: 'assistant', createdBy: 'owner', usedBy: null }),
+      ]);
+    });
+  });
+
+  const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+
+  test('only the owner can see payments and the activity log', async () => {
+    await assertSucceeds(getDoc(doc(as('owner'), `${academyPath}/payments/pay1`)));
+    await assertSucceeds(getDocs(collection(as('owner'), `${academyPath}/activity`)));
+    await assertFails(getDoc(doc(as('coach'), `${academyPath}/payments/pay1`)));
+    await assertFails(getDocs(collection(as('coach'), `${academyPath}/payments`)));
+    await assertFails(getDocs(collection(as('coach'), `${academyPath}/activity`)));
+    await assertFails(setDoc(doc(as('coach'), `${academyPath}/payments/pay2`), { studentId: 's1', month: '2025-05', amount: 60 }));
+  });
+
+  test('keeps people outside the academy out', async () => {
+    await assertFails(getDoc(doc(as('stranger'), `${academyPath}/students/s1`)));
+    await assertFails(getDoc(doc(testEnv.unauthenticatedContext().firestore(), `${academyPath}/students/s1`)));
+    await assertFails(setDoc(doc(as('stranger'), `${academyPath}/attendance/s1_2025-04-07`), { studentId: 's1', date: '2025-04-07', status: 'present' }));
+  });
+
+  test('assistants mark attendance, add notes and collect waivers but do not edit students', async () => {
+    const db = as('coach');
+    const batch = writeBatch(db);
+    batch.set(doc(db, `${academyPath}/attendance/s1_2025-04-07`), { studentId: 's1', date: '2025-04-07', status: 'present' });
+    batch.set(doc(db, `${academyPath}/activity/a2`), { entity: 'attendance', actorId: 'coach' });
+    await assertSucceeds(batch.commit());
+    await assertSucceeds(setDoc(doc(db, `${academyPath}/notes/n1`), { studentId: 's1', date: '2025-04-07', text: 'Good front foot' }));
+    await assertSucceeds(setDoc(doc(db, `${academyPath}/signatures/sig1`), { studentId: 's1', signerName: 'Priya' }));
+    await assertSucceeds(updateDoc(doc(db, `${academyPath}/students/s1`), { waiver: { signatureId: 'sig1' }, waiverSigned: true }));
+
+    await assertFails(updateDoc(doc(db, `${academyPath}/students/s1`), { name: 'Asha K' }));
+    await assertFails(deleteDoc(doc(db, `${academyPath}/students/s1`)));
+    await assertFails(setDoc(doc(db, `${academyPath}/packages/p1`), { name: 'Squad', monthlyPrice: 0 }));
+    await assertFails(setDoc(doc(db, `${academyPath}/settings/academy`), { timeZone: 'UTC' }));
+  });
+
+  test('the activity log is append-only and names its author', async () => {
+    await assertFails(setDoc(doc(as('coach'), `${academyPath}/activity/a3`), { entity: 'note', actorId: 'owner' }));
+    await assertFails(updateDoc(doc(as('owner'), `${academyPath}/activity/a1`), { entity: 'note' }));
+    await assertFails(deleteDoc(doc(as('owner'), `${academyPath}/activity/a1`)));
+  });
+
+  test('parent pages can be opened by link but not listed, and assistants cannot change their payments', async () => {
+    await assertSucceeds(getDoc(doc(testEnv.unauthenticatedContext().firestore(), 'artifacts/app/portals/token1')));
+    await assertFails(getDocs(collection(testEnv.unauthenticatedContext().firestore(), 'artifacts/app/portals')));
+    await assertFails(getDocs(query(collection(as('coach'), 'artifacts/app/portals'), where('academyId', '==', 'owner'))));
+    await assertSucceeds(getDocs(query(collection(as('owner'), 'artifacts/app/portals'), where('academyId', '==', 'owner'))));
+
+    const portal = doc(as('coach'), 'artifacts/app/portals/token1');
+    await assertSucceeds(setDoc(portal, { academyId: 'owner', studentId: 's1', monthlyDue: 60, payments: [], attendance: {} }));
+    await assertFails(setDoc(portal, { academyId: 'owner', studentId: 's1', monthlyDue: 0, payments: [], attendance: {} }));
+    await assertFails(deleteDoc(portal));
+    await assertFails(setDoc(doc(as('stranger'), 'artifacts/app/portals/token1'), { academyId: 'owner', monthlyDue: 60, payments: [] }));
+  });
+
+  test('an invite code makes one assistant, once', async () => {
+    const join = (uid, role = 'assistant') => {
+      const db = as(uid);
+      const batch = writeBatch(db);
+      batch.set(doc(db, `${academyPath}/members/${uid}`), { role, displayName: uid, inviteCode: 'CODE2345' });
+      batch.update(doc(db, 'artifacts/app/invites/CODE2345'), { usedBy: uid, usedAt: '2025-04-07T00:00:00.000Z' });
+      batch.set(doc(db, `artifacts/app/users/${uid}`), { academyId: 'owner' }, { merge: true });
+      return batch.commit();
+    };
+    await assertFails(join('newcoach', 'owner'));
+    await assertFails(setDoc(doc(as('newcoach'), `${academyPath}/members/newcoach`), { role: 'assistant', displayName: 'No code' }));
+    await assertSucceeds(join('newcoach'));
+    await assertFails(join('another'));
+    await assertFails(getDocs(collection(as('newcoach'), 'artifacts/app/invites')));
+  });
+
+  test('members change their own name or leave, and only the owner removes others', async () => {
+    await assertSucceeds(updateDoc(doc(as('coach'), `${academyPath}/members/coach`), { displayName: 'Coach Sam' }));
+    await assertFails(updateDoc(doc(as('coach'), `${academyPath}/members/coach`), { role: 'owner' }));
+    await assertFails(deleteDoc(doc(as('coach'), `${academyPath}/members/owner`)));
+    await assertSucceeds(deleteDoc(doc(as('owner'), `${academyPath}/members/coach`)));
+  });
+
+  test('a new coach sets up their own academy and nobody else\'s', async () => {
+    const setUp = (uid, academyId) => {
+      const db = as(uid);
+      const batch = writeBatch(db);
+      batch.set(doc(db, `artifacts/app/academies/${academyId}`), { name: 'My Academy', ownerId: uid });
+      batch.set(doc(db, `artifacts/app/academies/${academyId}/members/${uid}`), { role: 'owner', displayName: 'Owner' });
+      batch.set(doc(db, `artifacts/app/users/${uid}`), { academyId }, { merge: true });
+      return batch.commit();
+    };
+    await assertSucceeds(setUp('newcoach', 'newcoach'));
+    await assertFails(setUp('stranger', 'newcoach'));
+    await assertFails(getDoc(doc(as('stranger'), 'artifacts/app/users/newcoach')));
+  });
+});
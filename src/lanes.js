@@ -0,0 +1,106 @@
+import { getWeekdayName } from './dates';
+import { isTime } from './sessions';
+import { getClosure } from './closures';
+
+// --- Net Lanes ---
+// The academy's nets are numbered 1 to `laneCount` (in the settings doc, along
+// with `laneHourlyRate`). Outside coaching hours lanes are hired out; each hire
+// is a document in the `bookings` collection:
+//
+//   { date, lane, startTime, endTime, studentId, hirerName, contact,
+//     hourlyRate, amount, isPaid }
+//
+// `studentId` is null for walk-in hirers. The rate is copied onto the booking
+// so changing the academy's rate does not reprice old hires. Training sessions
+// list the lanes they use in `lanes` and hold them every week. Nothing runs on
+// the academy's closed days (see closures.js), so nets can't be hired then.
+
+export const emptyBooking = {
+    lane: 1,
+    startTime: '18:00',
+    endTime: '19:00',
+    studentId: '',
+    hirerName: '',
+    contact: '',
+};
+
+export const getLaneCount = (settings) => {
+    const count = Number(settings?.laneCount);
+    return Number.isInteger(count) && count > 0 ? count : 0;
+};
+
+export const getLaneNumbers = (laneCount) => Array.from({ length: laneCount }, (_, i) => i + 1);
+
+export const getHourlyRate = (settings) => Number(settings?.laneHourlyRate) || 0;
+
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+export const getBookingHours = (booking) => (timeToMinutes(booking.endTime) - timeToMinutes(booking.startTime)) / 60;
+
+// Rounded to the cent.
+export const getBookingAmount = (booking, hourlyRate) => Math.round(getBookingHours(booking) * hourlyRate * 100) / 100;
+
+export const validateLaneSettings = ({ laneCount, laneHourlyRate }) => {
+    const count = Number(laneCount);
+    if (!Number.isInteger(count) || count < 0 || count > 50) return 'The number of nets must be a whole number from 0 to 50.';
+    const rate = Number(laneHourlyRate);
+    if (laneHourlyRate === '' || !Number.isFinite(rate) || rate < 0) return 'The hourly rate must be zero or more.';
+    return null;
+};
+
+export const validateBooking = (booking, laneCount, closures = []) => {
+    const closure = getClosure(closures, booking.date);
+    if (closure) return `The nets are closed that day: ${closure.reason}.`;
+    if (!Number.isInteger(booking.lane) || booking.lane < 1 || booking.lane > laneCount) return 'Please choose a net.';
+    if (!isTime(booking.startTime) || !isTime(booking.endTime)) return 'Please enter a start and end time.';
+    if (booking.endTime <= booking.startTime) return 'The booking has to end after it starts.';
+    if (!booking.studentId && !booking.hirerName.trim()) return 'Please choose a student or enter the hirer\'s name.';
+    return null;
+};
+
+// Everything holding a lane on `date`: the day's bookings, and one block per
+// lane for each active training session on that weekday unless the academy is
+// closed. Bookings made before a closure are still shown, so they can be cancelled.
+export const getLaneBlocks = (date, bookings, sessions, closures = []) => {
+    const weekday = getWeekdayName(date);
+    const isClosed = Boolean(getClosure(closures, date));
+    const bookingBlocks = bookings
+        .filter(booking => booking.date === date)
+        .map(booking => ({ key: `booking-${booking.id}`, kind: 'booking', lane: booking.lane, startTime: booking.startTime, endTime: booking.endTime, booking }));
+    const sessionBlocks = sessions
+        .filter(session => !isClosed && session.isActive && session.weekday === weekday)
+        .flatMap(session => (session.lanes || []).map(lane => ({ key: `session-${session.id}-${lane}`, kind: 'session', lane, startTime: session.startTime, endTime: session.endTime, session })));
+    return [...sessionBlocks, ...bookingBlocks];
+};
+
+const overlaps = (a, b) => a.lane === b.lane && a.startTime < b.endTime && b.startTime < a.endTime;
+
+// Blocks that would clash with `booking`. A booking never clashes with itself,
+// so an edited booking can be checked against the blocks it is already in.
+export const findLaneConflicts = (booking, blocks) => blocks.filter(block => (
+    !(block.kind === 'booking' && block.booking.id === booking.id) && overlaps(block, booking)
+));
+
+// One column per lane with its blocks in time order. Blocks that overlap
+// another block in the same lane are flagged, which happens when a session is
+// added over existing bookings.
+export const groupBlocksByLane = (blocks, laneCount) => getLaneNumbers(laneCount).map(lane => {
+    const laneBlocks = blocks
+        .filter(block => block.lane === lane)
+        .sort((a, b) => a.startTime.localeCompare(b.startTime) || a.endTime.localeCompare(b.endTime));
+    return {
+        lane,
+        blocks: laneBlocks.map(block => ({ ...block, hasConflict: laneBlocks.some(other => other !== block && overlaps(other, block)) })),
+    };
+});
+
+// The hours the day view shows: normal opening hours, stretched to fit
+// anything booked outside them.
+export const getDayHours = (blocks, openHour = 8, closeHour = 21) => {
+    const startHours = blocks.map(block => Math.floor(timeToMinutes(block.startTime) / 60));
+    const endHours = blocks.map(block => Math.ceil(timeToMinutes(block.endTime) / 60));
+    return { from: Math.min(openHour, ...startHours), to: Math.max(closeHour, ...endHours) };
+};
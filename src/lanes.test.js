@@ -0,0 +1,70 @@
+import { getLaneCount, getBookingAmount, validateLaneSettings, validateBooking, getLaneBlocks, findLaneConflicts, groupBlocksByLane, getDayHours } from './lanes';
+
+// 2024-06-15 is a Saturday.
+const date = '2024-06-15';
+const juniors = { id: 'juniors', weekday: 'Saturday', startTime: '09:00', endTime: '10:30', lanes: [1, 2], isActive: true };
+const retired = { id: 'retired', weekday: 'Saturday', startTime: '12:00', endTime: '13:00', lanes: [3], isActive: false };
+const tuesday = { id: 'tuesday', weekday: 'Tuesday', startTime: '17:00', endTime: '18:00', lanes: [1], isActive: true };
+const bookings = [
+  { id: 'b1', date, lane: 3, startTime: '09:00', endTime: '10:00', hirerName: 'Sam' },
+  { id: 'b2', date, lane: 1, startTime: '10:30', endTime: '11:30', hirerName: 'Lee' },
+  { id: 'b3', date: '2024-06-16', lane: 1, startTime: '09:00', endTime: '10:00', hirerName: 'Kim' },
+];
+const blocks = getLaneBlocks(date, bookings, [juniors, retired, tuesday]);
+
+test('reads the lane settings', () => {
+  expect(getLaneCount({ laneCount: 4 })).toBe(4);
+  expect(getLaneCount({})).toBe(0);
+  expect(validateLaneSettings({ laneCount: '4', laneHourlyRate: '35' })).toBeNull();
+  expect(validateLaneSettings({ laneCount: '2.5', laneHourlyRate: '35' })).toMatch(/nets/);
+  expect(validateLaneSettings({ laneCount: '4', laneHourlyRate: '' })).toMatch(/rate/);
+});
+
+test('charges for part hours at the hourly rate', () => {
+  expect(getBookingAmount({ startTime: '18:00', endTime: '19:30' }, 40)).toBe(60);
+  expect(getBookingAmount({ startTime: '18:00', endTime: '18:20' }, 35)).toBe(11.67);
+});
+
+test('validates a booking', () => {
+  const booking = { lane: 2, startTime: '18:00', endTime: '19:00', studentId: '', hirerName: 'Sam' };
+  expect(validateBooking(booking, 4)).toBeNull();
+  expect(validateBooking({ ...booking, lane: 5 }, 4)).toMatch(/net/);
+  expect(validateBooking({ ...booking, endTime: '17:00' }, 4)).toMatch(/end after/);
+  expect(validateBooking({ ...booking, hirerName: ' ' }, 4)).toMatch(/hirer/);
+  expect(validateBooking({ ...booking, hirerName: '', studentId: 's1' }, 4)).toBeNull();
+  const closures = [{ id: date, date, reason: 'Rain' }];
+  expect(validateBooking({ ...booking, date }, 4, closures)).toMatch(/closed that day: Rain/);
+  expect(validateBooking({ ...booking, date: '2024-06-16' }, 4, closures)).toBeNull();
+});
+
+test('blocks lanes for the day\'s active sessions and bookings', () => {
+  expect(blocks.map(b => b.key)).toEqual(['session-juniors-1', 'session-juniors-2', 'booking-b1', 'booking-b2']);
+});
+
+test('drops the sessions on a closed day but keeps its bookings', () => {
+  const closed = getLaneBlocks(date, bookings, [juniors, retired, tuesday], [{ id: date, date, reason: 'Rain' }]);
+  expect(closed.map(b => b.key)).toEqual(['booking-b1', 'booking-b2']);
+});
+
+test('finds double bookings against sessions and other hires', () => {
+  const clash = (booking) => findLaneConflicts(booking, blocks).map(b => b.key);
+  expect(clash({ lane: 1, startTime: '10:00', endTime: '11:00' })).toEqual(['session-juniors-1', 'booking-b2']);
+  expect(clash({ lane: 3, startTime: '10:00', endTime: '11:00' })).toEqual([]);
+  // Moving an existing booking is not a clash with itself.
+  expect(clash({ id: 'b1', lane: 3, startTime: '09:30', endTime: '10:30' })).toEqual([]);
+});
+
+test('lays out one column per lane and flags overlaps', () => {
+  const overlapping = { id: 'b4', date, lane: 2, startTime: '10:00', endTime: '11:00', hirerName: 'Ash' };
+  const columns = groupBlocksByLane(getLaneBlocks(date, [...bookings, overlapping], [juniors]), 3);
+  expect(columns.map(c => [c.lane, c.blocks.map(b => [b.key, b.hasConflict])])).toEqual([
+    [1, [['session-juniors-1', false], ['booking-b2', false]]],
+    [2, [['session-juniors-2', true], ['booking-b4', true]]],
+    [3, [['booking-b1', false]]],
+  ]);
+});
+
+test('stretches the day to fit early and late bookings', () => {
+  expect(getDayHours([])).toEqual({ from: 8, to: 21 });
+  expect(getDayHours([{ startTime: '06:30', endTime: '07:30' }, { startTime: '21:00', endTime: '22:15' }])).toEqual({ from: 6, to: 23 });
+});
@@ -0,0 +1,136 @@
+import { addMonths, dateKeyToMonthKey, daysBetween, todayKey } from './dates';
+
+// --- Student Ledger ---
+// Builds a per-student account from the package price and `payments[]`.
+// Every billed month is charged on its 1st. A payment is applied to the month
+// it was recorded for first, and anything left over pays off the oldest unpaid
+// months. Payments for months that have not been billed yet are held as credit.
+
+export const AGING_BUCKETS = [
+    { key: 'current', label: 'Current', minDays: 0 },
+    { key: 'days30', label: '30+ days', minDays: 30 },
+    { key: 'days60', label: '60+ days', minDays: 60 },
+    { key: 'days90', label: '90+ days', minDays: 90 },
+];
+
+// Amounts are summed in whole cents so partial payments never leave a
+// fraction of a cent outstanding.
+const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const monthDueDate = (monthKey) => `${monthKey}-01`;
+
+const activityMonths = (student) => [
+    ...(student.payments || []).map(p => p.month),
+    ...Object.keys(student.attendance || {}).map(dateKeyToMonthKey),
+].filter(Boolean).sort();
+
+// Students created before billing start months were recorded are billed from
+// their first payment or attendance.
+export const getBillingStartMonth = (student, asOfMonth) => {
+    if (student.billingStartMonth) return student.billingStartMonth;
+    return activityMonths(student)[0] || asOfMonth;
+};
+
+// Inactive students are not billed for the month they were made inactive.
+export const getBillingEndMonth = (student, asOfMonth) => {
+    if (student.isActive !== false) return asOfMonth;
+    if (student.inactiveSince) return addMonths(student.inactiveSince, -1);
+    const months = activityMonths(student);
+    return months.length > 0 ? months[months.length - 1] : getBillingStartMonth(student, asOfMonth);
+};
+
+// Billing stops from the month a student is made inactive. When they come back,
+// the months they were away are recorded as a pause so they are never charged.
+export const getBillingStatusChange = (student, isActive, asOf = todayKey()) => {
+    const asOfMonth = dateKeyToMonthKey(asOf);
+    const wasActive = student.isActive === undefined ? true : student.isActive;
+    if (wasActive === isActive) return {};
+    if (!isActive) return { inactiveSince: asOfMonth };
+    const pause = { from: student.inactiveSince, to: addMonths(asOfMonth, -1) };
+    const billingPauses = [...(student.billingPauses || [])];
+    if (pause.from && pause.from <= pause.to) billingPauses.push(pause);
+    return { inactiveSince: null, billingPauses };
+};
+
+const isPaused = (student, month) => (student.billingPauses || []).some(p => p.from <= month && month <= p.to);
+
+export const getAgingBucket = (daysOverdue) => {
+    let bucket = AGING_BUCKETS[0];
+    AGING_BUCKETS.forEach(b => {
+        if (daysOverdue >= b.minDays) bucket = b;
+    });
+    return bucket.key;
+};
+
+// `asOf` is the academy's calendar date ('YYYY-MM-DD') to age the account at.
+export const buildLedger = (student, monthlyDue, asOf = todayKey()) => {
+    const asOfMonth = dateKeyToMonthKey(asOf);
+    const startMonth = getBillingStartMonth(student, asOfMonth);
+    const endMonth = [getBillingEndMonth(student, asOfMonth), asOfMonth].sort()[0];
+    const charge = toCents(monthlyDue);
+
+    const rows = [];
+    if (charge > 0) {
+        for (let month = startMonth; month <= endMonth; month = addMonths(month, 1)) {
+            if (isPaused(student, month)) continue;
+            rows.push({ month, charge, paid: 0, outstanding: charge, balance: 0 });
+        }
+    }
+    const rowsByMonth = Object.fromEntries(rows.map(row => [row.month, row]));
+
+    const payments = [...(student.payments || [])]
+        .sort((a, b) => new Date(a.dateReceived) - new Date(b.dateReceived));
+    let credit = 0;
+    payments.forEach(payment => {
+        const amount = toCents(payment.amount);
+        const row = rowsByMonth[payment.month];
+        const applied = row ? Math.min(amount, row.outstanding) : 0;
+        if (row) {
+            row.paid += applied;
+            row.outstanding -= applied;
+        }
+        credit += amount - applied;
+    });
+    rows.forEach(row => {
+        const applied = Math.min(credit, row.outstanding);
+        row.paid += applied;
+        row.outstanding -= applied;
+        credit -= applied;
+    });
+
+    let runningBalance = 0;
+    rows.forEach(row => {
+        runningBalance += row.outstanding;
+        row.balance = runningBalance;
+    });
+
+    const aging = Object.fromEntries(AGING_BUCKETS.map(b => [b.key, 0]));
+    const unpaidMonths = rows
+        .filter(row => row.outstanding > 0)
+        .map(row => {
+            const daysOverdue = Math.max(daysBetween(monthDueDate(row.month), asOf), 0);
+            const bucket = getAgingBucket(daysOverdue);
+            aging[bucket] += row.outstanding;
+            return { month: row.month, outstanding: fromCents(row.outstanding), daysOverdue, bucket };
+        });
+
+    const totalCharged = rows.reduce((sum, row) => sum + row.charge, 0);
+    const totalPaid = payments.reduce((sum, p) => sum + toCents(p.amount), 0);
+
+    return {
+        rows: rows.map(row => ({
+            month: row.month,
+            charge: fromCents(row.charge),
+            paid: fromCents(row.paid),
+            outstanding: fromCents(row.outstanding),
+            balance: fromCents(row.balance),
+        })),
+        unpaidMonths,
+        aging: Object.fromEntries(Object.entries(aging).map(([key, cents]) => [key, fromCents(cents)])),
+        totalCharged: fromCents(totalCharged),
+        totalPaid: fromCents(totalPaid),
+        credit: fromCents(credit),
+        balance: fromCents(totalCharged - totalPaid),
+    };
+};
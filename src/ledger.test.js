@@ -0,0 +1,65 @@
+import { buildLedger, getAgingBucket, getBillingStatusChange } from './ledger';
+
+const asOf = '2025-04-15';
+
+const payment = (month, amount, dateReceived = '2025-04-01T10:00:00.000Z') => ({ id: `${month}-${amount}`, month, amount, dateReceived });
+
+test('a partial payment does not clear the month', () => {
+  const ledger = buildLedger({ billingStartMonth: '2025-04', payments: [payment('2025-04', 5)] }, 120, asOf);
+  expect(ledger.balance).toBe(115);
+  expect(ledger.unpaidMonths).toEqual([{ month: '2025-04', outstanding: 115, daysOverdue: 14, bucket: 'current' }]);
+});
+
+test('older unpaid months are charged and aged', () => {
+  const ledger = buildLedger({ billingStartMonth: '2025-01', payments: [payment('2025-04', 120)] }, 120, asOf);
+  expect(ledger.rows.map(r => r.month)).toEqual(['2025-01', '2025-02', '2025-03', '2025-04']);
+  expect(ledger.balance).toBe(360);
+  expect(ledger.aging).toEqual({ current: 0, days30: 120, days60: 120, days90: 120 });
+  expect(ledger.rows.map(r => r.balance)).toEqual([120, 240, 360, 360]);
+});
+
+test('overpayments pay off the oldest months, then become credit', () => {
+  const ledger = buildLedger({ billingStartMonth: '2025-03', payments: [payment('2025-04', 300)] }, 100, asOf);
+  expect(ledger.unpaidMonths).toEqual([]);
+  expect(ledger.credit).toBe(100);
+  expect(ledger.balance).toBe(-100);
+});
+
+test('payments for unbilled months are held as credit', () => {
+  const ledger = buildLedger({ billingStartMonth: '2025-04', payments: [payment('2025-04', 50), payment('2025-05', 50)] }, 100, asOf);
+  expect(ledger.balance).toBe(0);
+  expect(ledger.unpaidMonths).toEqual([]);
+});
+
+test('amounts are tracked to the cent', () => {
+  const payments = [payment('2025-04', 0.1), payment('2025-04', 0.2)];
+  const ledger = buildLedger({ billingStartMonth: '2025-04', payments }, 0.3, asOf);
+  expect(ledger.unpaidMonths).toEqual([]);
+  expect(ledger.balance).toBe(0);
+});
+
+test('legacy students are billed from their first activity', () => {
+  const student = { attendance: { '2025-02-10': 'present' }, payments: [] };
+  expect(buildLedger(student, 50, asOf).rows.map(r => r.month)).toEqual(['2025-02', '2025-03', '2025-04']);
+});
+
+test('inactive months are never billed', () => {
+  const student = { billingStartMonth: '2025-01', isActive: true };
+  const leaving = getBillingStatusChange(student, false, '2025-02-03');
+  expect(leaving).toEqual({ inactiveSince: '2025-02' });
+
+  const inactive = { ...student, isActive: false, ...leaving };
+  expect(buildLedger(inactive, 100, asOf).rows.map(r => r.month)).toEqual(['2025-01']);
+
+  const returning = getBillingStatusChange(inactive, true, asOf);
+  expect(returning).toEqual({ inactiveSince: null, billingPauses: [{ from: '2025-02', to: '2025-03' }] });
+  expect(buildLedger({ ...inactive, isActive: true, ...returning }, 100, asOf).rows.map(r => r.month)).toEqual(['2025-01', '2025-04']);
+});
+
+test('aging buckets', () => {
+  expect(getAgingBucket(0)).toBe('current');
+  expect(getAgingBucket(29)).toBe('current');
+  expect(getAgingBucket(30)).toBe('days30');
+  expect(getAgingBucket(61)).toBe('days60');
+  expect(getAgingBucket(400)).toBe('days90');
+});
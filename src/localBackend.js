@@ -0,0 +1,196 @@
+import { DELETE_FIELD, matchesFilters } from './backend';
+
+// --- Local (Demo) Backend ---
+// Keeps every collection in one localStorage entry shaped
+// `{ [collectionPath]: { [id]: data } }`, so the demo survives a reload but
+// never leaves this browser. Nothing waits on a server, so there are never
+// pending writes. Uploaded files are kept as data URLs in a second entry,
+// `{ [path]: dataUrl }`, so a big clip can fill the browser's storage without
+// losing the academy. See backend.js for the interface.
+
+export const LOCAL_DATA_KEY = 'cricnets-demo-data';
+export const LOCAL_FILES_KEY = 'cricnets-demo-files';
+
+export const DEMO_USER = { uid: 'demo-coach', email: 'coach@demo.cricnets.app', isAnonymous: false };
+
+const toRecord = (id, data) => ({ id, ...data });
+
+const readAsDataURL = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+const applyUpdate = (current, data) => {
+    const updated = { ...current };
+    Object.entries(data).forEach(([field, value]) => {
+        if (value === DELETE_FIELD) delete updated[field];
+        else updated[field] = value;
+    });
+    return updated;
+};
+
+// `createSeed()` returns the data a fresh demo starts with. It is used the
+// first time, after `reset()`, and whenever the stored data can't be read.
+export const createLocalBackend = (storage, createSeed = () => ({})) => {
+    const load = () => {
+        try {
+            const stored = JSON.parse(storage.getItem(LOCAL_DATA_KEY));
+            if (stored && typeof stored === 'object') return stored;
+        } catch (e) {
+            console.error("Could not read demo data, starting again:", e);
+        }
+        return null;
+    };
+
+    let data = load();
+    if (!data) {
+        data = createSeed();
+        storage.setItem(LOCAL_DATA_KEY, JSON.stringify(data));
+    }
+
+    const loadFiles = () => {
+        try {
+            return JSON.parse(storage.getItem(LOCAL_FILES_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    };
+
+    // Browsers refuse writes once their storage quota is used up.
+    const saveFiles = (files) => {
+        try {
+            storage.setItem(LOCAL_FILES_KEY, JSON.stringify(files));
+        } catch (e) {
+            throw Object.assign(new Error('There is no room left in this browser for demo files.'), { code: 'storage/quota-exceeded' });
+        }
+    };
+
+    let user = DEMO_USER;
+    const listeners = new Set();
+    const authListeners = new Set();
+
+    const readCollection = (path, filters) => Object.entries(data[path] || {})
+        .map(([id, record]) => toRecord(id, record))
+        .filter(record => matchesFilters(record, filters));
+
+    const readDoc = (path, id) => {
+        const record = data[path]?.[id];
+        return record ? toRecord(id, record) : null;
+    };
+
+    // Like Firestore, listeners are called asynchronously, never during subscribe or commit.
+    const notify = (listener) => Promise.resolve().then(() => {
+        if (listeners.has(listener)) listener.emit();
+    });
+
+    const subscribe = (path, emit) => {
+        const listener = { path, emit };
+        listeners.add(listener);
+        notify(listener);
+        return () => listeners.delete(listener);
+    };
+
+    const save = (changedPaths) => {
+        storage.setItem(LOCAL_DATA_KEY, JSON.stringify(data));
+        listeners.forEach(listener => {
+            if (!changedPaths || changedPaths.has(listener.path)) notify(listener);
+        });
+    };
+
+    const setUser = (nextUser) => {
+        user = nextUser;
+        authListeners.forEach(onUser => Promise.resolve().then(() => onUser(user)));
+        return user;
+    };
+
+    return {
+        kind: 'local',
+
+        subscribeCollection: (path, filters, onNext) => subscribe(path, () => onNext(readCollection(path, filters), [])),
+
+        subscribeDoc: (path, id, onNext) => subscribe(path, () => onNext(readDoc(path, id), false)),
+
+        getCollection: async (path, filters) => readCollection(path, filters),
+
+        getDoc: async (path, id) => readDoc(path, id),
+
+        newId: (path) => {
+            let id;
+            do {
+                id = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+            } while (data[path]?.[id]);
+            return id;
+        },
+
+        // Writes are applied to a copy, so a failing update leaves nothing half done.
+        commit: async (writes) => {
+            const next = { ...data };
+            const changedPaths = new Set();
+            writes.filter(Boolean).forEach(write => {
+                const records = { ...(next[write.path] || {}) };
+                if (write.type === 'set') {
+                    records[write.id] = write.merge ? applyUpdate(records[write.id] || {}, write.data) : applyUpdate({}, write.data);
+                } else if (write.type === 'update') {
+                    if (!records[write.id]) throw Object.assign(new Error(`No document to update: ${write.path}/${write.id}`), { code: 'not-found' });
+                    records[write.id] = applyUpdate(records[write.id], write.data);
+                } else {
+                    delete records[write.id];
+                }
+                next[write.path] = records;
+                changedPaths.add(write.path);
+            });
+            data = next;
+            save(changedPaths);
+        },
+
+        uploadFile: async (path, blob) => {
+            const url = await readAsDataURL(blob);
+            saveFiles({ ...loadFiles(), [path]: url });
+            return url;
+        },
+
+        deleteFile: async (path) => {
+            const { [path]: removed, ...files } = loadFiles();
+            if (removed) saveFiles(files);
+        },
+
+        // Puts the demo back to how it started.
+        reset: () => {
+            data = createSeed();
+            saveFiles({});
+            save();
+        },
+
+        // The demo has a single coach. Signing out shows the sign-in screen, and
+        // any way of signing in comes back as that coach.
+        onAuthChange: (onUser) => {
+            authListeners.add(onUser);
+            Promise.resolve().then(() => {
+                if (authListeners.has(onUser)) onUser(user);
+            });
+            return () => authListeners.delete(onUser);
+        },
+
+        signIn: async () => setUser(DEMO_USER),
+
+        createAccount: async () => setUser(DEMO_USER),
+
+        sendEmailLink: async () => {
+            throw Object.assign(new Error('Email links are not available in the demo.'), { code: 'auth/operation-not-allowed' });
+        },
+
+        isEmailLink: () => false,
+
+        completeEmailLink: async () => setUser(DEMO_USER),
+
+        isGuest: () => false,
+
+        signInAsGuest: async () => setUser(DEMO_USER),
+
+        signOut: async () => {
+            setUser(null);
+        },
+    };
+};
@@ -0,0 +1,141 @@
+import { DELETE_FIELD, setWrite, updateWrite, deleteWrite } from './backend';
+import { createLocalBackend, LOCAL_DATA_KEY, LOCAL_FILES_KEY, DEMO_USER } from './localBackend';
+
+const createStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = value; },
+  };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const seed = () => ({ students: { s1: { name: 'Asha', isActive: true } } });
+
+test('starts from the seed and keeps it in storage', async () => {
+  const storage = createStorage();
+  const backend = createLocalBackend(storage, seed);
+  expect(await backend.getDoc('students', 's1')).toEqual({ id: 's1', name: 'Asha', isActive: true });
+  expect(JSON.parse(storage.getItem(LOCAL_DATA_KEY))).toEqual(seed());
+});
+
+test('reads what an earlier session saved instead of seeding again', async () => {
+  const storage = createStorage();
+  await createLocalBackend(storage, seed).commit([setWrite('students', 's2', { name: 'Ben' })]);
+  const backend = createLocalBackend(storage, seed);
+  expect((await backend.getCollection('students')).map(s => s.id)).toEqual(['s1', 's2']);
+});
+
+test('applies set, merge, update, field deletes and deletes', async () => {
+  const backend = createLocalBackend(createStorage(), seed);
+  await backend.commit([
+    updateWrite('students', 's1', { isActive: DELETE_FIELD, contact: '0400' }),
+    setWrite('settings', 'academy', { timeZone: 'UTC' }),
+    setWrite('settings', 'academy', { currency: 'AUD' }, { merge: true }),
+    null,
+  ]);
+  expect(await backend.getDoc('students', 's1')).toEqual({ id: 's1', name: 'Asha', contact: '0400' });
+  expect(await backend.getDoc('settings', 'academy')).toEqual({ id: 'academy', timeZone: 'UTC', currency: 'AUD' });
+
+  await backend.commit([deleteWrite('students', 's1')]);
+  expect(await backend.getDoc('students', 's1')).toBeNull();
+});
+
+test('a failed update leaves the whole commit unapplied', async () => {
+  const backend = createLocalBackend(createStorage(), seed);
+  await expect(backend.commit([
+    setWrite('students', 's2', { name: 'Ben' }),
+    updateWrite('students', 'missing', { name: 'Cal' }),
+  ])).rejects.toMatchObject({ code: 'not-found' });
+  expect(await backend.getDoc('students', 's2')).toBeNull();
+});
+
+test('filters collections', async () => {
+  const backend = createLocalBackend(createStorage(), () => ({
+    attendance: {
+      a: { studentId: 's1', date: '2024-03-01' },
+      b: { studentId: 's1', date: '2024-04-01' },
+      c: { studentId: 's2', date: '2024-03-15' },
+    },
+  }));
+  const march = await backend.getCollection('attendance', [['date', '>=', '2024-03-01'], ['date', '<=', '2024-03-31']]);
+  expect(march.map(r => r.id)).toEqual(['a', 'c']);
+  const s1 = await backend.getCollection('attendance', [['studentId', '==', 's1']]);
+  expect(s1.map(r => r.id)).toEqual(['a', 'b']);
+});
+
+test('tells subscribers about changes to their collection until they unsubscribe', async () => {
+  const backend = createLocalBackend(createStorage(), seed);
+  const onNext = jest.fn();
+  const unsubscribe = backend.subscribeCollection('students', [], onNext);
+  expect(onNext).not.toHaveBeenCalled();
+  await flush();
+  expect(onNext).toHaveBeenLastCalledWith([{ id: 's1', name: 'Asha', isActive: true }], []);
+
+  await backend.commit([setWrite('packages', 'p1', { name: 'Juniors' })]);
+  await flush();
+  expect(onNext).toHaveBeenCalledTimes(1);
+
+  await backend.commit([setWrite('students', 's2', { name: 'Ben' })]);
+  await flush();
+  expect(onNext).toHaveBeenCalledTimes(2);
+  expect(onNext.mock.calls[1][0]).toHaveLength(2);
+
+  unsubscribe();
+  await backend.commit([deleteWrite('students', 's2')]);
+  await flush();
+  expect(onNext).toHaveBeenCalledTimes(2);
+});
+
+test('reset puts the seed back', async () => {
+  const backend = createLocalBackend(createStorage(), seed);
+  await backend.commit([deleteWrite('students', 's1')]);
+  backend.reset();
+  expect(await backend.getDoc('students', 's1')).not.toBeNull();
+});
+
+test('keeps uploaded files apart from the academy data', async () => {
+  const storage = createStorage();
+  const backend = createLocalBackend(storage, seed);
+  const url = await backend.uploadFile('notes/n1/f1', new Blob(['clip'], { type: 'video/mp4' }));
+  expect(url).toMatch(/^data:video\/mp4;base64,/);
+  expect(JSON.parse(storage.getItem(LOCAL_FILES_KEY))).toEqual({ 'notes/n1/f1': url });
+  await backend.deleteFile('notes/n1/f1');
+  await backend.deleteFile('notes/n1/missing');
+  expect(JSON.parse(storage.getItem(LOCAL_FILES_KEY))).toEqual({});
+});
+
+test('reports a full browser when a file does not fit', async () => {
+  const storage = createStorage();
+  const backend = createLocalBackend({ ...storage, setItem: (key, value) => {
+    if (key === LOCAL_FILES_KEY) throw new Error('QuotaExceededError');
+    storage.setItem(key, value);
+  } }, seed);
+  await expect(backend.uploadFile('notes/n1/f1', new Blob(['clip']))).rejects.toMatchObject({ code: 'storage/quota-exceeded' });
+  expect(await backend.getDoc('students', 's1')).toMatchObject({ name: 'Asha' });
+});
+
+test('gives out ids that are not in use', () => {
+  const backend = createLocalBackend(createStorage(), seed);
+  const id = backend.newId('students');
+  expect(id).not.toBe('s1');
+  expect(backend.newId('students')).not.toBe(id);
+});
+
+test('signs out and back in as the demo coach', async () => {
+  const backend = createLocalBackend(createStorage(), seed);
+  const onUser = jest.fn();
+  backend.onAuthChange(onUser);
+  await flush();
+  expect(onUser).toHaveBeenLastCalledWith(DEMO_USER);
+
+  await backend.signOut();
+  await flush();
+  expect(onUser).toHaveBeenLastCalledWith(null);
+
+  expect(await backend.signIn('someone@example.com', 'anything')).toEqual(DEMO_USER);
+  await flush();
+  expect(onUser).toHaveBeenLastCalledWith(DEMO_USER);
+  await expect(backend.sendEmailLink('someone@example.com')).rejects.toMatchObject({ code: 'auth/operation-not-allowed' });
+});
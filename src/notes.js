@@ -0,0 +1,39 @@
+// --- Player Notes ---
+// A note is `{ studentId, date, text, sharedWithParent, category, tags }`.
+// `category` is one of NOTE_CATEGORIES' keys, or null for notes from before
+// categories. `tags` are free labels, stored lowercase so "Pull shot" and
+// "pull shot" are the same tag.
+
+export const NOTE_CATEGORIES = [
+    { key: 'technique', label: 'Technique' },
+    { key: 'behaviour', label: 'Behaviour' },
+    { key: 'injury', label: 'Injury' },
+    { key: 'admin', label: 'Admin' },
+];
+
+// How far back the academy-wide search looks until a coach picks other dates.
+export const NOTES_SEARCH_DAYS = 90;
+
+export const getCategoryLabel = (key) => NOTE_CATEGORIES.find(c => c.key === key)?.label || 'Uncategorised';
+
+export const normalizeTag = (tag) => tag.trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+
+// "pull shot, #Nets , nets" -> ['pull shot', 'nets']
+export const parseTags = (input) => [...new Set((input || '').split(',').map(normalizeTag).filter(Boolean))];
+
+export const formatTags = (tags) => (tags || []).join(', ');
+
+// Every tag used in `notes`, alphabetical.
+export const getNoteTags = (notes) => [...new Set(notes.flatMap(note => note.tags || []))].sort();
+
+// Filters are `{ query, category, tag, from, to }`; empty ones match every note.
+// The query matches the text or a tag. Newest first.
+export const filterNotes = (notes, { query = '', category = '', tag = '', from = '', to = '' }) => {
+    const needle = query.trim().toLowerCase();
+    return notes
+        .filter(note => !category || (note.category || '') === category)
+        .filter(note => !tag || (note.tags || []).includes(tag))
+        .filter(note => (!from || note.date >= from) && (!to || note.date <= to))
+        .filter(note => !needle || note.text.toLowerCase().includes(needle) || (note.tags || []).some(t => t.includes(needle)))
+        .sort((a, b) => b.date.localeCompare(a.date));
+};
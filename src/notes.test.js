@@ -0,0 +1,27 @@
+import { getCategoryLabel, normalizeTag, parseTags, formatTags, getNoteTags, filterNotes } from './notes';
+
+const notes = [
+  { id: 'n1', date: '2024-05-01', text: 'Rolled an ankle in fielding drills.', category: 'injury', tags: ['ankle'] },
+  { id: 'n2', date: '2024-06-10', text: 'Front arm much higher.', category: 'technique', tags: ['bowling', 'action'] },
+  { id: 'n3', date: '2024-06-12', text: 'Ankle fine again, back to full training.' },
+];
+
+test('reads tags typed by a coach', () => {
+  expect(normalizeTag('  #Pull   Shot ')).toBe('pull shot');
+  expect(parseTags('pull shot, #Nets , nets,,')).toEqual(['pull shot', 'nets']);
+  expect(parseTags('')).toEqual([]);
+  expect(formatTags(['pull shot', 'nets'])).toBe('pull shot, nets');
+  expect(getNoteTags(notes)).toEqual(['action', 'ankle', 'bowling']);
+  expect(getCategoryLabel('injury')).toBe('Injury');
+  expect(getCategoryLabel(null)).toBe('Uncategorised');
+});
+
+test('filters notes by category, tag, text and dates', () => {
+  const ids = (filters) => filterNotes(notes, filters).map(n => n.id);
+  expect(ids({})).toEqual(['n3', 'n2', 'n1']);
+  expect(ids({ category: 'injury' })).toEqual(['n1']);
+  expect(ids({ tag: 'bowling' })).toEqual(['n2']);
+  expect(ids({ query: 'ANKLE' })).toEqual(['n3', 'n1']);
+  expect(ids({ query: 'action' })).toEqual(['n2']);
+  expect(ids({ query: 'ankle', from: '2024-06-01', to: '2024-06-30' })).toEqual(['n3']);
+});
@@ -0,0 +1,46 @@
+// --- Package Catalog Helpers ---
+// Packages live in Firestore next to the students collection. Students store the
+// `packageId` they are enrolled on, plus the package name for display. Older
+// student documents only have the name, so lookups fall back to it.
+
+export const emptyPackage = {
+    name: '',
+    monthlyPrice: 0,
+    sessionsPerWeek: 1,
+    isActive: true,
+};
+
+export const findPackage = (packages, student) => {
+    if (!student) return undefined;
+    return packages.find(p => student.packageId && p.id === student.packageId)
+        || packages.find(p => p.name === student.package);
+};
+
+export const getMonthlyDue = (packages, student) => {
+    const pkg = findPackage(packages, student);
+    return pkg ? Number(pkg.monthlyPrice) || 0 : 0;
+};
+
+export const formatCurrency = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+
+export const validatePackage = (pkg, packages = []) => {
+    const name = (pkg.name || '').trim();
+    if (!name) return 'Please give the package a name.';
+    if (packages.some(p => p.id !== pkg.id && p.name.trim().toLowerCase() === name.toLowerCase())) {
+        return `A package called "${name}" already exists.`;
+    }
+    const price = Number(pkg.monthlyPrice);
+    if (!Number.isFinite(price) || price < 0) return 'Monthly price must be zero or more.';
+    const sessions = Number(pkg.sessionsPerWeek);
+    if (!Number.isInteger(sessions) || sessions < 1 || sessions > 7) return 'Sessions per week must be a whole number from 1 to 7.';
+    return null;
+};
+
+export const validateEnrolledDays = (pkg, enrolledDays = []) => {
+    if (!pkg) return 'Please choose a package.';
+    const sessions = Number(pkg.sessionsPerWeek);
+    if (enrolledDays.length !== sessions) {
+        return `The ${pkg.name} package includes ${sessions} session(s) per week, but ${enrolledDays.length} day(s) are selected.`;
+    }
+    return null;
+};
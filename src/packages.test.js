@@ -0,0 +1,30 @@
+import { findPackage, getMonthlyDue, validatePackage, validateEnrolledDays } from './packages';
+
+const packages = [
+  { id: 'p1', name: '1-day', monthlyPrice: 60, sessionsPerWeek: 1, isActive: true },
+  { id: 'p2', name: '2-day', monthlyPrice: 120, sessionsPerWeek: 2, isActive: true },
+];
+
+test('finds a package by id, falling back to the legacy name', () => {
+  expect(findPackage(packages, { packageId: 'p2', package: '1-day' }).id).toBe('p2');
+  expect(findPackage(packages, { package: '1-day' }).id).toBe('p1');
+  expect(findPackage(packages, { package: 'Adult' })).toBeUndefined();
+});
+
+test('monthly due comes from the package price', () => {
+  expect(getMonthlyDue(packages, { packageId: 'p2' })).toBe(120);
+  expect(getMonthlyDue(packages, { package: 'Adult' })).toBe(0);
+});
+
+test('rejects duplicate names and out-of-range sessions', () => {
+  expect(validatePackage({ name: ' 2-DAY ', monthlyPrice: 10, sessionsPerWeek: 2 }, packages)).toMatch(/already exists/);
+  expect(validatePackage({ id: 'p2', name: '2-day', monthlyPrice: 130, sessionsPerWeek: 2 }, packages)).toBeNull();
+  expect(validatePackage({ name: 'Week', monthlyPrice: 10, sessionsPerWeek: 8 }, packages)).toMatch(/1 to 7/);
+  expect(validatePackage({ name: 'Free', monthlyPrice: -1, sessionsPerWeek: 1 }, packages)).toMatch(/price/);
+});
+
+test('enrolled days must match the package sessions per week', () => {
+  expect(validateEnrolledDays(undefined, [])).toMatch(/choose a package/);
+  expect(validateEnrolledDays(packages[1], ['Monday'])).toMatch(/2 session/);
+  expect(validateEnrolledDays(packages[1], ['Monday', 'Thursday'])).toBeNull();
+});
@@ -0,0 +1,114 @@
+import { addDays, getWeekdayName } from './dates';
+import { buildLedger } from './ledger';
+import { getMonthlyDue } from './packages';
+import { compareSessions, formatSessionTime } from './sessions';
+import { getClosure, getMakeUpCredits } from './closures';
+
+// --- Parent Portal ---
+// Parents get a secret link to a read-only page about their child. The link
+// never opens the academy itself: the app publishes a copy of what the parent
+// may see to `artifacts/{appId}/portals/{token}` and the page reads only that
+// document. The student keeps the token in `portalToken`; revoking the link
+// deletes the copy, and a new link gets a new token. Only notes with
+// `sharedWithParent` set are copied.
+//
+// The copy holds the student's schedule, charges and payments rather than the
+// results, and the page works out the next training days, the balance and
+// make-up credits on the day it is read, so they move on with the calendar.
+// The app republishes the copy whenever those inputs change.
+//
+// Firestore rules should allow anyone to get (but not list) a portal document,
+// and only members of its `academyId` to write it.
+
+const TOKEN_BYTES = 24;
+
+export const generatePortalToken = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(TOKEN_BYTES));
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const UPCOMING_DAYS = 14;
+const UPCOMING_COUNT = 4;
+const ATTENDANCE_COUNT = 30;
+const PAYMENT_COUNT = 6;
+
+// The student's weekly sessions as `[{ weekday, label }]`, in timetable order.
+export const getPortalSchedule = (student, sessions) => sessions
+    .filter(session => student.sessionIds?.includes(session.id))
+    .sort(compareSessions)
+    .map(session => ({ weekday: session.weekday, label: [formatSessionTime(session), session.ageGroup].filter(Boolean).join(' · ') }));
+
+// The student's next few training days from `today`, with their session times.
+// Closed days are kept so the parent can see why there is no training.
+export const getUpcomingSessions = (student, schedule, closures, today) => {
+    if (student.isActive === false) return [];
+    const upcoming = [];
+    for (let i = 0; i < UPCOMING_DAYS && upcoming.length < UPCOMING_COUNT; i++) {
+        const date = addDays(today, i);
+        const weekday = getWeekdayName(date);
+        if (!student.enrolledDays?.includes(weekday)) continue;
+        upcoming.push({
+            date,
+            sessions: schedule.filter(session => session.weekday === weekday).map(session => session.label),
+            closedReason: getClosure(closures, date)?.reason || null,
+        });
+    }
+    return upcoming;
+};
+
+// Fields that come from payments, kept from the published copy when the coach publishing it can't see them.
+export const PORTAL_PAYMENT_FIELDS = ['monthlyDue', 'payments'];
+
+// `student` needs its full history attached (see records.js). The copy keeps
+// the student's billing fields under their own names, so it can be handed to
+// buildLedger and getMakeUpCredits as it is.
+export const buildPortalSnapshot = ({ student, academyName, timeZone, packages, sessions, closures }) => {
+    const enrolledDays = student.enrolledDays || [];
+    return {
+        academyName: academyName || '',
+        timeZone: timeZone || null,
+        studentName: student.name,
+        packageName: student.package || '',
+        isActive: student.isActive !== false,
+        enrolledDays,
+        billingStartMonth: student.billingStartMonth || null,
+        inactiveSince: student.inactiveSince || null,
+        billingPauses: student.billingPauses || [],
+        schedule: getPortalSchedule(student, sessions),
+        closures: closures
+            .filter(closure => enrolledDays.includes(getWeekdayName(closure.date)))
+            .map(({ date, reason }) => ({ date, reason: reason || '' })),
+        attendance: student.attendance || {},
+        monthlyDue: getMonthlyDue(packages, student),
+        payments: (student.payments || []).map(({ month, amount, dateReceived }) => ({ month, amount, dateReceived })),
+        notes: (student.notes || [])
+            .filter(note => note.sharedWithParent)
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .map(({ date, text }) => ({ date, text })),
+    };
+};
+
+// What the page shows, worked out from a published copy as of `today`.
+export const readPortal = (portal, today) => {
+    const ledger = buildLedger(portal, portal.monthlyDue || 0, today);
+    return {
+        academyName: portal.academyName,
+        studentName: portal.studentName,
+        packageName: portal.packageName,
+        isActive: portal.isActive,
+        upcoming: getUpcomingSessions(portal, portal.schedule, portal.closures, today),
+        attendance: Object.entries(portal.attendance)
+            .sort((a, b) => b[0].localeCompare(a[0]))
+            .slice(0, ATTENDANCE_COUNT)
+            .map(([date, status]) => ({ date, status })),
+        balance: ledger.balance,
+        credit: ledger.credit,
+        unpaidMonths: ledger.unpaidMonths.map(({ month, outstanding }) => ({ month, outstanding })),
+        payments: [...(portal.payments || [])]
+            .sort((a, b) => b.dateReceived.localeCompare(a.dateReceived))
+            .slice(0, PAYMENT_COUNT),
+        notes: portal.notes,
+        makeUpCredits: Math.max(getMakeUpCredits(portal, portal.closures, today).balance, 0),
+        updatedAt: portal.updatedAt,
+    };
+};
@@ -0,0 +1,71 @@
+import { generatePortalToken, getPortalSchedule, getUpcomingSessions, buildPortalSnapshot, readPortal } from './portal';
+
+const packages = [{ id: 'p1', name: 'Squad', monthlyPrice: 100, sessionsPerWeek: 2, isActive: true }];
+const sessions = [
+  { id: 'sat', weekday: 'Saturday', startTime: '09:00', endTime: '10:30', ageGroup: 'Under 11', isActive: true },
+  { id: 'tue', weekday: 'Tuesday', startTime: '17:00', endTime: '18:00', ageGroup: '', isActive: true },
+];
+// 2024-06-15 is a Saturday.
+const closures = [{ id: '2024-06-18', date: '2024-06-18', reason: 'Rain' }];
+const student = {
+  id: 's1',
+  name: 'Asha',
+  package: 'Squad',
+  packageId: 'p1',
+  isActive: true,
+  enrolledDays: ['Tuesday', 'Saturday'],
+  sessionIds: ['sat', 'tue'],
+  billingStartMonth: '2024-05',
+  attendance: { '2024-06-08': 'present', '2024-06-11': 'late' },
+  payments: [{ id: 'pay1', month: '2024-05', amount: 100, dateReceived: '2024-05-03T09:00:00.000Z' }],
+  notes: [
+    { id: 'n1', date: '2024-06-08', text: 'Great catching.', sharedWithParent: true },
+    { id: 'n2', date: '2024-06-11', text: 'Keep an eye on attitude.' },
+  ],
+};
+
+test('makes long unguessable tokens', () => {
+  const token = generatePortalToken();
+  expect(token).toMatch(/^[0-9a-f]{48}$/);
+  expect(generatePortalToken()).not.toBe(token);
+});
+
+test('lists the next training days with times and closures', () => {
+  const schedule = getPortalSchedule(student, sessions);
+  expect(schedule).toEqual([
+    { weekday: 'Tuesday', label: '5:00pm–6:00pm' },
+    { weekday: 'Saturday', label: '9:00am–10:30am · Under 11' },
+  ]);
+  expect(getUpcomingSessions(student, schedule, closures, '2024-06-15')).toEqual([
+    { date: '2024-06-15', sessions: ['9:00am–10:30am · Under 11'], closedReason: null },
+    { date: '2024-06-18', sessions: ['5:00pm–6:00pm'], closedReason: 'Rain' },
+    { date: '2024-06-22', sessions: ['9:00am–10:30am · Under 11'], closedReason: null },
+    { date: '2024-06-25', sessions: ['5:00pm–6:00pm'], closedReason: null },
+  ]);
+  expect(getUpcomingSessions({ ...student, isActive: false }, schedule, closures, '2024-06-15')).toEqual([]);
+});
+
+test('copies only what a parent may see', () => {
+  const snapshot = buildPortalSnapshot({ student, academyName: 'Riverside', timeZone: 'Australia/Sydney', packages, sessions, closures });
+  expect(snapshot).not.toHaveProperty('contact');
+  expect(JSON.stringify(snapshot)).not.toContain('attitude');
+  expect(readPortal(snapshot, '2024-06-15')).toMatchObject({
+    academyName: 'Riverside',
+    studentName: 'Asha',
+    balance: 100,
+    unpaidMonths: [{ month: '2024-06', outstanding: 100 }],
+    attendance: [{ date: '2024-06-11', status: 'late' }, { date: '2024-06-08', status: 'present' }],
+    notes: [{ date: '2024-06-08', text: 'Great catching.' }],
+  });
+});
+
+test('moves on with the calendar without being republished', () => {
+  const snapshot = buildPortalSnapshot({ student, academyName: 'Riverside', packages, sessions, closures });
+  const july = readPortal(snapshot, '2024-07-02');
+  expect(july.unpaidMonths.map(m => m.month)).toEqual(['2024-06', '2024-07']);
+  expect(july.balance).toBe(200);
+  expect(july.upcoming[0].date).toBe('2024-07-02');
+  // The rained-off Tuesday was on an enrolled day, so it earned a make-up session.
+  expect(july.makeUpCredits).toBe(1);
+  expect(readPortal(snapshot, '2024-06-15').makeUpCredits).toBe(0);
+});
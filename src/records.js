@@ -0,0 +1,62 @@
+// --- Student History Records ---
+// Notes, payments and attendance are stored as one document each in the
+// academy's `notes`, `payments` and `attendance` collections, tagged with a
+// `studentId`. Keeping them beside the students (rather than under each one)
+// lets the daily view and the register ask for a date range across the whole
+// roster. Two coaches editing different records of the same student no longer
+// overwrite each other.
+//
+// Components still see the older shape (`student.notes`, `student.payments`,
+// `student.attendance`) through `attachHistory`, which is also the shape
+// backups use.
+
+export const HISTORY_COLLECTIONS = ['notes', 'payments', 'attendance'];
+
+// One attendance record per student per day, so marking the same day twice
+// overwrites instead of duplicating.
+export const getAttendanceId = (studentId, date) => `${studentId}_${date}`;
+
+// Date keys compare as strings, so '-31' covers every month.
+export const getMonthRange = (monthKey) => ({ from: `${monthKey}-01`, to: `${monthKey}-31` });
+
+export const hasEmbeddedHistory = (student) => HISTORY_COLLECTIONS.some(key => student[key] !== undefined);
+
+// Splits a student in the embedded shape into its profile and history records.
+// Records without an id get one derived from their position so that running
+// the split twice produces the same documents.
+export const splitHistory = (student) => {
+    const { id: studentId, notes = [], payments = [], attendance = {}, ...profile } = student;
+    return {
+        profile,
+        notes: notes.map((note, index) => ({ ...note, id: note.id || `${studentId}-note-${index}`, studentId })),
+        payments: payments.map((payment, index) => ({ ...payment, id: payment.id || `${studentId}-payment-${index}`, studentId })),
+        attendance: Object.entries(attendance).map(([date, status]) => ({ id: getAttendanceId(studentId, date), studentId, date, status })),
+    };
+};
+
+const groupByStudent = (records = []) => {
+    const groups = new Map();
+    records.forEach(({ studentId, ...record }) => {
+        if (!groups.has(studentId)) groups.set(studentId, new Map());
+        groups.get(studentId).set(record.id, record);
+    });
+    return groups;
+};
+
+// Returns students in the embedded shape, holding whichever records were
+// loaded. Students that have not been migrated yet keep their own history.
+export const attachHistory = (students, { notes, payments, attendance }) => {
+    const notesByStudent = groupByStudent(notes);
+    const paymentsByStudent = groupByStudent(payments);
+    const attendanceByStudent = groupByStudent(attendance);
+    return students.map(student => {
+        if (hasEmbeddedHistory(student)) return student;
+        const studentAttendance = [...(attendanceByStudent.get(student.id)?.values() || [])];
+        return {
+            ...student,
+            notes: [...(notesByStudent.get(student.id)?.values() || [])],
+            payments: [...(paymentsByStudent.get(student.id)?.values() || [])],
+            attendance: Object.fromEntries(studentAttendance.map(record => [record.date, record.status])),
+        };
+    });
+};
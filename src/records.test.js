@@ -0,0 +1,51 @@
+import { getAttendanceId, getMonthRange, hasEmbeddedHistory, splitHistory, attachHistory } from './records';
+
+const legacyStudent = {
+  id: 's1',
+  name: 'Asha',
+  package: 'Gold',
+  notes: [{ id: 'n1', date: '2025-03-04', text: 'Good footwork' }, { date: '2025-03-01', text: 'No id' }],
+  payments: [{ id: 'p1', month: '2025-03', amount: 80, dateReceived: '2025-03-02T10:00:00.000Z' }],
+  attendance: { '2025-03-04': 'present', '2025-03-06': 'late' },
+};
+
+test('getMonthRange covers the whole month as date keys', () => {
+  expect(getMonthRange('2025-02')).toEqual({ from: '2025-02-01', to: '2025-02-31' });
+  expect('2025-02-28' <= getMonthRange('2025-02').to).toBe(true);
+  expect('2025-03-01' <= getMonthRange('2025-02').to).toBe(false);
+});
+
+test('hasEmbeddedHistory spots students that still carry their history', () => {
+  expect(hasEmbeddedHistory(legacyStudent)).toBe(true);
+  expect(hasEmbeddedHistory({ id: 's2', name: 'Ben' })).toBe(false);
+});
+
+test('splitHistory separates the profile from tagged records with stable ids', () => {
+  const { profile, notes, payments, attendance } = splitHistory(legacyStudent);
+  expect(profile).toEqual({ name: 'Asha', package: 'Gold' });
+  expect(notes.map(n => n.id)).toEqual(['n1', 's1-note-1']);
+  expect(notes.every(n => n.studentId === 's1')).toBe(true);
+  expect(payments).toEqual([{ ...legacyStudent.payments[0], studentId: 's1' }]);
+  expect(attendance).toEqual([
+    { id: getAttendanceId('s1', '2025-03-04'), studentId: 's1', date: '2025-03-04', status: 'present' },
+    { id: 's1_2025-03-06', studentId: 's1', date: '2025-03-06', status: 'late' },
+  ]);
+  expect(splitHistory(legacyStudent)).toEqual(splitHistory(legacyStudent));
+});
+
+test('attachHistory rebuilds the embedded shape and drops duplicate records', () => {
+  const { notes, payments, attendance } = splitHistory(legacyStudent);
+  const [student, other] = attachHistory([{ id: 's1', name: 'Asha' }, { id: 's2', name: 'Ben' }], {
+    notes,
+    payments,
+    attendance: [...attendance, attendance[0]],
+  });
+  expect(student.attendance).toEqual(legacyStudent.attendance);
+  expect(student.payments).toEqual(legacyStudent.payments);
+  expect(student.notes[1]).toEqual({ id: 's1-note-1', date: '2025-03-01', text: 'No id' });
+  expect(other).toEqual({ id: 's2', name: 'Ben', notes: [], payments: [], attendance: {} });
+});
+
+test('attachHistory leaves students that have not been migrated alone', () => {
+  expect(attachHistory([legacyStudent], { notes: [], payments: [], attendance: [] })[0]).toBe(legacyStudent);
+});
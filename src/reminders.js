@@ -0,0 +1,100 @@
+import { buildLedger } from './ledger';
+import { getMonthlyDue, formatCurrency } from './packages';
+import { formatMonth } from './dates';
+import { isEmail, isPhone, normalizePhone, getPrimaryContact } from './contacts';
+
+// --- Payment Reminders ---
+// Reminders are written from a template the owner can edit (kept in the
+// academy settings as `reminderTemplate`) and queued in the academy's `outbox`
+// collection, one document per message:
+// `{ studentId, studentName, to, subject, body, months, amount, status, channel, createdAt, sentAt, error }`.
+// `status` is 'queued', 'sent' or 'failed'. Sent messages stay in the outbox
+// as the record of what each student's parent was told, and the student keeps
+// `lastRemindedAt` for the lists.
+
+export const REMINDER_PLACEHOLDERS = ['{student}', '{month}', '{amount}', '{academy}'];
+
+export const DEFAULT_REMINDER_TEMPLATE = {
+    subject: 'Payment due for {student}',
+    body: 'Hi, this is a friendly reminder from {academy} that {amount} is due for {student} for {month}. Thank you!',
+};
+
+export const getReminderTemplate = (settings) => ({ ...DEFAULT_REMINDER_TEMPLATE, ...(settings?.reminderTemplate || {}) });
+
+export const validateReminderTemplate = (template) => {
+    if (!template.subject?.trim()) return 'Please enter a subject.';
+    if (!template.body?.trim()) return 'Please enter the message.';
+    return null;
+};
+
+// Unknown placeholders are left as they are so a typo is easy to spot.
+export const fillTemplate = (text, values) => text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+const joinMonths = (months) => {
+    const names = months.map(formatMonth);
+    if (names.length <= 1) return names.join('');
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+};
+
+// Students with unpaid months as of `today`, most owed first.
+export const findStudentsOwing = (students, packages, today) => students
+    .map(student => ({ student, ledger: buildLedger(student, getMonthlyDue(packages, student), today) }))
+    .filter(({ ledger }) => ledger.unpaidMonths.length > 0)
+    .sort((a, b) => b.ledger.balance - a.ledger.balance || a.student.name.localeCompare(b.student.name));
+
+export const buildReminder = ({ student, ledger, template, academyName }) => {
+    const months = ledger.unpaidMonths.map(row => row.month);
+    const values = {
+        student: student.name,
+        month: joinMonths(months),
+        amount: formatCurrency(ledger.balance),
+        academy: academyName || 'the academy',
+    };
+    return {
+        studentId: student.id,
+        studentName: student.name,
+        to: getPrimaryContact(student).trim(),
+        subject: fillTemplate(template.subject, values),
+        body: fillTemplate(template.body, values),
+        months,
+        amount: ledger.balance,
+    };
+};
+
+// --- Channels ---
+// A channel delivers one outbox message: `{ id, label, getProblem(message), send(message) }`.
+// `getProblem` returns why the message cannot go this way (or null), and
+// `send` resolves once the message has been handed over. Anything that can do
+// that (an email service, an SMS gateway) can be added to the list the app
+// offers without touching the outbox.
+
+export const getContactKind = (contact) => {
+    if (isEmail(contact)) return 'email';
+    if (isPhone(contact)) return 'phone';
+    return null;
+};
+
+// A `mailto:` link for email addresses or an `sms:` link for phone numbers.
+export const getMessageLink = (message) => {
+    const kind = getContactKind(message.to);
+    if (kind === 'email') {
+        return `mailto:${encodeURIComponent(message.to.trim())}?subject=${encodeURIComponent(message.subject)}&body=${encodeURIComponent(message.body)}`;
+    }
+    if (kind === 'phone') {
+        return `sms:${normalizePhone(message.to)}?body=${encodeURIComponent(message.body)}`;
+    }
+    return null;
+};
+
+// Opens the device's mail or messages app with the reminder filled in. The
+// coach still presses send there, so "sent" means it was handed over.
+export const createLinkChannel = (open = (url) => window.open(url, '_self')) => ({
+    id: 'link',
+    label: 'Email / SMS app',
+    getProblem: (message) => (getMessageLink(message) ? null : 'The contact details are not an email address or phone number.'),
+    send: async (message) => {
+        const link = getMessageLink(message);
+        if (!link) throw new Error('The contact details are not an email address or phone number.');
+        open(link);
+    },
+});
@@ -0,0 +1,57 @@
+import { DEFAULT_REMINDER_TEMPLATE, getReminderTemplate, validateReminderTemplate, fillTemplate, findStudentsOwing, buildReminder, getContactKind, getMessageLink, createLinkChannel } from './reminders';
+
+const packages = [{ id: 'p1', name: 'Squad', monthlyPrice: 100, sessionsPerWeek: 2, isActive: true }];
+const students = [
+  { id: 's1', name: 'Asha', packageId: 'p1', contact: 'asha.parent@example.com', billingStartMonth: '2024-05', isActive: true, payments: [] },
+  { id: 's2', name: 'Ben', packageId: 'p1', contact: '0412 345 678', billingStartMonth: '2024-06', isActive: true, payments: [] },
+  { id: 's3', name: 'Cara', packageId: 'p1', contact: 'Mum', billingStartMonth: '2024-06', isActive: true, payments: [{ id: 'pay1', month: '2024-06', amount: 100, dateReceived: '2024-06-02T09:00:00.000Z' }] },
+];
+
+test('uses the saved template over the default', () => {
+  expect(getReminderTemplate(null)).toEqual(DEFAULT_REMINDER_TEMPLATE);
+  expect(getReminderTemplate({ reminderTemplate: { body: 'Pay {amount}' } })).toEqual({ subject: DEFAULT_REMINDER_TEMPLATE.subject, body: 'Pay {amount}' });
+  expect(validateReminderTemplate({ subject: 'Due', body: ' ' })).toMatch(/message/);
+  expect(validateReminderTemplate(DEFAULT_REMINDER_TEMPLATE)).toBeNull();
+});
+
+test('fills placeholders and leaves unknown ones alone', () => {
+  expect(fillTemplate('{student} owes {amount} {oops}', { student: 'Asha', amount: '$5.00' })).toBe('Asha owes $5.00 {oops}');
+});
+
+test('finds students who owe, most owed first', () => {
+  const owing = findStudentsOwing(students, packages, '2024-06-15');
+  expect(owing.map(({ student }) => student.id)).toEqual(['s1', 's2']);
+  expect(owing[0].ledger.balance).toBe(200);
+});
+
+test('writes a reminder from the template', () => {
+  const [{ student, ledger }] = findStudentsOwing(students, packages, '2024-06-15');
+  const reminder = buildReminder({ student, ledger, template: DEFAULT_REMINDER_TEMPLATE, academyName: 'Riverside' });
+  expect(reminder).toEqual({
+    studentId: 's1',
+    studentName: 'Asha',
+    to: 'asha.parent@example.com',
+    subject: 'Payment due for Asha',
+    body: 'Hi, this is a friendly reminder from Riverside that $200.00 is due for Asha for May 2024 and June 2024. Thank you!',
+    months: ['2024-05', '2024-06'],
+    amount: 200,
+  });
+});
+
+test('builds mail and message links from the contact details', () => {
+  expect(getContactKind('asha.parent@example.com')).toBe('email');
+  expect(getContactKind('+61 412 345 678')).toBe('phone');
+  expect(getContactKind('Mum')).toBeNull();
+  expect(getMessageLink({ to: 'a@b.co', subject: 'Due now', body: 'Hi & bye' })).toBe('mailto:a%40b.co?subject=Due%20now&body=Hi%20%26%20bye');
+  expect(getMessageLink({ to: '0412 345 678', subject: 'Due', body: 'Hi' })).toBe('sms:0412345678?body=Hi');
+  expect(getMessageLink({ to: 'Mum', subject: 'Due', body: 'Hi' })).toBeNull();
+});
+
+test('the link channel opens whatever it was given', async () => {
+  const opened = [];
+  const link = createLinkChannel(url => opened.push(url));
+  await link.send({ to: '0412 345 678', subject: 'Due', body: 'Hi' });
+  expect(opened).toEqual(['sms:0412345678?body=Hi']);
+  expect(link.getProblem({ to: 'Mum' })).toMatch(/not an email/);
+  await expect(link.send({ to: 'Mum', subject: 'Due', body: 'Hi' })).rejects.toThrow(/not an email/);
+});
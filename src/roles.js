@@ -0,0 +1,43 @@
+// --- Academy Roles ---
+// Every member of an academy has one role. Controls a role does not allow are
+// hidden, so check `can(role, permission)` before rendering them. Hiding a
+// control is not access control: firestore.rules and storage.rules enforce the
+// same permissions, so keep them in step when a role changes.
+
+export const ROLES = {
+    owner: {
+        label: 'Owner',
+        permissions: ['markAttendance', 'addNotes', 'manageStudents', 'deleteStudents', 'viewPayments', 'editPayments', 'sendReminders', 'managePackages', 'manageSessions', 'manageWaivers', 'collectWaivers', 'assessStudents', 'manageClosures', 'manageBookings', 'manageSettings', 'manageMembers'],
+    },
+    assistant: {
+        label: 'Assistant Coach',
+        permissions: ['markAttendance', 'addNotes', 'collectWaivers', 'assessStudents', 'manageBookings'],
+    },
+};
+
+export const can = (role, permission) => Boolean(ROLES[role]?.permissions.includes(permission));
+
+export const getRoleLabel = (role) => ROLES[role]?.label || role;
+
+// --- Invite Codes ---
+// Codes skip characters that are easy to misread (0/O, 1/I/L) when read out at the nets.
+
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const INVITE_CODE_LENGTH = 8;
+export const INVITE_LIFETIME_DAYS = 7;
+
+export const generateInviteCode = () => {
+    const bytes = crypto.getRandomValues(new Uint8Array(INVITE_CODE_LENGTH));
+    return Array.from(bytes, byte => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]).join('');
+};
+
+export const normalizeInviteCode = (code) => (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Returns why an invite cannot be used, or null when it can.
+export const getInviteProblem = (invite, userId, now = new Date()) => {
+    if (!invite) return "That invite code doesn't exist.";
+    if (invite.usedBy) return invite.usedBy === userId ? "You've already used this invite." : 'That invite code has already been used.';
+    if (invite.expiresAt && new Date(invite.expiresAt) < now) return 'That invite code has expired. Ask the academy owner for a new one.';
+    if (!ROLES[invite.role]) return 'That invite code is not valid.';
+    return null;
+};
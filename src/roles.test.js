@@ -0,0 +1,27 @@
+import { can, generateInviteCode, getInviteProblem, normalizeInviteCode } from './roles';
+
+test('assistants can mark attendance and add notes but not touch payments or delete students', () => {
+  expect(can('assistant', 'markAttendance')).toBe(true);
+  expect(can('assistant', 'addNotes')).toBe(true);
+  expect(can('assistant', 'viewPayments')).toBe(false);
+  expect(can('assistant', 'editPayments')).toBe(false);
+  expect(can('assistant', 'deleteStudents')).toBe(false);
+  expect(can('owner', 'deleteStudents')).toBe(true);
+  expect(can(null, 'markAttendance')).toBe(false);
+});
+
+test('invite codes are readable and normalize typed input', () => {
+  const code = generateInviteCode();
+  expect(code).toMatch(/^[A-HJKMNP-Z2-9]{8}$/);
+  expect(normalizeInviteCode(' abcd-efgh ')).toBe('ABCDEFGH');
+});
+
+test('explains why an invite cannot be used', () => {
+  const now = new Date('2025-04-14T00:00:00Z');
+  const invite = { academyId: 'a1', role: 'assistant', usedBy: null, expiresAt: '2025-04-20T00:00:00Z' };
+  expect(getInviteProblem(invite, 'u1', now)).toBeNull();
+  expect(getInviteProblem(null, 'u1', now)).toMatch(/doesn't exist/);
+  expect(getInviteProblem({ ...invite, usedBy: 'u2' }, 'u1', now)).toMatch(/already been used/);
+  expect(getInviteProblem({ ...invite, expiresAt: '2025-04-01T00:00:00Z' }, 'u1', now)).toMatch(/expired/);
+  expect(getInviteProblem({ ...invite, role: 'superuser' }, 'u1', now)).toMatch(/not valid/);
+});
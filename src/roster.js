@@ -0,0 +1,149 @@
+import { toCSV } from './csv';
+import { toDateKey, WEEKDAYS } from './dates';
+import { getStatusLabel } from './attendance';
+import { validateEnrolledDays } from './packages';
+import { isEmail, isPhone, normalizeEmail, splitLegacyContact } from './contacts';
+import { WAIVER_STATUSES, getWaiverStatus } from './waivers';
+
+// --- CSV Export ---
+
+const byName = (a, b) => a.name.localeCompare(b.name);
+
+// The waiver column is for reading only: a waiver counts once a parent signs
+// it in the app, so imports ignore it.
+export const rosterToCSV = (students, currentWaiver, today) => toCSV([...students].sort(byName), [
+    { header: 'Status', value: s => (s.isActive ? 'Active' : 'Inactive') },
+    { header: 'Name', value: s => s.name },
+    { header: 'Parent Name', value: s => s.parentName },
+    { header: 'Package', value: s => s.package },
+    { header: 'Waiver', value: s => WAIVER_STATUSES[getWaiverStatus(s, currentWaiver, today)].label },
+    { header: 'Parent Phone', value: s => s.parentPhone || s.contact },
+    { header: 'Parent Email', value: s => s.parentEmail },
+    { header: 'Enrolled Days', value: s => (s.enrolledDays || []).join('; ') },
+    { header: 'Date of Birth', value: s => s.dateOfBirth },
+    { header: 'Emergency Contact', value: s => [s.emergencyName, s.emergencyRelationship && `(${s.emergencyRelationship})`].filter(Boolean).join(' ') },
+    { header: 'Emergency Phone', value: s => s.emergencyPhone },
+    { header: 'Allergies', value: s => s.allergies },
+    { header: 'Medical Notes', value: s => s.medicalNotes },
+]);
+
+export const paymentsToCSV = (students, timeZone) => {
+    const rows = [...students].sort(byName).flatMap(student => (student.payments || [])
+        .map(payment => ({ student, payment }))
+        .sort((a, b) => a.payment.month.localeCompare(b.payment.month)));
+    return toCSV(rows, [
+        { header: 'Student', value: r => r.student.name },
+        { header: 'Month', value: r => r.payment.month },
+        { header: 'Amount', value: r => Number(r.payment.amount).toFixed(2) },
+        { header: 'Date Received', value: r => (r.payment.dateReceived ? toDateKey(new Date(r.payment.dateReceived), timeZone) : '') },
+        { header: 'Payment ID', value: r => r.payment.id },
+    ]);
+};
+
+export const attendanceToCSV = (students) => {
+    const rows = [...students].sort(byName).flatMap(student => Object.entries(student.attendance || {})
+        .map(([date, status]) => ({ student, date, status }))
+        .sort((a, b) => a.date.localeCompare(b.date)));
+    return toCSV(rows, [
+        { header: 'Student', value: r => r.student.name },
+        { header: 'Date', value: r => r.date },
+        { header: 'Status', value: r => getStatusLabel(r.status) },
+    ]);
+};
+
+// --- CSV Import ---
+
+export const ROSTER_FIELDS = [
+    { key: 'name', label: 'Student Name', required: true, aliases: ['name', 'student', 'studentname', 'player'] },
+    { key: 'parentName', label: 'Parent Name', aliases: ['parent', 'parentname', 'guardian'] },
+    { key: 'parentPhone', label: 'Parent Phone', aliases: ['phone', 'parentphone', 'mobile', 'contact', 'contactdetails'] },
+    { key: 'parentEmail', label: 'Parent Email', aliases: ['email', 'parentemail'] },
+    { key: 'package', label: 'Package', required: true, aliases: ['package', 'plan'] },
+    { key: 'enrolledDays', label: 'Enrolled Days', aliases: ['enrolleddays', 'days', 'enrolled'] },
+    { key: 'isActive', label: 'Active', aliases: ['status', 'active', 'isactive'] },
+];
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z]/g, '');
+
+// Maps each field to the index of the CSV column that looks like it, or -1.
+export const guessColumnMapping = (headers) => {
+    const normalized = headers.map(normalizeHeader);
+    return Object.fromEntries(ROSTER_FIELDS.map(field => [field.key, normalized.findIndex(h => field.aliases.includes(h))]));
+};
+
+const parseBoolean = (value, fallback) => {
+    const text = (value || '').trim().toLowerCase();
+    if (!text) return fallback;
+    if (['yes', 'y', 'true', '1', 'signed', 'active'].includes(text)) return true;
+    if (['no', 'n', 'false', '0', 'unsigned', 'inactive'].includes(text)) return false;
+    return undefined;
+};
+
+export const parseEnrolledDays = (value) => {
+    const tokens = (value || '').split(/[;,|/\s]+/).filter(Boolean);
+    const days = [];
+    const unknown = [];
+    tokens.forEach(token => {
+        const day = token.length >= 3 && WEEKDAYS.find(d => d.toLowerCase().startsWith(token.toLowerCase()));
+        if (!day) unknown.push(token);
+        else if (!days.includes(day)) days.push(day);
+    });
+    return { days, unknown };
+};
+
+// Validates every data row against the mapping and the package catalog.
+// Returns one result per row: `{ rowNumber, student, errors }`, where
+// `rowNumber` is the line in the file (the header is line 1).
+export const validateRosterRows = (rows, mapping, packages, existingStudents = []) => {
+    const existingNames = new Set(existingStudents.map(s => s.name.trim().toLowerCase()));
+    const seenNames = new Set();
+    const cell = (row, key) => (mapping[key] >= 0 ? (row[mapping[key]] || '').trim() : '');
+
+    return rows.map((row, index) => {
+        const errors = [];
+        ROSTER_FIELDS.filter(f => f.required && !cell(row, f.key)).forEach(f => errors.push(`${f.label} is missing.`));
+
+        const name = cell(row, 'name');
+        const nameKey = name.toLowerCase();
+        if (name && existingNames.has(nameKey)) errors.push(`${name} is already on the roster.`);
+        if (name && seenNames.has(nameKey)) errors.push(`${name} appears more than once in this file.`);
+        seenNames.add(nameKey);
+
+        // A single contact column may hold either a phone number or an email address.
+        const contact = { ...splitLegacyContact(cell(row, 'parentPhone')) };
+        if (cell(row, 'parentEmail')) contact.parentEmail = normalizeEmail(cell(row, 'parentEmail'));
+        if (!contact.parentPhone && !contact.parentEmail) errors.push('Parent phone or email is missing.');
+        if (contact.parentPhone && !isPhone(contact.parentPhone)) errors.push(`"${contact.parentPhone}" is not a phone number or email address.`);
+        if (contact.parentEmail && !isEmail(contact.parentEmail)) errors.push(`"${contact.parentEmail}" is not an email address.`);
+
+        const packageName = cell(row, 'package');
+        const pkg = packages.find(p => p.name.toLowerCase() === packageName.toLowerCase());
+        if (packageName && !pkg) errors.push(`Unknown package "${packageName}".`);
+        if (pkg && !pkg.isActive) errors.push(`The ${pkg.name} package is retired.`);
+
+        const { days, unknown } = parseEnrolledDays(cell(row, 'enrolledDays'));
+        if (unknown.length > 0) errors.push(`Unknown day(s): ${unknown.join(', ')}.`);
+        if (pkg && unknown.length === 0) {
+            const daysError = validateEnrolledDays(pkg, days);
+            if (daysError) errors.push(daysError);
+        }
+
+        const isActive = parseBoolean(cell(row, 'isActive'), true);
+        if (isActive === undefined) errors.push(`Status "${cell(row, 'isActive')}" should be Active or Inactive.`);
+
+        return {
+            rowNumber: index + 2,
+            errors,
+            student: {
+                name,
+                parentName: cell(row, 'parentName'),
+                parentPhone: contact.parentPhone || '',
+                parentEmail: contact.parentEmail || '',
+                packageId: pkg?.id || '',
+                package: pkg?.name || packageName,
+                enrolledDays: days,
+                isActive: isActive !== false,
+            },
+        };
+    });
+};
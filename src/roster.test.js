@@ -0,0 +1,83 @@
+import { parseCSV } from './csv';
+import { attendanceToCSV, guessColumnMapping, parseEnrolledDays, paymentsToCSV, rosterToCSV, validateRosterRows } from './roster';
+
+const packages = [
+  { id: 'p1', name: '1-day', monthlyPrice: 60, sessionsPerWeek: 1, isActive: true },
+  { id: 'p2', name: '2-day', monthlyPrice: 120, sessionsPerWeek: 2, isActive: true },
+  { id: 'p3', name: 'Adult', monthlyPrice: 80, sessionsPerWeek: 1, isActive: false },
+];
+
+test('guesses column mapping from headers', () => {
+  expect(guessColumnMapping(['Student Name', 'Parent', 'Phone', 'Package', 'Days', 'Waiver'])).toEqual({
+    name: 0, parentName: 1, parentPhone: 2, parentEmail: -1, package: 3, enrolledDays: 4, isActive: -1,
+  });
+});
+
+test('parses day names and abbreviations', () => {
+  expect(parseEnrolledDays('mon; Wed, Saturday')).toEqual({ days: ['Monday', 'Wednesday', 'Saturday'], unknown: [] });
+  expect(parseEnrolledDays('Mo Funday')).toEqual({ days: [], unknown: ['Mo', 'Funday'] });
+});
+
+test('reports errors row by row', () => {
+  const mapping = guessColumnMapping(['Name', 'Contact', 'Package', 'Days', 'Waiver']);
+  const rows = [
+    ['Asha', '0400 000 000', '2-day', 'Mon; Thu', 'yes'],
+    ['', '0400 000 001', '1-day', 'Sat', ''],
+    ['Ben', '0400 000 002', 'Gold', 'Sat', ''],
+    ['Cal', '0400 000 003', '2-day', 'Sat', 'maybe'],
+    ['Asha', '0400 000 004', 'Adult', 'Sun', ''],
+    ['Dev', '0400 000 005', '1-day', 'Sat', ''],
+    ['Eve', 'eve.parent@example.com', '1-day', 'Sat', ''],
+    ['Fin', 'Ring Mum', '1-day', 'Sat', ''],
+  ];
+  const results = validateRosterRows(rows, mapping, packages, [{ name: 'Dev' }]);
+  expect(results[0]).toEqual({
+    rowNumber: 2,
+    errors: [],
+    student: { name: 'Asha', parentName: '', parentPhone: '0400000000', parentEmail: '', packageId: 'p2', package: '2-day', enrolledDays: ['Monday', 'Thursday'], isActive: true },
+  });
+  expect(results[1].errors).toEqual(['Student Name is missing.']);
+  expect(results[2].errors).toEqual(['Unknown package "Gold".']);
+  // A waiver column is ignored: only a signature in the app counts.
+  expect(results[3].errors).toEqual(['The 2-day package includes 2 session(s) per week, but 1 day(s) are selected.']);
+  expect(results[4].errors).toEqual(['Asha appears more than once in this file.', 'The Adult package is retired.']);
+  expect(results[5].errors).toEqual(['Dev is already on the roster.']);
+  expect(results[6]).toMatchObject({ errors: [], student: { parentPhone: '', parentEmail: 'eve.parent@example.com' } });
+  expect(results[7].errors).toEqual(['"Ring Mum" is not a phone number or email address.']);
+});
+
+test('imports its own roster export', () => {
+  const students = [
+    { name: 'Asha', isActive: true, parentName: 'Priya', parentPhone: '+61412345678', parentEmail: 'priya@example.com', package: '2-day', enrolledDays: ['Monday', 'Thursday'] },
+    { name: 'Ben', isActive: false, parentName: '', parentPhone: '', parentEmail: 'ben.parent@example.com', package: '1-day', enrolledDays: ['Saturday'] },
+  ];
+  const [headers, ...rows] = parseCSV(rosterToCSV(students, null, '2025-04-01'));
+  const results = validateRosterRows(rows, guessColumnMapping(headers), packages);
+  expect(results.map(r => r.errors)).toEqual([[], []]);
+  expect(results.map(r => r.student)).toMatchObject([
+    { name: 'Asha', isActive: true, parentName: 'Priya', parentPhone: '+61412345678', parentEmail: 'priya@example.com', packageId: 'p2', enrolledDays: ['Monday', 'Thursday'] },
+    { name: 'Ben', isActive: false, parentPhone: '', parentEmail: 'ben.parent@example.com', packageId: 'p1', enrolledDays: ['Saturday'] },
+  ]);
+});
+
+test('exports the waiver status rather than the old tick', () => {
+  const signed = { signatureId: 'sig1', version: 2, signerName: 'Priya', signedAt: '2024-10-01T09:00:00.000Z', expiresOn: '2025-08-31' };
+  const students = [
+    { name: 'Asha', waiver: signed },
+    { name: 'Ben', waiver: { ...signed, expiresOn: '2024-08-31' }, waiverSigned: true },
+    { name: 'Cal', waiver: { ...signed, version: 1 }, waiverSigned: true },
+    { name: 'Dev', waiverSigned: true },
+  ];
+  const waivers = parseCSV(rosterToCSV(students, { version: 2 }, '2025-04-01')).slice(1).map(row => row[4]);
+  expect(waivers).toEqual(['Waiver Signed', 'Waiver Expired', 'Outdated Waiver', 'Outdated Waiver']);
+});
+
+test('flattens payments and attendance', () => {
+  const students = [{
+    name: 'Asha',
+    payments: [{ id: 'x', month: '2025-04', amount: 60, dateReceived: '2025-04-15T02:30:00Z' }],
+    attendance: { '2025-04-14': 'late', '2025-04-07': 'present' },
+  }];
+  expect(paymentsToCSV(students, 'America/Los_Angeles')).toBe('Student,Month,Amount,Date Received,Payment ID\r\nAsha,2025-04,60.00,2025-04-14,x');
+  expect(attendanceToCSV(students)).toBe('Student,Date,Status\r\nAsha,2025-04-07,Present\r\nAsha,2025-04-14,Late');
+});
@@ -0,0 +1,132 @@
+// --- Routes ---
+// What is on screen is kept in the URL, so the back button, a refresh and a
+// link sent to another coach all land in the same place. A route is the view
+// (using App's view names) plus whatever it is showing:
+//
+//   /attendance[/:date]        calendar, for today or the given date
+//   /register[/:month]         register, for this month or the given one
+//   /lanes[/:date]             net lane bookings, for today or the given date
+//   /closures[/:month]         closures calendar, for this month or the given one
+//   /students[?q=&status=]     manage, with the list's search and filter
+//   /students/new              manage, adding a student
+//   /students/import           manage, importing a roster
+//   /students/:id[/edit]       manage, showing (or editing) one student
+//   /students/:id/waiver       manage, a parent signing the waiver for one student
+//   /notes[?q=&category=&tag=&from=&to=]   notes, searching every student's notes
+//   /packages, /sessions, /waivers, /reminders, /academy, /settings, /account
+//   /parent/:token             a parent's read-only page (see portal.js)
+//
+// `parseRoute` returns null for anything else.
+
+const SIMPLE_VIEWS = { packages: 'packages', sessions: 'sessions', waivers: 'waivers', reminders: 'reminders', academy: 'academy', settings: 'settings', account: 'account' };
+
+const isDateKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+const isMonthKey = (value) => /^\d{4}-\d{2}$/.test(value);
+
+export const parseRoute = (pathname) => {
+    let parts;
+    try {
+        parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (e) {
+        return null;
+    }
+    const [section, param, action, ...rest] = parts;
+    if (rest.length > 0) return null;
+
+    if (!section) return { view: 'calendar', date: null };
+    if (section === 'attendance' && !action) {
+        if (!param) return { view: 'calendar', date: null };
+        return isDateKey(param) ? { view: 'calendar', date: param } : null;
+    }
+    if (section === 'lanes' && !action) {
+        if (!param) return { view: 'lanes', date: null };
+        return isDateKey(param) ? { view: 'lanes', date: param } : null;
+    }
+    if ((section === 'register' || section === 'closures') && !action) {
+        if (!param) return { view: section, month: null };
+        return isMonthKey(param) ? { view: section, month: param } : null;
+    }
+    if (section === 'students') {
+        if (!param) return { view: 'manage' };
+        if (param === 'new' && !action) return { view: 'manage', isAdding: true };
+        if (param === 'import' && !action) return { view: 'manage', isImporting: true };
+        if (!action) return { view: 'manage', studentId: param };
+        if (action === 'edit') return { view: 'manage', studentId: param, isEditing: true };
+        if (action === 'waiver') return { view: 'manage', studentId: param, isSigningWaiver: true };
+        return null;
+    }
+    if (section === 'notes' && !param) return { view: 'notes' };
+    if (section === 'parent' && param && !action) return { view: 'portal', token: param };
+    if (SIMPLE_VIEWS[section] && !param) return { view: SIMPLE_VIEWS[section] };
+    return null;
+};
+
+// --- Paths ---
+
+export const attendancePath = (date) => (date ? `/attendance/${date}` : '/attendance');
+export const lanesPath = (date) => (date ? `/lanes/${date}` : '/lanes');
+export const registerPath = (month) => (month ? `/register/${month}` : '/register');
+export const closuresPath = (month) => (month ? `/closures/${month}` : '/closures');
+export const studentPath = (studentId) => `/students/${encodeURIComponent(studentId)}`;
+export const editStudentPath = (studentId) => `${studentPath(studentId)}/edit`;
+export const signWaiverPath = (studentId) => `${studentPath(studentId)}/waiver`;
+export const portalPath = (token) => `/parent/${encodeURIComponent(token)}`;
+export const NEW_STUDENT_PATH = '/students/new';
+export const IMPORT_STUDENTS_PATH = '/students/import';
+
+// Path for a sidebar item.
+export const getViewPath = (view) => {
+    if (view === 'calendar') return attendancePath();
+    if (view === 'register') return registerPath();
+    if (view === 'lanes') return lanesPath();
+    if (view === 'manage') return studentsPath();
+    return `/${view}`;
+};
+
+// --- Student List Filters ---
+// Only values that differ from the defaults appear in the query string.
+
+export const STUDENT_STATUS_FILTERS = ['active', 'inactive', 'all'];
+export const DEFAULT_STUDENT_FILTERS = { search: '', status: 'active' };
+
+export const parseStudentFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const status = params.get('status');
+    return {
+        search: params.get('q') || DEFAULT_STUDENT_FILTERS.search,
+        status: STUDENT_STATUS_FILTERS.includes(status) ? status : DEFAULT_STUDENT_FILTERS.status,
+    };
+};
+
+export const studentsPath = (filters = DEFAULT_STUDENT_FILTERS) => {
+    const params = new URLSearchParams();
+    if (filters.search) params.set('q', filters.search);
+    if (filters.status && filters.status !== DEFAULT_STUDENT_FILTERS.status) params.set('status', filters.status);
+    const query = params.toString();
+    return query ? `/students?${query}` : '/students';
+};
+
+// --- Notes Search Filters ---
+// Dates left out of the query string fall back to the view's default range.
+
+export const parseNoteFilters = (search) => {
+    const params = new URLSearchParams(search);
+    const dateParam = (name) => (isDateKey(params.get(name) || '') ? params.get(name) : '');
+    return {
+        query: params.get('q') || '',
+        category: params.get('category') || '',
+        tag: params.get('tag') || '',
+        from: dateParam('from'),
+        to: dateParam('to'),
+    };
+};
+
+export const notesPath = (filters = {}) => {
+    const params = new URLSearchParams();
+    if (filters.query) params.set('q', filters.query);
+    ['category', 'tag', 'from', 'to'].forEach(name => {
+        if (filters[name]) params.set(name, filters[name]);
+    });
+    const query = params.toString();
+    return query ? `/notes?${query}` : '/notes';
+};
@@ -0,0 +1,64 @@
+import { parseRoute, attendancePath, lanesPath, registerPath, closuresPath, studentPath, editStudentPath, signWaiverPath, portalPath, getViewPath, parseStudentFilters, studentsPath, parseNoteFilters, notesPath } from './routes';
+
+test('parses the attendance and register routes', () => {
+  expect(parseRoute('/')).toEqual({ view: 'calendar', date: null });
+  expect(parseRoute('/attendance')).toEqual({ view: 'calendar', date: null });
+  expect(parseRoute('/attendance/2024-03-05')).toEqual({ view: 'calendar', date: '2024-03-05' });
+  expect(parseRoute('/register/2024-03')).toEqual({ view: 'register', month: '2024-03' });
+  expect(parseRoute('/attendance/yesterday')).toBeNull();
+  expect(parseRoute('/register/2024-03-05')).toBeNull();
+  expect(parseRoute('/lanes')).toEqual({ view: 'lanes', date: null });
+  expect(parseRoute(lanesPath('2024-03-05'))).toEqual({ view: 'lanes', date: '2024-03-05' });
+  expect(parseRoute('/lanes/2024-03')).toBeNull();
+  expect(parseRoute(closuresPath('2024-03'))).toEqual({ view: 'closures', month: '2024-03' });
+  expect(parseRoute('/closures')).toEqual({ view: 'closures', month: null });
+});
+
+test('parses the student routes', () => {
+  expect(parseRoute('/students')).toEqual({ view: 'manage' });
+  expect(parseRoute('/students/new')).toEqual({ view: 'manage', isAdding: true });
+  expect(parseRoute('/students/import')).toEqual({ view: 'manage', isImporting: true });
+  expect(parseRoute('/students/abc123')).toEqual({ view: 'manage', studentId: 'abc123' });
+  expect(parseRoute('/students/abc123/edit')).toEqual({ view: 'manage', studentId: 'abc123', isEditing: true });
+  expect(parseRoute(signWaiverPath('abc123'))).toEqual({ view: 'manage', studentId: 'abc123', isSigningWaiver: true });
+  expect(parseRoute('/students/abc123/delete')).toBeNull();
+  expect(parseRoute('/students/abc123/edit/again')).toBeNull();
+});
+
+test('parses the other views and rejects unknown paths', () => {
+  expect(parseRoute('/settings')).toEqual({ view: 'settings' });
+  expect(parseRoute('/account/')).toEqual({ view: 'account' });
+  expect(parseRoute('/settings/extra')).toBeNull();
+  expect(parseRoute('/nowhere')).toBeNull();
+  expect(parseRoute(portalPath('ab12'))).toEqual({ view: 'portal', token: 'ab12' });
+  expect(parseRoute('/parent')).toBeNull();
+  expect(parseRoute('/students/%E0%A4%A')).toBeNull();
+});
+
+test('builds paths that parse back to the same route', () => {
+  expect(parseRoute(attendancePath('2024-03-05'))).toEqual({ view: 'calendar', date: '2024-03-05' });
+  expect(parseRoute(registerPath('2024-03'))).toEqual({ view: 'register', month: '2024-03' });
+  expect(parseRoute(studentPath('a/b c'))).toEqual({ view: 'manage', studentId: 'a/b c' });
+  expect(parseRoute(editStudentPath('a/b c'))).toEqual({ view: 'manage', studentId: 'a/b c', isEditing: true });
+  ['calendar', 'register', 'lanes', 'closures', 'manage', 'packages', 'sessions', 'notes', 'waivers', 'reminders', 'academy', 'settings', 'account'].forEach(view => {
+    expect(parseRoute(getViewPath(view)).view).toBe(view);
+  });
+});
+
+test('keeps the student list filters in the query string', () => {
+  expect(studentsPath()).toBe('/students');
+  expect(studentsPath({ search: '', status: 'active' })).toBe('/students');
+  expect(studentsPath({ search: 'Ava Lee', status: 'all' })).toBe('/students?q=Ava+Lee&status=all');
+  expect(parseStudentFilters('?q=Ava+Lee&status=all')).toEqual({ search: 'Ava Lee', status: 'all' });
+  expect(parseStudentFilters('')).toEqual({ search: '', status: 'active' });
+  expect(parseStudentFilters('?status=everyone')).toEqual({ search: '', status: 'active' });
+});
+
+test('keeps the notes search in the query string', () => {
+  expect(notesPath()).toBe('/notes');
+  const filters = { query: 'ankle', category: 'injury', tag: '', from: '2024-05-01', to: '2024-06-30' };
+  expect(notesPath(filters)).toBe('/notes?q=ankle&category=injury&from=2024-05-01&to=2024-06-30');
+  expect(parseNoteFilters('?q=ankle&category=injury&from=2024-05-01&to=2024-06-30')).toEqual(filters);
+  expect(parseNoteFilters('?from=last-week')).toEqual({ query: '', category: '', tag: '', from: '', to: '' });
+  expect(parseRoute('/notes')).toEqual({ view: 'notes' });
+});
@@ -0,0 +1,86 @@
+// --- Training Sessions ---
+// A session is one weekly time slot, such as Saturday 9:00am juniors, stored in
+// the academy's `sessions` collection as `{ weekday, startTime, endTime,
+// ageGroup, capacity, coachId, lanes, isActive }` with 'HH:MM' times; `lanes`
+// are the nets it holds (see lanes.js). Students list the
+// sessions they attend in `sessionIds`. Their `enrolledDays` are still saved,
+// worked out from those sessions, because the register, exports and students
+// enrolled before sessions existed all go by weekday.
+
+export const SESSION_WEEKDAYS = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+export const emptySession = {
+    weekday: 'Saturday',
+    startTime: '09:00',
+    endTime: '10:00',
+    ageGroup: '',
+    capacity: 12,
+    coachId: '',
+    lanes: [],
+    isActive: true,
+};
+
+export const isTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(value || '');
+
+export const compareSessions = (a, b) => (
+    SESSION_WEEKDAYS.indexOf(a.weekday) - SESSION_WEEKDAYS.indexOf(b.weekday)
+    || a.startTime.localeCompare(b.startTime)
+    || (a.ageGroup || '').localeCompare(b.ageGroup || '')
+);
+
+export const formatTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')}${hours < 12 ? 'am' : 'pm'}`;
+};
+
+export const formatSessionTime = (session) => `${formatTime(session.startTime)}–${formatTime(session.endTime)}`;
+
+export const describeSession = (session) => [
+    `${session.weekday} ${formatSessionTime(session)}`,
+    session.ageGroup,
+].filter(Boolean).join(' · ');
+
+export const validateSession = (session) => {
+    if (!SESSION_WEEKDAYS.includes(session.weekday)) return 'Please choose a day for the session.';
+    if (!isTime(session.startTime) || !isTime(session.endTime)) return 'Please enter a start and end time.';
+    if (session.endTime <= session.startTime) return 'The session has to end after it starts.';
+    const capacity = Number(session.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1) return 'Capacity must be a whole number of at least 1.';
+    return null;
+};
+
+// Inactive students do not take up a place.
+export const countEnrolled = (students, sessionId, exceptStudentId) => students.filter(student => (
+    student.id !== exceptStudentId && student.isActive !== false && student.sessionIds?.includes(sessionId)
+)).length;
+
+// Selected sessions that already have as many other students as they can take.
+export const getFullSessions = (sessions, students, sessionIds, studentId) => sessions.filter(session => (
+    sessionIds.includes(session.id) && countEnrolled(students, session.id, studentId) >= Number(session.capacity)
+));
+
+export const getEnrolledDays = (sessions, sessionIds) => SESSION_WEEKDAYS.filter(day => (
+    sessions.some(session => session.weekday === day && sessionIds.includes(session.id))
+));
+
+export const validateEnrolledSessions = (pkg, sessionIds = []) => {
+    if (!pkg) return 'Please choose a package.';
+    const sessions = Number(pkg.sessionsPerWeek);
+    if (sessionIds.length !== sessions) {
+        return `The ${pkg.name} package includes ${sessions} session(s) per week, but ${sessionIds.length} session(s) are selected.`;
+    }
+    return null;
+};
+
+// The day's sessions in time order, each with the given students enrolled in
+// it. Students who come on this weekday without a session for it (enrolled
+// before sessions existed) are returned separately.
+export const groupBySession = (students, sessions, weekday) => {
+    const daySessions = sessions.filter(session => session.weekday === weekday).sort(compareSessions);
+    const groups = daySessions
+        .map(session => ({ session, students: students.filter(student => student.sessionIds?.includes(session.id)) }))
+        .filter(group => group.session.isActive || group.students.length > 0);
+    const daySessionIds = daySessions.map(session => session.id);
+    const unassigned = students.filter(student => !student.sessionIds?.some(id => daySessionIds.includes(id)));
+    return { groups, unassigned };
+};
@@ -0,0 +1,69 @@
+import { compareSessions, formatTime, describeSession, validateSession, countEnrolled, getFullSessions, getEnrolledDays, validateEnrolledSessions, groupBySession } from './sessions';
+
+const juniors = { id: 'juniors', weekday: 'Saturday', startTime: '09:00', endTime: '10:30', ageGroup: 'Under 11', capacity: 2, isActive: true };
+const seniors = { id: 'seniors', weekday: 'Saturday', startTime: '11:00', endTime: '12:30', ageGroup: 'Under 15', capacity: 10, isActive: true };
+const tuesday = { id: 'tuesday', weekday: 'Tuesday', startTime: '17:00', endTime: '18:00', ageGroup: '', capacity: 8, isActive: true };
+const sessions = [seniors, juniors, tuesday];
+
+test('orders sessions by weekday from Monday, then start time', () => {
+  expect([...sessions].sort(compareSessions).map(s => s.id)).toEqual(['tuesday', 'juniors', 'seniors']);
+});
+
+test('formats times and describes sessions', () => {
+  expect(formatTime('00:15')).toBe('12:15am');
+  expect(formatTime('09:00')).toBe('9:00am');
+  expect(formatTime('12:00')).toBe('12:00pm');
+  expect(formatTime('17:30')).toBe('5:30pm');
+  expect(describeSession(juniors)).toBe('Saturday 9:00am–10:30am · Under 11');
+  expect(describeSession(tuesday)).toBe('Tuesday 5:00pm–6:00pm');
+});
+
+test('validates a session', () => {
+  expect(validateSession(juniors)).toBeNull();
+  expect(validateSession({ ...juniors, weekday: 'Someday' })).toMatch(/day/);
+  expect(validateSession({ ...juniors, startTime: '9am' })).toMatch(/start and end/);
+  expect(validateSession({ ...juniors, endTime: '09:00' })).toMatch(/end after/);
+  expect(validateSession({ ...juniors, capacity: '0' })).toMatch(/Capacity/);
+  expect(validateSession({ ...juniors, capacity: '2.5' })).toMatch(/Capacity/);
+});
+
+const students = [
+  { id: 'a', isActive: true, sessionIds: ['juniors'], enrolledDays: ['Saturday'] },
+  { id: 'b', isActive: true, sessionIds: ['juniors', 'tuesday'], enrolledDays: ['Tuesday', 'Saturday'] },
+  { id: 'c', isActive: false, sessionIds: ['juniors'], enrolledDays: ['Saturday'] },
+  { id: 'd', isActive: true, enrolledDays: ['Saturday'] },
+];
+
+test('counts active students in a session', () => {
+  expect(countEnrolled(students, 'juniors')).toBe(2);
+  expect(countEnrolled(students, 'juniors', 'a')).toBe(1);
+  expect(countEnrolled(students, 'seniors')).toBe(0);
+});
+
+test('finds selected sessions that are already full', () => {
+  expect(getFullSessions(sessions, students, ['juniors', 'seniors'], 'new').map(s => s.id)).toEqual(['juniors']);
+  // A student already in the session is not counted against themselves.
+  expect(getFullSessions(sessions, students, ['juniors'], 'a')).toEqual([]);
+});
+
+test('works out enrolled days from sessions', () => {
+  expect(getEnrolledDays(sessions, ['seniors', 'tuesday', 'juniors'])).toEqual(['Tuesday', 'Saturday']);
+  expect(getEnrolledDays(sessions, [])).toEqual([]);
+});
+
+test('checks the session count against the package', () => {
+  const pkg = { name: 'Squad', sessionsPerWeek: 2 };
+  expect(validateEnrolledSessions(pkg, ['juniors', 'tuesday'])).toBeNull();
+  expect(validateEnrolledSessions(pkg, ['juniors'])).toMatch(/2 session\(s\) per week, but 1/);
+  expect(validateEnrolledSessions(undefined, [])).toMatch(/choose a package/);
+});
+
+test('groups the day\'s students by session', () => {
+  const retired = { id: 'retired', weekday: 'Saturday', startTime: '08:00', endTime: '09:00', capacity: 5, isActive: false };
+  const { groups, unassigned } = groupBySession(students, [...sessions, retired], 'Saturday');
+  expect(groups.map(g => [g.session.id, g.students.map(s => s.id)])).toEqual([
+    ['juniors', ['a', 'b', 'c']],
+    ['seniors', []],
+  ]);
+  expect(unassigned.map(s => s.id)).toEqual(['d']);
+});
@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { webcrypto } from 'crypto';
+
+// jsdom has no Web Crypto; borrow Node's.
+if (!global.crypto) global.crypto = webcrypto;
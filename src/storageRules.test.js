@@ -0,0 +1,50 @@
+/**
+ * @jest-environment node
+ */
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { initializeTestEnvironment, assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+import { deleteObject, getBytes, ref, uploadBytes } from 'firebase/storage';
+
+// These run against the Storage and Firestore emulators with
+// `npm run test:rules`, and are skipped by a plain `npm test`.
+const describeWithEmulator = process.env.FIREBASE_STORAGE_EMULATOR_HOST ? describe : describe.skip;
+
+const notePath = 'artifacts/app/academies/owner/notes/n1';
+const photo = new Uint8Array([0xff, 0xd8, 0xff]);
+
+describeWithEmulator('storage.rules', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-cricnets',
+      firestore: { rules: readFileSync(resolve(__dirname, '../firestore.rules'), 'utf8') },
+      storage: { rules: readFileSync(resolve(__dirname, '../storage.rules'), 'utf8') },
+    });
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(doc(context.firestore(), 'artifacts/app/academies/owner/members/coach'), { role: 'assistant', displayName: 'Coach' });
+      await uploadBytes(ref(context.storage(), `${notePath}/f1`), photo, { contentType: 'image/jpeg' });
+    });
+  });
+
+  afterAll(() => testEnv.cleanup());
+
+  const as = (uid) => testEnv.authenticatedContext(uid).storage();
+
+  test('members upload, view and delete note photos and clips', async () => {
+    await assertSucceeds(uploadBytes(ref(as('coach'), `${notePath}/f2`), photo, { contentType: 'image/jpeg' }));
+    await assertSucceeds(uploadBytes(ref(as('owner'), `${notePath}/f3`), photo, { contentType: 'video/mp4' }));
+    await assertSucceeds(getBytes(ref(as('coach'), `${notePath}/f1`)));
+    await assertSucceeds(deleteObject(ref(as('coach'), `${notePath}/f2`)));
+  });
+
+  test('keeps everyone else out, and only takes photos and clips', async () => {
+    await assertFails(getBytes(ref(as('stranger'), `${notePath}/f1`)));
+    await assertFails(getBytes(ref(testEnv.unauthenticatedContext().storage(), `${notePath}/f1`)));
+    await assertFails(uploadBytes(ref(as('stranger'), `${notePath}/f4`), photo, { contentType: 'image/jpeg' }));
+    await assertFails(deleteObject(ref(as('stranger'), `${notePath}/f1`)));
+    await assertFails(uploadBytes(ref(as('coach'), `${notePath}/form.pdf`), photo, { contentType: 'application/pdf' }));
+  });
+});
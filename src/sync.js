@@ -0,0 +1,29 @@
+// --- Offline Sync ---
+// Firestore keeps a copy of the academy on the device, so writes are applied
+// locally straight away and uploaded when there is signal. A write's promise
+// only settles once the server accepts or rejects it, which can be hours later
+// at the nets, so handlers should update the UI without waiting for it.
+
+// Pending ids are kept per listener. A record can be seen by two listeners
+// (the month's attendance and an open profile), so ids are counted once.
+export const emptyPendingSync = () => ({ students: [], packages: [], sessions: [], bookings: [], closures: [], waivers: [], signatures: [], assessments: [], settings: [], payments: [], outbox: [], attendance: [], studentAttendance: [], notes: [], searchNotes: [] });
+
+// Ids of the documents in a snapshot that have local changes not yet on the server.
+export const getPendingIds = (docs) => docs.filter(d => d.metadata.hasPendingWrites).map(d => d.id);
+
+export const countPending = (pendingSync) => new Set(Object.values(pendingSync).flat()).size;
+
+export const getSyncStatus = (isOnline, pendingCount) => {
+    const waiting = `${pendingCount} change${pendingCount === 1 ? '' : 's'} waiting to sync`;
+    if (!isOnline) return { key: 'offline', label: 'Offline', detail: pendingCount > 0 ? waiting : 'Changes will sync when you reconnect' };
+    if (pendingCount > 0) return { key: 'syncing', label: 'Syncing', detail: waiting };
+    return { key: 'synced', label: 'Online', detail: 'All changes saved' };
+};
+
+// Rejections that come back from the server are usually permission problems,
+// which retrying will not fix.
+export const getWriteErrorMessage = (error, fallback) => {
+    if (error?.code === 'permission-denied' || error?.code === 'storage/unauthorized') return `${fallback} You don't have permission to make this change.`;
+    if (error?.code === 'storage/quota-exceeded') return `${fallback} There is no room left to store files.`;
+    return fallback;
+};
@@ -0,0 +1,30 @@
+import { emptyPendingSync, getPendingIds, countPending, getSyncStatus, getWriteErrorMessage } from './sync';
+
+const snapshotDoc = (id, hasPendingWrites) => ({ id, metadata: { hasPendingWrites } });
+
+test('getPendingIds keeps only documents with local changes', () => {
+  expect(getPendingIds([snapshotDoc('a', true), snapshotDoc('b', false), snapshotDoc('c', true)])).toEqual(['a', 'c']);
+});
+
+test('countPending adds up every collection', () => {
+  expect(countPending(emptyPendingSync())).toBe(0);
+  expect(countPending({ students: ['a', 'b'], packages: ['p'], settings: ['academy'] })).toBe(4);
+  expect(countPending({ ...emptyPendingSync(), attendance: ['s1_2025-03-04'], studentAttendance: ['s1_2025-03-04', 's1_2025-02-25'] })).toBe(2);
+});
+
+test('getSyncStatus reports offline, syncing and synced states', () => {
+  expect(getSyncStatus(false, 0)).toMatchObject({ key: 'offline', detail: 'Changes will sync when you reconnect' });
+  expect(getSyncStatus(false, 3)).toMatchObject({ key: 'offline', detail: '3 changes waiting to sync' });
+  expect(getSyncStatus(true, 1)).toMatchObject({ key: 'syncing', detail: '1 change waiting to sync' });
+  expect(getSyncStatus(true, 0)).toMatchObject({ key: 'synced', label: 'Online' });
+});
+
+test('getWriteErrorMessage explains permission and storage rejections', () => {
+  expect(getWriteErrorMessage({ code: 'permission-denied' }, 'Could not update student details.'))
+    .toBe("Could not update student details. You don't have permission to make this change.");
+  expect(getWriteErrorMessage({ code: 'storage/unauthorized' }, 'Could not upload the files.'))
+    .toBe("Could not upload the files. You don't have permission to make this change.");
+  expect(getWriteErrorMessage({ code: 'storage/quota-exceeded' }, 'Could not upload the files.'))
+    .toBe('Could not upload the files. There is no room left to store files.');
+  expect(getWriteErrorMessage({ code: 'unavailable' }, 'Could not add package.')).toBe('Could not add package.');
+});
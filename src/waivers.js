@@ -0,0 +1,72 @@
+import { addMonths, dateKeyToMonthKey, addDays } from './dates';
+
+// --- Liability Waivers ---
+// The waiver's wording lives in the academy's `waivers` collection, one
+// document per version: `{ version, title, text, createdAt }`. A version is
+// never edited; changing the wording publishes the next version.
+//
+// A parent signs by typing their name and drawing a signature. Each signed
+// copy is kept in the academy's `signatures` collection:
+// `{ studentId, waiverId, version, title, text, signerName, signatureImage, signedAt, expiresOn }`,
+// with the wording copied in so it shows exactly what was agreed to. The
+// student keeps a summary of the latest one in `waiver`
+// (`{ signatureId, version, signerName, signedAt, expiresOn }`) for the lists.
+//
+// Signatures last until the end of the cricket season they were signed in.
+// Students from before signed waivers only have the `waiverSigned` tick.
+
+export const DEFAULT_SEASON_START_MONTH = 9;
+
+export const SEASON_MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+export const getSeasonStartMonth = (settings) => settings?.seasonStartMonth || DEFAULT_SEASON_START_MONTH;
+
+export const emptyWaiver = { title: 'Liability Waiver', text: '' };
+
+export const getCurrentWaiver = (waivers) => waivers.reduce((latest, waiver) => (!latest || waiver.version > latest.version ? waiver : latest), null);
+
+export const getNextVersion = (waivers) => (getCurrentWaiver(waivers)?.version || 0) + 1;
+
+export const validateWaiver = (waiver) => {
+    if (!waiver.title?.trim()) return 'Please give the waiver a title.';
+    if (!waiver.text?.trim()) return 'Please enter the wording of the waiver.';
+    return null;
+};
+
+// The last day of the season `dateKey` falls in, where seasons start on the
+// 1st of `seasonStartMonth` (1 = January).
+export const getSeasonEnd = (dateKey, seasonStartMonth) => {
+    const monthKey = dateKeyToMonthKey(dateKey);
+    const startMonth = String(seasonStartMonth).padStart(2, '0');
+    let nextStart = `${monthKey.slice(0, 4)}-${startMonth}`;
+    if (nextStart <= monthKey) nextStart = addMonths(nextStart, 12);
+    return addDays(`${nextStart}-01`, -1);
+};
+
+export const validateSignature = ({ signerName, signatureImage, hasAgreed }) => {
+    if (!signerName?.trim()) return 'Please type your full name.';
+    if (!signatureImage) return 'Please sign in the box.';
+    if (!hasAgreed) return 'Please tick the box to agree to the waiver.';
+    return null;
+};
+
+export const WAIVER_STATUSES = {
+    signed: { label: 'Waiver Signed', isValid: true },
+    missing: { label: 'No Waiver', isValid: false },
+    expired: { label: 'Waiver Expired', isValid: false },
+    outdated: { label: 'Outdated Waiver', isValid: false },
+};
+
+// Returns one of the keys of `WAIVER_STATUSES`. An expired signature counts as
+// expired even when it was also for an older version, since it has to be
+// signed again either way.
+export const getWaiverStatus = (student, currentWaiver, today) => {
+    const { waiver } = student;
+    if (!waiver) {
+        if (!student.waiverSigned) return 'missing';
+        return currentWaiver ? 'outdated' : 'signed';
+    }
+    if (waiver.expiresOn < today) return 'expired';
+    if (currentWaiver && waiver.version < currentWaiver.version) return 'outdated';
+    return 'signed';
+};
@@ -0,0 +1,41 @@
+import { getSeasonStartMonth, getCurrentWaiver, getNextVersion, validateWaiver, getSeasonEnd, validateSignature, getWaiverStatus } from './waivers';
+
+const waivers = [
+  { id: 'w1', version: 1, title: 'Liability Waiver', text: 'Cricket balls are hard.' },
+  { id: 'w2', version: 2, title: 'Liability Waiver', text: 'Cricket balls are very hard.' },
+];
+
+test('finds the current version and the next one', () => {
+  expect(getCurrentWaiver(waivers).id).toBe('w2');
+  expect(getCurrentWaiver([])).toBeNull();
+  expect(getNextVersion(waivers)).toBe(3);
+  expect(getNextVersion([])).toBe(1);
+  expect(validateWaiver({ title: 'Waiver', text: ' ' })).toMatch(/wording/);
+});
+
+test('signatures last until the season ends', () => {
+  expect(getSeasonStartMonth({})).toBe(9);
+  expect(getSeasonStartMonth({ seasonStartMonth: 10 })).toBe(10);
+  expect(getSeasonEnd('2026-10-19', 9)).toBe('2027-08-31');
+  expect(getSeasonEnd('2026-09-01', 9)).toBe('2027-08-31');
+  expect(getSeasonEnd('2026-08-31', 9)).toBe('2026-08-31');
+  expect(getSeasonEnd('2026-03-10', 1)).toBe('2026-12-31');
+});
+
+test('checks the signing form', () => {
+  expect(validateSignature({ signerName: 'Priya', signatureImage: 'data:image/png;base64,x', hasAgreed: true })).toBeNull();
+  expect(validateSignature({ signerName: ' ', signatureImage: 'x', hasAgreed: true })).toMatch(/name/);
+  expect(validateSignature({ signerName: 'Priya', signatureImage: null, hasAgreed: true })).toMatch(/sign/);
+  expect(validateSignature({ signerName: 'Priya', signatureImage: 'x', hasAgreed: false })).toMatch(/agree/);
+});
+
+test('works out whether a student is covered', () => {
+  const current = waivers[1];
+  const signed = { version: 2, signedAt: '2026-09-05T10:00:00.000Z', expiresOn: '2027-08-31' };
+  expect(getWaiverStatus({ waiver: signed }, current, '2026-10-19')).toBe('signed');
+  expect(getWaiverStatus({ waiver: { ...signed, version: 1 } }, current, '2026-10-19')).toBe('outdated');
+  expect(getWaiverStatus({ waiver: { ...signed, expiresOn: '2026-08-31' } }, current, '2026-10-19')).toBe('expired');
+  expect(getWaiverStatus({}, current, '2026-10-19')).toBe('missing');
+  expect(getWaiverStatus({ waiverSigned: true }, current, '2026-10-19')).toBe('outdated');
+  expect(getWaiverStatus({ waiverSigned: true }, null, '2026-10-19')).toBe('signed');
+});